@@ -0,0 +1,101 @@
+const express = require('express');
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { API_BASE, createOpenApiDocument } = require('../src/openapi');
+
+// Checks every JSON response sent to the test suite against the OpenAPI
+// document (not a test file itself - see jest testMatch). Mismatches are
+// collected here and fail the test that caused them (see setup.js).
+
+const document = createOpenApiDocument();
+const ajv = new Ajv({ strict: false, allErrors: true });
+addFormats(ajv);
+ajv.addSchema(document, 'openapi.json');
+
+// Literal segments win over parameters, so /todos/trash isn't /todos/{id}
+const routes = Object.keys(document.paths)
+  .map((path) => ({
+    path,
+    pattern: new RegExp(`^${path.replace(/\{[^}]+\}/g, '[^/]+')}$`),
+    params: (path.match(/\{/g) || []).length,
+  }))
+  .sort((a, b) => a.params - b.params);
+
+const pointer = (...segments) =>
+  segments.map((segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+
+const validators = new Map();
+const validatorFor = (ref) => {
+  if (!validators.has(ref)) {
+    validators.set(ref, ajv.compile({ $ref: ref }));
+  }
+  return validators.get(ref);
+};
+
+const ERROR_REF = 'openapi.json#/components/schemas/Error';
+
+// The schema a response should match, or a problem when it isn't documented
+const expectedSchema = (method, url, status) => {
+  const path = url.split('?')[0].replace(/^\/api(\/v\d+)?/, '');
+  const route = routes.find((r) => r.pattern.test(path));
+  const operation = route && document.paths[route.path][method.toLowerCase()];
+  if (!operation) {
+    // Requests for routes that don't exist get the usual error envelope
+    return status === 404 ? { ref: ERROR_REF } : { problem: `${method} ${path} is not documented` };
+  }
+
+  const code = operation.responses[status] ? status : 'default';
+  if (code === 'default' && status < 400) {
+    return { problem: `${method} ${route.path} does not document a ${status} response` };
+  }
+  const response = operation.responses[code];
+  if (response.$ref) {
+    return { ref: `${ERROR_REF}` };
+  }
+  if (!response.content?.['application/json']) {
+    return { problem: `${method} ${route.path} does not document a JSON ${status} response` };
+  }
+  return {
+    ref: `openapi.json#/${pointer('paths', route.path, method.toLowerCase(), 'responses', code, 'content', 'application/json', 'schema')}`,
+  };
+};
+
+const violations = [];
+
+const checkResponse = (req, status, body) => {
+  const { ref, problem } = expectedSchema(req.method, req.originalUrl, status);
+  if (problem) {
+    violations.push(problem);
+    return;
+  }
+  const validate = validatorFor(ref);
+  if (!validate(JSON.parse(JSON.stringify(body)))) {
+    violations.push(
+      `${req.method} ${req.originalUrl} answered ${status} with a body that doesn't match the spec: `
+      + ajv.errorsText(validate.errors)
+    );
+  }
+};
+
+// Wrap an app so what its API routes send through res.json() is checked
+const withSpecCheck = (app) => {
+  const checked = express();
+  checked.locals = app.locals;
+  checked.use((req, res, next) => {
+    if (req.path.startsWith('/api/') && req.path !== '/api/openapi.json') {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        checkResponse(req, res.statusCode, body);
+        return json(body);
+      };
+    }
+    next();
+  });
+  checked.use(app);
+  return checked;
+};
+
+// Hand over the mismatches found so far and forget them
+const takeSpecViolations = () => violations.splice(0);
+
+module.exports = { API_BASE, document, withSpecCheck, takeSpecViolations };
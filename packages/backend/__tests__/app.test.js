@@ -1,24 +1,89 @@
 const request = require('supertest');
-const app = require('../src/app');
+const { createStore } = require('../src/store');
+const { createTestApp, signUp } = require('./helpers');
 
 describe('TODO API Tests', () => {
+  let app;
+  let api;
+
+  // Fresh store per test so state never leaks between tests;
+  // api is an agent signed in as a new user
+  beforeEach(async () => {
+    app = createTestApp();
+    api = await signUp(app);
+  });
+
   describe('GET /api/todos', () => {
     test('should return an array of todos', async () => {
-      const response = await request(app).get('/api/todos');
+      const response = await api.get('/api/v1/todos');
       expect(response.status).toBe(200);
       expect(Array.isArray(response.body)).toBe(true);
     });
 
     test('should return empty array initially', async () => {
-      const response = await request(app).get('/api/todos');
+      const response = await api.get('/api/v1/todos');
       expect(response.body).toEqual([]);
     });
   });
 
+  describe('GET /api/todos with query parameters', () => {
+    beforeEach(async () => {
+      await api.post('/api/v1/todos').send({ title: 'Buy milk', tags: ['home'] });
+      await api.post('/api/v1/todos').send({ title: 'Ship release', priority: 'high', tags: ['work'] });
+      await api.post('/api/v1/todos').send({ title: 'Fix bike', description: 'Buy a new chain', priority: 'low' });
+    });
+
+    test('should filter, search and sort', async () => {
+      const search = await api.get('/api/v1/todos?q=buy');
+      const tagged = await api.get('/api/v1/todos?tag=work');
+      const sorted = await api.get('/api/v1/todos?sort=priority');
+
+      expect(search.body.map((t) => t.title)).toEqual(['Buy milk', 'Fix bike']);
+      expect(tagged.body.map((t) => t.title)).toEqual(['Ship release']);
+      expect(sorted.body.map((t) => t.title)).toEqual(['Ship release', 'Fix bike', 'Buy milk']);
+    });
+
+    test('should filter by completion status', async () => {
+      const todos = await api.get('/api/v1/todos');
+      await api.patch(`/api/v1/todos/${todos.body[0].id}/toggle`);
+
+      const completed = await api.get('/api/v1/todos?completed=true');
+      expect(completed.body.map((t) => t.title)).toEqual(['Buy milk']);
+    });
+
+    test('should paginate with a cursor and report the total', async () => {
+      const first = await api.get('/api/v1/todos?limit=2');
+
+      expect(first.body).toHaveLength(2);
+      expect(first.headers['x-total-count']).toBe('3');
+      expect(first.headers['x-next-cursor']).toBeDefined();
+
+      const second = await api
+        .get('/api/v1/todos')
+        .query({ limit: 2, cursor: first.headers['x-next-cursor'] });
+
+      expect(second.body.map((t) => t.title)).toEqual(['Fix bike']);
+      expect(second.headers['x-next-cursor']).toBeUndefined();
+    });
+
+    test('should count active and completed todos across all pages, whatever the status filter', async () => {
+      const todos = await api.get('/api/v1/todos');
+      await api.patch(`/api/v1/todos/${todos.body[0].id}/toggle`);
+
+      const page = await api.get('/api/v1/todos?limit=1');
+      const active = await api.get('/api/v1/todos?completed=false');
+      const searched = await api.get('/api/v1/todos?q=buy');
+
+      expect([page.headers['x-active-count'], page.headers['x-completed-count']]).toEqual(['2', '1']);
+      expect([active.headers['x-active-count'], active.headers['x-completed-count']]).toEqual(['2', '1']);
+      expect([searched.headers['x-active-count'], searched.headers['x-completed-count']]).toEqual(['1', '1']);
+    });
+  });
+
   describe('POST /api/todos', () => {
     test('should create a new todo with title', async () => {
       const newTodo = { title: 'Test Todo' };
-      const response = await request(app).post('/api/todos').send(newTodo);
+      const response = await api.post('/api/v1/todos').send(newTodo);
 
       expect(response.status).toBe(201);
       expect(response.body).toHaveProperty('id');
@@ -28,15 +93,15 @@ describe('TODO API Tests', () => {
     });
 
     test('should return 400 when title is missing', async () => {
-      const response = await request(app).post('/api/todos').send({});
+      const response = await api.post('/api/v1/todos').send({});
 
       expect(response.status).toBe(400);
       expect(response.body).toHaveProperty('error');
     });
 
     test('should return 400 when title is empty string', async () => {
-      const response = await request(app)
-        .post('/api/todos')
+      const response = await api
+        .post('/api/v1/todos')
         .send({ title: '' });
 
       expect(response.status).toBe(400);
@@ -44,12 +109,12 @@ describe('TODO API Tests', () => {
     });
 
     test('should auto-increment IDs', async () => {
-      const todo1 = await request(app)
-        .post('/api/todos')
+      const todo1 = await api
+        .post('/api/v1/todos')
         .send({ title: 'First Todo' });
 
-      const todo2 = await request(app)
-        .post('/api/todos')
+      const todo2 = await api
+        .post('/api/v1/todos')
         .send({ title: 'Second Todo' });
 
       expect(todo2.body.id).toBeGreaterThan(todo1.body.id);
@@ -59,15 +124,15 @@ describe('TODO API Tests', () => {
   describe('PUT /api/todos/:id', () => {
     test('should update todo title', async () => {
       // First create a todo
-      const createResponse = await request(app)
-        .post('/api/todos')
+      const createResponse = await api
+        .post('/api/v1/todos')
         .send({ title: 'Original Title' });
 
       const todoId = createResponse.body.id;
 
       // Then update it
-      const updateResponse = await request(app)
-        .put(`/api/todos/${todoId}`)
+      const updateResponse = await api
+        .put(`/api/v1/todos/${todoId}`)
         .send({ title: 'Updated Title' });
 
       expect(updateResponse.status).toBe(200);
@@ -76,8 +141,8 @@ describe('TODO API Tests', () => {
     });
 
     test('should return 404 for non-existent todo', async () => {
-      const response = await request(app)
-        .put('/api/todos/99999')
+      const response = await api
+        .put('/api/v1/todos/99999')
         .send({ title: 'Updated Title' });
 
       expect(response.status).toBe(404);
@@ -85,17 +150,17 @@ describe('TODO API Tests', () => {
 
     test('should not change completed status', async () => {
       // Create and toggle a todo
-      const createResponse = await request(app)
-        .post('/api/todos')
+      const createResponse = await api
+        .post('/api/v1/todos')
         .send({ title: 'Test Todo' });
 
       const todoId = createResponse.body.id;
 
-      await request(app).patch(`/api/todos/${todoId}/toggle`);
+      await api.patch(`/api/v1/todos/${todoId}/toggle`);
 
       // Update title
-      const updateResponse = await request(app)
-        .put(`/api/todos/${todoId}`)
+      const updateResponse = await api
+        .put(`/api/v1/todos/${todoId}`)
         .send({ title: 'New Title' });
 
       expect(updateResponse.body.completed).toBe(true);
@@ -105,15 +170,15 @@ describe('TODO API Tests', () => {
   describe('PATCH /api/todos/:id/toggle', () => {
     test('should toggle todo from incomplete to complete', async () => {
       // Create a todo
-      const createResponse = await request(app)
-        .post('/api/todos')
+      const createResponse = await api
+        .post('/api/v1/todos')
         .send({ title: 'Test Todo' });
 
       const todoId = createResponse.body.id;
 
       // Toggle it
-      const toggleResponse = await request(app).patch(
-        `/api/todos/${todoId}/toggle`
+      const toggleResponse = await api.patch(
+        `/api/v1/todos/${todoId}/toggle`
       );
 
       expect(toggleResponse.status).toBe(200);
@@ -122,18 +187,18 @@ describe('TODO API Tests', () => {
 
     test('should toggle todo from complete to incomplete', async () => {
       // Create and complete a todo
-      const createResponse = await request(app)
-        .post('/api/todos')
+      const createResponse = await api
+        .post('/api/v1/todos')
         .send({ title: 'Test Todo' });
 
       const todoId = createResponse.body.id;
 
       // Toggle to complete
-      await request(app).patch(`/api/todos/${todoId}/toggle`);
+      await api.patch(`/api/v1/todos/${todoId}/toggle`);
 
       // Toggle back to incomplete
-      const toggleResponse = await request(app).patch(
-        `/api/todos/${todoId}/toggle`
+      const toggleResponse = await api.patch(
+        `/api/v1/todos/${todoId}/toggle`
       );
 
       expect(toggleResponse.status).toBe(200);
@@ -141,7 +206,7 @@ describe('TODO API Tests', () => {
     });
 
     test('should return 404 for non-existent todo', async () => {
-      const response = await request(app).patch('/api/todos/99999/toggle');
+      const response = await api.patch('/api/v1/todos/99999/toggle');
 
       expect(response.status).toBe(404);
     });
@@ -150,25 +215,25 @@ describe('TODO API Tests', () => {
   describe('DELETE /api/todos/:id', () => {
     test('should delete a todo', async () => {
       // Create a todo
-      const createResponse = await request(app)
-        .post('/api/todos')
+      const createResponse = await api
+        .post('/api/v1/todos')
         .send({ title: 'Test Todo' });
 
       const todoId = createResponse.body.id;
 
       // Delete it
-      const deleteResponse = await request(app).delete(`/api/todos/${todoId}`);
+      const deleteResponse = await api.delete(`/api/v1/todos/${todoId}`);
 
       expect(deleteResponse.status).toBe(200);
 
       // Verify it's gone
-      const getResponse = await request(app).get('/api/todos');
+      const getResponse = await api.get('/api/v1/todos');
       const todoExists = getResponse.body.some((t) => t.id === todoId);
       expect(todoExists).toBe(false);
     });
 
     test('should return 404 for non-existent todo', async () => {
-      const response = await request(app).delete('/api/todos/99999');
+      const response = await api.delete('/api/v1/todos/99999');
 
       expect(response.status).toBe(404);
     });
@@ -177,34 +242,266 @@ describe('TODO API Tests', () => {
   describe('Integration Tests', () => {
     test('should handle full CRUD lifecycle', async () => {
       // Create
-      const createRes = await request(app)
-        .post('/api/todos')
+      const createRes = await api
+        .post('/api/v1/todos')
         .send({ title: 'Lifecycle Test' });
       const todoId = createRes.body.id;
       expect(createRes.status).toBe(201);
 
       // Read
-      const getRes = await request(app).get('/api/todos');
+      const getRes = await api.get('/api/v1/todos');
       expect(getRes.body.some((t) => t.id === todoId)).toBe(true);
 
       // Update
-      const updateRes = await request(app)
-        .put(`/api/todos/${todoId}`)
+      const updateRes = await api
+        .put(`/api/v1/todos/${todoId}`)
         .send({ title: 'Updated Lifecycle' });
       expect(updateRes.status).toBe(200);
       expect(updateRes.body.title).toBe('Updated Lifecycle');
 
       // Toggle
-      const toggleRes = await request(app).patch(`/api/todos/${todoId}/toggle`);
+      const toggleRes = await api.patch(`/api/v1/todos/${todoId}/toggle`);
       expect(toggleRes.body.completed).toBe(true);
 
       // Delete
-      const deleteRes = await request(app).delete(`/api/todos/${todoId}`);
+      const deleteRes = await api.delete(`/api/v1/todos/${todoId}`);
       expect(deleteRes.status).toBe(200);
 
       // Verify deletion
-      const finalGetRes = await request(app).get('/api/todos');
+      const finalGetRes = await api.get('/api/v1/todos');
       expect(finalGetRes.body.some((t) => t.id === todoId)).toBe(false);
     });
   });
+
+  describe('Rich todo fields', () => {
+    test('should default optional fields on create', async () => {
+      const response = await api.post('/api/v1/todos').send({ title: 'Plain' });
+
+      expect(response.body).toEqual(
+        expect.objectContaining({ description: '', dueDate: null, priority: null, tags: [] })
+      );
+    });
+
+    test('should create a todo with description, due date, priority and tags', async () => {
+      const response = await api.post('/api/v1/todos').send({
+        title: 'Write report',
+        description: 'Quarterly numbers',
+        dueDate: '2024-06-30',
+        priority: 'high',
+        tags: ['work', ' finance ', 'work'],
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(
+        expect.objectContaining({
+          description: 'Quarterly numbers',
+          dueDate: '2024-06-30',
+          priority: 'high',
+          tags: ['work', 'finance'],
+        })
+      );
+    });
+
+    test('should update only the fields sent', async () => {
+      const created = await api
+        .post('/api/v1/todos')
+        .send({ title: 'Task', priority: 'low', tags: ['home'] });
+
+      const response = await api
+        .put(`/api/v1/todos/${created.body.id}`)
+        .send({ dueDate: '2024-07-01T09:00:00Z', priority: null });
+
+      expect(response.body).toEqual(
+        expect.objectContaining({
+          title: 'Task',
+          dueDate: '2024-07-01T09:00:00Z',
+          priority: null,
+          tags: ['home'],
+        })
+      );
+    });
+
+    test.each([
+      [{ priority: 'urgent' }, 'priority'],
+      [{ dueDate: 'next tuesday' }, 'dueDate'],
+      [{ dueDate: '2024-02-30x' }, 'dueDate'],
+      [{ tags: 'work' }, 'tags'],
+      [{ tags: [''] }, 'tags'],
+      [{ description: 'x'.repeat(2001) }, 'description'],
+    ])('should reject invalid field %j', async (fields, field) => {
+      const response = await api
+        .post('/api/v1/todos')
+        .send({ title: 'Task', ...fields });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details[0].field).toBe(field);
+    });
+  });
+
+  describe('Request validation', () => {
+    test('should reject non-string titles with field-level details', async () => {
+      const response = await api.post('/api/v1/todos').send({ title: 42 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details).toEqual([
+        { location: 'body', field: 'title', message: 'must be a string' },
+      ]);
+    });
+
+    test('should reject whitespace-only titles', async () => {
+      const response = await api.post('/api/v1/todos').send({ title: '   ' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject titles over the maximum length', async () => {
+      const response = await api
+        .post('/api/v1/todos')
+        .send({ title: 'x'.repeat(201) });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details[0].field).toBe('title');
+    });
+
+    test('should trim titles before saving', async () => {
+      const response = await api.post('/api/v1/todos').send({ title: '  Tidy  ' });
+
+      expect(response.body.title).toBe('Tidy');
+    });
+
+    test('should reject unknown fields', async () => {
+      const response = await api
+        .post('/api/v1/todos')
+        .send({ title: 'Valid', completed: true });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details).toEqual([
+        { location: 'body', field: 'completed', message: 'is not allowed' },
+      ]);
+    });
+
+    test('should reject empty or non-string titles on update', async () => {
+      const created = await api.post('/api/v1/todos').send({ title: 'Keep me' });
+
+      const empty = await api.put(`/api/v1/todos/${created.body.id}`).send({ title: '' });
+      const number = await api.put(`/api/v1/todos/${created.body.id}`).send({ title: 7 });
+
+      expect(empty.status).toBe(400);
+      expect(number.status).toBe(400);
+    });
+
+    test.each(['12abc', '0', '-1', '1.5'])('should reject invalid id %s', async (id) => {
+      const response = await api.patch(`/api/v1/todos/${id}/toggle`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details[0]).toEqual(
+        expect.objectContaining({ location: 'params', field: 'id' })
+      );
+    });
+
+    test('should reject invalid list query parameters', async () => {
+      const response = await api.get('/api/v1/todos?sort=random&limit=0');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details.map((d) => d.field)).toEqual(['sort', 'limit']);
+    });
+
+    test('should reject unknown query parameters', async () => {
+      const response = await api.get('/api/v1/todos?foo=bar');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Error responses', () => {
+    test('should return the error envelope for missing todos', async () => {
+      const response = await api.delete('/api/v1/todos/99999');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toEqual(
+        expect.objectContaining({
+          code: 'NOT_FOUND',
+          message: 'Todo not found',
+          requestId: expect.any(String),
+        })
+      );
+    });
+
+    test('should return the error envelope for invalid JSON', async () => {
+      const response = await api
+        .post('/api/v1/todos')
+        .set('Content-Type', 'application/json')
+        .send('not json');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_JSON');
+    });
+  });
+
+  describe('createApp', () => {
+    test('should isolate state between app instances', async () => {
+      const otherApi = await signUp(createTestApp());
+
+      await api.post('/api/v1/todos').send({ title: 'Only here' });
+
+      const response = await otherApi.get('/api/v1/todos');
+      expect(response.body).toEqual([]);
+    });
+
+    test('should use the injected clock for timestamps', async () => {
+      const clock = { now: () => new Date('2024-01-02T03:04:05.000Z') };
+      const clockedApi = await signUp(createTestApp({ clock }));
+
+      const response = await clockedApi
+        .post('/api/v1/todos')
+        .send({ title: 'Timed' });
+
+      expect(response.body.createdAt).toBe('2024-01-02T03:04:05.000Z');
+    });
+
+    test('should use the injected store', async () => {
+      const store = createStore({ driver: 'memory' });
+      const storeApi = await signUp(createTestApp({ store }));
+      const [user] = await store.users.list();
+      await store.todos.insert({ title: 'Seeded', completed: false, ownerId: user.id });
+
+      const response = await storeApi.get('/api/v1/todos');
+      expect(response.body).toEqual([
+        expect.objectContaining({ title: 'Seeded' }),
+      ]);
+    });
+  });
+
+  describe('Ownership', () => {
+    test('should require authentication', async () => {
+      const response = await request(app).get('/api/v1/todos');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    test('should only list the signed-in user\'s todos', async () => {
+      const bob = await signUp(app, 'bob');
+      await api.post('/api/v1/todos').send({ title: 'Alice todo' });
+      await bob.post('/api/v1/todos').send({ title: 'Bob todo' });
+
+      const response = await bob.get('/api/v1/todos');
+      expect(response.body.map((t) => t.title)).toEqual(['Bob todo']);
+      expect(response.body[0]).not.toHaveProperty('ownerId');
+    });
+
+    test('should hide other users\' todos from update, toggle and delete', async () => {
+      const bob = await signUp(app, 'bob');
+      const created = await api.post('/api/v1/todos').send({ title: 'Private' });
+      const id = created.body.id;
+
+      expect((await bob.put(`/api/v1/todos/${id}`).send({ title: 'Hijacked' })).status).toBe(404);
+      expect((await bob.patch(`/api/v1/todos/${id}/toggle`)).status).toBe(404);
+      expect((await bob.delete(`/api/v1/todos/${id}`)).status).toBe(404);
+
+      const mine = await api.get('/api/v1/todos');
+      expect(mine.body[0]).toEqual(expect.objectContaining({ title: 'Private', completed: false }));
+    });
+  });
 });
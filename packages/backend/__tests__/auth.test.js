@@ -0,0 +1,141 @@
+const request = require('supertest');
+const { createTestApp, signUp, PASSWORD } = require('./helpers');
+const { hashPassword, verifyPassword } = require('../src/services/auth');
+
+describe('Auth API', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  describe('POST /api/auth/register', () => {
+    test('should create a user and return a session token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({ username: 'alice', password: PASSWORD });
+
+      expect(response.status).toBe(201);
+      expect(response.body.user).toEqual({
+        id: expect.any(Number),
+        username: 'alice',
+        createdAt: expect.any(String),
+      });
+      expect(response.body.token).toEqual(expect.any(String));
+      expect(response.headers['set-cookie'][0]).toMatch(/session=.*HttpOnly/);
+    });
+
+    test('should reject duplicate usernames regardless of case', async () => {
+      await signUp(app, 'alice');
+
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({ username: 'ALICE', password: PASSWORD });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.details[0].field).toBe('username');
+    });
+
+    test('should create one account when the same username registers twice at once', async () => {
+      const register = (username) => request(app)
+        .post('/api/v1/auth/register')
+        .send({ username, password: PASSWORD });
+
+      const responses = await Promise.all([register('alice'), register('Alice')]);
+
+      expect(responses.map((r) => r.status).sort()).toEqual([201, 409]);
+      const users = await app.locals.store.users.list();
+      expect(users).toHaveLength(1);
+    });
+
+    test('should reject short passwords and invalid usernames', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({ username: 'a b', password: 'short' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details.map((d) => d.field)).toEqual(['username', 'password']);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    beforeEach(async () => {
+      await signUp(app, 'alice');
+    });
+
+    test('should sign in with valid credentials', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ username: 'alice', password: PASSWORD });
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.username).toBe('alice');
+    });
+
+    test.each([
+      ['wrong password', { username: 'alice', password: 'not the password' }],
+      ['unknown user', { username: 'mallory', password: PASSWORD }],
+    ])('should reject %s with the same message', async (_, credentials) => {
+      const response = await request(app).post('/api/v1/auth/login').send(credentials);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.message).toBe('Invalid username or password');
+    });
+  });
+
+  describe('sessions', () => {
+    test('should accept a bearer token', async () => {
+      const login = await request(app)
+        .post('/api/v1/auth/register')
+        .send({ username: 'alice', password: PASSWORD });
+
+      const response = await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${login.body.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.username).toBe('alice');
+    });
+
+    test('should reject tampered tokens', async () => {
+      const login = await request(app)
+        .post('/api/v1/auth/register')
+        .send({ username: 'alice', password: PASSWORD });
+      const [id] = login.body.token.split('.');
+
+      const response = await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${id}.forged`);
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should end the session on logout', async () => {
+      const agent = await signUp(app);
+
+      expect((await agent.post('/api/v1/auth/logout')).status).toBe(204);
+      expect((await agent.get('/api/v1/todos')).status).toBe(401);
+    });
+
+    test('should expire sessions after the configured lifetime', async () => {
+      let now = new Date('2024-01-01T00:00:00Z');
+      const clock = { now: () => now };
+      const clockedApp = createTestApp({ clock });
+      const agent = await signUp(clockedApp);
+
+      now = new Date('2024-02-01T00:00:00Z');
+
+      expect((await agent.get('/api/v1/auth/me')).status).toBe(401);
+    });
+  });
+
+  describe('password hashing', () => {
+    test('should verify only the original password', async () => {
+      const hash = await hashPassword('s3cret-pass');
+
+      expect(hash).not.toContain('s3cret-pass');
+      expect(await verifyPassword('s3cret-pass', hash)).toBe(true);
+      expect(await verifyPassword('wrong-pass', hash)).toBe(false);
+    });
+  });
+});
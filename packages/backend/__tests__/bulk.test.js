@@ -0,0 +1,176 @@
+const { createTestApp, signUp } = require('./helpers');
+const { createStore } = require('../src/store');
+
+describe('Bulk API', () => {
+  const clock = { now: () => new Date('2026-10-18T12:00:00Z') };
+  let app;
+  let api;
+  let todos;
+
+  beforeEach(async () => {
+    app = createTestApp({ clock });
+    api = await signUp(app);
+    todos = [];
+    for (const title of ['Water plants', 'Call mom', 'Pay rent']) {
+      todos.push((await api.post('/api/v1/todos').send({ title })).body);
+    }
+  });
+
+  const bulk = (operations) => api.post('/api/v1/todos/bulk').send({ operations });
+  const titles = async (path = '/api/v1/todos') => (await api.get(path)).body.map((t) => t.title);
+
+  test('should apply every operation and report each result', async () => {
+    const [water, call, rent] = todos;
+
+    const response = await bulk([
+      { op: 'toggle', id: water.id },
+      { op: 'setCompleted', id: call.id, completed: true },
+      { op: 'update', id: rent.id, changes: { tags: ['home'], priority: 'high' } },
+    ]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.results).toEqual([
+      expect.objectContaining({ index: 0, op: 'toggle', id: water.id, status: 'ok' }),
+      expect.objectContaining({ index: 1, op: 'setCompleted', id: call.id, status: 'ok' }),
+      expect.objectContaining({ index: 2, op: 'update', id: rent.id, status: 'ok' }),
+    ]);
+    expect(response.body.results[0].todo.completed).toBe(true);
+    expect(response.body.results[2].todo).toEqual(
+      expect.objectContaining({ tags: ['home'], priority: 'high' })
+    );
+
+    const completed = await api.get('/api/v1/todos?completed=true');
+    expect(completed.body.map((t) => t.title)).toEqual(['Water plants', 'Call mom']);
+  });
+
+  test('should move deleted todos to the trash and restore them', async () => {
+    const [water, call] = todos;
+
+    await bulk([{ op: 'delete', id: water.id }, { op: 'delete', id: call.id }]).expect(200);
+    expect(await titles()).toEqual(['Pay rent']);
+    expect(await titles('/api/v1/todos/trash')).toHaveLength(2);
+
+    await bulk([{ op: 'restore', id: water.id }, { op: 'restore', id: call.id }]).expect(200);
+    expect(await titles()).toEqual(['Water plants', 'Call mom', 'Pay rent']);
+  });
+
+  test('should reject the whole batch when any operation cannot be applied', async () => {
+    const [water, call] = todos;
+
+    const response = await bulk([
+      { op: 'setCompleted', id: water.id, completed: true },
+      { op: 'delete', id: 99999 },
+      { op: 'delete', id: call.id },
+      { op: 'toggle', id: call.id },
+    ]);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe('2 of 4 operations cannot be applied');
+    expect(response.body.error.details).toEqual([
+      { location: 'body', field: 'operations[1].id', message: 'does not exist' },
+      { location: 'body', field: 'operations[3].id', message: 'is in the trash' },
+    ]);
+    expect((await api.get('/api/v1/todos?completed=true')).body).toEqual([]);
+    expect(await titles()).toHaveLength(3);
+  });
+
+  test('should validate the shape of each operation', async () => {
+    const [water] = todos;
+    const cases = [
+      [{ op: 'archive', id: water.id }, 'op must be one of'],
+      [{ op: 'setCompleted', id: water.id }, 'completed is required for setCompleted'],
+      [{ op: 'toggle', id: water.id, changes: {} }, 'changes is only allowed for update'],
+      [{ op: 'update', id: water.id, changes: { title: ' ' } }, 'changes are invalid: title must not be empty'],
+    ];
+
+    for (const [operation, message] of cases) {
+      const response = await bulk([operation]);
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toContain(message);
+    }
+  });
+
+  test('should not touch other users\' todos or lists', async () => {
+    const bob = await signUp(app, 'bob');
+    const list = (await bob.post('/api/v1/lists').send({ name: 'Bob' })).body;
+
+    const response = await bulk([
+      { op: 'update', id: todos[0].id, changes: { listId: list.id } },
+    ]);
+    expect(response.body.error.details[0].field).toBe('operations[0].changes.listId');
+
+    const foreign = await bob.post('/api/v1/todos/bulk').send({ operations: [{ op: 'delete', id: todos[0].id }] });
+    expect(foreign.body.error.details[0]).toEqual(
+      expect.objectContaining({ field: 'operations[0].id', message: 'does not exist' })
+    );
+  });
+
+  test('should start the next occurrence of completed recurring todos', async () => {
+    const daily = (await api.post('/api/v1/todos').send({
+      title: 'Stretch',
+      dueDate: '2026-10-18',
+      recurrence: 'FREQ=DAILY',
+    })).body;
+
+    await bulk([{ op: 'setCompleted', id: daily.id, completed: true }]).expect(200);
+
+    const active = await api.get('/api/v1/todos?completed=false');
+    expect(active.body.find((t) => t.title === 'Stretch').dueDate).toBe('2026-10-19');
+  });
+
+  test('should start a new occurrence when one removed by an undo is completed again', async () => {
+    const daily = (await api.post('/api/v1/todos').send({
+      title: 'Stretch',
+      dueDate: '2026-10-18',
+      recurrence: 'FREQ=DAILY',
+    })).body;
+    const completeIt = [{ op: 'setCompleted', id: daily.id, completed: true }];
+
+    const { nextOccurrenceId } = (await bulk(completeIt).expect(200)).body.results[0].todo;
+    await bulk([
+      { op: 'setCompleted', id: daily.id, completed: false },
+      { op: 'delete', id: nextOccurrenceId },
+    ]).expect(200);
+    const again = (await bulk(completeIt).expect(200)).body.results[0].todo;
+
+    expect(again.nextOccurrenceId).not.toBe(nextOccurrenceId);
+    const active = (await api.get('/api/v1/todos?completed=false')).body;
+    expect(active.filter((t) => t.title === 'Stretch').map((t) => t.id)).toEqual([again.nextOccurrenceId]);
+  });
+});
+
+describe('Bulk rollback', () => {
+  test('should undo earlier writes when a later one fails', async () => {
+    const store = createStore({ driver: 'memory' });
+    const app = createTestApp({ store });
+    const api = await signUp(app);
+    const first = (await api.post('/api/v1/todos').send({ title: 'First' })).body;
+    const second = (await api.post('/api/v1/todos').send({ title: 'Second', recurrence: 'FREQ=DAILY' })).body;
+    const before = await store.todos.list();
+
+    // The store gives out after the recurring todo's next occurrence is created
+    const { update } = store.todos;
+    let updates = 0;
+    store.todos.update = async (...args) => {
+      updates += 1;
+      if (updates === 4) {
+        throw new Error('Disk full');
+      }
+      return update(...args);
+    };
+
+    const response = await api.post('/api/v1/todos/bulk').send({
+      operations: [
+        { op: 'update', id: first.id, changes: { title: 'Renamed' } },
+        { op: 'toggle', id: second.id },
+        { op: 'delete', id: first.id },
+      ],
+    });
+    store.todos.update = update;
+
+    expect(response.status).toBe(500);
+    const stored = await store.todos.list();
+    expect(stored).toEqual(before);
+    expect(stored[1]).not.toHaveProperty('nextOccurrenceId');
+  });
+});
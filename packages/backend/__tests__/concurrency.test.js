@@ -0,0 +1,102 @@
+const { createTestApp, signUp } = require('./helpers');
+
+describe('Versions and conditional requests', () => {
+  let api;
+  let todo;
+
+  beforeEach(async () => {
+    api = await signUp(createTestApp());
+    todo = (await api.post('/api/v1/todos').send({ title: 'Water plants' })).body;
+  });
+
+  test('should start at version 1 and go up with every change', async () => {
+    expect(todo.version).toBe(1);
+
+    const renamed = await api.put(`/api/v1/todos/${todo.id}`).send({ title: 'Water the plants' });
+    expect(renamed.body.version).toBe(2);
+    expect(renamed.headers.etag).toBe('"2"');
+
+    const toggled = await api.patch(`/api/v1/todos/${todo.id}/toggle`);
+    expect(toggled.body.version).toBe(3);
+
+    // Saving the same values is not a change
+    const unchanged = await api.put(`/api/v1/todos/${todo.id}`).send({ title: 'Water the plants' });
+    expect(unchanged.body.version).toBe(3);
+  });
+
+  test('should leave the version alone when only the order changes', async () => {
+    const other = (await api.post('/api/v1/todos').send({ title: 'Call mom' })).body;
+
+    const moved = await api.post(`/api/v1/todos/${todo.id}/move`).send({ after: other.id });
+
+    expect(moved.body.version).toBe(1);
+  });
+
+  test('should serve a todo with its ETag and answer 304 when unchanged', async () => {
+    const response = await api.get(`/api/v1/todos/${todo.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe('"1"');
+    expect(response.body.title).toBe('Water plants');
+
+    const cached = await api.get(`/api/v1/todos/${todo.id}`).set('If-None-Match', '"1"');
+    expect(cached.status).toBe(304);
+  });
+
+  test('should change the ETag when subtask progress changes', async () => {
+    const subtask = (await api.post(`/api/v1/todos/${todo.id}/subtasks`).send({ title: 'Fill can' })).body;
+    await api.post(`/api/v1/todos/${todo.id}/subtasks`).send({ title: 'Water' });
+    const before = await api.get(`/api/v1/todos/${todo.id}`);
+    expect(before.headers.etag).toBe('"1-0-2"');
+
+    await api.patch(`/api/v1/todos/${todo.id}/subtasks/${subtask.id}/toggle`);
+    const after = await api.get(`/api/v1/todos/${todo.id}`).set('If-None-Match', before.headers.etag);
+
+    expect(after.status).toBe(200);
+    expect(after.body).toEqual(expect.objectContaining({ version: 1, subtaskCounts: { total: 2, completed: 1 } }));
+    expect(after.headers.etag).toBe('"1-1-2"');
+
+    const renamed = await api.put(`/api/v1/todos/${todo.id}`).set('If-Match', before.headers.etag).send({ title: 'Still mine' });
+    expect(renamed.status).toBe(200);
+  });
+
+  test('should apply writes whose If-Match is current', async () => {
+    const response = await api.put(`/api/v1/todos/${todo.id}`).set('If-Match', '"1"').send({ priority: 'high' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe('"2"');
+  });
+
+  test('should reject writes based on an old version with 412', async () => {
+    await api.put(`/api/v1/todos/${todo.id}`).send({ title: 'Changed elsewhere' });
+
+    const response = await api.put(`/api/v1/todos/${todo.id}`).set('If-Match', '"1"').send({ title: 'Mine' });
+
+    expect(response.status).toBe(412);
+    expect(response.body.error).toEqual(expect.objectContaining({
+      code: 'PRECONDITION_FAILED',
+      message: 'The todo has changed since you loaded it',
+      details: [{ location: 'headers', field: 'If-Match', message: 'does not match the current version "2"' }],
+    }));
+    expect((await api.get(`/api/v1/todos/${todo.id}`)).body.title).toBe('Changed elsewhere');
+  });
+
+  test('should check If-Match on every kind of write', async () => {
+    await api.patch(`/api/v1/todos/${todo.id}/toggle`);
+    const stale = { 'If-Match': '"1"' };
+
+    const writes = [
+      api.patch(`/api/v1/todos/${todo.id}/toggle`).set(stale),
+      api.delete(`/api/v1/todos/${todo.id}`).set(stale),
+      api.post(`/api/v1/todos/${todo.id}/subtasks`).set(stale).send({ title: 'Fill the can' }),
+    ];
+    for (const response of await Promise.all(writes)) {
+      expect(response.status).toBe(412);
+    }
+
+    const any = await api.delete(`/api/v1/todos/${todo.id}`).set('If-Match', '*');
+    expect(any.status).toBe(200);
+    const restore = await api.post(`/api/v1/todos/trash/${todo.id}/restore`).set(stale);
+    expect(restore.status).toBe(412);
+  });
+});
@@ -0,0 +1,108 @@
+const express = require('express');
+const request = require('supertest');
+const requestId = require('../src/middleware/requestId');
+const { errorHandler, notFoundHandler } = require('../src/middleware/errorHandler');
+const { ValidationError, NotFoundError, ConflictError } = require('../src/errors');
+
+const createLogger = () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+const createTestApp = (logger) => {
+  const app = express();
+  app.use(requestId());
+  app.use(express.json());
+
+  app.get('/validation', () => {
+    throw new ValidationError('Bad input', [{ field: 'title', message: 'Required' }]);
+  });
+  app.get('/not-found', () => {
+    throw new NotFoundError('Todo not found');
+  });
+  app.get('/conflict', () => {
+    throw new ConflictError('Already exists');
+  });
+  app.get('/crash', () => {
+    throw new Error('secret database failure');
+  });
+  app.post('/echo', (req, res) => res.json(req.body));
+
+  app.use(notFoundHandler());
+  app.use(errorHandler({ logger }));
+  return app;
+};
+
+describe('Error handling middleware', () => {
+  let logger;
+  let app;
+
+  beforeEach(() => {
+    logger = createLogger();
+    app = createTestApp(logger);
+  });
+
+  test.each([
+    ['/validation', 400, 'VALIDATION_ERROR'],
+    ['/not-found', 404, 'NOT_FOUND'],
+    ['/conflict', 409, 'CONFLICT'],
+  ])('should map %s to %i %s', async (path, status, code) => {
+    const response = await request(app).get(path);
+
+    expect(response.status).toBe(status);
+    expect(response.body.error).toEqual(
+      expect.objectContaining({ code, message: expect.any(String) })
+    );
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  test('should include details and request id in the envelope', async () => {
+    const response = await request(app)
+      .get('/validation')
+      .set('X-Request-Id', 'req-123');
+
+    expect(response.headers['x-request-id']).toBe('req-123');
+    expect(response.body).toEqual({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Bad input',
+        details: [{ field: 'title', message: 'Required' }],
+        requestId: 'req-123',
+      },
+    });
+  });
+
+  test('should generate a request id when none is sent', async () => {
+    const response = await request(app).get('/not-found');
+
+    expect(response.body.error.requestId).toEqual(expect.any(String));
+    expect(response.body.error.requestId).toBe(response.headers['x-request-id']);
+  });
+
+  test('should hide unexpected errors behind a 500 and log them', async () => {
+    const response = await request(app).get('/crash');
+
+    expect(response.status).toBe(500);
+    expect(response.body.error.code).toBe('INTERNAL_ERROR');
+    expect(response.body.error.message).not.toMatch(/database/);
+    expect(logger.error).toHaveBeenCalledWith(
+      'secret database failure',
+      expect.objectContaining({ status: 500, stack: expect.any(String) })
+    );
+  });
+
+  test('should return JSON 400 for malformed JSON bodies', async () => {
+    const response = await request(app)
+      .post('/echo')
+      .set('Content-Type', 'application/json')
+      .send('{"title": ');
+
+    expect(response.status).toBe(400);
+    expect(response.headers['content-type']).toMatch(/json/);
+    expect(response.body.error.code).toBe('INVALID_JSON');
+  });
+
+  test('should return JSON 404 for unknown routes', async () => {
+    const response = await request(app).get('/nowhere');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('NOT_FOUND');
+  });
+});
@@ -0,0 +1,187 @@
+const http = require('http');
+const request = require('supertest');
+const { createEventBus } = require('../src/services/events');
+const { createTestApp, PASSWORD } = require('./helpers');
+
+describe('createEventBus', () => {
+  test('should deliver events only to subscribers of the same user', () => {
+    const bus = createEventBus({ epoch: 'e' });
+    const alice = [];
+    const bob = [];
+    bus.subscribe(1, (event) => alice.push(event));
+    bus.subscribe(2, (event) => bob.push(event));
+
+    bus.publish(1, 'todo.created', { id: 10 });
+
+    expect(alice).toEqual([
+      expect.objectContaining({ id: 'e-1', type: 'todo.created', data: { id: 10 } }),
+    ]);
+    expect(bob).toEqual([]);
+  });
+
+  test('should let listeners hear every user\'s events until they stop', () => {
+    const bus = createEventBus({ epoch: 'e' });
+    const heard = [];
+    const stop = bus.listen((event) => heard.push(`${event.userId}:${event.type}`));
+
+    bus.publish(1, 'todo.created', { id: 1 });
+    bus.publish(2, 'todo.toggled', { id: 2 });
+    stop();
+    bus.publish(1, 'todo.deleted', { id: 1 });
+
+    expect(heard).toEqual(['1:todo.created', '2:todo.toggled']);
+  });
+
+  test('should replay the events after a given id', () => {
+    const bus = createEventBus({ epoch: 'e' });
+    bus.publish(1, 'todo.created', { id: 1 });
+    bus.publish(2, 'todo.created', { id: 2 });
+    bus.publish(1, 'todo.updated', { id: 1 });
+
+    expect(bus.since(1, 'e-1').map((event) => event.id)).toEqual(['e-3']);
+    expect(bus.since(1, 'e-3')).toEqual([]);
+  });
+
+  test('should refuse to replay ids it no longer has or never issued', () => {
+    const bus = createEventBus({ epoch: 'e', bufferSize: 2 });
+    [1, 2, 3].forEach((id) => bus.publish(1, 'todo.created', { id }));
+
+    expect(bus.since(1, 'e-0')).toBeNull();
+    expect(bus.since(1, 'e-1').map((event) => event.id)).toEqual(['e-2', 'e-3']);
+    expect(bus.since(1, 'e-9')).toBeNull();
+    expect(bus.since(1, 'old-1')).toBeNull();
+    expect(bus.since(1, 'garbage')).toBeNull();
+  });
+
+  test('should end subscriptions when closed', () => {
+    const bus = createEventBus();
+    const onClose = jest.fn();
+    bus.subscribe(1, () => {}, onClose);
+
+    bus.close();
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('GET /api/events', () => {
+  let app;
+  let server;
+  let token;
+  const streams = [];
+
+  beforeEach(async () => {
+    app = createTestApp();
+    server = app.listen(0);
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ username: 'alice', password: PASSWORD });
+    token = response.body.token;
+  });
+
+  afterEach(async () => {
+    streams.splice(0).forEach((stream) => stream.close());
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const api = () => request(app);
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  // Open the stream and collect the events it sends
+  const openStream = (headers = {}) =>
+    new Promise((resolve, reject) => {
+      const req = http.get({
+        port: server.address().port,
+        path: '/api/v1/events',
+        headers: { Authorization: `Bearer ${token}`, ...headers },
+      }, (res) => {
+        const stream = { res, events: [], close: () => req.destroy() };
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+          const blocks = text.split('\n\n');
+          text = blocks.pop();
+          blocks.forEach((block) => {
+            const fields = Object.fromEntries(
+              block.split('\n').filter((line) => !line.startsWith(':')).map((line) => {
+                const index = line.indexOf(': ');
+                return [line.slice(0, index), line.slice(index + 2)];
+              })
+            );
+            if (fields.event) {
+              stream.events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+            }
+          });
+        });
+        streams.push(stream);
+        resolve(stream);
+      });
+      req.on('error', reject);
+    });
+
+  const waitForEvents = async (stream, count) => {
+    for (let i = 0; i < 50 && stream.events.length < count; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return stream.events;
+  };
+
+  test('should require authentication', async () => {
+    const response = await request(app).get('/api/v1/events');
+    expect(response.status).toBe(401);
+  });
+
+  test('should stream todo changes as they happen', async () => {
+    const stream = await openStream();
+    expect(stream.res.headers['content-type']).toMatch(/text\/event-stream/);
+
+    const todo = (await auth(api().post('/api/v1/todos')).send({ title: 'Live' })).body;
+    await auth(api().put(`/api/v1/todos/${todo.id}`)).send({ title: 'Live update' });
+    await auth(api().patch(`/api/v1/todos/${todo.id}/toggle`));
+    await auth(api().delete(`/api/v1/todos/${todo.id}`));
+
+    const events = await waitForEvents(stream, 4);
+    expect(events.map((event) => event.type)).toEqual([
+      'todo.created',
+      'todo.updated',
+      'todo.toggled',
+      'todo.deleted',
+    ]);
+    expect(events[1].data).toEqual(expect.objectContaining({ id: todo.id, title: 'Live update' }));
+    expect(events[2].data.completed).toBe(true);
+    expect(events[3].data).toEqual({ id: todo.id });
+  });
+
+  test('should resume after the last event id', async () => {
+    const first = await openStream();
+    await auth(api().post('/api/v1/todos')).send({ title: 'One' });
+    const [seen] = await waitForEvents(first, 1);
+    first.close();
+
+    await auth(api().post('/api/v1/todos')).send({ title: 'Two' });
+    const resumed = await openStream({ 'Last-Event-ID': seen.id });
+
+    const events = await waitForEvents(resumed, 1);
+    expect(events.map((event) => event.data.title)).toEqual(['Two']);
+  });
+
+  test('should ask the client to reset when events cannot be replayed', async () => {
+    const stream = await openStream({ 'Last-Event-ID': 'stale-42' });
+
+    const events = await waitForEvents(stream, 1);
+    expect(events).toEqual([{ id: undefined, type: 'reset', data: {} }]);
+  });
+
+  test('should not leak events between users', async () => {
+    const stream = await openStream();
+    const bob = request.agent(app);
+    await bob.post('/api/v1/auth/register').send({ username: 'bob', password: PASSWORD });
+
+    await bob.post('/api/v1/todos').send({ title: 'Private' });
+    await auth(api().post('/api/v1/todos')).send({ title: 'Mine' });
+
+    const events = await waitForEvents(stream, 1);
+    expect(events.map((event) => event.data.title)).toEqual(['Mine']);
+  });
+});
@@ -0,0 +1,189 @@
+const { FORMATS } = require('../src/formats');
+
+const now = new Date('2026-10-18T12:00:00Z');
+
+const record = (fields = {}) => ({
+  id: 1,
+  title: 'Renew passport',
+  description: '',
+  completed: false,
+  dueDate: null,
+  priority: null,
+  tags: [],
+  list: null,
+  recurrence: null,
+  createdAt: '2026-10-01T08:00:00.000Z',
+  ...fields,
+});
+
+const serialize = (format, records) => [...FORMATS[format].serialize(records, { now })].join('');
+
+const rich = record({
+  description: 'Needs two photos,\n"recent" ones; color',
+  completed: true,
+  dueDate: '2026-11-01',
+  priority: 'high',
+  tags: ['admin', 'travel'],
+  list: 'Errands',
+  recurrence: 'FREQ=MONTHLY;BYMONTHDAY=1',
+});
+
+// What a round trip should give back: every field a file can carry
+const imported = ({ title, description, completed, dueDate, priority, tags, list, recurrence }) => ({
+  title, description, completed, dueDate, priority, tags, list, recurrence,
+});
+
+describe.each(['json', 'csv', 'markdown', 'ical'])('%s format', (format) => {
+  test('should round-trip every field', () => {
+    const rows = FORMATS[format].parse(serialize(format, [rich, record({ title: 'Plain' })]));
+    // Markdown groups by list, so look rows up by title rather than position
+    const byTitle = (title) => rows.find((row) => row.fields.title === title).fields;
+
+    expect(rows).toHaveLength(2);
+    expect(byTitle('Renew passport')).toEqual(imported(rich));
+    expect(byTitle('Plain')).toEqual(expect.objectContaining({ title: 'Plain', completed: false }));
+  });
+
+  test('should export an empty set', () => {
+    expect(FORMATS[format].parse(serialize(format, []))).toEqual([]);
+  });
+});
+
+describe('csv format', () => {
+  test('should quote cells and defuse formulas', () => {
+    const text = serialize('csv', [record({ title: '=HYPERLINK("x")', tags: ['a', 'b'] })]);
+
+    expect(text.split('\r\n')[1]).toBe('"\'=HYPERLINK(""x"")",,false,,,"a, b",,,2026-10-01T08:00:00.000Z');
+    expect(FORMATS.csv.parse(text)[0].fields.title).toBe('=HYPERLINK("x")');
+  });
+
+  test('should defuse cells that start with a tab or carriage return', () => {
+    const text = serialize('csv', [record({ title: '\t=1+1', description: '\r=2+2' })]);
+
+    expect(text.split('\r\n')[1].startsWith('\'\t=1+1,"\'\r=2+2"')).toBe(true);
+    expect(FORMATS.csv.parse(text)[0].fields).toEqual(expect.objectContaining({
+      title: '\t=1+1',
+      description: '\r=2+2',
+    }));
+  });
+
+  test('should match columns by name and report rows by line', () => {
+    const rows = FORMATS.csv.parse('\uFEFFDone,Title\n\nyes,Water plants\nmaybe,Call mom\n');
+
+    expect(rows).toEqual([
+      { row: 3, fields: { title: 'Water plants' } },
+      { row: 4, fields: { title: 'Call mom' } },
+    ]);
+
+    const typed = FORMATS.csv.parse('title,completed\nA,yes\nB,maybe\n');
+    expect(typed).toEqual([
+      { row: 2, fields: { title: 'A', completed: true } },
+      { row: 3, error: 'completed must be true or false' },
+    ]);
+  });
+
+  test('should require a title column', () => {
+    expect(FORMATS.csv.parse('name\nA\n')).toEqual([
+      { row: 1, error: 'The header row has no title column' },
+    ]);
+  });
+});
+
+describe('markdown format', () => {
+  test('should group todos under list headings', () => {
+    const text = serialize('markdown', [
+      record({ title: 'Inbox item' }),
+      record({ title: 'Report', list: 'Work', completed: true }),
+    ]);
+
+    expect(text).toBe('- [ ] Inbox item\n\n## Work\n\n- [x] Report\n');
+  });
+
+  test('should read items, metadata and descriptions and skip other text', () => {
+    const rows = FORMATS.markdown.parse([
+      '# Groceries',
+      'Some notes about shopping.',
+      '* [X] Buy milk #dairy !low',
+      '  Semi-skimmed',
+      '- [ ] Fix bug #123 in parser due:2026-10-20',
+      '- not a task',
+    ].join('\n'));
+
+    expect(rows).toEqual([
+      {
+        row: 3,
+        fields: { title: 'Buy milk', tags: ['dairy'], priority: 'low', completed: true, list: 'Groceries', description: 'Semi-skimmed' },
+      },
+      {
+        row: 5,
+        fields: { title: 'Fix bug #123 in parser', dueDate: '2026-10-20', completed: false, list: 'Groceries' },
+      },
+    ]);
+  });
+
+  test('should escape titles and tags that would read back as metadata', () => {
+    const records = [
+      record({ title: 'Fix issue #42' }),
+      record({ title: 'Ship !high', tags: ['a b', 'day  off'] }),
+      record({ title: 'Check due:friday repeat:never' }),
+      record({ title: 'Already \\#escaped' }),
+      record({ title: '#1' }),
+    ];
+    const text = serialize('markdown', records);
+
+    expect(text.split('\n')[0]).toBe('- [ ] Fix issue \\#42');
+    expect(text.split('\n')[1]).toBe('- [ ] Ship \\!high #a\\ b #day\\ \\ off');
+    expect(FORMATS.markdown.parse(text).map((row) => row.fields)).toEqual(records.map((r) => ({
+      title: r.title,
+      completed: false,
+      ...(r.tags.length > 0 && { tags: r.tags }),
+    })));
+  });
+});
+
+describe('ical format', () => {
+  test('should write a valid calendar with folded lines', () => {
+    const text = serialize('ical', [record({ title: 'x'.repeat(100), dueDate: '2026-10-20T09:30:00Z' })]);
+    const lines = text.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('DUE:20261020T093000Z');
+    expect(lines).toContain('UID:todo-1@todo-app');
+    expect(lines.every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(FORMATS.ical.parse(text)[0].fields.title).toBe('x'.repeat(100));
+  });
+
+  test('should read VTODOs from other apps and ignore other components', () => {
+    const rows = FORMATS.ical.parse([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'SUMMARY:Meeting',
+      'END:VEVENT',
+      'BEGIN:VTODO',
+      'SUMMARY:Pay rent',
+      'DUE;TZID=Europe/Berlin:20261101T090000',
+      'PRIORITY:3',
+      'CATEGORIES:home,money',
+      'COMPLETED:20261030T100000Z',
+      'END:VTODO',
+      'END:VCALENDAR',
+    ].join('\n'));
+
+    expect(rows).toEqual([{
+      row: 1,
+      fields: {
+        title: 'Pay rent',
+        dueDate: '2026-11-01T09:00:00',
+        priority: 'high',
+        tags: ['home', 'money'],
+        completed: true,
+      },
+    }]);
+  });
+
+  test('should reject files that are not calendars', () => {
+    expect(FORMATS.ical.parse('hello')).toEqual([
+      { row: 1, error: 'The file is not an iCalendar file' },
+    ]);
+  });
+});
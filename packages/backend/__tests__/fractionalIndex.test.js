@@ -0,0 +1,41 @@
+const { keyBetween, keysAfter } = require('../src/utils/fractionalIndex');
+
+describe('keyBetween', () => {
+  test('should start at a0 and step the integer part when appending', () => {
+    expect(keyBetween(null, null)).toBe('a0');
+    expect(keyBetween('a0', null)).toBe('a1');
+    expect(keyBetween('az', null)).toBe('b00');
+    expect(keyBetween(null, 'a0')).toBe('Zz');
+  });
+
+  test('should generate a key strictly between two keys', () => {
+    expect(keyBetween('a0', 'a1')).toBe('a0V');
+    expect(keyBetween('a0', 'a0V')).toBe('a0G');
+    expect(keyBetween('a0V', 'a1')).toBe('a0l');
+  });
+
+  test('should keep finding room when inserting repeatedly at the same spot', () => {
+    let low = 'a0';
+    const high = 'a1';
+    for (let i = 0; i < 200; i++) {
+      const key = keyBetween(low, high);
+      expect(key > low && key < high).toBe(true);
+      low = key;
+    }
+  });
+
+  test('should reject keys that are out of order', () => {
+    expect(() => keyBetween('a1', 'a0')).toThrow();
+    expect(() => keyBetween('a1', 'a1')).toThrow();
+  });
+});
+
+describe('keysAfter', () => {
+  test('should return ascending keys', () => {
+    const keys = keysAfter(null, 70);
+
+    expect(keys).toHaveLength(70);
+    expect([...keys].sort()).toEqual(keys);
+    expect(new Set(keys).size).toBe(70);
+  });
+});
@@ -0,0 +1,259 @@
+const request = require('supertest');
+const WebSocket = require('ws');
+const { createClient } = require('graphql-ws');
+const { createTestApp, signUp, PASSWORD } = require('./helpers');
+const { createStore } = require('../src/store');
+
+describe('GraphQL API', () => {
+  let store;
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    store = createStore({ driver: 'memory' });
+    app = createTestApp({ store });
+    api = await signUp(app);
+  });
+
+  const gql = async (query, variables, agent = api) => {
+    const response = await agent.post('/graphql').send({ query, variables }).expect(200);
+    return response.body;
+  };
+
+  test('should require a session', async () => {
+    const response = await request(app).post('/graphql').send({ query: '{ me { id } }' });
+    expect(response.status).toBe(401);
+  });
+
+  test('should fetch todos, lists and counts in one request', async () => {
+    const list = (await api.post('/api/v1/lists').send({ name: 'Work' })).body;
+    await api.post('/api/v1/todos').send({ title: 'Write report', listId: list.id, priority: 'high' });
+    const done = (await api.post('/api/v1/todos').send({ title: 'Book flights' })).body;
+    await api.patch(`/api/v1/todos/${done.id}/toggle`);
+
+    const { data } = await gql(`{
+      me { username }
+      todos(completed: false) { total items { title priority list { name } } }
+      lists { name todoCount activeCount todos { title } }
+      counts { total active completed trashed }
+    }`);
+
+    expect(data).toEqual({
+      me: { username: 'alice' },
+      todos: { total: 1, items: [{ title: 'Write report', priority: 'high', list: { name: 'Work' } }] },
+      lists: [{ name: 'Work', todoCount: 1, activeCount: 1, todos: [{ title: 'Write report' }] }],
+      counts: { total: 2, active: 1, completed: 1, trashed: 0 },
+    });
+  });
+
+  test('should page through todos like the REST list', async () => {
+    for (const title of ['One', 'Two', 'Three']) {
+      await api.post('/api/v1/todos').send({ title });
+    }
+    const query = 'query($cursor: String) { todos(limit: 2, cursor: $cursor) { total nextCursor items { title } } }';
+
+    const first = (await gql(query)).data.todos;
+    const second = (await gql(query, { cursor: first.nextCursor })).data.todos;
+
+    expect(first.items.map((t) => t.title)).toEqual(['One', 'Two']);
+    expect(second).toEqual({ total: 3, nextCursor: null, items: [{ title: 'Three' }] });
+  });
+
+  test('should batch nested lookups instead of reading the store per todo', async () => {
+    const list = (await api.post('/api/v1/lists').send({ name: 'Home' })).body;
+    for (let i = 1; i <= 5; i++) {
+      const todo = (await api.post('/api/v1/todos').send({ title: `Todo ${i}`, listId: list.id })).body;
+      await api.post(`/api/v1/todos/${todo.id}/subtasks`).send({ title: `Step ${i}` });
+      await api.post(`/api/v1/todos/${todo.id}/reminders`).send({ at: '2099-01-01T00:00:00Z' });
+    }
+    const reads = ['subtasks', 'lists', 'reminders'].map((name) => jest.spyOn(store[name], 'list'));
+    const gets = jest.spyOn(store.lists, 'get');
+
+    const { data } = await gql(`{
+      todos {
+        items { list { name } subtaskCounts { total } subtasks { title } reminders { fireAt } }
+      }
+    }`);
+
+    expect(data.todos.items).toHaveLength(5);
+    expect(data.todos.items[4]).toEqual({
+      list: { name: 'Home' },
+      subtaskCounts: { total: 1 },
+      subtasks: [{ title: 'Step 5' }],
+      reminders: [{ fireAt: '2099-01-01T00:00:00.000Z' }],
+    });
+    reads.forEach((spy) => expect(spy).toHaveBeenCalledTimes(1));
+    expect(gets).not.toHaveBeenCalled();
+  });
+
+  test('should create, update, toggle and delete todos through the REST rules', async () => {
+    const created = await gql(
+      'mutation($input: CreateTodoInput!) { createTodo(input: $input) { id title tags version } }',
+      { input: { title: 'Water plants #home', quickAdd: true } }
+    );
+    const { id } = created.data.createTodo;
+    expect(created.data.createTodo).toEqual({ id, title: 'Water plants', tags: ['home'], version: 1 });
+
+    await gql(`mutation { updateTodo(id: ${id}, input: { title: "Water the plants" }, version: 1) { version } }`);
+    await gql(`mutation { toggleTodo(id: ${id}) { completed } }`);
+    const deleted = await gql(`mutation { deleteTodo(id: ${id}) { id } }`);
+
+    expect(deleted.data.deleteTodo).toEqual({ id });
+    expect((await api.get('/api/v1/todos/trash')).body).toEqual([
+      expect.objectContaining({ id, title: 'Water the plants', completed: true }),
+    ]);
+    const history = (await api.get('/api/v1/activity')).body;
+    expect(history.map((entry) => entry.action)).toEqual(['deleted', 'toggled', 'updated', 'created']);
+  });
+
+  test('should report validation errors with their code and details', async () => {
+    const result = await gql('mutation { createTodo(input: { title: "   ", dueDate: "soon" }) { id } }');
+
+    expect(result.data).toBeNull();
+    expect(result.errors[0]).toEqual(expect.objectContaining({
+      message: 'title must not be empty',
+      path: ['createTodo'],
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: [
+          { location: 'input', field: 'title', message: 'must not be empty' },
+          { location: 'input', field: 'dueDate', message: 'must be an ISO 8601 date' },
+        ],
+      },
+    }));
+    expect((await api.get('/api/v1/todos')).body).toEqual([]);
+  });
+
+  test('should reject queries nested deeper than the limit', async () => {
+    const nested = '{ lists { todos { list { todos { list { todos { title } } } } } } }';
+    const spread = `
+      query { lists { ...Deep } }
+      fragment Deep on List { todos { list { todos { list { todos { title } } } } } }
+    `;
+
+    for (const query of [nested, spread]) {
+      const response = await api.post('/graphql').send({ query });
+      expect(response.body.data).toBeUndefined();
+      expect(response.body.errors).toEqual([expect.objectContaining({
+        message: 'The query is nested 7 fields deep; at most 6 are allowed',
+      })]);
+    }
+    const allowed = await gql('{ lists { todos { list { todos { list { name } } } } } }');
+    expect(allowed.errors).toBeUndefined();
+  });
+
+  test('should refuse writes to a stale version or someone else\'s todo', async () => {
+    const todo = (await api.post('/api/v1/todos').send({ title: 'Mine' })).body;
+    await api.put(`/api/v1/todos/${todo.id}`).send({ title: 'Mine, renamed' });
+    const bob = await signUp(app, 'bob');
+
+    const stale = await gql(`mutation { toggleTodo(id: ${todo.id}, version: 1) { id } }`);
+    const foreign = await gql(`mutation { deleteTodo(id: ${todo.id}) { id } }`, {}, bob);
+
+    expect(stale.errors[0].extensions.code).toBe('PRECONDITION_FAILED');
+    expect(foreign.errors[0].extensions.code).toBe('NOT_FOUND');
+    expect((await api.get(`/api/v1/todos/${todo.id}`)).body.completed).toBe(false);
+  });
+});
+
+describe('GraphQL subscriptions', () => {
+  let app;
+  let server;
+  let stopSubscriptions;
+  let token;
+  const clients = [];
+
+  beforeEach(async () => {
+    app = createTestApp();
+    server = app.listen(0);
+    stopSubscriptions = app.locals.graphql.attachSubscriptions(server);
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ username: 'alice', password: PASSWORD });
+    token = response.body.token;
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.splice(0).map((client) => client.dispose()));
+    stopSubscriptions();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const connect = (authorization) => {
+    const client = createClient({
+      url: `ws://localhost:${server.address().port}/graphql`,
+      webSocketImpl: WebSocket,
+      connectionParams: { authorization },
+      retryAttempts: 0,
+    });
+    clients.push(client);
+    return client;
+  };
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  test('should push the user\'s todo changes as they happen', async () => {
+    const changes = connect(`Bearer ${token}`).iterate({
+      query: 'subscription { todoChanged { type id todo { title subtaskCounts { total } } } }',
+    });
+    const received = [];
+    const collecting = (async () => {
+      for await (const result of changes) {
+        received.push(result.data.todoChanged);
+        if (received.length === 2) break;
+      }
+    })();
+    // Let the subscription reach the server before changing anything
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const todo = (await auth(request(app).post('/api/v1/todos')).send({ title: 'Live' })).body;
+    await auth(request(app).delete(`/api/v1/todos/${todo.id}`));
+    await collecting;
+
+    expect(received).toEqual([
+      { type: 'todo.created', id: todo.id, todo: { title: 'Live', subtaskCounts: { total: 0 } } },
+      { type: 'todo.deleted', id: todo.id, todo: null },
+    ]);
+  });
+
+  test('should push checklist changes as changes to their todo', async () => {
+    const todo = (await auth(request(app).post('/api/v1/todos')).send({ title: 'Pack' })).body;
+    const url = `/api/v1/todos/${todo.id}/subtasks`;
+    const a = (await auth(request(app).post(url)).send({ title: 'Socks' })).body;
+    const b = (await auth(request(app).post(url)).send({ title: 'Shoes' })).body;
+    const changes = connect(`Bearer ${token}`).iterate({
+      query: 'subscription { todoChanged { type id todo { subtasks { title } } } }',
+    });
+    const received = [];
+    const collecting = (async () => {
+      for await (const result of changes) {
+        received.push(result.data.todoChanged);
+        break;
+      }
+    })();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    await auth(request(app).put(`${url}/order`)).send({ ids: [b.id, a.id] });
+    await collecting;
+
+    expect(received).toEqual([
+      { type: 'subtask.reordered', id: todo.id, todo: { subtasks: [{ title: 'Shoes' }, { title: 'Socks' }] } },
+    ]);
+  });
+
+  test('should reject subscriptions nested deeper than the limit', async () => {
+    const changes = connect(`Bearer ${token}`).iterate({
+      query: 'subscription { todoChanged { todo { list { todos { list { todos { title } } } } } } }',
+    });
+
+    await expect(changes.next()).rejects.toEqual([
+      expect.objectContaining({ message: 'The query is nested 7 fields deep; at most 6 are allowed' }),
+    ]);
+  });
+
+  test('should refuse connections without a session', async () => {
+    const changes = connect('Bearer 1.wrong').iterate({ query: 'subscription { todoChanged { id } }' });
+
+    await expect(changes.next()).rejects.toEqual(expect.objectContaining({ code: 4403 }));
+  });
+});
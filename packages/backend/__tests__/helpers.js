@@ -0,0 +1,31 @@
+const request = require('supertest');
+const { createApp } = require('../src/app');
+const { createStore } = require('../src/store');
+const { withSpecCheck } = require('./apiSpec');
+
+// Shared setup for API tests (not a test file itself - see jest testMatch)
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+// Tests never reach DNS: every host name resolves to a public (documentation) address
+const publicLookup = async () => [{ address: '203.0.113.10', family: 4 }];
+
+// Responses are checked against the OpenAPI document as tests go
+const createTestApp = (deps = {}) =>
+  withSpecCheck(createApp({
+    store: createStore({ driver: 'memory' }),
+    logger: silentLogger,
+    lookup: publicLookup,
+    ...deps,
+  }));
+
+const PASSWORD = 'correct horse battery';
+
+// Register a user and return a supertest agent carrying their session cookie
+const signUp = async (app, username = 'alice') => {
+  const agent = request.agent(app);
+  await agent.post('/api/v1/auth/register').send({ username, password: PASSWORD }).expect(201);
+  return agent;
+};
+
+module.exports = { silentLogger, publicLookup, createTestApp, signUp, PASSWORD };
@@ -0,0 +1,131 @@
+const { createTestApp, signUp } = require('./helpers');
+
+describe('History API', () => {
+  let now;
+  const clock = { now: () => now };
+  let app;
+  let api;
+  let todo;
+
+  beforeEach(async () => {
+    now = new Date('2026-10-18T12:00:00Z');
+    app = createTestApp({ clock });
+    api = await signUp(app);
+    todo = (await api.post('/api/v1/todos').send({ title: 'Water plants', tags: ['home'] })).body;
+  });
+
+  const later = () => {
+    now = new Date(now.getTime() + 60 * 1000);
+  };
+
+  const history = async (id = todo.id) => (await api.get(`/api/v1/todos/${id}/history`)).body;
+
+  test('should record who changed what and when, newest first', async () => {
+    later();
+    await api.put(`/api/v1/todos/${todo.id}`).set('X-Request-Id', 'req-rename').send({ title: 'Water the plants' });
+    later();
+    await api.patch(`/api/v1/todos/${todo.id}/toggle`);
+
+    const entries = await history();
+
+    expect(entries.map((e) => e.action)).toEqual(['toggled', 'updated', 'created']);
+    expect(entries[1]).toEqual(expect.objectContaining({
+      todoId: todo.id,
+      title: 'Water the plants',
+      changes: [{ field: 'title', from: 'Water plants', to: 'Water the plants' }],
+      user: { id: expect.any(Number), username: 'alice' },
+      requestId: 'req-rename',
+      revertOf: null,
+      createdAt: '2026-10-18T12:01:00.000Z',
+    }));
+    expect(entries[0].changes).toEqual([{ field: 'completed', from: false, to: true }]);
+    expect(entries[2].changes).toEqual([
+      { field: 'title', from: null, to: 'Water plants' },
+      { field: 'tags', from: [], to: ['home'] },
+    ]);
+  });
+
+  test('should skip changes that leave the tracked fields alone', async () => {
+    const other = (await api.post('/api/v1/todos').send({ title: 'Call mom' })).body;
+
+    await api.post(`/api/v1/todos/${todo.id}/move`).send({ after: other.id }).expect(200);
+    await api.put(`/api/v1/todos/${todo.id}`).send({ title: 'Water plants' }).expect(200);
+
+    expect(await history()).toHaveLength(1);
+  });
+
+  test('should log deletes and restores from every route', async () => {
+    const list = (await api.post('/api/v1/lists').send({ name: 'Home' })).body;
+    await api.put(`/api/v1/todos/${todo.id}`).send({ listId: list.id });
+
+    await api.delete(`/api/v1/lists/${list.id}?cascade=true`).expect(200);
+    await api.post(`/api/v1/todos/trash/${todo.id}/restore`).expect(200);
+    await api.post('/api/v1/todos/bulk').send({ operations: [{ op: 'delete', id: todo.id }] }).expect(200);
+    await api.post(`/api/v1/todos/trash/${todo.id}/restore`).expect(200);
+
+    const entries = await history();
+    expect(entries.map((e) => e.action)).toEqual(['restored', 'deleted', 'restored', 'deleted', 'updated', 'created']);
+    expect(entries[2].changes).toEqual([
+      { field: 'listId', from: list.id, to: null },
+      { field: 'deletedAt', from: '2026-10-18T12:00:00.000Z', to: null },
+    ]);
+  });
+
+  test('should revert to an earlier version', async () => {
+    await api.put(`/api/v1/todos/${todo.id}`).send({ title: 'Water cactus', priority: 'high', tags: [] });
+    await api.patch(`/api/v1/todos/${todo.id}/toggle`);
+    const [, , created] = await history();
+
+    const response = await api.post(`/api/v1/todos/${todo.id}/history/${created.id}/revert`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({
+      title: 'Water plants',
+      priority: null,
+      tags: ['home'],
+      completed: false,
+    }));
+
+    const [reverted] = await history();
+    expect(reverted).toEqual(expect.objectContaining({ action: 'reverted', revertOf: created.id }));
+    expect(reverted.changes.map((c) => c.field)).toEqual(['title', 'completed', 'priority', 'tags']);
+  });
+
+  test('should not revert with another todo\'s entries', async () => {
+    const other = (await api.post('/api/v1/todos').send({ title: 'Call mom' })).body;
+    const [entry] = await history(other.id);
+
+    const response = await api.post(`/api/v1/todos/${todo.id}/history/${entry.id}/revert`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.message).toBe('History entry not found');
+  });
+
+  test('should hide other users\' history and drop it when a todo is purged', async () => {
+    const bob = await signUp(app, 'bob');
+    expect((await bob.get(`/api/v1/todos/${todo.id}/history`)).status).toBe(404);
+    expect((await bob.get('/api/v1/activity')).body).toEqual([]);
+
+    await api.delete(`/api/v1/todos/${todo.id}`);
+    await api.delete(`/api/v1/todos/trash/${todo.id}`);
+    expect((await api.get('/api/v1/activity')).body).toEqual([]);
+  });
+});
+
+describe('Activity API', () => {
+  test('should page through changes to all todos, newest first', async () => {
+    const app = createTestApp();
+    const api = await signUp(app);
+    for (const title of ['One', 'Two', 'Three']) {
+      await api.post('/api/v1/todos').send({ title });
+    }
+
+    const first = await api.get('/api/v1/activity?limit=2');
+    expect(first.body.map((e) => e.title)).toEqual(['Three', 'Two']);
+
+    const cursor = first.headers['x-next-cursor'];
+    const second = await api.get(`/api/v1/activity?limit=2&cursor=${cursor}`);
+    expect(second.body.map((e) => e.title)).toEqual(['One']);
+    expect(second.headers['x-next-cursor']).toBeUndefined();
+  });
+});
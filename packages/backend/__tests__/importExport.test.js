@@ -0,0 +1,152 @@
+const { createTestApp, signUp } = require('./helpers');
+
+describe('Import and export API', () => {
+  const clock = { now: () => new Date('2026-10-18T12:00:00Z') };
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    app = createTestApp({ clock });
+    api = await signUp(app);
+  });
+
+  const importFile = (format, text, { dryRun = false } = {}) =>
+    api.post(`/api/v1/todos/import?format=${format}&dryRun=${dryRun}`)
+      .set('Content-Type', 'text/plain')
+      .send(text);
+
+  describe('GET /api/todos/export', () => {
+    beforeEach(async () => {
+      const list = (await api.post('/api/v1/lists').send({ name: 'Home' })).body;
+      await api.post('/api/v1/todos').send({ title: 'Water plants', listId: list.id, tags: ['garden'] });
+      const done = (await api.post('/api/v1/todos').send({ title: 'Call mom' })).body;
+      await api.patch(`/api/v1/todos/${done.id}/toggle`);
+    });
+
+    test('should download the todos as an attachment', async () => {
+      const response = await api.get('/api/v1/todos/export?format=csv');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="todos-2026-10-18.csv"');
+      expect(response.text.split('\r\n').slice(0, 3)).toEqual([
+        'title,description,completed,dueDate,priority,tags,list,recurrence,createdAt',
+        'Water plants,,false,,,garden,Home,,2026-10-18T12:00:00.000Z',
+        'Call mom,,true,,,,,,2026-10-18T12:00:00.000Z',
+      ]);
+    });
+
+    test('should apply the usual filters', async () => {
+      const response = await api.get('/api/v1/todos/export?format=markdown&completed=false');
+
+      expect(response.headers['content-disposition']).toContain('todos-2026-10-18.md');
+      expect(response.text).toBe('## Home\n\n- [ ] Water plants #garden\n');
+    });
+
+    test('should leave out trashed todos and other users\' todos', async () => {
+      const bob = await signUp(app, 'bob');
+      await bob.post('/api/v1/todos').send({ title: 'Bob only' });
+      const trashed = (await api.post('/api/v1/todos').send({ title: 'Old' })).body;
+      await api.delete(`/api/v1/todos/${trashed.id}`);
+
+      const response = await api.get('/api/v1/todos/export?format=json');
+      expect(JSON.parse(response.text).map((t) => t.title)).toEqual(['Water plants', 'Call mom']);
+    });
+
+    test('should reject unknown formats', async () => {
+      const response = await api.get('/api/v1/todos/export?format=xlsx');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details[0].field).toBe('format');
+    });
+  });
+
+  describe('POST /api/todos/import', () => {
+    const csv = [
+      'title,dueDate,priority,list',
+      'Water plants,2026-10-20,high,Home',
+      ',2026-10-21,,',
+      'Pay rent,,urgent,',
+      'water plants ,2026-10-20,,',
+      'Call mom,,,home',
+    ].join('\n');
+
+    test('should preview a file without importing it', async () => {
+      const response = await importFile('csv', csv, { dryRun: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        dryRun: true,
+        summary: { total: 5, imported: 2, duplicates: 1, errors: 2 },
+        newLists: ['Home'],
+        rows: [
+          { row: 2, status: 'ready', title: 'Water plants' },
+          { row: 3, status: 'error', title: null, errors: [{ field: 'title', message: 'is required' }] },
+          {
+            row: 4,
+            status: 'error',
+            title: 'Pay rent',
+            errors: [{ field: 'priority', message: 'must be one of: low, medium, high' }],
+          },
+          { row: 5, status: 'duplicate', title: 'water plants', duplicateOf: { row: 2 } },
+          { row: 6, status: 'ready', title: 'Call mom' },
+        ],
+      });
+      expect((await api.get('/api/v1/todos')).body).toEqual([]);
+      expect((await api.get('/api/v1/lists')).body).toEqual([]);
+    });
+
+    test('should import the valid rows and create missing lists', async () => {
+      const response = await importFile('csv', csv);
+
+      expect(response.body.summary.imported).toBe(2);
+      expect(response.body.rows[0]).toEqual(expect.objectContaining({ status: 'imported', id: expect.any(Number) }));
+
+      const lists = (await api.get('/api/v1/lists')).body;
+      expect(lists.map((l) => l.name)).toEqual(['Home']);
+      const todos = (await api.get('/api/v1/todos')).body;
+      expect(todos.map((t) => [t.title, t.listId, t.priority])).toEqual([
+        ['Water plants', lists[0].id, 'high'],
+        ['Call mom', lists[0].id, null],
+      ]);
+    });
+
+    test('should flag todos that already exist', async () => {
+      const existing = (await api.post('/api/v1/todos').send({ title: 'Call mom' })).body;
+
+      const response = await importFile('markdown', '- [ ] Call Mom\n- [ ] Call mom due:2026-10-20\n');
+
+      expect(response.body.rows).toEqual([
+        { row: 1, status: 'duplicate', title: 'Call Mom', duplicateOf: { id: existing.id } },
+        expect.objectContaining({ row: 2, status: 'imported' }),
+      ]);
+    });
+
+    test('should publish events for what it creates', async () => {
+      const events = [];
+      app.locals.events.subscribe((await api.get('/api/v1/auth/me')).body.user.id, (event) => events.push(event));
+
+      await importFile('json', JSON.stringify([{ title: 'Read', list: 'Books' }])).expect(200);
+
+      expect(events.map((e) => e.type)).toEqual(['list.created', 'todo.created']);
+    });
+
+    test('should reject empty and unparseable files', async () => {
+      const empty = await importFile('csv', '  \n');
+      expect(empty.status).toBe(400);
+      expect(empty.body.error.message).toBe('The file is empty');
+
+      const broken = await importFile('json', '{"title":');
+      expect(broken.body.summary.errors).toBe(1);
+      expect(broken.body.rows[0].errors[0].message).toContain('not valid JSON');
+    });
+
+    test('should cap the number of todos per file', async () => {
+      const lines = Array.from({ length: 1001 }, (_, i) => `- [ ] Todo ${i}`);
+      const response = await importFile('markdown', lines.join('\n'));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe('Import at most 1000 todos at a time');
+    });
+  });
+});
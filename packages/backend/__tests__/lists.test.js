@@ -0,0 +1,136 @@
+const { createTestApp, signUp } = require('./helpers');
+
+describe('Lists API', () => {
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    api = await signUp(app);
+  });
+
+  const createList = async (name) => (await api.post('/api/v1/lists').send({ name })).body;
+  const createTodo = async (fields) => (await api.post('/api/v1/todos').send(fields)).body;
+
+  describe('CRUD', () => {
+    test('should create, rename and fetch a list', async () => {
+      const created = await api.post('/api/v1/lists').send({ name: ' Work ' });
+
+      expect(created.status).toBe(201);
+      expect(created.body).toEqual(
+        expect.objectContaining({ id: expect.any(Number), name: 'Work', todoCount: 0 })
+      );
+
+      const renamed = await api.put(`/api/v1/lists/${created.body.id}`).send({ name: 'Office' });
+      expect(renamed.body.name).toBe('Office');
+
+      const fetched = await api.get(`/api/v1/lists/${created.body.id}`);
+      expect(fetched.body.name).toBe('Office');
+    });
+
+    test('should reject duplicate names', async () => {
+      await createList('Home');
+
+      const response = await api.post('/api/v1/lists').send({ name: 'home' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.details[0].field).toBe('name');
+    });
+
+    test('should hide other users\' lists', async () => {
+      const list = await createList('Private');
+      const bob = await signUp(app, 'bob');
+
+      expect((await bob.get('/api/v1/lists')).body).toEqual([]);
+      expect((await bob.get(`/api/v1/lists/${list.id}`)).status).toBe(404);
+      expect((await bob.post('/api/v1/todos').send({ title: 'Sneaky', listId: list.id })).status).toBe(400);
+    });
+  });
+
+  describe('todos in lists', () => {
+    test('should report per-list counts', async () => {
+      const work = await createList('Work');
+      await createTodo({ title: 'A', listId: work.id });
+      const done = await createTodo({ title: 'B', listId: work.id });
+      await createTodo({ title: 'Inbox item' });
+      await api.patch(`/api/v1/todos/${done.id}/toggle`);
+
+      const response = await api.get('/api/v1/lists');
+
+      expect(response.body).toEqual([
+        expect.objectContaining({ name: 'Work', todoCount: 2, completedCount: 1, activeCount: 1 }),
+      ]);
+    });
+
+    test('should move a todo between lists and filter by list', async () => {
+      const work = await createList('Work');
+      const home = await createList('Home');
+      const todo = await createTodo({ title: 'Laptop', listId: work.id });
+
+      const moved = await api.put(`/api/v1/todos/${todo.id}`).send({ listId: home.id });
+      expect(moved.body.listId).toBe(home.id);
+
+      expect((await api.get(`/api/v1/todos?listId=${work.id}`)).body).toEqual([]);
+      expect((await api.get(`/api/v1/todos?listId=${home.id}`)).body.map((t) => t.title)).toEqual(['Laptop']);
+
+      await api.put(`/api/v1/todos/${todo.id}`).send({ listId: null });
+      expect((await api.get('/api/v1/todos?listId=none')).body.map((t) => t.title)).toEqual(['Laptop']);
+    });
+
+    test('should reject todos assigned to unknown lists', async () => {
+      const response = await api.post('/api/v1/todos').send({ title: 'Lost', listId: 999 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details[0].field).toBe('listId');
+    });
+  });
+
+  describe('DELETE /api/lists/:id', () => {
+    let work;
+
+    beforeEach(async () => {
+      work = await createList('Work');
+      await createTodo({ title: 'One', listId: work.id });
+      await createTodo({ title: 'Two', listId: work.id });
+      await createTodo({ title: 'Elsewhere' });
+    });
+
+    test('should move todos to the inbox by default', async () => {
+      const response = await api.delete(`/api/v1/lists/${work.id}`);
+
+      expect(response.body).toEqual(expect.objectContaining({ movedTodos: 2, deletedTodos: 0 }));
+      expect((await api.get('/api/v1/todos?listId=none')).body).toHaveLength(3);
+      expect((await api.get(`/api/v1/lists/${work.id}`)).status).toBe(404);
+    });
+
+    test('should delete todos with cascade', async () => {
+      const heard = [];
+      app.locals.events.listen((event) => heard.push(event));
+      const todoIds = (await api.get(`/api/v1/todos?listId=${work.id}`)).body.map((t) => t.id);
+
+      const response = await api.delete(`/api/v1/lists/${work.id}?cascade=true`);
+
+      expect(response.body.deletedTodos).toBe(2);
+      expect((await api.get('/api/v1/todos')).body.map((t) => t.title)).toEqual(['Elsewhere']);
+      expect(heard.map((event) => [event.type, event.data.id])).toEqual([
+        ...todoIds.map((id) => ['todo.deleted', id]),
+        ['list.deleted', work.id],
+      ]);
+    });
+
+    test('should reassign todos to another list', async () => {
+      const home = await createList('Home');
+
+      await api.delete(`/api/v1/lists/${work.id}?reassignTo=${home.id}`);
+
+      const lists = await api.get('/api/v1/lists');
+      expect(lists.body).toEqual([expect.objectContaining({ name: 'Home', todoCount: 2 })]);
+    });
+
+    test('should reject reassignment to the deleted list or a missing one', async () => {
+      expect((await api.delete(`/api/v1/lists/${work.id}?reassignTo=${work.id}`)).status).toBe(400);
+      expect((await api.delete(`/api/v1/lists/${work.id}?reassignTo=999`)).status).toBe(404);
+      expect((await api.get(`/api/v1/lists/${work.id}`)).status).toBe(200);
+    });
+  });
+});
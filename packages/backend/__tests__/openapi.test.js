@@ -0,0 +1,133 @@
+const express = require('express');
+const request = require('supertest');
+const { createTestApp, signUp } = require('./helpers');
+const { withSpecCheck, takeSpecViolations } = require('./apiSpec');
+const { toJsonSchema, toObjectSchema } = require('../src/openapi/fromValidation');
+
+describe('OpenAPI document', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  test('should be served at /api/openapi.json for the /api/v1 routes', async () => {
+    const response = await request(app).get('/api/openapi.json');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({
+      openapi: '3.1.0',
+      servers: [{ url: '/api/v1' }],
+    }));
+    const ids = Object.values(response.body.paths).flatMap((path) => Object.values(path).map((op) => op.operationId));
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test('should describe requests with the rules the routes validate them by', async () => {
+    const { paths } = (await request(app).get('/api/openapi.json')).body;
+    const body = paths['/todos'].post.requestBody.content['application/json'].schema;
+
+    expect(body.required).toEqual(['title']);
+    expect(body.additionalProperties).toBe(false);
+    expect(body.properties.title).toEqual({ type: 'string', minLength: 1, maxLength: 200 });
+    expect(body.properties.priority).toEqual({ type: ['string', 'null'], enum: ['low', 'medium', 'high', null] });
+    expect(paths['/todos'].get.parameters).toContainEqual(
+      expect.objectContaining({ name: 'tag', in: 'query', style: 'form', explode: false })
+    );
+  });
+
+  test('should only document routes that exist', async () => {
+    const api = await signUp(app);
+    const { paths } = (await request(app).get('/api/openapi.json')).body;
+
+    // Signing out would leave every later request at 401, whatever its route
+    const skipped = ['/events', '/auth/logout'];
+    for (const [path, operations] of Object.entries(paths)) {
+      for (const method of Object.keys(operations)) {
+        if (skipped.includes(path)) {
+          continue;
+        }
+        const response = await api[method](`/api/v1${path.replace(/\{[^}]+\}/g, '999')}`);
+        expect(response.body.error?.message ?? '').not.toMatch(/^Route .* not found$/);
+      }
+    }
+    // Made-up ids answer with documented errors, not undocumented ones
+    expect(takeSpecViolations()).toEqual([]);
+  });
+
+  test('should serve interactive docs', async () => {
+    const response = await request(app).get('/api/docs/').redirects(1);
+
+    expect(response.status).toBe(200);
+    expect(response.text).toMatch(/swagger-ui/i);
+  });
+});
+
+describe('API versions', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await signUp(createTestApp());
+  });
+
+  test('should serve the unversioned routes as deprecated aliases of /api/v1', async () => {
+    const legacy = await api.get('/api/todos?limit=5');
+    const current = await api.get('/api/v1/todos');
+
+    expect(legacy.status).toBe(200);
+    expect(legacy.headers.deprecation).toBe('true');
+    expect(legacy.headers.link).toBe('</api/v1/todos?limit=5>; rel="successor-version"');
+    expect(current.headers.deprecation).toBeUndefined();
+  });
+
+  test('should not mark unknown versioned routes deprecated', async () => {
+    const response = await api.get('/api/v1/nope');
+
+    expect(response.status).toBe(404);
+    expect(response.headers.deprecation).toBeUndefined();
+  });
+});
+
+describe('Response checks', () => {
+  test('should catch responses that do not match the spec', async () => {
+    const broken = express();
+    broken.get('/api/v1/lists', (req, res) => res.json([{ id: 'one', name: 'Inbox' }]));
+    broken.get('/api/v1/unlisted', (req, res) => res.json({}));
+
+    await request(withSpecCheck(broken)).get('/api/v1/lists');
+    await request(withSpecCheck(broken)).get('/api/v1/unlisted');
+
+    expect(takeSpecViolations()).toEqual([
+      expect.stringContaining('data/0/id must be integer'),
+      'GET /unlisted is not documented',
+    ]);
+  });
+});
+
+describe('toJsonSchema', () => {
+  test('should translate validation rules', () => {
+    expect(toJsonSchema({ type: 'integer', min: 1, max: 10, default: 5 })).toEqual({
+      type: 'integer',
+      minimum: 1,
+      maximum: 10,
+      default: 5,
+    });
+    expect(toJsonSchema({ type: 'array', maxItems: 3, items: { type: 'boolean' } })).toEqual({
+      type: 'array',
+      items: { type: 'boolean' },
+      maxItems: 3,
+    });
+    expect(toJsonSchema({ type: 'string', pattern: /^[a-z]+$/i })).toEqual({ type: 'string' });
+    expect(toJsonSchema({ check: () => ({}), schema: { type: 'string', format: 'uri' }, nullable: true }))
+      .toEqual({ type: ['string', 'null'], format: 'uri' });
+  });
+
+  test('should list required fields and reject unknown ones', () => {
+    expect(toObjectSchema({ name: { type: 'string', required: true }, note: { type: 'string' } })).toEqual({
+      type: 'object',
+      properties: { name: { type: 'string' }, note: { type: 'string' } },
+      required: ['name'],
+      additionalProperties: false,
+    });
+  });
+});
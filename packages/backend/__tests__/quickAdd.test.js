@@ -0,0 +1,80 @@
+const { createTestApp, signUp } = require('./helpers');
+
+// 2026-10-18 is a Sunday
+const now = new Date('2026-10-18T12:00:00Z');
+
+describe('Quick add API', () => {
+  const clock = { now: () => now };
+  let api;
+
+  beforeEach(async () => {
+    api = await signUp(createTestApp({ clock }));
+  });
+
+  test('should parse the title in quickAdd mode', async () => {
+    const response = await api.post('/api/v1/todos').send({
+      title: 'Pay rent tomorrow 9am #finance !high every month',
+      quickAdd: true,
+      timezoneOffset: -60,
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual(expect.objectContaining({
+      title: 'Pay rent',
+      dueDate: '2026-10-19T08:00:00.000Z',
+      tags: ['finance'],
+      priority: 'high',
+      recurrence: 'FREQ=MONTHLY',
+    }));
+  });
+
+  test('should create repeats with a day and an end, and leave fractions in the title', async () => {
+    const fortnightly = await api.post('/api/v1/todos')
+      .send({ title: 'Submit report every other friday until dec 31', quickAdd: true });
+    const monthly = await api.post('/api/v1/todos').send({ title: 'Pay rent every month on the 31st', quickAdd: true });
+    const reading = await api.post('/api/v1/todos').send({ title: 'Read chapter 3/4 of book', quickAdd: true });
+
+    expect(fortnightly.body).toEqual(expect.objectContaining({
+      title: 'Submit report',
+      dueDate: '2026-10-23',
+      recurrence: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;UNTIL=20261231',
+    }));
+    expect(monthly.body).toEqual(expect.objectContaining({
+      title: 'Pay rent',
+      dueDate: '2026-10-31',
+      recurrence: 'FREQ=MONTHLY;BYMONTHDAY=31',
+    }));
+    expect(reading.body).toEqual(expect.objectContaining({ title: 'Read chapter 3/4 of book', dueDate: null }));
+  });
+
+  test('should let fields sent alongside win and leave plain posts alone', async () => {
+    const quick = await api.post('/api/v1/todos').send({ title: 'Call mom friday !low', quickAdd: true, priority: 'high' });
+    const plain = await api.post('/api/v1/todos').send({ title: 'Call mom friday !low' });
+
+    expect(quick.body).toEqual(expect.objectContaining({ title: 'Call mom', dueDate: '2026-10-23', priority: 'high' }));
+    expect(plain.body).toEqual(expect.objectContaining({ title: 'Call mom friday !low', dueDate: null, priority: null }));
+  });
+
+  test('should take the locale from the body or the Accept-Language header', async () => {
+    const fromHeader = await api.post('/api/v1/todos').set('Accept-Language', 'en-GB,en;q=0.8')
+      .send({ title: 'Dentist 3/4', quickAdd: true });
+    const fromBody = await api.post('/api/v1/todos').set('Accept-Language', 'en-GB')
+      .send({ title: 'Dentist 3/4', quickAdd: true, locale: 'en-US' });
+
+    expect(fromHeader.body.dueDate).toBe('2027-04-03');
+    expect(fromBody.body.dueDate).toBe('2027-03-04');
+  });
+
+  test('should reject what the parse leaves invalid', async () => {
+    const empty = await api.post('/api/v1/todos').send({ title: 'tomorrow #errands', quickAdd: true });
+    const longTag = await api.post('/api/v1/todos').send({ title: `Plan #${'a'.repeat(40)}`, quickAdd: true });
+    const stray = await api.post('/api/v1/todos').send({ title: 'Plan', locale: 'de' });
+
+    expect(empty.status).toBe(400);
+    expect(empty.body.error.details[0]).toEqual({ location: 'body', field: 'title', message: 'must not be empty' });
+    expect(longTag.status).toBe(400);
+    expect(longTag.body.error.details[0].field).toBe('tags');
+    expect(stray.status).toBe(400);
+    expect(stray.body.error.message).toBe('locale is only allowed with quickAdd');
+  });
+});
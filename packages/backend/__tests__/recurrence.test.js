@@ -0,0 +1,191 @@
+const { parseRecurrence, formatRecurrence, nextDueDate } = require('../src/models/recurrence');
+const { createTestApp, signUp } = require('./helpers');
+
+const next = (text, dueDate, occurrence) => nextDueDate(parseRecurrence(text), dueDate, occurrence);
+
+describe('recurrence rules', () => {
+  test('should parse and normalise a rule', () => {
+    const rule = parseRecurrence('rrule:freq=weekly;byday=fr,mo;interval=2;until=20261231');
+
+    expect(rule).toEqual({
+      freq: 'WEEKLY',
+      interval: 2,
+      byDay: ['MO', 'FR'],
+      byMonthDay: null,
+      until: '2026-12-31',
+      count: null,
+    });
+    expect(formatRecurrence(rule)).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;UNTIL=20261231');
+  });
+
+  test.each([
+    ['INTERVAL=2', /FREQ must be one of/],
+    ['FREQ=YEARLY', /FREQ must be one of/],
+    ['FREQ=DAILY;BYDAY=MO', /only supported with FREQ=WEEKLY/],
+    ['FREQ=WEEKLY;BYDAY=XX', /BYDAY must list days/],
+    ['FREQ=MONTHLY;BYMONTHDAY=32', /BYMONTHDAY must be between 1 and 31/],
+    ['FREQ=DAILY;COUNT=3;UNTIL=20260101', /both UNTIL and COUNT/],
+    ['FREQ=DAILY;UNTIL=20260230', /UNTIL must be a date/],
+    ['FREQ=DAILY;WKST=MO', /does not support WKST/],
+    ['FREQ=DAILY;;', /malformed/],
+  ])('should reject %s', (text, message) => {
+    expect(() => parseRecurrence(text)).toThrow(message);
+  });
+
+  test('should step daily rules by their interval', () => {
+    expect(next('FREQ=DAILY', '2026-02-28')).toBe('2026-03-01');
+    expect(next('FREQ=DAILY;INTERVAL=3', '2026-02-28')).toBe('2026-03-03');
+  });
+
+  test('should move weekly rules to the next listed weekday', () => {
+    // 2026-10-19 is a Monday
+    expect(next('FREQ=WEEKLY;BYDAY=MO,TH', '2026-10-19')).toBe('2026-10-22');
+    expect(next('FREQ=WEEKLY;BYDAY=MO,TH', '2026-10-22')).toBe('2026-10-26');
+    expect(next('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', '2026-10-22')).toBe('2026-11-02');
+    expect(next('FREQ=WEEKLY', '2026-10-21')).toBe('2026-10-28');
+  });
+
+  test('should skip months that are too short for the day', () => {
+    expect(next('FREQ=MONTHLY;BYMONTHDAY=31', '2026-01-31')).toBe('2026-03-31');
+    expect(next('FREQ=MONTHLY;BYMONTHDAY=15', '2026-01-20')).toBe('2026-02-15');
+    expect(next('FREQ=MONTHLY;INTERVAL=6', '2026-10-05')).toBe('2027-04-05');
+  });
+
+  test('should keep the time of day and stop at UNTIL or COUNT', () => {
+    expect(next('FREQ=DAILY', '2026-10-19T09:30:00Z')).toBe('2026-10-20T09:30:00Z');
+    expect(next('FREQ=DAILY;UNTIL=20261020', '2026-10-20')).toBeNull();
+    expect(next('FREQ=DAILY;COUNT=3', '2026-10-20', 2)).toBe('2026-10-21');
+    expect(next('FREQ=DAILY;COUNT=3', '2026-10-21', 3)).toBeNull();
+  });
+});
+
+describe('Recurring todos API', () => {
+  const clock = { now: () => new Date('2026-10-18T12:00:00Z') };
+  let api;
+
+  beforeEach(async () => {
+    api = await signUp(createTestApp({ clock }));
+  });
+
+  const createRecurring = async (fields) =>
+    (await api.post('/api/v1/todos').send({ title: 'Weekly report', ...fields })).body;
+
+  test('should store the rule in canonical form and reject invalid ones', async () => {
+    const todo = await createRecurring({ recurrence: 'freq=weekly;byday=fr', dueDate: '2026-10-23' });
+    const invalid = await api.post('/api/v1/todos').send({ title: 'Bad', recurrence: 'FREQ=HOURLY' });
+
+    expect(todo.recurrence).toBe('FREQ=WEEKLY;BYDAY=FR');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.details[0]).toEqual(
+      expect.objectContaining({ field: 'recurrence', message: expect.stringMatching(/FREQ must be/) })
+    );
+  });
+
+  test('should create the next occurrence when one is completed', async () => {
+    const todo = await createRecurring({
+      recurrence: 'FREQ=WEEKLY;BYDAY=FR',
+      dueDate: '2026-10-23',
+      tags: ['reports'],
+    });
+    await api.post(`/api/v1/todos/${todo.id}/subtasks`).send({ title: 'Collect numbers' });
+
+    const toggled = await api.patch(`/api/v1/todos/${todo.id}/toggle`);
+    const todos = (await api.get('/api/v1/todos')).body;
+    const next = todos.find((t) => t.id === toggled.body.nextOccurrenceId);
+
+    expect(todos).toHaveLength(2);
+    expect(next).toEqual(expect.objectContaining({
+      title: 'Weekly report',
+      dueDate: '2026-10-30',
+      completed: false,
+      tags: ['reports'],
+      recurrence: 'FREQ=WEEKLY;BYDAY=FR',
+      seriesId: todo.id,
+      occurrence: 2,
+      subtaskCounts: { total: 1, completed: 0 },
+    }));
+  });
+
+  test('should move an overdue series on to its next day from today', async () => {
+    const weekly = await createRecurring({ recurrence: 'FREQ=WEEKLY;BYDAY=FR', dueDate: '2026-09-25T09:00:00Z' });
+    const daily = await createRecurring({ recurrence: 'FREQ=DAILY', dueDate: '2026-10-01' });
+    const ended = await createRecurring({ recurrence: 'FREQ=DAILY;UNTIL=20261010', dueDate: '2026-10-01' });
+
+    const nextOf = async (todo) => {
+      const { nextOccurrenceId } = (await api.patch(`/api/v1/todos/${todo.id}/toggle`)).body;
+      return nextOccurrenceId && (await api.get(`/api/v1/todos/${nextOccurrenceId}`)).body;
+    };
+
+    expect(await nextOf(weekly)).toEqual(expect.objectContaining({ dueDate: '2026-10-23T09:00:00Z', occurrence: 2 }));
+    expect((await nextOf(daily)).dueDate).toBe('2026-10-18');
+    expect(await nextOf(ended)).toBeUndefined();
+  });
+
+  test('should not create another occurrence when completed again', async () => {
+    const todo = await createRecurring({ recurrence: 'FREQ=DAILY', dueDate: '2026-10-19' });
+
+    await api.patch(`/api/v1/todos/${todo.id}/toggle`);
+    await api.patch(`/api/v1/todos/${todo.id}/toggle`);
+    await api.patch(`/api/v1/todos/${todo.id}/toggle`);
+
+    expect((await api.get('/api/v1/todos')).body).toHaveLength(2);
+  });
+
+  test('should recur from today when there is no due date', async () => {
+    const todo = await createRecurring({ recurrence: 'FREQ=DAILY' });
+
+    const { nextOccurrenceId } = (await api.patch(`/api/v1/todos/${todo.id}/toggle`)).body;
+    const todos = (await api.get('/api/v1/todos')).body;
+
+    expect(todos.find((t) => t.id === nextOccurrenceId).dueDate).toBe('2026-10-19');
+  });
+
+  test('should stop once COUNT occurrences have been created', async () => {
+    const first = await createRecurring({ recurrence: 'FREQ=DAILY;COUNT=2', dueDate: '2026-10-19' });
+
+    const { nextOccurrenceId } = (await api.patch(`/api/v1/todos/${first.id}/toggle`)).body;
+    const last = await api.patch(`/api/v1/todos/${nextOccurrenceId}/toggle`);
+
+    expect(last.body.nextOccurrenceId).toBeUndefined();
+    expect((await api.get('/api/v1/todos')).body).toHaveLength(2);
+  });
+
+  test('should skip an occurrence', async () => {
+    const todo = await createRecurring({ recurrence: 'FREQ=MONTHLY', dueDate: '2026-10-05' });
+
+    const skipped = await api.post(`/api/v1/todos/${todo.id}/skip`);
+
+    expect(skipped.status).toBe(200);
+    expect(skipped.body).toEqual(expect.objectContaining({ dueDate: '2026-11-05', occurrence: 2 }));
+    expect((await api.get('/api/v1/todos')).body).toHaveLength(1);
+  });
+
+  test('should refuse to skip one-off, completed or final occurrences', async () => {
+    const oneOff = await createRecurring({});
+    const last = await createRecurring({ recurrence: 'FREQ=DAILY;UNTIL=20261019', dueDate: '2026-10-19' });
+    const done = await createRecurring({ recurrence: 'FREQ=DAILY' });
+    await api.patch(`/api/v1/todos/${done.id}/toggle`);
+
+    for (const todo of [oneOff, last, done]) {
+      const response = await api.post(`/api/v1/todos/${todo.id}/skip`);
+      expect(response.status).toBe(409);
+    }
+  });
+
+  test('should create the next occurrence when subtasks auto-complete the todo', async () => {
+    const todo = await createRecurring({
+      recurrence: 'FREQ=DAILY',
+      dueDate: '2026-10-19',
+      autoComplete: true,
+    });
+    const subtask = (await api.post(`/api/v1/todos/${todo.id}/subtasks`).send({ title: 'Send' })).body;
+
+    await api.patch(`/api/v1/todos/${todo.id}/subtasks/${subtask.id}/toggle`);
+
+    const todos = (await api.get('/api/v1/todos')).body;
+    expect(todos.map((t) => [t.dueDate, t.completed])).toEqual([
+      ['2026-10-19', true],
+      ['2026-10-20', false],
+    ]);
+  });
+});
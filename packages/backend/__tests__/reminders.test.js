@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestApp, signUp, silentLogger } = require('./helpers');
+const { createStore } = require('../src/store');
+const { createEventBus } = require('../src/services/events');
+const { fireDueReminders, startReminderScheduler } = require('../src/services/reminders');
+const { createEventDelivery, createWebhookDelivery } = require('../src/services/reminderDeliveries');
+const { loadConfig } = require('../src/config');
+
+const at = (iso) => ({ now: () => new Date(iso) });
+
+// A delivery that only records what it was handed
+const createStubDelivery = () => {
+  const delivered = [];
+  return { name: 'stub', delivered, deliver: async (notification) => delivered.push(notification) };
+};
+
+describe('Reminders API', () => {
+  let app;
+  let api;
+  let todo;
+
+  beforeEach(async () => {
+    app = createTestApp({ clock: at('2026-10-18T12:00:00Z') });
+    api = await signUp(app);
+    todo = (await api.post('/api/v1/todos').send({ title: 'Pay rent', dueDate: '2026-10-20T09:00:00Z' })).body;
+  });
+
+  test('should add reminders and list them soonest first', async () => {
+    const dayBefore = await api.post(`/api/v1/todos/${todo.id}/reminders`).send({ minutesBefore: 24 * 60 });
+    const fixed = await api.post(`/api/v1/todos/${todo.id}/reminders`).send({ at: '2026-10-18T15:00:00+02:00' });
+
+    expect(dayBefore.status).toBe(201);
+    expect(dayBefore.body).toEqual(expect.objectContaining({
+      todoId: todo.id,
+      at: null,
+      minutesBefore: 1440,
+      fireAt: '2026-10-19T09:00:00.000Z',
+      status: 'pending',
+      firedAt: null,
+    }));
+    expect(fixed.body.at).toBe('2026-10-18T13:00:00.000Z');
+
+    const list = await api.get(`/api/v1/todos/${todo.id}/reminders`);
+    expect(list.body.map((r) => r.id)).toEqual([fixed.body.id, dayBefore.body.id]);
+  });
+
+  test('should follow the due date and wait while there is none', async () => {
+    const reminder = (await api.post(`/api/v1/todos/${todo.id}/reminders`).send({ minutesBefore: 0 })).body;
+
+    await api.put(`/api/v1/todos/${todo.id}`).send({ dueDate: '2026-11-01' });
+    expect((await api.get(`/api/v1/todos/${todo.id}/reminders`)).body[0].fireAt).toBe('2026-11-01T00:00:00.000Z');
+
+    await api.put(`/api/v1/todos/${todo.id}`).send({ dueDate: null });
+    expect((await api.get(`/api/v1/todos/${todo.id}/reminders`)).body).toEqual([
+      expect.objectContaining({ id: reminder.id, fireAt: null }),
+    ]);
+  });
+
+  test('should reject reminders that are ambiguous or already past', async () => {
+    const both = await api.post(`/api/v1/todos/${todo.id}/reminders`).send({ at: '2026-10-19T00:00:00Z', minutesBefore: 5 });
+    const neither = await api.post(`/api/v1/todos/${todo.id}/reminders`).send({});
+    const past = await api.post(`/api/v1/todos/${todo.id}/reminders`).send({ at: '2026-10-18T11:00:00Z' });
+
+    expect(both.status).toBe(400);
+    expect(neither.status).toBe(400);
+    expect(past.status).toBe(400);
+    expect(past.body.error.details[0]).toEqual({ location: 'body', field: 'at', message: 'must be in the future' });
+  });
+
+  test('should delete reminders of the user\'s own todos only', async () => {
+    const reminder = (await api.post(`/api/v1/todos/${todo.id}/reminders`).send({ minutesBefore: 30 })).body;
+    const other = await signUp(app, 'bob');
+
+    expect((await other.delete(`/api/v1/todos/${todo.id}/reminders/${reminder.id}`)).status).toBe(404);
+    expect((await api.delete(`/api/v1/todos/${todo.id}/reminders/${reminder.id}`)).status).toBe(200);
+    expect((await api.get(`/api/v1/todos/${todo.id}/reminders`)).body).toEqual([]);
+  });
+});
+
+describe('Firing reminders', () => {
+  let app;
+  let api;
+  let store;
+
+  beforeEach(async () => {
+    app = createTestApp({ clock: at('2026-10-18T12:00:00Z') });
+    api = await signUp(app);
+    store = app.locals.store;
+  });
+
+  const addTodo = async (fields, reminder) => {
+    const todo = (await api.post('/api/v1/todos').send({ title: 'Pay rent', ...fields })).body;
+    await api.post(`/api/v1/todos/${todo.id}/reminders`).send(reminder);
+    return todo;
+  };
+
+  const fire = (iso, deliveries) =>
+    fireDueReminders({ store, clock: at(iso), deliveries, logger: silentLogger });
+
+  test('should fire due reminders exactly once', async () => {
+    const todo = await addTodo({ dueDate: '2026-10-20T09:00:00Z' }, { minutesBefore: 60 });
+    const delivery = createStubDelivery();
+
+    expect(await fire('2026-10-20T07:59:00Z', [delivery])).toEqual([]);
+    await fire('2026-10-20T08:00:00Z', [delivery]);
+    await fire('2026-10-20T08:01:00Z', [delivery]);
+
+    expect(delivery.delivered).toEqual([expect.objectContaining({
+      todoId: todo.id,
+      userId: 1,
+      title: 'Pay rent',
+      fireAt: '2026-10-20T08:00:00.000Z',
+      firedAt: '2026-10-20T08:00:00.000Z',
+    })]);
+    expect((await api.get(`/api/v1/todos/${todo.id}/reminders`)).body[0].status).toBe('fired');
+  });
+
+  test('should skip completed todos and hold back trashed ones', async () => {
+    const done = await addTodo({}, { at: '2026-10-19T00:00:00Z' });
+    const trashed = await addTodo({}, { at: '2026-10-19T00:00:00Z' });
+    await api.patch(`/api/v1/todos/${done.id}/toggle`);
+    await api.delete(`/api/v1/todos/${trashed.id}`);
+    const delivery = createStubDelivery();
+
+    await fire('2026-10-19T00:00:00Z', [delivery]);
+    await api.post(`/api/v1/todos/trash/${trashed.id}/restore`);
+    await fire('2026-10-19T00:01:00Z', [delivery]);
+
+    expect(delivery.delivered.map((n) => n.todoId)).toEqual([trashed.id]);
+    expect((await store.reminders.list()).map((r) => r.status)).toEqual(['skipped', 'fired']);
+  });
+
+  test('should record failed deliveries without holding up the others', async () => {
+    await addTodo({}, { at: '2026-10-19T00:00:00Z' });
+    const failing = { name: 'webhook', deliver: async () => { throw new Error('Webhook answered 500'); } };
+    const delivery = createStubDelivery();
+
+    const fired = await fire('2026-10-19T00:00:00Z', [failing, delivery]);
+
+    expect(fired).toHaveLength(1);
+    expect(delivery.delivered).toHaveLength(1);
+    expect((await store.reminders.list())[0].deliveryErrors).toEqual([
+      { delivery: 'webhook', message: 'Webhook answered 500' },
+    ]);
+  });
+
+  test('should set reminders before the due date again on the next occurrence', async () => {
+    const todo = await addTodo({ dueDate: '2026-10-19', recurrence: 'FREQ=DAILY' }, { minutesBefore: 30 });
+    await api.post(`/api/v1/todos/${todo.id}/reminders`).send({ at: '2026-10-19T06:00:00Z' });
+
+    const next = (await api.patch(`/api/v1/todos/${todo.id}/toggle`)).body.nextOccurrenceId;
+
+    expect((await api.get(`/api/v1/todos/${next}/reminders`)).body).toEqual([
+      expect.objectContaining({ minutesBefore: 30, fireAt: '2026-10-19T23:30:00.000Z', status: 'pending' }),
+    ]);
+  });
+
+  test('should publish fired reminders to the owner\'s event stream on start', async () => {
+    await addTodo({}, { at: '2026-10-19T00:00:00Z' });
+    const events = createEventBus({ epoch: 'e' });
+
+    const stop = startReminderScheduler({
+      store,
+      clock: at('2026-10-19T00:00:00Z'),
+      deliveries: [createEventDelivery(events)],
+      logger: silentLogger,
+    });
+    stop();
+
+    // The first run is already underway; let it finish
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(events.since(1, 'e-0')).toEqual([
+      expect.objectContaining({ type: 'reminder.fired', data: expect.objectContaining({ title: 'Pay rent' }) }),
+    ]);
+  });
+});
+
+describe('Reminders across restarts', () => {
+  let dir;
+  const open = () => createStore({ driver: 'file', path: path.join(dir, 'todos.json') });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-reminders-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const fireWith = async (deliveries) => {
+    const store = open();
+    await fireDueReminders({ store, clock: at('2026-10-19T00:00:00Z'), deliveries, logger: silentLogger });
+    await store.close();
+  };
+
+  test('should fire reminders that came due while the server was down, once', async () => {
+    const store = open();
+    const todo = await store.todos.insert({ title: 'Pay rent', ownerId: 1, completed: false });
+    await store.reminders.insert({ todoId: todo.id, at: '2026-10-18T23:00:00.000Z', minutesBefore: null, status: 'pending' });
+    await store.close();
+    const delivery = createStubDelivery();
+
+    await fireWith([delivery]);
+    await fireWith([delivery]);
+
+    expect(delivery.delivered).toHaveLength(1);
+  });
+
+  test('should deliver again, under the same id, a reminder cut off while firing', async () => {
+    const store = open();
+    const todo = await store.todos.insert({ title: 'Pay rent', ownerId: 1, completed: false });
+    const reminder = await store.reminders.insert({
+      todoId: todo.id,
+      at: '2026-10-18T23:00:00.000Z',
+      minutesBefore: null,
+      status: 'firing',
+      firedAt: '2026-10-18T23:00:05.000Z',
+    });
+    await store.close();
+    const delivery = createStubDelivery();
+
+    await fireWith([delivery]);
+
+    expect(delivery.delivered).toEqual([
+      expect.objectContaining({ id: reminder.id, firedAt: '2026-10-18T23:00:05.000Z' }),
+    ]);
+  });
+});
+
+describe('Reminder deliveries', () => {
+  const notification = { id: 7, userId: 1, todoId: 3, title: 'Pay rent' };
+
+  test('should post to a webhook with an idempotency key', async () => {
+    const fetch = jest.fn().mockResolvedValue({ ok: true, status: 204 });
+
+    await createWebhookDelivery({ url: 'http://hooks.test/reminders', fetch }).deliver(notification);
+
+    expect(fetch).toHaveBeenCalledWith('http://hooks.test/reminders', expect.objectContaining({
+      method: 'POST',
+      headers: expect.objectContaining({ 'Idempotency-Key': 'reminder-7' }),
+      body: JSON.stringify({ type: 'reminder.fired', reminder: notification }),
+    }));
+  });
+
+  test('should fail when the webhook does not accept it', async () => {
+    const fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+    const delivery = createWebhookDelivery({ url: 'http://hooks.test/reminders', fetch });
+
+    await expect(delivery.deliver(notification)).rejects.toThrow('Webhook answered 503');
+  });
+
+  test('should read the scheduler settings from the environment', () => {
+    expect(loadConfig({}).reminders).toEqual({ intervalMs: 30000, webhookUrl: null });
+    expect(loadConfig({ REMINDER_INTERVAL_SECONDS: '5', REMINDER_WEBHOOK_URL: 'http://hooks.test' }).reminders)
+      .toEqual({ intervalMs: 5000, webhookUrl: 'http://hooks.test' });
+  });
+});
@@ -0,0 +1,9 @@
+const { takeSpecViolations } = require('./apiSpec');
+
+// Fail any test whose requests got responses the OpenAPI document doesn't allow
+afterEach(() => {
+  const violations = takeSpecViolations();
+  if (violations.length > 0) {
+    throw new Error(`Responses broke the API spec:\n${violations.join('\n')}`);
+  }
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../src/store');
+
+const drivers = [
+  ['memory', () => ({ driver: 'memory' })],
+  ['file', (dir) => ({ driver: 'file', path: path.join(dir, 'todos.json') })],
+  ['sqlite', (dir) => ({ driver: 'sqlite', path: path.join(dir, 'todos.db') })],
+];
+
+describe.each(drivers)('%s store', (driver, makeConfig) => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-store-'));
+    store = createStore(makeConfig(dir));
+  });
+
+  afterEach(async () => {
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should start empty', async () => {
+    expect(await store.todos.list()).toEqual([]);
+  });
+
+  test('should assign increasing ids on insert', async () => {
+    const first = await store.todos.insert({ title: 'First' });
+    const second = await store.todos.insert({ title: 'Second' });
+
+    expect(first).toEqual({ id: 1, title: 'First' });
+    expect(second.id).toBeGreaterThan(first.id);
+  });
+
+  test('should get, update and remove records', async () => {
+    const { id } = await store.todos.insert({ title: 'Todo', completed: false });
+
+    expect(await store.todos.get(id)).toEqual({ id, title: 'Todo', completed: false });
+
+    const updated = await store.todos.update(id, { completed: true });
+    expect(updated).toEqual({ id, title: 'Todo', completed: true });
+
+    expect(await store.todos.remove(id)).toBe(true);
+    expect(await store.todos.get(id)).toBeNull();
+  });
+
+  test('should leave fields alone when an update sets them to undefined', async () => {
+    const { id } = await store.todos.insert({ title: 'Todo', dueDate: '2030-01-01', notes: 'Keep' });
+
+    const updated = await store.todos.update(id, { title: 'Renamed', dueDate: undefined, notes: null });
+
+    expect(updated).toEqual({ id, title: 'Renamed', dueDate: '2030-01-01', notes: null });
+    expect(await store.todos.get(id)).toEqual(updated);
+  });
+
+  test('should replace a record with exactly the fields given', async () => {
+    const { id } = await store.todos.insert({ title: 'Todo', dueDate: '2030-01-01' });
+
+    const replaced = await store.todos.replace(id, { title: 'Replaced', completed: true });
+
+    expect(replaced).toEqual({ id, title: 'Replaced', completed: true });
+    expect(await store.todos.get(id)).toEqual(replaced);
+    expect(await store.todos.replace(42, { title: 'Nope' })).toBeNull();
+  });
+
+  test('should report missing records', async () => {
+    expect(await store.todos.get(42)).toBeNull();
+    expect(await store.todos.update(42, { title: 'Nope' })).toBeNull();
+    expect(await store.todos.remove(42)).toBe(false);
+  });
+
+  test('should not leak internal state through returned records', async () => {
+    const todo = await store.todos.insert({ title: 'Original' });
+    todo.title = 'Mutated';
+
+    expect((await store.todos.get(todo.id)).title).toBe('Original');
+  });
+
+  if (driver !== 'memory') {
+    test('should keep records and id sequence across restarts', async () => {
+      await store.todos.insert({ title: 'First' });
+      const second = await store.todos.insert({ title: 'Second' });
+      await store.todos.remove(second.id);
+      await store.close();
+
+      store = createStore(makeConfig(dir));
+      const third = await store.todos.insert({ title: 'Third' });
+
+      expect(third.id).toBe(second.id + 1);
+      expect((await store.todos.list()).map((t) => t.title)).toEqual(['First', 'Third']);
+    });
+  }
+});
+
+describe('createStore', () => {
+  test('should reject unknown drivers', () => {
+    expect(() => createStore({ driver: 'mongo' })).toThrow(/Unknown storage driver/);
+  });
+});
@@ -0,0 +1,162 @@
+const { createTestApp, signUp } = require('./helpers');
+
+describe('Subtasks API', () => {
+  let app;
+  let api;
+  let todo;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    api = await signUp(app);
+    todo = (await api.post('/api/v1/todos').send({ title: 'Pack for trip' })).body;
+  });
+
+  const url = (path = '') => `/api/v1/todos/${todo.id}/subtasks${path}`;
+  const addSubtask = async (title) => (await api.post(url()).send({ title })).body;
+
+  test('should add subtasks in order', async () => {
+    const first = await api.post(url()).send({ title: 'Passport' });
+    await addSubtask('Charger');
+
+    expect(first.status).toBe(201);
+    expect(first.body).toEqual(
+      expect.objectContaining({ todoId: todo.id, title: 'Passport', completed: false, position: 0 })
+    );
+
+    const list = await api.get(url());
+    expect(list.body.map((s) => s.title)).toEqual(['Passport', 'Charger']);
+  });
+
+  test('should show progress on the parent todo', async () => {
+    const passport = await addSubtask('Passport');
+    await addSubtask('Charger');
+    await addSubtask('Socks');
+    await api.patch(url(`/${passport.id}/toggle`));
+
+    const todos = await api.get('/api/v1/todos');
+    expect(todos.body[0].subtaskCounts).toEqual({ total: 3, completed: 1 });
+  });
+
+  test('should update, toggle and delete a subtask', async () => {
+    const subtask = await addSubtask('Pasport');
+
+    const renamed = await api.put(url(`/${subtask.id}`)).send({ title: 'Passport' });
+    const toggled = await api.patch(url(`/${subtask.id}/toggle`));
+    const deleted = await api.delete(url(`/${subtask.id}`));
+
+    expect(renamed.body.title).toBe('Passport');
+    expect(toggled.body.completed).toBe(true);
+    expect(deleted.status).toBe(200);
+    expect((await api.get(url())).body).toEqual([]);
+  });
+
+  test('should reorder subtasks', async () => {
+    const a = await addSubtask('A');
+    const b = await addSubtask('B');
+    const c = await addSubtask('C');
+    const events = [];
+    app.locals.events.subscribe((await api.get('/api/v1/auth/me')).body.user.id, (event) => events.push(event));
+
+    const response = await api.put(url('/order')).send({ ids: [c.id, a.id, b.id] });
+
+    expect(response.body.map((s) => s.title)).toEqual(['C', 'A', 'B']);
+    expect((await api.get(url())).body.map((s) => s.title)).toEqual(['C', 'A', 'B']);
+    expect(events.map(({ type, data }) => ({ type, data }))).toEqual([{
+      type: 'subtask.reordered',
+      data: { todoId: todo.id, ids: [c.id, a.id, b.id], subtaskCounts: { total: 3, completed: 0 } },
+    }]);
+  });
+
+  test('should reject a reorder that does not list every subtask', async () => {
+    const a = await addSubtask('A');
+    await addSubtask('B');
+
+    const response = await api.put(url('/order')).send({ ids: [a.id] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('ids');
+  });
+
+  test('should reject a reorder that repeats a subtask', async () => {
+    const a = await addSubtask('A');
+    const b = await addSubtask('B');
+
+    const response = await api.put(url('/order')).send({ ids: [a.id, a.id, b.id] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(response.body.error.details).toEqual([
+      { location: 'body', field: 'ids', message: 'item 1 repeats an earlier item' },
+    ]);
+    expect((await api.get(url())).body.map((s) => s.title)).toEqual(['A', 'B']);
+  });
+
+  test('should auto-complete the parent when enabled', async () => {
+    await api.put(`/api/v1/todos/${todo.id}`).send({ autoComplete: true });
+    const a = await addSubtask('A');
+    const b = await addSubtask('B');
+
+    await api.patch(url(`/${a.id}/toggle`));
+    expect((await api.get('/api/v1/todos')).body[0].completed).toBe(false);
+
+    await api.patch(url(`/${b.id}/toggle`));
+    expect((await api.get('/api/v1/todos')).body[0].completed).toBe(true);
+
+    await api.patch(url(`/${b.id}/toggle`));
+    expect((await api.get('/api/v1/todos')).body[0].completed).toBe(false);
+  });
+
+  test('should publish subtask events and update the parent only when its completion changes', async () => {
+    const events = [];
+    app.locals.events.subscribe((await api.get('/api/v1/auth/me')).body.user.id, (event) => events.push(event));
+    await api.put(`/api/v1/todos/${todo.id}`).send({ autoComplete: true });
+    events.length = 0;
+
+    const a = await addSubtask('A');
+    await api.put(url(`/${a.id}`)).send({ title: 'A, renamed' });
+    await api.patch(url(`/${a.id}/toggle`));
+
+    expect(events.map((event) => event.type)).toEqual([
+      'subtask.created',
+      'subtask.updated',
+      'subtask.updated',
+      'todo.updated',
+    ]);
+    expect(events[2].data).toEqual({ id: a.id, todoId: todo.id, subtaskCounts: { total: 1, completed: 1 } });
+    expect(events[3].data).toEqual(expect.objectContaining({ id: todo.id, completed: true }));
+
+    events.length = 0;
+    await api.delete(url(`/${a.id}`));
+    expect(events.map((event) => event.type)).toEqual(['subtask.deleted']);
+
+    const history = (await api.get(`/api/v1/todos/${todo.id}/history`)).body;
+    expect(history.map((entry) => entry.action)).toEqual(['updated', 'updated', 'created']);
+  });
+
+  test('should leave the parent alone when auto-complete is off', async () => {
+    const a = await addSubtask('A');
+    await api.patch(url(`/${a.id}/toggle`));
+
+    expect((await api.get('/api/v1/todos')).body[0].completed).toBe(false);
+  });
+
+  test('should not expose subtasks of other users or other todos', async () => {
+    const subtask = await addSubtask('Mine');
+    const other = (await api.post('/api/v1/todos').send({ title: 'Other' })).body;
+    const bob = await signUp(app, 'bob');
+
+    expect((await bob.get(url())).status).toBe(404);
+    expect((await api.patch(`/api/v1/todos/${other.id}/subtasks/${subtask.id}/toggle`)).status).toBe(404);
+  });
+
+  test('should purge subtasks with their todo', async () => {
+    await addSubtask('A');
+    await api.delete(`/api/v1/todos/${todo.id}`);
+    expect((await api.get(url())).status).toBe(404);
+    await api.delete(`/api/v1/todos/trash/${todo.id}`).expect(200);
+
+    const fresh = (await api.post('/api/v1/todos').send({ title: 'Fresh' })).body;
+    expect(fresh.subtaskCounts).toEqual({ total: 0, completed: 0 });
+    expect((await api.get(url())).status).toBe(404);
+  });
+});
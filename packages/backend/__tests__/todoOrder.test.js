@@ -0,0 +1,108 @@
+const { createTestApp, signUp } = require('./helpers');
+const { createStore } = require('../src/store');
+
+describe('Todo ordering', () => {
+  let app;
+  let api;
+  let store;
+
+  beforeEach(async () => {
+    store = createStore({ driver: 'memory' });
+    app = createTestApp({ store });
+    api = await signUp(app);
+  });
+
+  const addTodos = async (...titles) => {
+    const todos = [];
+    for (const title of titles) {
+      todos.push((await api.post('/api/v1/todos').send({ title })).body);
+    }
+    return todos;
+  };
+
+  const titlesInOrder = async () =>
+    (await api.get('/api/v1/todos?sort=position')).body.map((t) => t.title);
+
+  test('should append new todos with increasing positions', async () => {
+    const [first, second] = await addTodos('First', 'Second');
+
+    expect(typeof first.position).toBe('string');
+    expect(second.position > first.position).toBe(true);
+  });
+
+  test('should move a todo before another', async () => {
+    const [, , c] = await addTodos('A', 'B', 'C');
+    const [a] = (await api.get('/api/v1/todos')).body;
+
+    const response = await api.post(`/api/v1/todos/${c.id}/move`).send({ before: a.id });
+
+    expect(response.status).toBe(200);
+    expect(response.body.position < a.position).toBe(true);
+    expect(await titlesInOrder()).toEqual(['C', 'A', 'B']);
+  });
+
+  test('should move a todo after another without touching the others', async () => {
+    const [a, b, c] = await addTodos('A', 'B', 'C');
+
+    await api.post(`/api/v1/todos/${a.id}/move`).send({ after: b.id });
+    await api.post(`/api/v1/todos/${c.id}/move`).send({ after: a.id });
+
+    expect(await titlesInOrder()).toEqual(['B', 'A', 'C']);
+    expect((await store.todos.get(b.id)).position).toBe(b.position);
+  });
+
+  test('should keep moves into the same gap in order', async () => {
+    const [a, , c, d] = await addTodos('A', 'B', 'C', 'D');
+
+    await api.post(`/api/v1/todos/${c.id}/move`).send({ after: a.id });
+    await api.post(`/api/v1/todos/${d.id}/move`).send({ after: a.id });
+
+    expect(await titlesInOrder()).toEqual(['A', 'D', 'C', 'B']);
+  });
+
+  test('should backfill positions for todos saved before ordering existed', async () => {
+    const [a, b] = await addTodos('A', 'B');
+    await store.todos.update(a.id, { position: null });
+    await store.todos.update(b.id, { position: null });
+
+    await api.post(`/api/v1/todos/${a.id}/move`).send({ after: b.id });
+
+    expect(await titlesInOrder()).toEqual(['B', 'A']);
+  });
+
+  test('should require exactly one of before or after', async () => {
+    const [a, b] = await addTodos('A', 'B');
+
+    const neither = await api.post(`/api/v1/todos/${a.id}/move`).send({});
+    const both = await api.post(`/api/v1/todos/${a.id}/move`).send({ before: b.id, after: b.id });
+
+    expect(neither.status).toBe(400);
+    expect(both.status).toBe(400);
+    expect(neither.body.error.details[0].field).toBe('before');
+  });
+
+  test('should reject moving relative to itself or an unknown todo', async () => {
+    const [a] = await addTodos('A');
+
+    const itself = await api.post(`/api/v1/todos/${a.id}/move`).send({ before: a.id });
+    const unknown = await api.post(`/api/v1/todos/${a.id}/move`).send({ after: 999 });
+
+    expect(itself.status).toBe(400);
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error.details).toEqual([
+      { location: 'body', field: 'after', message: 'does not exist' },
+    ]);
+  });
+
+  test('should not move relative to todos of other users', async () => {
+    const [a] = await addTodos('A');
+    const bob = await signUp(app, 'bob');
+    const theirs = (await bob.post('/api/v1/todos').send({ title: 'Theirs' })).body;
+
+    const response = await api.post(`/api/v1/todos/${a.id}/move`).send({ before: theirs.id });
+    const notOwned = await bob.post(`/api/v1/todos/${a.id}/move`).send({ before: theirs.id });
+
+    expect(response.status).toBe(400);
+    expect(notOwned.status).toBe(404);
+  });
+});
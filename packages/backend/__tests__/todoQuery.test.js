@@ -0,0 +1,80 @@
+const { queryTodos } = require('../src/services/todoQuery');
+
+const makeTodo = (id, fields = {}) => ({
+  id,
+  title: `Todo ${id}`,
+  description: '',
+  completed: false,
+  dueDate: null,
+  priority: null,
+  tags: [],
+  createdAt: `2024-01-0${id}T00:00:00.000Z`,
+  ...fields,
+});
+
+const todos = [
+  makeTodo(1, { priority: 'low', dueDate: '2024-03-01', tags: ['home'] }),
+  makeTodo(2, { priority: 'high', completed: true, tags: ['work', 'urgent'] }),
+  makeTodo(3, { title: 'Pay rent', dueDate: '2024-02-01', tags: ['home', 'finance'] }),
+  makeTodo(4, { description: 'Rent for March', priority: 'high', dueDate: '2024-01-15' }),
+  makeTodo(5, { priority: 'medium' }),
+];
+
+const ids = (result) => result.items.map((t) => t.id);
+
+describe('queryTodos', () => {
+  test('should return everything in creation order by default', () => {
+    const result = queryTodos(todos);
+
+    expect(ids(result)).toEqual([1, 2, 3, 4, 5]);
+    expect(result.total).toBe(5);
+    expect(result.nextCursor).toBeNull();
+  });
+
+  test('should filter by completion status', () => {
+    expect(ids(queryTodos(todos, { completed: true }))).toEqual([2]);
+    expect(ids(queryTodos(todos, { completed: false }))).toEqual([1, 3, 4, 5]);
+  });
+
+  test('should search title and description case-insensitively', () => {
+    expect(ids(queryTodos(todos, { q: 'RENT' }))).toEqual([3, 4]);
+  });
+
+  test('should require every tag and any of the priorities', () => {
+    expect(ids(queryTodos(todos, { tag: ['home'] }))).toEqual([1, 3]);
+    expect(ids(queryTodos(todos, { tag: ['home', 'finance'] }))).toEqual([3]);
+    expect(ids(queryTodos(todos, { priority: ['high', 'low'] }))).toEqual([1, 2, 4]);
+  });
+
+  test('should sort by due date with undated todos last', () => {
+    expect(ids(queryTodos(todos, { sort: 'due' }))).toEqual([4, 3, 1, 2, 5]);
+    expect(ids(queryTodos(todos, { sort: 'due', order: 'desc' }))).toEqual([1, 3, 4, 2, 5]);
+  });
+
+  test('should sort by priority highest first by default', () => {
+    expect(ids(queryTodos(todos, { sort: 'priority' }))).toEqual([2, 4, 5, 1, 3]);
+  });
+
+  test('should page through results with a cursor', () => {
+    const first = queryTodos(todos, { sort: 'priority', limit: 2 });
+    const second = queryTodos(todos, { sort: 'priority', limit: 2, cursor: first.nextCursor });
+    const third = queryTodos(todos, { sort: 'priority', limit: 2, cursor: second.nextCursor });
+
+    expect(ids(first)).toEqual([2, 4]);
+    expect(ids(second)).toEqual([5, 1]);
+    expect(ids(third)).toEqual([3]);
+    expect(third.nextCursor).toBeNull();
+    expect(first.total).toBe(5);
+  });
+
+  test('should keep cursors stable when earlier items are removed', () => {
+    const first = queryTodos(todos, { limit: 2 });
+    const remaining = todos.filter((t) => t.id !== 1);
+
+    expect(ids(queryTodos(remaining, { limit: 2, cursor: first.nextCursor }))).toEqual([3, 4]);
+  });
+
+  test('should reject malformed cursors', () => {
+    expect(() => queryTodos(todos, { cursor: 'garbage' })).toThrow('cursor is invalid');
+  });
+});
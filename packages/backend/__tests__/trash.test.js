@@ -0,0 +1,171 @@
+const { createTestApp, signUp, silentLogger } = require('./helpers');
+const { createEventBus } = require('../src/services/events');
+const { purgeExpiredTodos, startTrashPurger } = require('../src/services/trash');
+const { loadConfig } = require('../src/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Trash API', () => {
+  const clock = { now: () => new Date('2026-10-18T12:00:00Z') };
+  let app;
+  let api;
+  let events;
+
+  beforeEach(async () => {
+    events = createEventBus({ epoch: 'e' });
+    app = createTestApp({ clock, events });
+    api = await signUp(app);
+  });
+
+  const createTodo = async (fields) => (await api.post('/api/v1/todos').send(fields)).body;
+
+  test('should move a deleted todo to the trash', async () => {
+    const todo = await createTodo({ title: 'Oops' });
+    await createTodo({ title: 'Keep' });
+
+    const response = await api.delete(`/api/v1/todos/${todo.id}`);
+    expect(response.status).toBe(200);
+
+    const live = await api.get('/api/v1/todos');
+    expect(live.body.map((t) => t.title)).toEqual(['Keep']);
+    expect(live.headers['x-total-count']).toBe('1');
+    expect((await api.put(`/api/v1/todos/${todo.id}`).send({ title: 'x' })).status).toBe(404);
+
+    const trash = await api.get('/api/v1/todos/trash');
+    expect(trash.body).toEqual([
+      expect.objectContaining({ id: todo.id, title: 'Oops', deletedAt: '2026-10-18T12:00:00.000Z' }),
+    ]);
+  });
+
+  test('should restore a todo with its subtasks', async () => {
+    const todo = await createTodo({ title: 'Pack' });
+    await api.post(`/api/v1/todos/${todo.id}/subtasks`).send({ title: 'Socks' });
+    await api.delete(`/api/v1/todos/${todo.id}`);
+
+    const restored = await api.post(`/api/v1/todos/trash/${todo.id}/restore`);
+
+    expect(restored.status).toBe(200);
+    expect(restored.body).toEqual(expect.objectContaining({
+      id: todo.id,
+      deletedAt: null,
+      subtaskCounts: { total: 1, completed: 0 },
+    }));
+    expect((await api.get('/api/v1/todos')).body.map((t) => t.id)).toEqual([todo.id]);
+    expect((await api.get('/api/v1/todos/trash')).body).toEqual([]);
+  });
+
+  test('should restore into the inbox when the list is gone', async () => {
+    const list = (await api.post('/api/v1/lists').send({ name: 'Work' })).body;
+    const todo = await createTodo({ title: 'Report', listId: list.id });
+    await api.delete(`/api/v1/todos/${todo.id}`);
+    await api.delete(`/api/v1/lists/${list.id}`);
+
+    const restored = await api.post(`/api/v1/todos/trash/${todo.id}/restore`);
+
+    expect(restored.body.listId).toBeNull();
+  });
+
+  test('should trash the todos of a list deleted with cascade', async () => {
+    const list = (await api.post('/api/v1/lists').send({ name: 'Work' })).body;
+    await createTodo({ title: 'Report', listId: list.id });
+
+    await api.delete(`/api/v1/lists/${list.id}?cascade=true`).expect(200);
+
+    expect((await api.get('/api/v1/todos/trash')).body.map((t) => t.title)).toEqual(['Report']);
+  });
+
+  test('should purge one todo or empty the whole trash', async () => {
+    const todos = [];
+    for (const title of ['A', 'B', 'C']) {
+      const todo = await createTodo({ title });
+      await api.delete(`/api/v1/todos/${todo.id}`);
+      todos.push(todo);
+    }
+    const [a] = todos;
+
+    expect((await api.delete(`/api/v1/todos/trash/${a.id}`)).status).toBe(200);
+    expect((await api.post(`/api/v1/todos/trash/${a.id}/restore`)).status).toBe(404);
+
+    const emptied = await api.delete('/api/v1/todos/trash');
+    expect(emptied.body.purgedTodos).toBe(2);
+    expect((await api.get('/api/v1/todos/trash')).body).toEqual([]);
+    expect(await app.locals.store.todos.list()).toEqual([]);
+  });
+
+  test('should only restore or purge todos that are in the trash', async () => {
+    const todo = await createTodo({ title: 'Live' });
+
+    expect((await api.post(`/api/v1/todos/trash/${todo.id}/restore`)).status).toBe(404);
+    expect((await api.delete(`/api/v1/todos/trash/${todo.id}`)).status).toBe(404);
+  });
+
+  test('should hide other users\' trash', async () => {
+    const todo = await createTodo({ title: 'Mine' });
+    await api.delete(`/api/v1/todos/${todo.id}`);
+    const bob = await signUp(app, 'bob');
+
+    expect((await bob.get('/api/v1/todos/trash')).body).toEqual([]);
+    expect((await bob.post(`/api/v1/todos/trash/${todo.id}/restore`)).status).toBe(404);
+    expect((await bob.delete(`/api/v1/todos/trash/${todo.id}`)).status).toBe(404);
+  });
+
+  test('should publish restore and purge events', async () => {
+    const todo = await createTodo({ title: 'Oops' });
+    await api.delete(`/api/v1/todos/${todo.id}`);
+    await api.post(`/api/v1/todos/trash/${todo.id}/restore`);
+    await api.delete(`/api/v1/todos/${todo.id}`);
+    await api.delete(`/api/v1/todos/trash/${todo.id}`);
+
+    const { id: userId } = (await api.get('/api/v1/auth/me')).body.user;
+    const types = events.since(userId, 'e-0').map((event) => event.type);
+    expect(types).toEqual(['todo.created', 'todo.deleted', 'todo.restored', 'todo.deleted', 'todo.purged']);
+  });
+});
+
+describe('Trash retention', () => {
+  const at = (iso) => ({ now: () => new Date(iso) });
+
+  test('should purge only todos past the retention period', async () => {
+    const app = createTestApp({ clock: at('2026-10-01T00:00:00Z') });
+    const api = await signUp(app);
+    const old = (await api.post('/api/v1/todos').send({ title: 'Old' })).body;
+    const fresh = (await api.post('/api/v1/todos').send({ title: 'Fresh' })).body;
+    await api.delete(`/api/v1/todos/${old.id}`);
+    const { store } = app.locals;
+    await store.todos.update(fresh.id, { deletedAt: '2026-10-20T00:00:00.000Z' });
+
+    const purged = await purgeExpiredTodos(store, at('2026-10-31T00:00:00Z'), 30 * DAY_MS);
+
+    expect(purged.map((t) => t.id)).toEqual([old.id]);
+    expect((await store.todos.list()).map((t) => t.id)).toEqual([fresh.id]);
+  });
+
+  test('should purge on start and stop when asked', async () => {
+    const app = createTestApp({ clock: at('2026-10-01T00:00:00Z') });
+    const api = await signUp(app);
+    const todo = (await api.post('/api/v1/todos').send({ title: 'Old' })).body;
+    await api.delete(`/api/v1/todos/${todo.id}`);
+    const events = createEventBus({ epoch: 'e' });
+
+    const stop = startTrashPurger({
+      store: app.locals.store,
+      clock: at('2026-12-01T00:00:00Z'),
+      retentionMs: 30 * DAY_MS,
+      logger: silentLogger,
+      events,
+    });
+    stop();
+
+    // The first run is already underway; let it finish
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(await app.locals.store.todos.list()).toEqual([]);
+    expect(events.since(1, 'e-0')).toEqual([
+      expect.objectContaining({ type: 'todo.purged', data: { id: todo.id } }),
+    ]);
+  });
+
+  test('should read the retention period from the environment', () => {
+    expect(loadConfig({}).trash.retentionMs).toBe(30 * DAY_MS);
+    expect(loadConfig({ TRASH_RETENTION_DAYS: '7' }).trash.retentionMs).toBe(7 * DAY_MS);
+  });
+});
@@ -0,0 +1,91 @@
+const { validateObject } = require('../src/validation/validate');
+
+describe('validateObject', () => {
+  const schema = {
+    title: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 5 },
+    count: { type: 'integer', min: 1 },
+    done: { type: 'boolean', default: false },
+    tags: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 2 },
+    note: { type: 'string', nullable: true },
+  };
+
+  test('should return cleaned values when input is valid', () => {
+    const result = validateObject(schema, { title: '  Hi ', count: 3, tags: ['a'] });
+
+    expect(result.errors).toEqual([]);
+    expect(result.value).toEqual({ title: 'Hi', count: 3, done: false, tags: ['a'] });
+  });
+
+  test('should report every failing field', () => {
+    const result = validateObject(
+      schema,
+      { title: 'Too long', count: 0, done: 'yes', tags: ['a', 'b', 'c'], note: 1 },
+      { location: 'body' }
+    );
+
+    expect(result.errors).toEqual([
+      { location: 'body', field: 'title', message: 'must be at most 5 characters' },
+      { location: 'body', field: 'count', message: 'must be at least 1' },
+      { location: 'body', field: 'done', message: 'must be a boolean' },
+      { location: 'body', field: 'tags', message: 'must have at most 2 items' },
+      { location: 'body', field: 'note', message: 'must be a string' },
+    ]);
+  });
+
+  test('should reject unknown and missing required fields', () => {
+    const result = validateObject(schema, { extra: true });
+
+    expect(result.errors.map((e) => [e.field, e.message])).toEqual([
+      ['extra', 'is not allowed'],
+      ['title', 'is required'],
+    ]);
+  });
+
+  test('should accept null only for nullable fields', () => {
+    expect(validateObject(schema, { title: 'a', note: null }).errors).toEqual([]);
+    expect(validateObject(schema, { title: null }).errors[0].message).toBe('must not be null');
+  });
+
+  test('should coerce strings strictly when asked', () => {
+    const coerce = { coerce: true };
+
+    expect(validateObject(schema, { title: 'a', count: '12' }, coerce).value.count).toBe(12);
+    expect(validateObject(schema, { title: 'a', count: '12abc' }, coerce).errors[0].message)
+      .toBe('must be an integer');
+    expect(validateObject(schema, { title: 'a', done: 'true' }, coerce).value.done).toBe(true);
+    expect(validateObject(schema, { title: 'a', tags: 'x,y' }, coerce).value.tags).toEqual(['x', 'y']);
+  });
+
+  test('should not coerce body values', () => {
+    expect(validateObject(schema, { title: 'a', count: '12' }).errors[0].message)
+      .toBe('must be an integer');
+  });
+
+  test('should drop repeated items from unique arrays and reject them from distinct ones', () => {
+    const lists = {
+      tags: { type: 'array', unique: true, items: { type: 'string' } },
+      ids: { type: 'array', distinct: true, items: { type: 'integer' } },
+    };
+
+    expect(validateObject(lists, { tags: ['a', 'b', 'a'] }).value.tags).toEqual(['a', 'b']);
+    expect(validateObject(lists, { ids: [1, 1, 2] }, { location: 'body' }).errors).toEqual([
+      { location: 'body', field: 'ids', message: 'item 1 repeats an earlier item' },
+    ]);
+  });
+
+  test('should reject dates that do not exist', () => {
+    const dates = { due: { type: 'date' } };
+    const check = (due) => validateObject(dates, { due }).errors.map((error) => error.message);
+
+    expect(check('2024-02-29')).toEqual([]);
+    expect(check('2024-02-29T09:30:00Z')).toEqual([]);
+    expect(check('2024-02-30')).toEqual(['must be an ISO 8601 date']);
+    expect(check('2023-02-29T09:30:00Z')).toEqual(['must be an ISO 8601 date']);
+    expect(check('2024-04-31')).toEqual(['must be an ISO 8601 date']);
+    expect(check('2024-13-01')).toEqual(['must be an ISO 8601 date']);
+  });
+
+  test('should reject non-object input', () => {
+    expect(validateObject(schema, ['title']).errors[0].message).toBe('must be an object');
+  });
+});
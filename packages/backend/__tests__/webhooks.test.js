@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const http = require('http');
+const { createTestApp, publicLookup, signUp, silentLogger } = require('./helpers');
+const {
+  MAX_ATTEMPTS,
+  deliverDueWebhooks,
+  retryDelay,
+  startWebhookDispatcher,
+} = require('../src/services/webhooks');
+const { loadConfig } = require('../src/config');
+
+const at = (iso) => ({ now: () => new Date(iso) });
+
+// Let queued work that only waits on the store and stub fetch finish
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+const answering = (status) => jest.fn().mockResolvedValue({ status });
+
+describe('Webhooks API', () => {
+  let app;
+  let api;
+
+  beforeEach(async () => {
+    app = createTestApp({ clock: at('2026-10-19T12:00:00Z') });
+    api = await signUp(app);
+  });
+
+  test('should subscribe a URL to every todo event with a generated secret', async () => {
+    const created = await api.post('/api/v1/webhooks').send({ url: 'https://chat.test/hooks/todos' });
+
+    expect(created.status).toBe(201);
+    expect(created.body).toEqual(expect.objectContaining({
+      url: 'https://chat.test/hooks/todos',
+      events: ['todo.created', 'todo.updated', 'todo.toggled', 'todo.deleted', 'todo.restored', 'todo.purged'],
+      active: true,
+    }));
+    expect(created.body.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+
+    const list = await api.get('/api/v1/webhooks');
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0]).not.toHaveProperty('secret');
+  });
+
+  test('should reject URLs that are not http(s) and empty event filters', async () => {
+    const ftp = await api.post('/api/v1/webhooks').send({ url: 'ftp://files.test/drop' });
+    const relative = await api.post('/api/v1/webhooks').send({ url: '/hooks' });
+    const noEvents = await api.post('/api/v1/webhooks').send({ url: 'https://ci.test/hook', events: [] });
+    const unknown = await api.post('/api/v1/webhooks').send({ url: 'https://ci.test/hook', events: ['list.created'] });
+
+    expect(ftp.body.error.details[0]).toEqual({ location: 'body', field: 'url', message: 'must be an http or https URL' });
+    expect(relative.status).toBe(400);
+    expect(noEvents.body.error.details[0].message).toBe('must name at least one event');
+    expect(unknown.status).toBe(400);
+  });
+
+  test('should refuse URLs that point at loopback, private or link-local addresses', async () => {
+    const refused = { location: 'body', field: 'url', message: 'must not point at a private or local address' };
+
+    const loopback = await api.post('/api/v1/webhooks').send({ url: 'http://127.0.0.1/hook' });
+    const metadata = await api.post('/api/v1/webhooks').send({ url: 'http://169.254.169.254/latest/meta-data' });
+    const ipv6 = await api.post('/api/v1/webhooks').send({ url: 'http://[::1]:8080/hook' });
+    const mapped = await api.post('/api/v1/webhooks').send({ url: 'http://[::ffff:10.0.0.1]/hook' });
+
+    for (const response of [loopback, metadata, ipv6, mapped]) {
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details).toEqual([refused]);
+    }
+    expect((await api.get('/api/v1/webhooks')).body).toEqual([]);
+  });
+
+  test('should check what a host name resolves to, on create and on update', async () => {
+    const lookup = jest.fn(async (host) =>
+      [{ address: host === 'intranet.test' ? '10.0.0.8' : '203.0.113.10', family: 4 }]);
+    const guarded = await signUp(createTestApp({ lookup }));
+
+    const created = await guarded.post('/api/v1/webhooks').send({ url: 'https://intranet.test/hook' });
+    expect(created.body.error.details[0].message).toBe('must not point at a private or local address');
+
+    const { id } = (await guarded.post('/api/v1/webhooks').send({ url: 'https://ci.test/hook' })).body;
+    const moved = await guarded.put(`/api/v1/webhooks/${id}`).send({ url: 'https://intranet.test/hook' });
+    expect(moved.status).toBe(400);
+
+    const unresolved = await signUp(createTestApp({ lookup: jest.fn().mockRejectedValue(new Error('ENOTFOUND')) }));
+    const nowhere = await unresolved.post('/api/v1/webhooks').send({ url: 'https://nowhere.test/hook' });
+    expect(nowhere.body.error.details[0].message).toBe('must have a host name that resolves');
+  });
+
+  test('should accept local URLs when private URLs are allowed for development', async () => {
+    const config = loadConfig({ NODE_ENV: 'test', WEBHOOK_ALLOW_PRIVATE_URLS: 'true' });
+    const local = await signUp(createTestApp({ config }));
+
+    const created = await local.post('/api/v1/webhooks').send({ url: 'http://127.0.0.1:4000/hook' });
+
+    expect(created.status).toBe(201);
+  });
+
+  test('should update, pause and delete only the user\'s own webhooks', async () => {
+    const { id } = (await api.post('/api/v1/webhooks').send({ url: 'https://ci.test/hook' })).body;
+    const other = await signUp(app, 'bob');
+
+    expect((await other.put(`/api/v1/webhooks/${id}`).send({ active: false })).status).toBe(404);
+
+    const updated = await api.put(`/api/v1/webhooks/${id}`).send({ events: ['todo.toggled'], active: false });
+    expect(updated.body).toEqual(expect.objectContaining({ events: ['todo.toggled'], active: false }));
+
+    expect((await other.delete(`/api/v1/webhooks/${id}`)).status).toBe(404);
+    expect((await api.delete(`/api/v1/webhooks/${id}`)).status).toBe(200);
+    expect((await api.get(`/api/v1/webhooks/${id}`)).status).toBe(404);
+  });
+});
+
+describe('Delivering webhooks', () => {
+  let app;
+  let api;
+  let store;
+  let stop;
+
+  beforeEach(async () => {
+    app = createTestApp({ clock: at('2026-10-19T12:00:00Z') });
+    api = await signUp(app);
+    store = app.locals.store;
+  });
+
+  afterEach(() => {
+    stop?.();
+    stop = null;
+  });
+
+  const start = (fetch) => {
+    stop = startWebhookDispatcher({
+      store,
+      clock: at('2026-10-19T12:00:00Z'),
+      events: app.locals.events,
+      fetch,
+      lookup: publicLookup,
+      logger: silentLogger,
+    });
+  };
+
+  const subscribe = async (fields) =>
+    (await api.post('/api/v1/webhooks').send({ url: 'https://chat.test/hook', ...fields })).body;
+
+  test('should send the subscribed events, signed with the webhook\'s secret', async () => {
+    const fetch = answering(204);
+    start(fetch);
+    const webhook = await subscribe({ events: ['todo.created', 'todo.toggled'], secret: 'a-long-enough-secret' });
+
+    const todo = (await api.post('/api/v1/todos').send({ title: 'Ship it' })).body;
+    await api.put(`/api/v1/todos/${todo.id}`).send({ title: 'Ship it today' });
+    await api.patch(`/api/v1/todos/${todo.id}/toggle`);
+    await settle();
+
+    expect(fetch.mock.calls.map(([, options]) => options.headers['X-Webhook-Event'])).toEqual([
+      'todo.created',
+      'todo.toggled',
+    ]);
+
+    const [url, { method, headers, body, redirect }] = fetch.mock.calls[0];
+    expect(url).toBe(webhook.url);
+    expect(method).toBe('POST');
+    expect(redirect).toBe('manual');
+    expect(JSON.parse(body)).toEqual(expect.objectContaining({
+      type: 'todo.created',
+      data: expect.objectContaining({ id: todo.id, title: 'Ship it' }),
+    }));
+    const expected = crypto.createHmac('sha256', 'a-long-enough-secret')
+      .update(`${headers['X-Webhook-Timestamp']}.${body}`)
+      .digest('hex');
+    expect(headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+  });
+
+  test('should queue nothing for paused webhooks or other users\' changes', async () => {
+    const fetch = answering(200);
+    start(fetch);
+    await subscribe({ active: false });
+    const other = await signUp(app, 'bob');
+
+    await api.post('/api/v1/todos').send({ title: 'Quiet' });
+    await other.post('/api/v1/todos').send({ title: 'Not mine' });
+    await settle();
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(await store.webhookDeliveries.list()).toEqual([]);
+  });
+
+  test('should send deliveries left queued when the server stopped', async () => {
+    const webhook = await subscribe();
+    await store.webhookDeliveries.insert({
+      webhookId: webhook.id,
+      event: 'todo.created',
+      payload: { id: 'old-1', type: 'todo.created', data: { id: 1 } },
+      status: 'pending',
+      attempts: [],
+      failures: 0,
+      nextAttemptAt: '2026-10-19T11:59:00.000Z',
+    });
+    const fetch = answering(200);
+
+    start(fetch);
+    await settle();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect((await store.webhookDeliveries.list())[0].status).toBe('delivered');
+  });
+
+  describe('when the receiver fails', () => {
+    let webhook;
+
+    beforeEach(async () => {
+      const fetch = answering(503);
+      start(fetch);
+      webhook = await subscribe();
+      await api.post('/api/v1/todos').send({ title: 'Flaky' });
+      await settle();
+      stop();
+    });
+
+    const deliver = (iso, fetch, lookup = publicLookup) =>
+      deliverDueWebhooks({ store, clock: at(iso), fetch, lookup, logger: silentLogger });
+
+    test('should retry with exponential backoff', async () => {
+      const [queued] = await store.webhookDeliveries.list();
+      expect(queued).toEqual(expect.objectContaining({
+        status: 'pending',
+        nextAttemptAt: '2026-10-19T12:00:30.000Z',
+        attempts: [{ at: '2026-10-19T12:00:00.000Z', responseStatus: 503, error: 'Answered 503' }],
+      }));
+
+      const refused = jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'));
+      expect(await deliver('2026-10-19T12:00:29Z', refused)).toEqual([]);
+      const [retried] = await deliver('2026-10-19T12:00:30Z', refused);
+
+      expect(retried.nextAttemptAt).toBe('2026-10-19T12:01:30.000Z');
+      expect(retried.attempts[1]).toEqual({
+        at: '2026-10-19T12:00:30.000Z',
+        responseStatus: null,
+        error: 'connect ECONNREFUSED',
+      });
+      expect([1, 2, 3, 7, 8].map(retryDelay)).toEqual([30000, 60000, 120000, 1920000, 3600000]);
+    });
+
+    test('should not send to a host that has since moved to a private address', async () => {
+      const fetch = answering(200);
+      const rebound = async () => [{ address: '192.168.1.20', family: 4 }];
+
+      const [refused] = await deliver('2026-10-19T12:00:30Z', fetch, rebound);
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(refused.status).toBe('pending');
+      expect(refused.attempts[1]).toEqual({
+        at: '2026-10-19T12:00:30.000Z',
+        responseStatus: null,
+        error: 'URL must not point at a private or local address',
+      });
+    });
+
+    test('should move it to the dead letters after the last attempt and send it again on request', async () => {
+      let time = Date.parse('2026-10-19T12:00:00Z');
+      for (let i = 1; i < MAX_ATTEMPTS; i++) {
+        time += retryDelay(i);
+        await deliver(new Date(time).toISOString(), answering(500));
+      }
+
+      const dead = await api.get('/api/v1/webhooks/dead-letters');
+      expect(dead.body).toEqual([expect.objectContaining({ webhookId: webhook.id, status: 'dead', nextAttemptAt: null })]);
+      expect(dead.body[0].attempts).toHaveLength(MAX_ATTEMPTS);
+
+      const redelivered = await api.post(`/api/v1/webhooks/${webhook.id}/deliveries/${dead.body[0].id}/redeliver`);
+      expect(redelivered.status).toBe(202);
+      expect(redelivered.body.status).toBe('pending');
+
+      await deliver('2026-10-19T12:00:00Z', answering(200));
+      const log = await api.get(`/api/v1/webhooks/${webhook.id}/deliveries`);
+      expect(log.body).toEqual([expect.objectContaining({ status: 'delivered', deliveredAt: '2026-10-19T12:00:00.000Z' })]);
+      expect(log.body[0].attempts).toHaveLength(MAX_ATTEMPTS + 1);
+      expect((await api.get('/api/v1/webhooks/dead-letters')).body).toEqual([]);
+    });
+
+    test('should keep the log to the user and drop it with the webhook', async () => {
+      const other = await signUp(app, 'bob');
+
+      expect((await api.get(`/api/v1/webhooks/${webhook.id}/deliveries?status=pending`)).body).toHaveLength(1);
+      expect((await api.get(`/api/v1/webhooks/${webhook.id}/deliveries?status=delivered`)).body).toEqual([]);
+      expect((await other.get(`/api/v1/webhooks/${webhook.id}/deliveries`)).status).toBe(404);
+
+      await api.delete(`/api/v1/webhooks/${webhook.id}`);
+      expect(await store.webhookDeliveries.list()).toEqual([]);
+    });
+  });
+
+  test('should connect to the checked address and not follow redirects', async () => {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+      received.push(req.headers.host);
+      res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' }).end();
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    const { port } = receiver.address();
+    const webhook = await store.webhooks.insert({
+      ownerId: 1,
+      url: `http://hooks.test:${port}/hook`,
+      events: ['todo.created'],
+      secret: 'a-long-enough-secret',
+      active: true,
+    });
+    await store.webhookDeliveries.insert({
+      webhookId: webhook.id,
+      event: 'todo.created',
+      payload: { id: 'evt-1', type: 'todo.created', data: { id: 1 } },
+      status: 'pending',
+      attempts: [],
+      failures: 0,
+      nextAttemptAt: '2026-10-19T12:00:00.000Z',
+    });
+    // Resolves to the receiver once, then somewhere the request must not go
+    const lookup = jest.fn()
+      .mockResolvedValueOnce([{ address: '127.0.0.1', family: 4 }])
+      .mockResolvedValue([{ address: '10.0.0.1', family: 4 }]);
+
+    try {
+      const [delivery] = await deliverDueWebhooks({
+        store,
+        clock: at('2026-10-19T12:00:00Z'),
+        lookup,
+        allowPrivateUrls: true,
+        logger: silentLogger,
+      });
+
+      expect(received).toEqual([`hooks.test:${port}`]);
+      expect(lookup).toHaveBeenCalledTimes(1);
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts[0]).toEqual(expect.objectContaining({
+        responseStatus: 302,
+        error: 'Answered 302; redirects are not followed',
+      }));
+    } finally {
+      await new Promise((resolve) => receiver.close(resolve));
+    }
+  });
+
+  test('should refuse multicast, reserved and NAT64 addresses', async () => {
+    for (const url of ['http://198.18.0.1/', 'http://224.0.0.1/', 'http://255.255.255.255/', 'http://[64:ff9b::a00:1]/']) {
+      const response = await api.post('/api/v1/webhooks').send({ url });
+      expect(response.body.error.details[0].message).toBe('must not point at a private or local address');
+    }
+  });
+
+  test('should read the retry interval and the private URL switch from the environment', () => {
+    expect(loadConfig({}).webhooks).toEqual({ intervalMs: 15000, allowPrivateUrls: false });
+    expect(loadConfig({ WEBHOOK_INTERVAL_SECONDS: '2', WEBHOOK_ALLOW_PRIVATE_URLS: 'true' }).webhooks)
+      .toEqual({ intervalMs: 2000, allowPrivateUrls: true });
+  });
+});
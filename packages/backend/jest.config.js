@@ -2,5 +2,7 @@ module.exports = {
   testEnvironment: 'node',
   coveragePathIgnorePatterns: ['/node_modules/'],
   testMatch: ['**/__tests__/**/*.test.js'],
+  // Checks responses against the OpenAPI document
+  setupFilesAfterEnv: ['<rootDir>/__tests__/setup.js'],
   collectCoverageFrom: ['src/**/*.js', '!src/index.js'],
 };
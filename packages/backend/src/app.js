@@ -1,103 +1,109 @@
+const dns = require('dns');
 const express = require('express');
 const cors = require('cors');
+const swaggerUi = require('swagger-ui-express');
+const { loadConfig } = require('./config');
+const { createStore } = require('./store');
+const defaultLogger = require('./utils/logger');
+const requestId = require('./middleware/requestId');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { authenticate } = require('./middleware/authenticate');
+const { deprecated } = require('./middleware/deprecated');
+const { createAuthRouter } = require('./routes/auth');
+const { createTodosRouter } = require('./routes/todos');
+const { createListsRouter } = require('./routes/lists');
+const { createEventsRouter } = require('./routes/events');
+const { createActivityRouter } = require('./routes/activity');
+const { createWebhooksRouter } = require('./routes/webhooks');
+const { createEventBus } = require('./services/events');
+const { API_BASE, API_VERSION, createOpenApiDocument } = require('./openapi');
+const { GRAPHQL_PATH, createGraphqlServer } = require('./graphql');
 
-// Initialize express app
-const app = express();
+const systemClock = { now: () => new Date() };
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+/**
+ * Build an Express app with its own dependencies.
+ *
+ * Every dependency is optional: config defaults to the environment, the
+ * store to the driver named in config, the logger to utils/logger, the
+ * clock to the system time, events to a fresh in-process bus and lookup
+ * (which resolves webhook hosts) to DNS. Pass your own to isolate tests or
+ * embed the API.
+ */
+const createApp = ({
+  config = loadConfig(),
+  store = createStore(config.storage),
+  logger = defaultLogger,
+  clock = systemClock,
+  events = createEventBus(),
+  lookup = dns.promises.lookup,
+} = {}) => {
+  const app = express();
 
-// In-memory data store for TODOs
-// Fixed: Initialize as empty array
-let todos = [];
+  // Keep dependencies reachable for embedding servers (e.g. to close the store)
+  app.locals.store = store;
+  app.locals.logger = logger;
+  app.locals.events = events;
 
-// Fixed: Add counter for ID generation
-let nextId = 1;
+  // Middleware
+  app.use(requestId());
+  app.use(cors({
+    origin: config.corsOrigins,
+    credentials: true,
+    exposedHeaders: [
+      'X-Request-Id',
+      'X-Total-Count',
+      'X-Active-Count',
+      'X-Completed-Count',
+      'X-Next-Cursor',
+      'ETag',
+      'Deprecation',
+      'Link',
+    ],
+  }));
+  app.use(express.json());
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
-});
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
 
-// GET /api/todos - Get all todos
-// Fixed: Now properly returns todos array
-app.get('/api/todos', (req, res) => {
-  res.json(todos);
-});
+  // The API contract, and docs to try it out in
+  const openApiDocument = createOpenApiDocument();
+  app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+  app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiDocument));
 
-// POST /api/todos - Create a new todo
-// Fixed: Implemented with validation
-app.post('/api/todos', (req, res) => {
-  const { title } = req.body;
-  
-  // Validate title is provided and not empty
-  if (!title || title.trim() === '') {
-    return res.status(400).json({ error: 'Title is required' });
-  }
-  
-  // Create new todo
-  const newTodo = {
-    id: nextId++,
-    title: title,
-    completed: false,
-    createdAt: new Date().toISOString()
-  };
-  
-  todos.push(newTodo);
-  res.status(201).json(newTodo);
-});
+  const api = express.Router();
+  api.use('/auth', createAuthRouter({ store, clock, config }));
 
-// PUT /api/todos/:id - Update a todo
-// Fixed: Implemented update logic
-app.put('/api/todos/:id', (req, res) => {
-  const id = parseInt(req.params.id);
-  const { title } = req.body;
-  
-  const todo = todos.find((t) => t.id === id);
-  
-  if (!todo) {
-    return res.status(404).json({ error: 'Todo not found' });
-  }
-  
-  // Update title if provided
-  if (title !== undefined) {
-    todo.title = title;
-  }
-  
-  res.json(todo);
-});
+  // Everything below requires a signed-in user
+  api.use('/todos', authenticate({ store, clock }), createTodosRouter({ store, clock, events }));
+  api.use('/lists', authenticate({ store, clock }), createListsRouter({ store, clock, events }));
+  api.use('/events', authenticate({ store, clock }), createEventsRouter({ events }));
+  api.use('/activity', authenticate({ store, clock }), createActivityRouter({ store }));
+  api.use('/webhooks', authenticate({ store, clock }), createWebhooksRouter({ store, clock, config, lookup }));
 
-// PATCH /api/todos/:id/toggle - Toggle todo completion status
-// Fixed: Now properly toggles the completed status
-app.patch('/api/todos/:id/toggle', (req, res) => {
-  const id = parseInt(req.params.id);
-  const todo = todos.find((t) => t.id === id);
+  app.use(API_BASE, api);
 
-  if (!todo) {
-    return res.status(404).json({ error: 'Todo not found' });
-  }
+  // The same routes without a version, as they were before /api/v1
+  const unversioned = express.Router();
+  unversioned.use(deprecated({ successor: API_BASE, version: API_VERSION }));
+  unversioned.use(api);
+  app.use('/api', unversioned);
 
-  // Fixed: Toggle the completed status
-  todo.completed = !todo.completed;
+  // GraphQL over the same data, for clients that want it all in one round trip.
+  // Embedding servers attach its subscriptions with app.locals.graphql.
+  const graphql = createGraphqlServer({ store, clock, events, logger });
+  app.locals.graphql = graphql;
+  app.use(GRAPHQL_PATH, authenticate({ store, clock }), graphql.handler);
 
-  res.json(todo);
-});
+  // Error handling - must be registered after all routes
+  app.use(notFoundHandler());
+  app.use(errorHandler({ logger }));
 
-// DELETE /api/todos/:id - Delete a todo
-// Fixed: Implemented delete logic
-app.delete('/api/todos/:id', (req, res) => {
-  const id = parseInt(req.params.id);
-  const todoIndex = todos.findIndex((t) => t.id === id);
-  
-  if (todoIndex === -1) {
-    return res.status(404).json({ error: 'Todo not found' });
-  }
-  
-  todos.splice(todoIndex, 1);
-  res.status(200).json({ message: 'Todo deleted successfully' });
-});
+  return app;
+};
 
-// INTENTIONAL ISSUE: Missing error handling middleware
-
-module.exports = app;
+module.exports = { createApp, systemClock };
@@ -0,0 +1,57 @@
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+const DEFAULT_STORAGE_PATHS = {
+  file: path.join(DATA_DIR, 'todos.json'),
+  sqlite: path.join(DATA_DIR, 'todos.db'),
+};
+
+const DEFAULT_SESSION_TTL_HOURS = 24 * 7;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DEFAULT_REMINDER_INTERVAL_SECONDS = 30;
+const DEFAULT_WEBHOOK_INTERVAL_SECONDS = 15;
+
+const parseList = (value) =>
+  (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Build runtime configuration from environment variables
+const loadConfig = (env = process.env) => {
+  // Tests get a throwaway in-memory store unless told otherwise
+  const driver = env.STORAGE_DRIVER || (env.NODE_ENV === 'test' ? 'memory' : 'file');
+
+  return {
+    port: env.PORT || 3001,
+    storage: {
+      driver,
+      path: env.STORAGE_PATH || DEFAULT_STORAGE_PATHS[driver],
+    },
+    // Browser origins allowed to call the API with credentials
+    corsOrigins: parseList(env.CORS_ORIGINS || 'http://localhost:3000'),
+    auth: {
+      sessionTtlMs: Number(env.SESSION_TTL_HOURS || DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000,
+      cookieSecure: env.COOKIE_SECURE === 'true',
+    },
+    // Deleted todos are purged for good after this long in the trash
+    trash: {
+      retentionMs:
+        Number(env.TRASH_RETENTION_DAYS || DEFAULT_TRASH_RETENTION_DAYS) * 24 * 60 * 60 * 1000,
+    },
+    // How often due reminders are looked for, and where else they are sent
+    reminders: {
+      intervalMs: Number(env.REMINDER_INTERVAL_SECONDS || DEFAULT_REMINDER_INTERVAL_SECONDS) * 1000,
+      webhookUrl: env.REMINDER_WEBHOOK_URL || null,
+    },
+    // How often queued webhook deliveries are looked for (new ones go at once),
+    // and whether they may go to local and private addresses (development only)
+    webhooks: {
+      intervalMs: Number(env.WEBHOOK_INTERVAL_SECONDS || DEFAULT_WEBHOOK_INTERVAL_SECONDS) * 1000,
+      allowPrivateUrls: env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true',
+    },
+  };
+};
+
+module.exports = { loadConfig };
@@ -0,0 +1,51 @@
+// Typed errors that routes can throw; the error handler turns them into
+// the standard { error: { code, message, details, requestId } } envelope
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', details) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', details) {
+    super(message, { status: 401, code: 'UNAUTHORIZED', details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', details) {
+    super(message, { status: 404, code: 'NOT_FOUND', details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Resource conflict', details) {
+    super(message, { status: 409, code: 'CONFLICT', details });
+  }
+}
+
+class PreconditionFailedError extends AppError {
+  constructor(message = 'Precondition failed', details) {
+    super(message, { status: 412, code: 'PRECONDITION_FAILED', details });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+};
@@ -0,0 +1,132 @@
+// CSV (RFC 4180) with a header row. Tags share one cell, comma-separated.
+//
+// Cells starting with =, +, -, @, a tab or a carriage return are prefixed with
+// a quote so spreadsheets don't run them as formulas; the prefix is dropped
+// again on import.
+
+const COLUMNS = ['title', 'description', 'completed', 'dueDate', 'priority', 'tags', 'list', 'recurrence', 'createdAt'];
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toLine = (cells) => `${cells.map(escapeCell).join(',')}\r\n`;
+
+function* serialize(records) {
+  yield toLine(COLUMNS);
+  for (const record of records) {
+    yield toLine(COLUMNS.map((column) =>
+      column === 'tags' ? record.tags.join(', ') : record[column]
+    ));
+  }
+}
+
+// Split CSV text into records of raw cells, each with the line it starts on
+const readRecords = (text) => {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endCell = () => {
+    cells.push(cell);
+    cell = '';
+  };
+  const endRecord = () => {
+    endCell();
+    records.push({ line: startLine, cells });
+    cells = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || cells.length > 0) {
+    endRecord();
+  }
+  // Blank lines are not records
+  return records.filter((record) => record.cells.some((c) => c.trim() !== ''));
+};
+
+const unescapeCell = (cell) => (cell[0] === '\'' && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell);
+
+const BOOLEANS = { true: true, yes: true, 1: true, x: true, false: false, no: false, 0: false };
+
+// Rows of { row, fields } or { row, error }, where row is the line number
+const parse = (text) => {
+  const [header, ...records] = readRecords(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.cells.map((name) => name.trim());
+  const byName = new Map(columns.map((name, i) => [name.toLowerCase(), i]));
+  if (!byName.has('title')) {
+    return [{ row: header.line, error: 'The header row has no title column' }];
+  }
+
+  return records.map(({ line, cells }) => {
+    const cellFor = (name) => {
+      const index = byName.get(name.toLowerCase());
+      const cell = index === undefined ? undefined : cells[index];
+      return cell === undefined ? undefined : unescapeCell(cell.trim());
+    };
+
+    const fields = {};
+    for (const column of COLUMNS) {
+      const value = cellFor(column);
+      if (value !== undefined && value !== '') {
+        fields[column] = value;
+      }
+    }
+    if (fields.completed !== undefined) {
+      const completed = BOOLEANS[fields.completed.toLowerCase()];
+      if (completed === undefined) {
+        return { row: line, error: 'completed must be true or false' };
+      }
+      fields.completed = completed;
+    }
+    if (fields.tags !== undefined) {
+      fields.tags = fields.tags.split(',').map((tag) => tag.trim()).filter(Boolean);
+    }
+    delete fields.createdAt;
+    return { row: line, fields };
+  });
+};
+
+module.exports = {
+  name: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  serialize,
+  parse,
+};
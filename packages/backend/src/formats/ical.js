@@ -0,0 +1,143 @@
+// iCalendar (RFC 5545) - a VCALENDAR of VTODO components
+//
+// Priorities map onto the 1-9 scale (1 high, 5 medium, 9 low), tags onto
+// CATEGORIES and the list onto X-TODO-LIST. Due dates without a time are
+// written as DATE values.
+
+const PRIORITY_VALUES = { high: 1, medium: 5, low: 9 };
+const MAX_LINE_BYTES = 75;
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (text) =>
+  text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Lines longer than 75 bytes continue on the next line after a space
+const fold = (line) => {
+  let result = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > MAX_LINE_BYTES) {
+      result += '\r\n ';
+      bytes = 1;
+    }
+    result += char;
+    bytes += size;
+  }
+  return `${result}\r\n`;
+};
+
+// 2026-10-18 -> 20261018, 2026-10-18T09:30:00.000Z -> 20261018T093000Z
+const formatDate = (value) => {
+  const [, day, time = '', zone = ''] = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}(?::\d{2})?)[.\d]*)?(Z|[+-]\d{2}:\d{2})?$/.exec(value) || [];
+  if (!day) {
+    return null;
+  }
+  if (!time) {
+    return { params: ';VALUE=DATE', value: day.replace(/-/g, '') };
+  }
+  const utc = zone && zone !== 'Z' ? new Date(value).toISOString() : null;
+  const local = `${day}T${time.length === 5 ? `${time}:00` : time}`;
+  const stamp = (utc ? utc.slice(0, 19) : local).replace(/[-:]/g, '');
+  return { params: '', value: zone ? `${stamp}Z` : stamp };
+};
+
+const parseDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+  if (!match) {
+    return value;
+  }
+  const [, year, month, day, hours, minutes, seconds, zone] = match;
+  const date = `${year}-${month}-${day}`;
+  return hours ? `${date}T${hours}:${minutes}:${seconds}${zone}` : date;
+};
+
+function* serialize(records, { now }) {
+  const stamp = formatDate(now.toISOString()).value;
+  yield 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//TODO App//Todos//EN\r\n';
+
+  for (const record of records) {
+    const lines = ['BEGIN:VTODO', `UID:todo-${record.id}@todo-app`, `DTSTAMP:${stamp}`];
+    const created = formatDate(record.createdAt);
+    if (created) lines.push(`CREATED:${created.value}`);
+    lines.push(`SUMMARY:${escapeText(record.title)}`);
+    if (record.description) lines.push(`DESCRIPTION:${escapeText(record.description)}`);
+    lines.push(`STATUS:${record.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    const due = record.dueDate && formatDate(record.dueDate);
+    if (due) lines.push(`DUE${due.params}:${due.value}`);
+    if (record.priority) lines.push(`PRIORITY:${PRIORITY_VALUES[record.priority]}`);
+    if (record.tags.length) lines.push(`CATEGORIES:${record.tags.map(escapeText).join(',')}`);
+    if (record.list) lines.push(`X-TODO-LIST:${escapeText(record.list)}`);
+    if (record.recurrence) lines.push(`RRULE:${record.recurrence}`);
+    lines.push('END:VTODO');
+    yield lines.map(fold).join('');
+  }
+
+  yield 'END:VCALENDAR\r\n';
+}
+
+// Split a content line into its name, parameters and value
+const readLine = (line) => {
+  const match = /^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+  return match && { name: match[1].toUpperCase(), params: match[2].toUpperCase(), value: match[3] };
+};
+
+// Split a CATEGORIES value on commas that are not escaped
+const splitList = (value) =>
+  value.split(/(?<!\\),/).map((item) => unescapeText(item).trim()).filter(Boolean);
+
+const toPriority = (value) => {
+  const number = Number(value);
+  if (!number) return undefined;
+  if (number <= 4) return 'high';
+  return number === 5 ? 'medium' : 'low';
+};
+
+// Rows of { row, fields }, where row is the 1-based VTODO
+const parse = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some((line) => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    return [{ row: 1, error: 'The file is not an iCalendar file' }];
+  }
+
+  const rows = [];
+  let fields = null;
+  for (const line of lines) {
+    const property = readLine(line.trim());
+    if (!property) {
+      continue;
+    }
+    const { name, value } = property;
+    if (name === 'BEGIN' && value.toUpperCase() === 'VTODO') {
+      fields = {};
+    } else if (name === 'END' && value.toUpperCase() === 'VTODO' && fields) {
+      rows.push({ row: rows.length + 1, fields });
+      fields = null;
+    } else if (fields) {
+      if (name === 'SUMMARY') fields.title = unescapeText(value);
+      if (name === 'DESCRIPTION') fields.description = unescapeText(value);
+      if (name === 'STATUS') fields.completed = value.toUpperCase() === 'COMPLETED';
+      if (name === 'COMPLETED') fields.completed = true;
+      if (name === 'DUE') fields.dueDate = parseDate(value);
+      if (name === 'PRIORITY' && toPriority(value)) fields.priority = toPriority(value);
+      if (name === 'CATEGORIES') fields.tags = [...(fields.tags || []), ...splitList(value)];
+      if (name === 'X-TODO-LIST') fields.list = unescapeText(value);
+      if (name === 'RRULE') fields.recurrence = value;
+    }
+  }
+  return rows;
+};
+
+module.exports = {
+  name: 'ical',
+  contentType: 'text/calendar; charset=utf-8',
+  extension: 'ics',
+  serialize,
+  parse,
+};
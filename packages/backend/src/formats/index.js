@@ -0,0 +1,28 @@
+const csv = require('./csv');
+const ical = require('./ical');
+const json = require('./json');
+const markdown = require('./markdown');
+
+// Import and export formats for todos. Each format has
+//   serialize(records, { now })  generator of text chunks for the export
+//   parse(text)                   rows of { row, fields } or { row, error }
+// plus its content type and file extension. Records and fields use the
+// list's name rather than its id, so files move between accounts.
+
+const FORMATS = { json, csv, markdown, ical };
+
+// Portable view of a todo for export
+const toRecord = (todo, listNames) => ({
+  id: todo.id,
+  title: todo.title,
+  description: todo.description,
+  completed: todo.completed,
+  dueDate: todo.dueDate,
+  priority: todo.priority,
+  tags: todo.tags,
+  list: todo.listId === null ? null : listNames.get(todo.listId) ?? null,
+  recurrence: todo.recurrence,
+  createdAt: todo.createdAt,
+});
+
+module.exports = { FORMATS, FORMAT_NAMES: Object.keys(FORMATS), toRecord };
@@ -0,0 +1,50 @@
+// JSON - an array of todo objects, or { "todos": [...] } on import
+
+const FIELDS = ['title', 'description', 'completed', 'dueDate', 'priority', 'tags', 'list', 'recurrence'];
+
+function* serialize(records) {
+  yield '[';
+  let first = true;
+  for (const record of records) {
+    yield `${first ? '' : ','}\n  ${JSON.stringify(record)}`;
+    first = false;
+  }
+  yield first ? ']\n' : '\n]\n';
+}
+
+// Rows of { row, fields } or { row, error }, where row is the 1-based item
+const parse = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return [{ row: 1, error: `The file is not valid JSON: ${err.message}` }];
+  }
+
+  const items = Array.isArray(data) ? data : data?.todos;
+  if (!Array.isArray(items)) {
+    return [{ row: 1, error: 'Expected an array of todos' }];
+  }
+
+  return items.map((item, index) => {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+      return { row: index + 1, error: 'must be an object' };
+    }
+    // Other keys, such as ids and timestamps, belong to the exporting app
+    const fields = {};
+    FIELDS.forEach((field) => {
+      if (item[field] !== undefined && item[field] !== null && item[field] !== '') {
+        fields[field] = item[field];
+      }
+    });
+    return { row: index + 1, fields };
+  });
+};
+
+module.exports = {
+  name: 'json',
+  contentType: 'application/json; charset=utf-8',
+  extension: 'json',
+  serialize,
+  parse,
+};
@@ -0,0 +1,153 @@
+// Markdown checklist - one "- [ ]" item per todo, grouped under a heading
+// per list, e.g.
+//
+//   - [ ] Renew passport !high due:2026-11-01 #admin
+//     Needs two photos
+//
+//   ## Work
+//   - [x] Send report repeat:FREQ=WEEKLY;BYDAY=FR
+//
+// Priority, due date, repeat rule and tags trail the title; indented lines
+// below an item are its description. Spaces in tags are escaped ("#day\ off")
+// and so are words ending a title that would read as metadata ("Fix issue
+// \#42"), so an export imports back as it was. Anything else in the file is
+// ignored on import.
+
+const ITEM = /^\s*[-*+]\s+\[([ xX])\]\s+(.*)$/;
+const HEADING = /^#{1,6}\s+(.*?)\s*#*\s*$/;
+const CONTINUATION = /^(?: {2,}|\t)(.*)$/;
+
+const TRAILING = [
+  [/^!(low|medium|high)$/i, (fields, value) => { fields.priority = value.toLowerCase(); }],
+  [/^due:(\S+)$/, (fields, value) => { fields.dueDate = value; }],
+  [/^repeat:(\S+)$/, (fields, value) => { fields.recurrence = value; }],
+  [/^#(.+)$/, (fields, value) => { fields.tags = [value.replace(/\\(\s)/g, '$1'), ...(fields.tags || [])]; }],
+];
+
+// Whether a word, less any backslashes escaping it, reads as metadata
+const isMetadata = (word) => {
+  const bare = word.replace(/^\\+/, '');
+  return TRAILING.some(([pattern]) => pattern.test(bare));
+};
+
+// Add or drop one backslash on each word at the end of a title that would
+// otherwise be read as metadata
+const escapeTitleEnd = (words, escape) => {
+  const result = [...words];
+  for (let i = result.length - 1; i >= 0 && isMetadata(result[i]); i--) {
+    result[i] = escape ? `\\${result[i]}` : result[i].replace(/^\\/, '');
+  }
+  return result;
+};
+
+// Words of an item, where a backslash keeps a space inside a word
+const splitWords = (text) => text.trim().split(/(?<!\\)\s+/);
+
+const itemLine = (record) => {
+  const title = escapeTitleEnd(record.title.trim().split(/\s+/), true).join(' ');
+  const parts = [`- [${record.completed ? 'x' : ' '}] ${title}`];
+  if (record.priority) parts.push(`!${record.priority}`);
+  if (record.dueDate) parts.push(`due:${record.dueDate}`);
+  if (record.recurrence) parts.push(`repeat:${record.recurrence}`);
+  record.tags.forEach((tag) => parts.push(`#${tag.replace(/\s/g, '\\$&')}`));
+  return parts.join(' ');
+};
+
+function* serialize(records) {
+  // Todos outside any list come first, then one section per list
+  const groups = new Map([[null, []]]);
+  for (const record of records) {
+    if (!groups.has(record.list)) {
+      groups.set(record.list, []);
+    }
+    groups.get(record.list).push(record);
+  }
+
+  let first = true;
+  for (const [list, items] of groups) {
+    if (items.length === 0) {
+      continue;
+    }
+    if (list !== null) {
+      yield `${first ? '' : '\n'}## ${list}\n\n`;
+    }
+    for (const record of items) {
+      let text = `${itemLine(record)}\n`;
+      if (record.description) {
+        text += record.description.split('\n').map((line) => `  ${line}\n`).join('');
+      }
+      yield text;
+    }
+    first = false;
+  }
+}
+
+// Split trailing metadata tokens off an item's text
+const parseItem = (text) => {
+  const words = splitWords(text);
+  const fields = {};
+  while (words.length > 1) {
+    const word = words[words.length - 1];
+    const match = TRAILING.find(([pattern]) => pattern.test(word));
+    if (!match) {
+      break;
+    }
+    match[1](fields, match[0].exec(word)[1]);
+    words.pop();
+  }
+  return { title: escapeTitleEnd(words, false).join(' '), ...fields };
+};
+
+// Rows of { row, fields }, where row is the item's line number
+const parse = (text) => {
+  const rows = [];
+  let list;
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const item = ITEM.exec(line);
+    if (item) {
+      current = { row: index + 1, fields: { ...parseItem(item[2]), completed: item[1] !== ' ' } };
+      if (list) {
+        current.fields.list = list;
+      }
+      rows.push(current);
+      return;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      list = heading[1] || undefined;
+      current = null;
+      return;
+    }
+
+    const continuation = CONTINUATION.exec(line);
+    if (current && continuation) {
+      const { description } = current.fields;
+      current.fields.description = description ? `${description}\n${continuation[1]}` : continuation[1];
+    } else if (line.trim() === '') {
+      // A blank line inside a description is kept, one between items is not
+      if (current?.fields.description) {
+        current.fields.description += '\n';
+      }
+    } else {
+      current = null;
+    }
+  });
+
+  rows.forEach(({ fields }) => {
+    if (fields.description) {
+      fields.description = fields.description.trim();
+    }
+  });
+  return rows;
+};
+
+module.exports = {
+  name: 'markdown',
+  contentType: 'text/markdown; charset=utf-8',
+  extension: 'md',
+  serialize,
+  parse,
+};
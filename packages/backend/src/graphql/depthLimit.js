@@ -0,0 +1,43 @@
+const { GraphQLError, Kind } = require('graphql');
+
+// Lists hold todos and todos point back at their list, so without a limit
+// one query could nest lists { todos { list { todos ... } } } as deep as it
+// likes and make the server read the same data over and over
+const MAX_DEPTH = 6;
+
+// How many fields deep a selection set goes, following fragments.
+// Introspection (__schema, __type) is left out: its own nesting is fixed.
+const depthOf = (selectionSet, context, seen) => Math.max(0, ...selectionSet.selections.map((selection) => {
+  if (selection.kind === Kind.FIELD) {
+    if (selection.name.value.startsWith('__')) {
+      return 0;
+    }
+    return 1 + (selection.selectionSet ? depthOf(selection.selectionSet, context, seen) : 0);
+  }
+  if (selection.kind === Kind.INLINE_FRAGMENT) {
+    return depthOf(selection.selectionSet, context, seen);
+  }
+
+  // A fragment spread; cycles are reported by the standard rules
+  const name = selection.name.value;
+  const fragment = context.getFragment(name);
+  return fragment && !seen.has(name) ? depthOf(fragment.selectionSet, context, new Set([...seen, name])) : 0;
+}));
+
+/**
+ * Validation rule that rejects operations nested more than MAX_DEPTH
+ * fields deep, before any resolver runs.
+ */
+const depthLimit = (context) => ({
+  OperationDefinition(node) {
+    const depth = depthOf(node.selectionSet, context, new Set());
+    if (depth > MAX_DEPTH) {
+      context.reportError(new GraphQLError(
+        `The query is nested ${depth} fields deep; at most ${MAX_DEPTH} are allowed`,
+        { nodes: [node] }
+      ));
+    }
+  },
+});
+
+module.exports = { MAX_DEPTH, depthLimit };
@@ -0,0 +1,53 @@
+/**
+ * A user's events of the given types from the event bus, as the async
+ * iterator GraphQL subscriptions are built on. Events wait in a queue until
+ * pulled; the iterator ends when the client unsubscribes or the bus closes.
+ */
+const eventIterator = (events, userId, types) => {
+  const queue = [];
+  const pulls = [];
+  let done = false;
+
+  const finish = () => {
+    done = true;
+    unsubscribe();
+    pulls.splice(0).forEach((resolve) => resolve({ value: undefined, done: true }));
+  };
+
+  const unsubscribe = events.subscribe(userId, (event) => {
+    if (!types.includes(event.type)) {
+      return;
+    }
+    const pull = pulls.shift();
+    if (pull) {
+      pull({ value: event, done: false });
+    } else {
+      queue.push(event);
+    }
+  }, finish);
+
+  return {
+    next() {
+      if (queue.length > 0) {
+        return Promise.resolve({ value: queue.shift(), done: false });
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise((resolve) => pulls.push(resolve));
+    },
+    return() {
+      finish();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    throw(err) {
+      finish();
+      return Promise.reject(err);
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+};
+
+module.exports = { eventIterator };
@@ -0,0 +1,101 @@
+const { GraphQLError, specifiedRules, validate } = require('graphql');
+const { createHandler } = require('graphql-http/lib/use/express');
+const { useServer } = require('graphql-ws/use/ws');
+const { WebSocketServer } = require('ws');
+const { AppError } = require('../errors');
+const { resolveSession } = require('../services/auth');
+const { readToken } = require('../middleware/authenticate');
+const { createGraphqlSchema } = require('./schema');
+const { createLoaders } = require('./loaders');
+const { depthLimit } = require('./depthLimit');
+
+const GRAPHQL_PATH = '/graphql';
+
+// API errors keep their code and details in extensions, as in the REST error
+// envelope. Anything else is logged and reported without its internals.
+const createErrorFormatter = (logger) => (err) => {
+  const original = err.originalError;
+  if (!original || original instanceof GraphQLError) {
+    return err;
+  }
+
+  const location = { nodes: err.nodes, source: err.source, positions: err.positions, path: err.path };
+  if (original instanceof AppError) {
+    return new GraphQLError(original.message, {
+      ...location,
+      extensions: { code: original.code, details: original.details ?? null },
+    });
+  }
+
+  logger.error(original.message, { path: err.path, stack: original.stack });
+  return new GraphQLError('Internal server error', { ...location, extensions: { code: 'INTERNAL_ERROR' } });
+};
+
+const bearerToken = (value) =>
+  typeof value === 'string' && value.startsWith('Bearer ') ? value.slice('Bearer '.length).trim() : null;
+
+/**
+ * GraphQL over the same store, clock and event bus as the REST API.
+ *
+ * `handler` serves queries and mutations over HTTP and goes behind
+ * authenticate(), which sets req.user. Subscriptions need a WebSocket
+ * (graphql-ws protocol) on the HTTP server, so the embedding server calls
+ * attachSubscriptions(server) once it is listening; it returns a function
+ * that closes the socket server. Both refuse operations nested deeper than
+ * depthLimit allows.
+ */
+const createGraphqlServer = ({ store, clock, events, logger }) => {
+  const schema = createGraphqlSchema({ store, clock, events });
+  const formatError = createErrorFormatter(logger);
+
+  const handler = createHandler({
+    schema,
+    validationRules: [depthLimit],
+    context: ({ raw: req }) => {
+      const [language] = req.acceptsLanguages();
+      return {
+        user: req.user,
+        requestId: req.id,
+        preferredLocale: language === '*' ? undefined : language,
+        loaders: createLoaders({ store, userId: req.user.id }),
+      };
+    },
+    formatError,
+  });
+
+  const attachSubscriptions = (server) => {
+    const wsServer = new WebSocketServer({ server, path: GRAPHQL_PATH });
+
+    const socket = useServer({
+      schema,
+      validate: (socketSchema, document) => validate(socketSchema, document, [...specifiedRules, depthLimit]),
+      // The session comes from connectionParams ({ authorization: 'Bearer <token>' })
+      // or, for browsers on the same origin, the session cookie
+      onConnect: async (ctx) => {
+        const token = bearerToken(ctx.connectionParams?.authorization) || readToken(ctx.extra.request);
+        const resolved = await resolveSession({ store, clock }, token);
+        if (!resolved) {
+          return false;
+        }
+        ctx.extra.user = resolved.user;
+        return true;
+      },
+      context: (ctx) => ({
+        user: ctx.extra.user,
+        requestId: null,
+        loaders: createLoaders({ store, userId: ctx.extra.user.id }, { cache: false }),
+      }),
+      onNext: (ctx, id, payload, args, result) =>
+        (result.errors ? { ...result, errors: result.errors.map(formatError) } : result),
+    }, wsServer);
+
+    return () => {
+      socket.dispose();
+      wsServer.close();
+    };
+  };
+
+  return { handler, attachSubscriptions };
+};
+
+module.exports = { GRAPHQL_PATH, createGraphqlServer };
@@ -0,0 +1,43 @@
+const DataLoader = require('dataloader');
+const { listOwnTodos } = require('../services/todos');
+
+// Group records by one of their fields, in the order of keys
+const groupBy = (records, field, keys) => {
+  const groups = new Map(keys.map((key) => [key, []]));
+  records.forEach((record) => groups.get(record[field])?.push(record));
+  return keys.map((key) => groups.get(key));
+};
+
+/**
+ * Batched lookups for resolving nested fields. Each loader answers every
+ * key asked for in the same tick with a single store read, so a query for
+ * fifty todos and their subtasks reads the subtasks once, not fifty times.
+ *
+ * Loaders are per request and per user: lists of other users come back as
+ * null. A subscription outlives many changes, so it asks for cache: false
+ * to batch without serving stale records.
+ */
+const createLoaders = ({ store, userId }, { cache = true } = {}) => {
+  const options = { cache };
+
+  return {
+    listById: new DataLoader(async (ids) => {
+      const lists = new Map((await store.lists.list()).map((list) => [list.id, list]));
+      return ids.map((id) => {
+        const list = lists.get(id);
+        return list && list.ownerId === userId ? list : null;
+      });
+    }, options),
+
+    todosByList: new DataLoader(async (listIds) =>
+      groupBy(await listOwnTodos(store, userId), 'listId', listIds), options),
+
+    subtasksByTodo: new DataLoader(async (todoIds) =>
+      groupBy(await store.subtasks.list(), 'todoId', todoIds), options),
+
+    remindersByTodo: new DataLoader(async (todoIds) =>
+      groupBy(await store.reminders.list(), 'todoId', todoIds), options),
+  };
+};
+
+module.exports = { createLoaders };
@@ -0,0 +1,319 @@
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { TODO_DEFAULTS, toTodo } = require('../models/todo');
+const { assertValid } = require('../validation/validate');
+const schemas = require('../validation/todoSchemas');
+const { toUser } = require('../services/auth');
+const { findOwnList, toList } = require('../services/lists');
+const { byPosition, toSubtask } = require('../services/subtasks');
+const { bySoonest, toReminder } = require('../services/reminders');
+const { isTrashed, listOwnTodos } = require('../services/todos');
+const { queryTodos } = require('../services/todoQuery');
+const { createTodoActions } = require('../services/todoActions');
+const { assertVersion } = require('../utils/etag');
+const { eventIterator } = require('./eventIterator');
+
+// The GraphQL view of the same data as the REST API. Field names and
+// validation rules follow the REST request schemas in validation/.
+const typeDefs = /* GraphQL */ `
+  enum Priority {
+    low
+    medium
+    high
+  }
+
+  enum TodoSort {
+    created
+    due
+    priority
+    position
+  }
+
+  enum SortOrder {
+    asc
+    desc
+  }
+
+  type User {
+    id: Int!
+    username: String!
+    createdAt: String
+  }
+
+  type SubtaskCounts {
+    total: Int!
+    completed: Int!
+  }
+
+  type Subtask {
+    id: Int!
+    todoId: Int!
+    title: String!
+    completed: Boolean!
+    position: Int!
+    createdAt: String
+  }
+
+  type Reminder {
+    id: Int!
+    todoId: Int!
+    at: String
+    minutesBefore: Int
+    "null while a reminder set before the due date waits for one"
+    fireAt: String
+    status: String!
+    firedAt: String
+  }
+
+  type Todo {
+    id: Int!
+    title: String!
+    description: String!
+    completed: Boolean!
+    "A calendar date or a date-time, as it was sent"
+    dueDate: String
+    priority: Priority
+    tags: [String!]!
+    listId: Int
+    list: List
+    autoComplete: Boolean!
+    position: String
+    recurrence: String
+    "Goes up with every change; send it back as version to guard a write"
+    version: Int!
+    createdAt: String
+    subtaskCounts: SubtaskCounts!
+    subtasks: [Subtask!]!
+    reminders: [Reminder!]!
+  }
+
+  type List {
+    id: Int!
+    name: String!
+    createdAt: String
+    todoCount: Int!
+    completedCount: Int!
+    activeCount: Int!
+    "The list's todos in manual order"
+    todos(completed: Boolean): [Todo!]!
+  }
+
+  type TodoPage {
+    items: [Todo!]!
+    "How many todos match the filters, across all pages"
+    total: Int!
+    "Pass as cursor for the next page; null on the last one"
+    nextCursor: String
+  }
+
+  type TodoCounts {
+    total: Int!
+    active: Int!
+    completed: Int!
+    trashed: Int!
+  }
+
+  type Query {
+    me: User!
+    "Filters, sort and paging work as for GET /api/v1/todos"
+    todos(
+      "A list id, or none for todos that are not in any list"
+      listId: ID
+      completed: Boolean
+      q: String
+      tag: [String!]
+      priority: [Priority!]
+      sort: TodoSort
+      order: SortOrder
+      limit: Int
+      cursor: String
+    ): TodoPage!
+    todo(id: Int!): Todo!
+    lists: [List!]!
+    list(id: Int!): List!
+    counts: TodoCounts!
+  }
+
+  input CreateTodoInput {
+    title: String!
+    description: String
+    dueDate: String
+    priority: Priority
+    tags: [String!]
+    listId: Int
+    autoComplete: Boolean
+    recurrence: String
+    "Read the due date, tags, priority and recurrence out of the title"
+    quickAdd: Boolean
+    locale: String
+    timezoneOffset: Int
+  }
+
+  input UpdateTodoInput {
+    title: String
+    description: String
+    dueDate: String
+    priority: Priority
+    tags: [String!]
+    listId: Int
+    autoComplete: Boolean
+    recurrence: String
+  }
+
+  type DeletedTodo {
+    id: Int!
+  }
+
+  # With a version, writes are refused (PRECONDITION_FAILED) once the todo
+  # has changed since that version, like If-Match on the REST API
+  type Mutation {
+    createTodo(input: CreateTodoInput!): Todo!
+    updateTodo(id: Int!, input: UpdateTodoInput!, version: Int): Todo!
+    toggleTodo(id: Int!, version: Int): Todo!
+    "Moves the todo to the trash"
+    deleteTodo(id: Int!, version: Int): DeletedTodo!
+  }
+
+  type TodoChange {
+    "The event name, e.g. todo.updated, or subtask.reordered for a change to its checklist"
+    type: String!
+    "The todo's id, also for subtask events"
+    id: Int!
+    "null once the todo is deleted or purged"
+    todo: Todo
+  }
+
+  type Subscription {
+    todoChanged: TodoChange!
+  }
+`;
+
+const TODO_EVENTS = [
+  'todo.created',
+  'todo.updated',
+  'todo.toggled',
+  'todo.deleted',
+  'todo.restored',
+  'todo.purged',
+];
+const REMOVAL_EVENTS = ['todo.deleted', 'todo.purged'];
+// Checklist changes, sent as changes to the todo they belong to
+const SUBTASK_EVENTS = ['subtask.created', 'subtask.updated', 'subtask.deleted', 'subtask.reordered'];
+
+// Records saved before a field existed get its default
+const withDefaults = (record) => ({ ...TODO_DEFAULTS, ...record });
+
+const actorOf = ({ user, requestId }) => ({ userId: user.id, requestId });
+
+/**
+ * Build the executable schema over the given store, clock and event bus.
+ * Resolvers expect a context of { user, requestId, preferredLocale, loaders }
+ * (see graphql/index.js); loaders batch the nested lookups.
+ */
+const createGraphqlSchema = ({ store, clock, events }) => {
+  const actions = createTodoActions({ store, clock, events });
+
+  const findForWrite = async ({ user }, id, version) => {
+    const todo = await actions.findOwn(user.id, id);
+    assertVersion(todo, version);
+    return todo;
+  };
+
+  const listCounts = async (list, { loaders }) => toList(list, await loaders.todosByList.load(list.id));
+
+  const resolvers = {
+    Query: {
+      me: (parent, args, { user }) => toUser(user),
+
+      todos: async (parent, args, { user }) => {
+        const query = assertValid(schemas.listTodos.query, args, { location: 'args' });
+        const todos = (await listOwnTodos(store, user.id)).map(withDefaults);
+        return queryTodos(todos, query);
+      },
+
+      todo: async (parent, { id }, { user }) => withDefaults(await actions.findOwn(user.id, id)),
+
+      lists: async (parent, args, { user }) =>
+        (await store.lists.list()).filter((list) => list.ownerId === user.id),
+
+      list: (parent, { id }, { user }) => findOwnList(store, user.id, id),
+
+      counts: async (parent, args, { user }) => {
+        const own = (await store.todos.list()).filter((t) => t.ownerId === user.id);
+        const live = own.filter((t) => !isTrashed(t));
+        const completed = live.filter((t) => t.completed).length;
+        return {
+          total: live.length,
+          active: live.length - completed,
+          completed,
+          trashed: own.length - live.length,
+        };
+      },
+    },
+
+    Mutation: {
+      createTodo: (parent, { input }, context) => {
+        const fields = assertValid(schemas.createTodo.body, input, { location: 'input' });
+        return actions.create(actorOf(context), fields, { preferredLocale: context.preferredLocale });
+      },
+
+      updateTodo: async (parent, { id, input, version }, context) => {
+        const changes = assertValid(schemas.updateTodo.body, input, { location: 'input' });
+        return actions.update(actorOf(context), await findForWrite(context, id, version), changes);
+      },
+
+      toggleTodo: async (parent, { id, version }, context) =>
+        actions.toggle(actorOf(context), await findForWrite(context, id, version)),
+
+      deleteTodo: async (parent, { id, version }, context) => {
+        const todo = await findForWrite(context, id, version);
+        await actions.trash(actorOf(context), todo);
+        return { id: todo.id };
+      },
+    },
+
+    Subscription: {
+      todoChanged: {
+        subscribe: (parent, args, { user }) => eventIterator(events, user.id, [...TODO_EVENTS, ...SUBTASK_EVENTS]),
+        resolve: async (event) => {
+          if (SUBTASK_EVENTS.includes(event.type)) {
+            const todo = await store.todos.get(event.data.todoId);
+            return { type: event.type, id: event.data.todoId, todo: todo && withDefaults(todo) };
+          }
+          return {
+            type: event.type,
+            id: event.data.id,
+            todo: REMOVAL_EVENTS.includes(event.type) ? null : event.data,
+          };
+        },
+      },
+    },
+
+    Todo: {
+      list: (todo, args, { loaders }) => (todo.listId === null ? null : loaders.listById.load(todo.listId)),
+
+      subtaskCounts: async (todo, args, { loaders }) =>
+        toTodo(todo, await loaders.subtasksByTodo.load(todo.id)).subtaskCounts,
+
+      subtasks: async (todo, args, { loaders }) =>
+        [...await loaders.subtasksByTodo.load(todo.id)].sort(byPosition).map(toSubtask),
+
+      reminders: async (todo, args, { loaders }) =>
+        (await loaders.remindersByTodo.load(todo.id)).map((r) => toReminder(r, todo)).sort(bySoonest),
+    },
+
+    List: {
+      todoCount: async (list, args, context) => (await listCounts(list, context)).todoCount,
+      completedCount: async (list, args, context) => (await listCounts(list, context)).completedCount,
+      activeCount: async (list, args, context) => (await listCounts(list, context)).activeCount,
+
+      todos: async (list, { completed }, { loaders }) => {
+        const todos = (await loaders.todosByList.load(list.id)).map(withDefaults);
+        return queryTodos(todos, { sort: 'position', completed: completed ?? undefined }).items;
+      },
+    },
+  };
+
+  return makeExecutableSchema({ typeDefs, resolvers });
+};
+
+module.exports = { createGraphqlSchema, TODO_EVENTS };
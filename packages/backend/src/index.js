@@ -1,9 +1,61 @@
-const app = require('./app');
+const { createApp, systemClock } = require('./app');
+const { loadConfig } = require('./config');
+const { createStore } = require('./store');
+const { startTrashPurger } = require('./services/trash');
+const { startReminderScheduler } = require('./services/reminders');
+const { createReminderDeliveries } = require('./services/reminderDeliveries');
+const { startWebhookDispatcher } = require('./services/webhooks');
 const logger = require('./utils/logger');
 
-const PORT = process.env.PORT || 3001;
+const config = loadConfig();
+const store = createStore(config.storage);
+const app = createApp({ config, store, logger });
+
+const stopTrashPurger = startTrashPurger({
+  store,
+  clock: systemClock,
+  retentionMs: config.trash.retentionMs,
+  logger,
+  events: app.locals.events,
+});
+
+const stopReminders = startReminderScheduler({
+  store,
+  clock: systemClock,
+  deliveries: createReminderDeliveries({ config: config.reminders, events: app.locals.events }),
+  logger,
+  intervalMs: config.reminders.intervalMs,
+});
+
+const stopWebhooks = startWebhookDispatcher({
+  store,
+  clock: systemClock,
+  events: app.locals.events,
+  logger,
+  intervalMs: config.webhooks.intervalMs,
+  allowPrivateUrls: config.webhooks.allowPrivateUrls,
+});
 
 // INTENTIONAL ISSUE: Missing error handling for server startup
-app.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
+const server = app.listen(config.port, () => {
+  logger.info(`Server running on port ${config.port}`, { storage: config.storage.driver });
 });
+
+const stopGraphqlSubscriptions = app.locals.graphql.attachSubscriptions(server);
+
+// Stop background work and close open event streams so the server can stop,
+// then flush pending writes
+const shutdown = () => {
+  stopTrashPurger();
+  stopReminders();
+  stopWebhooks();
+  stopGraphqlSubscriptions();
+  app.locals.events.close();
+  server.close(async () => {
+    await store.close();
+    process.exit(0);
+  });
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
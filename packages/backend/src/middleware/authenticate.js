@@ -0,0 +1,43 @@
+const { UnauthorizedError } = require('../errors');
+const { resolveSession } = require('../services/auth');
+
+const SESSION_COOKIE = 'session';
+
+// Read a cookie value without pulling in a cookie-parsing dependency
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  const match = header
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+// Session token from "Authorization: Bearer <token>" or the session cookie.
+// Works on plain Node requests too, e.g. a WebSocket upgrade.
+const readToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return readCookie(req, SESSION_COOKIE);
+};
+
+// Require a valid session; sets req.user and req.session for later handlers
+const authenticate = ({ store, clock }) => async (req, res, next) => {
+  try {
+    const resolved = await resolveSession({ store, clock }, readToken(req));
+    if (!resolved) {
+      throw new UnauthorizedError();
+    }
+
+    req.user = resolved.user;
+    req.session = resolved.session;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { authenticate, readToken, SESSION_COOKIE };
@@ -0,0 +1,14 @@
+// Marks responses to the unversioned /api/... routes as deprecated and
+// points at the versioned route replacing each one (Deprecation and Link
+// headers, as in RFC 9745 and RFC 8288). Requests already under a version
+// are passed over, so a mistyped /api/v1/... path 404s without them.
+const deprecated = ({ successor, version }) => (req, res, next) => {
+  if (req.path.startsWith(`/${version}/`)) {
+    return next('router');
+  }
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${successor}${req.url}>; rel="successor-version"`);
+  next();
+};
+
+module.exports = { deprecated };
@@ -0,0 +1,65 @@
+const { AppError, NotFoundError } = require('../errors');
+
+// Map body-parser failures (bad JSON, oversized bodies) onto the error envelope
+const fromBodyParser = (err) => {
+  if (err.type === 'entity.parse.failed') {
+    return new AppError('Request body is not valid JSON', {
+      status: 400,
+      code: 'INVALID_JSON',
+    });
+  }
+
+  return new AppError(err.message, {
+    status: err.status,
+    code: err.type ? err.type.toUpperCase().replace(/\W/g, '_') : 'BAD_REQUEST',
+  });
+};
+
+const normalize = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  // Errors raised by Express middleware carry a client-safe status
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return fromBodyParser(err);
+  }
+
+  return new AppError('Internal server error');
+};
+
+// Fallback for requests no route matched
+const notFoundHandler = () => (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+};
+
+// Central error handler - logs through the injected logger and always responds with JSON
+const errorHandler = ({ logger }) =>
+  // eslint-disable-next-line no-unused-vars
+  (err, req, res, next) => {
+    const error = normalize(err);
+    const meta = {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: error.status,
+      code: error.code,
+    };
+
+    if (error.status >= 500) {
+      logger.error(err.message, { ...meta, stack: err.stack });
+    } else {
+      logger.warn(error.message, meta);
+    }
+
+    res.status(error.status).json({
+      error: {
+        code: error.code,
+        message: error.message,
+        details: error.details ?? null,
+        requestId: req.id,
+      },
+    });
+  };
+
+module.exports = { errorHandler, notFoundHandler };
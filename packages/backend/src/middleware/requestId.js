@@ -0,0 +1,11 @@
+const { randomUUID } = require('crypto');
+
+// Tag every request with an id (reusing the caller's X-Request-Id if sent)
+// so error responses and log lines can be correlated
+const requestId = () => (req, res, next) => {
+  req.id = req.get('X-Request-Id') || randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,160 @@
+// Recurrence rules - a subset of iCalendar RRULE, e.g.
+//   FREQ=DAILY;INTERVAL=2
+//   FREQ=WEEKLY;BYDAY=MO,TH;UNTIL=20261231
+//   FREQ=MONTHLY;BYMONTHDAY=15;COUNT=6
+//
+// Dates are calendar days in UTC; a time on the due date is carried over
+// unchanged to every occurrence.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (day) => new Date(`${day}T00:00:00Z`);
+const formatDay = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+// Monday-based weekday index, matching WEEKDAYS
+const weekdayOf = (date) => (date.getUTCDay() + 6) % 7;
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const parsePositive = (key, value, max) => {
+  if (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > max) {
+    throw new Error(`${key} must be between 1 and ${max}`);
+  }
+  return Number(value);
+};
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  const day = match && `${match[1]}-${match[2]}-${match[3]}`;
+  if (!day || Number.isNaN(parseDay(day).getTime()) || formatDay(parseDay(day)) !== day) {
+    throw new Error('UNTIL must be a date like 20261231');
+  }
+  return day;
+};
+
+/**
+ * Parse an RRULE string into { freq, interval, byDay, byMonthDay, until, count }.
+ * Throws with a message suitable for a validation error.
+ */
+const parseRecurrence = (text) => {
+  const parts = {};
+  text.trim().toUpperCase().replace(/^RRULE:/, '').split(';').forEach((part) => {
+    const [key, value, extra] = part.split('=');
+    if (!key || !value || extra !== undefined) {
+      throw new Error(`has a malformed part "${part}"`);
+    }
+    if (parts[key] !== undefined) {
+      throw new Error(`repeats ${key}`);
+    }
+    parts[key] = value;
+  });
+
+  const { FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT, ...unknown } = parts;
+  const [unsupported] = Object.keys(unknown);
+  if (unsupported) {
+    throw new Error(`does not support ${unsupported}`);
+  }
+  if (!FREQUENCIES.includes(FREQ)) {
+    throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (BYDAY && FREQ !== 'WEEKLY') {
+    throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  }
+  if (BYMONTHDAY && FREQ !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  if (UNTIL && COUNT) {
+    throw new Error('cannot have both UNTIL and COUNT');
+  }
+
+  let byDay = null;
+  if (BYDAY) {
+    const days = BYDAY.split(',');
+    if (days.some((day) => !WEEKDAYS.includes(day))) {
+      throw new Error(`BYDAY must list days from ${WEEKDAYS.join(', ')}`);
+    }
+    byDay = WEEKDAYS.filter((day) => days.includes(day));
+  }
+
+  return {
+    freq: FREQ,
+    interval: INTERVAL ? parsePositive('INTERVAL', INTERVAL, MAX_INTERVAL) : 1,
+    byDay,
+    byMonthDay: BYMONTHDAY ? parsePositive('BYMONTHDAY', BYMONTHDAY, 31) : null,
+    until: UNTIL ? parseUntil(UNTIL) : null,
+    count: COUNT ? parsePositive('COUNT', COUNT, MAX_COUNT) : null,
+  };
+};
+
+// Canonical RRULE string for a parsed rule
+const formatRecurrence = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+const nextWeekly = (rule, from) => {
+  const days = rule.byDay || [WEEKDAYS[weekdayOf(from)]];
+  const weekStart = addDays(from, -weekdayOf(from));
+
+  // Every matching day within the next interval's worth of weeks
+  for (let offset = 1; offset <= 7 * (rule.interval + 1); offset++) {
+    const candidate = addDays(from, offset);
+    const weeks = Math.round((addDays(candidate, -weekdayOf(candidate)) - weekStart) / (7 * DAY_MS));
+    if (weeks % rule.interval === 0 && days.includes(WEEKDAYS[weekdayOf(candidate)])) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// Months too short for the requested day are skipped, as in RRULE
+const nextMonthly = (rule, from) => {
+  const day = rule.byMonthDay || from.getUTCDate();
+  for (let step = 0; step <= 12 * 4; step++) {
+    const month = from.getUTCMonth() + step * rule.interval;
+    const year = from.getUTCFullYear() + Math.floor(month / 12);
+    if (daysInMonth(year, month % 12) >= day) {
+      const candidate = new Date(Date.UTC(year, month % 12, day));
+      if (candidate > from) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Due date of the occurrence after the one due on `dueDate` (a date or
+ * date-time string), or null when the rule has run out.
+ * `occurrence` is the 1-based number of the current occurrence, for COUNT.
+ */
+const nextDueDate = (rule, dueDate, occurrence = 1) => {
+  if (rule.count && occurrence >= rule.count) {
+    return null;
+  }
+
+  const from = parseDay(dueDate.slice(0, 10));
+  let next;
+  if (rule.freq === 'DAILY') {
+    next = addDays(from, rule.interval);
+  } else if (rule.freq === 'WEEKLY') {
+    next = nextWeekly(rule, from);
+  } else {
+    next = nextMonthly(rule, from);
+  }
+
+  if (!next || (rule.until && formatDay(next) > rule.until)) {
+    return null;
+  }
+  return formatDay(next) + dueDate.slice(10);
+};
+
+module.exports = { WEEKDAYS, parseRecurrence, formatRecurrence, nextDueDate };
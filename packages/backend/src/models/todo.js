@@ -0,0 +1,36 @@
+// Todo model - field defaults and the shape returned by the API
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+const TODO_DEFAULTS = {
+  description: '',
+  dueDate: null,
+  priority: null,
+  tags: [],
+  listId: null,
+  // Complete the todo automatically once all of its subtasks are done
+  autoComplete: false,
+  // Fractional key for manual ordering, set on create and by moves
+  position: null,
+  // RRULE-style schedule (see models/recurrence.js); null for one-off todos
+  recurrence: null,
+  // When the todo was moved to the trash; null while it is live
+  deletedAt: null,
+  // Goes up with every change, for ETags and If-Match (services/todos.js)
+  version: 1,
+};
+
+// Fill in fields missing from records saved before they existed.
+// ownerId stays internal - every todo returned belongs to the caller anyway.
+// subtasks are the todo's checklist items, summarised as progress counts.
+const toTodo = (record, subtasks = []) => {
+  const todo = { ...TODO_DEFAULTS, ...record };
+  delete todo.ownerId;
+  todo.subtaskCounts = {
+    total: subtasks.length,
+    completed: subtasks.filter((s) => s.completed).length,
+  };
+  return todo;
+};
+
+module.exports = { PRIORITIES, TODO_DEFAULTS, toTodo };
@@ -0,0 +1,212 @@
+const { PRIORITIES } = require('../models/todo');
+const { WEBHOOK_EVENTS } = require('../validation/webhookSchemas');
+
+// Schemas of what the API sends back, as built by the to*() presenters in
+// models/ and services/. Fields may be added over time, so objects stay open.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const id = { type: 'integer', minimum: 1 };
+const timestamp = { type: 'string', format: 'date-time' };
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+const object = (properties, required = Object.keys(properties)) => ({
+  type: 'object',
+  properties,
+  required,
+});
+
+const schemas = {
+  Error: object({
+    error: object({
+      code: { type: 'string', examples: ['VALIDATION_ERROR'] },
+      message: { type: 'string' },
+      details: nullable({
+        type: 'array',
+        items: object({
+          location: { type: 'string' },
+          field: { type: ['string', 'null'] },
+          message: { type: 'string' },
+        }, ['message']),
+      }),
+      requestId: { type: 'string' },
+    }, ['code', 'message']),
+  }),
+
+  Message: object({ message: { type: 'string' } }),
+
+  User: object({
+    id,
+    username: { type: 'string' },
+    createdAt: timestamp,
+  }),
+
+  Session: object({
+    user: ref('User'),
+    token: { type: 'string', description: 'Also set as the session cookie' },
+    expiresAt: timestamp,
+  }),
+
+  Todo: object({
+    id,
+    title: { type: 'string' },
+    description: { type: 'string' },
+    completed: { type: 'boolean' },
+    // A calendar date or a date-time, as it was sent
+    dueDate: { type: ['string', 'null'] },
+    priority: { enum: [...PRIORITIES, null] },
+    tags: { type: 'array', items: { type: 'string' } },
+    listId: nullable(id),
+    autoComplete: { type: 'boolean' },
+    position: { type: ['string', 'null'], description: 'Sort key for manual ordering' },
+    recurrence: { type: ['string', 'null'], examples: ['FREQ=WEEKLY;BYDAY=MO'] },
+    deletedAt: nullable(timestamp),
+    version: { type: 'integer', minimum: 1, description: 'Also sent as the ETag' },
+    createdAt: timestamp,
+    subtaskCounts: object({
+      total: { type: 'integer', minimum: 0 },
+      completed: { type: 'integer', minimum: 0 },
+    }),
+    seriesId: id,
+    occurrence: { type: 'integer', minimum: 1 },
+    nextOccurrenceId: id,
+  }, [
+    'id',
+    'title',
+    'description',
+    'completed',
+    'dueDate',
+    'priority',
+    'tags',
+    'listId',
+    'autoComplete',
+    'position',
+    'recurrence',
+    'deletedAt',
+    'version',
+    'subtaskCounts',
+  ]),
+
+  List: object({
+    id,
+    name: { type: 'string' },
+    createdAt: timestamp,
+    todoCount: { type: 'integer', minimum: 0 },
+    completedCount: { type: 'integer', minimum: 0 },
+    activeCount: { type: 'integer', minimum: 0 },
+  }),
+
+  Subtask: object({
+    id,
+    todoId: id,
+    title: { type: 'string' },
+    completed: { type: 'boolean' },
+    position: { type: 'integer' },
+    createdAt: timestamp,
+  }),
+
+  Reminder: object({
+    id,
+    todoId: id,
+    at: nullable(timestamp),
+    minutesBefore: { type: ['integer', 'null'] },
+    fireAt: nullable(timestamp),
+    status: { enum: ['pending', 'firing', 'fired', 'skipped'] },
+    firedAt: nullable(timestamp),
+    deliveryErrors: {
+      type: 'array',
+      items: object({ delivery: { type: 'string' }, message: { type: 'string' } }),
+    },
+    createdAt: timestamp,
+  }, ['id', 'todoId', 'at', 'minutesBefore', 'fireAt', 'status', 'firedAt', 'deliveryErrors']),
+
+  HistoryEntry: object({
+    id,
+    todoId: id,
+    title: { type: 'string' },
+    action: { type: 'string', examples: ['updated'] },
+    changes: {
+      type: 'array',
+      items: object({ field: { type: 'string' }, from: {}, to: {} }, ['field']),
+    },
+    snapshot: { type: 'object' },
+    user: nullable(object({ id, username: { type: 'string' } })),
+    requestId: { type: ['string', 'null'] },
+    revertOf: nullable(id),
+    createdAt: timestamp,
+  }, ['id', 'todoId', 'title', 'action', 'changes', 'snapshot', 'user', 'createdAt']),
+
+  BulkResult: object({
+    results: {
+      type: 'array',
+      items: object({
+        index: { type: 'integer', minimum: 0 },
+        op: { type: 'string' },
+        id,
+        status: { const: 'ok' },
+        todo: ref('Todo'),
+      }),
+    },
+  }),
+
+  ImportResult: object({
+    dryRun: { type: 'boolean' },
+    summary: object({
+      total: { type: 'integer', minimum: 0 },
+      imported: { type: 'integer', minimum: 0 },
+      duplicates: { type: 'integer', minimum: 0 },
+      errors: { type: 'integer', minimum: 0 },
+    }),
+    newLists: { type: 'array', items: { type: 'string' } },
+    rows: {
+      type: 'array',
+      items: object({
+        row: { type: 'integer', minimum: 1 },
+        status: { enum: ['ready', 'imported', 'duplicate', 'error'] },
+        title: { type: ['string', 'null'] },
+        id,
+        duplicateOf: { type: 'object' },
+        errors: {
+          type: 'array',
+          items: object({ field: { type: ['string', 'null'] }, message: { type: 'string' } }),
+        },
+      }, ['row', 'status', 'title']),
+    },
+  }),
+
+  Webhook: object({
+    id,
+    url: { type: 'string', format: 'uri' },
+    events: { type: 'array', items: { enum: WEBHOOK_EVENTS } },
+    active: { type: 'boolean' },
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    secret: { type: 'string', description: 'Only sent when the webhook is created' },
+  }, ['id', 'url', 'events', 'active', 'createdAt', 'updatedAt']),
+
+  WebhookDelivery: object({
+    id,
+    webhookId: id,
+    event: { enum: WEBHOOK_EVENTS },
+    payload: object({
+      id: { type: 'string' },
+      type: { enum: WEBHOOK_EVENTS },
+      createdAt: timestamp,
+      data: { type: 'object' },
+    }, ['id', 'type', 'data']),
+    status: { enum: ['pending', 'delivered', 'dead'] },
+    attempts: {
+      type: 'array',
+      items: object({
+        at: timestamp,
+        responseStatus: { type: ['integer', 'null'] },
+        error: { type: ['string', 'null'] },
+      }),
+    },
+    nextAttemptAt: nullable(timestamp),
+    createdAt: timestamp,
+    deliveredAt: nullable(timestamp),
+  }, ['id', 'webhookId', 'event', 'payload', 'status', 'attempts', 'nextAttemptAt']),
+};
+
+module.exports = { ref, schemas };
@@ -0,0 +1,92 @@
+const { DATE_PATTERN } = require('../validation/validate');
+
+// Turn the request schemas in validation/ into OpenAPI parameters and
+// request bodies, so the document can't drift from what the routes accept
+
+// Allow null as well as whatever the schema already takes
+const orNull = (schema) => {
+  if (schema.enum) {
+    return { ...schema, type: [schema.type, 'null'], enum: [...schema.enum, null] };
+  }
+  if (schema.type) {
+    return { ...schema, type: [schema.type, 'null'] };
+  }
+  return { anyOf: [schema, { type: 'null' }] };
+};
+
+const fromString = (rule) => ({
+  type: 'string',
+  ...(rule.minLength !== undefined && { minLength: rule.minLength }),
+  ...(rule.maxLength !== undefined && { maxLength: rule.maxLength }),
+  ...(rule.enum && { enum: rule.enum }),
+  // JSON Schema patterns have no flags, so ones that need them are left out
+  ...(rule.pattern && !rule.pattern.flags && { pattern: rule.pattern.source }),
+});
+
+// JSON Schema for one field rule
+const toJsonSchema = (rule) => {
+  let schema;
+  if (rule.schema) {
+    schema = rule.schema;
+  } else if (rule.type === 'string') {
+    schema = fromString(rule);
+  } else if (rule.type === 'integer') {
+    schema = {
+      type: 'integer',
+      ...(rule.min !== undefined && { minimum: rule.min }),
+      ...(rule.max !== undefined && { maximum: rule.max }),
+    };
+  } else if (rule.type === 'boolean') {
+    schema = { type: 'boolean' };
+  } else if (rule.type === 'array') {
+    schema = {
+      type: 'array',
+      items: toJsonSchema(rule.items),
+      ...(rule.maxItems !== undefined && { maxItems: rule.maxItems }),
+      ...(rule.distinct && { uniqueItems: true }),
+    };
+  } else if (rule.type === 'date') {
+    schema = { type: 'string', pattern: DATE_PATTERN.source, description: 'ISO 8601 date or date-time' };
+  } else {
+    schema = {};
+  }
+
+  if (rule.nullable) {
+    schema = orNull(schema);
+  }
+  if (rule.default !== undefined) {
+    schema = { ...schema, default: rule.default };
+  }
+  return schema;
+};
+
+// Object schema for a request body; unknown fields are rejected, as by validate()
+const toObjectSchema = (fields) => {
+  const required = Object.keys(fields).filter((field) => fields[field].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([field, rule]) => [field, toJsonSchema(rule)])),
+    ...(required.length > 0 && { required }),
+    additionalProperties: false,
+  };
+};
+
+// Parameters for the params and query of a request schema. Arrays in the
+// query string are comma-separated (?tag=a,b).
+const toParameters = ({ params = {}, query = {} } = {}) => [
+  ...Object.entries(params).map(([name, rule]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: toJsonSchema(rule),
+  })),
+  ...Object.entries(query).map(([name, rule]) => ({
+    name,
+    in: 'query',
+    required: Boolean(rule.required),
+    schema: toJsonSchema(rule),
+    ...(rule.type === 'array' && { style: 'form', explode: false }),
+  })),
+];
+
+module.exports = { toJsonSchema, toObjectSchema, toParameters };
@@ -0,0 +1,40 @@
+const { version } = require('../../package.json');
+const { schemas } = require('./components');
+const { paths } = require('./paths');
+
+const API_VERSION = 'v1';
+const API_BASE = `/api/${API_VERSION}`;
+
+/**
+ * The OpenAPI 3.1 document for the API, served at /api/openapi.json with
+ * interactive docs at /api/docs. The test suite checks every response the
+ * routes send against it (see __tests__/helpers.js).
+ */
+const createOpenApiDocument = () => ({
+  openapi: '3.1.0',
+  info: {
+    title: 'TODO App API',
+    version,
+    description:
+      'Todos, lists and everything hanging off them for the signed-in user. Errors always come in '
+      + 'the same { error: { code, message, details, requestId } } envelope.',
+  },
+  servers: [{ url: API_BASE }],
+  security: [{ sessionCookie: [] }, { bearerToken: [] }],
+  paths,
+  components: {
+    schemas,
+    responses: {
+      Error: {
+        description: 'Something went wrong; see error.code',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+      },
+    },
+    securitySchemes: {
+      sessionCookie: { type: 'apiKey', in: 'cookie', name: 'session' },
+      bearerToken: { type: 'http', scheme: 'bearer', description: 'The token from register or login' },
+    },
+  },
+});
+
+module.exports = { API_VERSION, API_BASE, createOpenApiDocument };
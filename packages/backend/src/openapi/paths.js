@@ -0,0 +1,511 @@
+const todoSchemas = require('../validation/todoSchemas');
+const listSchemas = require('../validation/listSchemas');
+const subtaskSchemas = require('../validation/subtaskSchemas');
+const reminderSchemas = require('../validation/reminderSchemas');
+const historySchemas = require('../validation/historySchemas');
+const webhookSchemas = require('../validation/webhookSchemas');
+const authSchemas = require('../validation/authSchemas');
+const { FORMATS } = require('../formats');
+const { toObjectSchema, toParameters } = require('./fromValidation');
+const { ref } = require('./components');
+
+// Every route of the API, relative to /api/v1. Parameters and request
+// bodies come from the same schemas validate() checks requests against.
+
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const arrayOf = (name) => ({ type: 'array', items: ref(name) });
+
+const header = (description, schema = { type: 'string' }) => ({ description, schema });
+const ETAG = { ETag: header('The todo\'s version, for If-Match, and its subtask progress when it has subtasks') };
+
+const IF_MATCH = {
+  name: 'If-Match',
+  in: 'header',
+  required: false,
+  description: 'Only go ahead if the todo is still at this version (its ETag); answers 412 otherwise',
+  schema: { type: 'string' },
+};
+
+const ok = (description, schema, headers) => ({
+  description,
+  ...(schema && json(schema)),
+  ...(headers && { headers }),
+});
+
+// One operation. request is a schema from validation/; body replaces its
+// body when that is checked by hand. Operations need a session unless public.
+const operation = ({ id, tag, summary, request = {}, body, ifMatch, responses, isPublic }) => {
+  const parameters = [...toParameters(request), ...(ifMatch ? [IF_MATCH] : [])];
+  const bodySchema = body || (request.body && toObjectSchema(request.body));
+  return {
+    operationId: id,
+    tags: [tag],
+    summary,
+    ...(parameters.length > 0 && { parameters }),
+    ...(bodySchema && { requestBody: { required: true, ...json(bodySchema) } }),
+    responses: { ...responses, default: { $ref: '#/components/responses/Error' } },
+    ...(isPublic && { security: [] }),
+  };
+};
+
+const todoById = { params: todoSchemas.todoById.params };
+
+const bulkOperation = {
+  type: 'object',
+  properties: {
+    op: { enum: todoSchemas.BULK_OPS },
+    id: { type: 'integer', minimum: 1 },
+    completed: { type: 'boolean', description: 'For setCompleted' },
+    changes: { ...toObjectSchema(todoSchemas.updateTodo.body), description: 'For update' },
+  },
+  required: ['op', 'id'],
+  additionalProperties: false,
+};
+
+const exportContent = Object.fromEntries(
+  Object.values(FORMATS).map(({ contentType }) => [contentType.split(';')[0], { schema: { type: 'string' } }])
+);
+
+const paths = {
+  '/auth/register': {
+    post: operation({
+      id: 'register',
+      tag: 'Auth',
+      summary: 'Create an account and sign in',
+      request: authSchemas.register,
+      responses: { 201: ok('Signed in', ref('Session')) },
+      isPublic: true,
+    }),
+  },
+  '/auth/login': {
+    post: operation({
+      id: 'login',
+      tag: 'Auth',
+      summary: 'Exchange credentials for a session',
+      request: authSchemas.login,
+      responses: { 200: ok('Signed in', ref('Session')) },
+      isPublic: true,
+    }),
+  },
+  '/auth/logout': {
+    post: operation({
+      id: 'logout',
+      tag: 'Auth',
+      summary: 'End the current session',
+      responses: { 204: ok('Signed out') },
+    }),
+  },
+  '/auth/me': {
+    get: operation({
+      id: 'getCurrentUser',
+      tag: 'Auth',
+      summary: 'The signed-in user',
+      responses: { 200: ok('The user', { type: 'object', properties: { user: ref('User') }, required: ['user'] }) },
+    }),
+  },
+
+  '/todos': {
+    get: operation({
+      id: 'listTodos',
+      tag: 'Todos',
+      summary: 'List todos with optional filters, sort and pagination',
+      request: todoSchemas.listTodos,
+      responses: {
+        200: ok('One page of todos', arrayOf('Todo'), {
+          'X-Total-Count': header('Todos matching the filters', { type: 'integer' }),
+          'X-Active-Count': header('Active todos matching every filter but completed', { type: 'integer' }),
+          'X-Completed-Count': header('Completed todos matching every filter but completed', { type: 'integer' }),
+          'X-Next-Cursor': header('Pass as cursor for the next page; absent on the last one'),
+        }),
+      },
+    }),
+    post: operation({
+      id: 'createTodo',
+      tag: 'Todos',
+      summary: 'Create a todo, optionally reading its fields out of the title (quickAdd)',
+      request: todoSchemas.createTodo,
+      responses: { 201: ok('The new todo', ref('Todo'), ETAG) },
+    }),
+  },
+  '/todos/bulk': {
+    post: operation({
+      id: 'bulkTodos',
+      tag: 'Todos',
+      summary: 'Apply a batch of operations all together or not at all',
+      body: {
+        type: 'object',
+        properties: {
+          operations: { type: 'array', items: bulkOperation, maxItems: todoSchemas.MAX_BULK_OPERATIONS },
+        },
+        required: ['operations'],
+        additionalProperties: false,
+      },
+      responses: { 200: ok('What each operation did', ref('BulkResult')) },
+    }),
+  },
+  '/todos/export': {
+    get: operation({
+      id: 'exportTodos',
+      tag: 'Import and export',
+      summary: 'Download the todos matching the usual filters',
+      request: todoSchemas.exportTodos,
+      responses: { 200: { description: 'A file in the format asked for', content: exportContent } },
+    }),
+  },
+  '/todos/import': {
+    post: {
+      ...operation({
+        id: 'importTodos',
+        tag: 'Import and export',
+        summary: 'Import a file sent as the raw body',
+        request: todoSchemas.importTodos,
+        responses: { 200: ok('A report on every row', ref('ImportResult')) },
+      }),
+      requestBody: {
+        required: true,
+        description: 'Send it as text/plain: JSON bodies are size-capped',
+        content: { 'text/plain': { schema: { type: 'string' } } },
+      },
+    },
+  },
+  '/todos/trash': {
+    get: operation({
+      id: 'listTrash',
+      tag: 'Trash',
+      summary: 'Trashed todos, most recently deleted first',
+      responses: { 200: ok('Trashed todos', arrayOf('Todo')) },
+    }),
+    delete: operation({
+      id: 'emptyTrash',
+      tag: 'Trash',
+      summary: 'Empty the trash',
+      responses: {
+        200: ok('Trash emptied', {
+          type: 'object',
+          properties: { message: { type: 'string' }, purgedTodos: { type: 'integer', minimum: 0 } },
+          required: ['message', 'purgedTodos'],
+        }),
+      },
+    }),
+  },
+  '/todos/trash/{id}/restore': {
+    post: operation({
+      id: 'restoreTodo',
+      tag: 'Trash',
+      summary: 'Put a todo back where it was',
+      request: todoById,
+      ifMatch: true,
+      responses: { 200: ok('The restored todo', ref('Todo'), ETAG) },
+    }),
+  },
+  '/todos/trash/{id}': {
+    delete: operation({
+      id: 'purgeTodo',
+      tag: 'Trash',
+      summary: 'Delete a trashed todo for good',
+      request: todoById,
+      ifMatch: true,
+      responses: { 200: ok('Deleted', ref('Message')) },
+    }),
+  },
+  '/todos/{id}': {
+    get: operation({
+      id: 'getTodo',
+      tag: 'Todos',
+      summary: 'One todo',
+      request: todoById,
+      responses: { 200: ok('The todo', ref('Todo'), ETAG) },
+    }),
+    put: operation({
+      id: 'updateTodo',
+      tag: 'Todos',
+      summary: 'Change some of a todo\'s fields',
+      request: todoSchemas.updateTodo,
+      ifMatch: true,
+      responses: { 200: ok('The updated todo', ref('Todo'), ETAG) },
+    }),
+    delete: operation({
+      id: 'deleteTodo',
+      tag: 'Todos',
+      summary: 'Move a todo to the trash, subtasks and all',
+      request: todoById,
+      ifMatch: true,
+      responses: { 200: ok('Moved to the trash', ref('Message')) },
+    }),
+  },
+  '/todos/{id}/toggle': {
+    patch: operation({
+      id: 'toggleTodo',
+      tag: 'Todos',
+      summary: 'Toggle completion; completing a recurring todo creates its next occurrence',
+      request: todoById,
+      ifMatch: true,
+      responses: { 200: ok('The toggled todo', ref('Todo'), ETAG) },
+    }),
+  },
+  '/todos/{id}/skip': {
+    post: operation({
+      id: 'skipOccurrence',
+      tag: 'Todos',
+      summary: 'Move a recurring todo on to its next occurrence',
+      request: todoById,
+      ifMatch: true,
+      responses: { 200: ok('The todo, due next time', ref('Todo'), ETAG) },
+    }),
+  },
+  '/todos/{id}/move': {
+    post: operation({
+      id: 'moveTodo',
+      tag: 'Todos',
+      summary: 'Place a todo directly before or after another',
+      request: todoSchemas.moveTodo,
+      ifMatch: true,
+      responses: { 200: ok('The moved todo', ref('Todo'), ETAG) },
+    }),
+  },
+
+  '/todos/{id}/subtasks': {
+    get: operation({
+      id: 'listSubtasks',
+      tag: 'Subtasks',
+      summary: 'Subtasks in order',
+      request: subtaskSchemas.listSubtasks,
+      responses: { 200: ok('The subtasks', arrayOf('Subtask')) },
+    }),
+    post: operation({
+      id: 'createSubtask',
+      tag: 'Subtasks',
+      summary: 'Append a subtask',
+      request: subtaskSchemas.createSubtask,
+      responses: { 201: ok('The new subtask', ref('Subtask')) },
+    }),
+  },
+  '/todos/{id}/subtasks/order': {
+    put: operation({
+      id: 'reorderSubtasks',
+      tag: 'Subtasks',
+      summary: 'Reorder all subtasks at once',
+      request: subtaskSchemas.reorderSubtasks,
+      responses: { 200: ok('The subtasks in their new order', arrayOf('Subtask')) },
+    }),
+  },
+  '/todos/{id}/subtasks/{subtaskId}': {
+    put: operation({
+      id: 'updateSubtask',
+      tag: 'Subtasks',
+      summary: 'Rename or complete a subtask',
+      request: subtaskSchemas.updateSubtask,
+      responses: { 200: ok('The updated subtask', ref('Subtask')) },
+    }),
+    delete: operation({
+      id: 'deleteSubtask',
+      tag: 'Subtasks',
+      summary: 'Delete a subtask',
+      request: subtaskSchemas.subtaskById,
+      responses: { 200: ok('Deleted', ref('Message')) },
+    }),
+  },
+  '/todos/{id}/subtasks/{subtaskId}/toggle': {
+    patch: operation({
+      id: 'toggleSubtask',
+      tag: 'Subtasks',
+      summary: 'Toggle a subtask',
+      request: subtaskSchemas.subtaskById,
+      responses: { 200: ok('The toggled subtask', ref('Subtask')) },
+    }),
+  },
+
+  '/todos/{id}/reminders': {
+    get: operation({
+      id: 'listReminders',
+      tag: 'Reminders',
+      summary: 'The todo\'s reminders, soonest first',
+      request: reminderSchemas.listReminders,
+      responses: { 200: ok('The reminders', arrayOf('Reminder')) },
+    }),
+    post: operation({
+      id: 'createReminder',
+      tag: 'Reminders',
+      summary: 'Remind at a time (at), or some minutes before the due date (minutesBefore)',
+      request: reminderSchemas.createReminder,
+      responses: { 201: ok('The new reminder', ref('Reminder')) },
+    }),
+  },
+  '/todos/{id}/reminders/{reminderId}': {
+    delete: operation({
+      id: 'deleteReminder',
+      tag: 'Reminders',
+      summary: 'Cancel a reminder',
+      request: reminderSchemas.reminderById,
+      responses: { 200: ok('Deleted', ref('Message')) },
+    }),
+  },
+
+  '/todos/{id}/history': {
+    get: operation({
+      id: 'todoHistory',
+      tag: 'History',
+      summary: 'Changes to the todo, newest first',
+      request: historySchemas.todoHistory,
+      responses: { 200: ok('The change log', arrayOf('HistoryEntry')) },
+    }),
+  },
+  '/todos/{id}/history/{entryId}/revert': {
+    post: operation({
+      id: 'revertTodo',
+      tag: 'History',
+      summary: 'Bring back the version the todo had right after that change',
+      request: historySchemas.revertTodo,
+      responses: { 200: ok('The reverted todo', ref('Todo'), ETAG) },
+    }),
+  },
+  '/activity': {
+    get: operation({
+      id: 'listActivity',
+      tag: 'History',
+      summary: 'Changes to all of the user\'s todos, newest first',
+      request: historySchemas.listActivity,
+      responses: {
+        200: ok('One page of changes', arrayOf('HistoryEntry'), {
+          'X-Next-Cursor': header('Pass as cursor for the next page; absent on the last one'),
+        }),
+      },
+    }),
+  },
+
+  '/lists': {
+    get: operation({
+      id: 'listLists',
+      tag: 'Lists',
+      summary: 'All lists with their todo counts',
+      responses: { 200: ok('The lists', arrayOf('List')) },
+    }),
+    post: operation({
+      id: 'createList',
+      tag: 'Lists',
+      summary: 'Create a list',
+      request: listSchemas.createList,
+      responses: { 201: ok('The new list', ref('List')) },
+    }),
+  },
+  '/lists/{id}': {
+    get: operation({
+      id: 'getList',
+      tag: 'Lists',
+      summary: 'One list with its counts',
+      request: listSchemas.listById,
+      responses: { 200: ok('The list', ref('List')) },
+    }),
+    put: operation({
+      id: 'renameList',
+      tag: 'Lists',
+      summary: 'Rename a list',
+      request: listSchemas.updateList,
+      responses: { 200: ok('The renamed list', ref('List')) },
+    }),
+    delete: operation({
+      id: 'deleteList',
+      tag: 'Lists',
+      summary: 'Delete a list, trashing its todos (cascade) or moving them (reassignTo, or the inbox)',
+      request: listSchemas.deleteList,
+      responses: {
+        200: ok('Deleted', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            deletedTodos: { type: 'integer', minimum: 0 },
+            movedTodos: { type: 'integer', minimum: 0 },
+          },
+          required: ['message', 'deletedTodos', 'movedTodos'],
+        }),
+      },
+    }),
+  },
+
+  '/events': {
+    get: {
+      ...operation({
+        id: 'streamEvents',
+        tag: 'Events',
+        summary: 'Server-Sent Events stream of the user\'s changes',
+        request: { query: { lastEventId: { type: 'string' } } },
+        responses: {
+          200: {
+            description: 'Events named after the change (todo.created, subtask.updated, subtask.reordered, list.deleted, '
+              + 'reminder.fired, ...). '
+              + 'A reset event means missed events are gone and everything should be refetched.',
+            content: { 'text/event-stream': { schema: { type: 'string' } } },
+          },
+        },
+      }),
+    },
+  },
+
+  '/webhooks': {
+    get: operation({
+      id: 'listWebhooks',
+      tag: 'Webhooks',
+      summary: 'The user\'s webhooks',
+      responses: { 200: ok('The webhooks', arrayOf('Webhook')) },
+    }),
+    post: operation({
+      id: 'createWebhook',
+      tag: 'Webhooks',
+      summary: 'Subscribe a URL to todo events; the response is the only one with the secret',
+      request: webhookSchemas.createWebhook,
+      responses: { 201: ok('The new webhook, with its secret', ref('Webhook')) },
+    }),
+  },
+  '/webhooks/dead-letters': {
+    get: operation({
+      id: 'listDeadLetters',
+      tag: 'Webhooks',
+      summary: 'Deliveries that ran out of retries, newest first',
+      request: webhookSchemas.listDeadLetters,
+      responses: { 200: ok('Dead deliveries', arrayOf('WebhookDelivery')) },
+    }),
+  },
+  '/webhooks/{id}': {
+    get: operation({
+      id: 'getWebhook',
+      tag: 'Webhooks',
+      summary: 'One webhook',
+      request: webhookSchemas.webhookById,
+      responses: { 200: ok('The webhook', ref('Webhook')) },
+    }),
+    put: operation({
+      id: 'updateWebhook',
+      tag: 'Webhooks',
+      summary: 'Change the URL, events or secret, or pause it',
+      request: webhookSchemas.updateWebhook,
+      responses: { 200: ok('The updated webhook', ref('Webhook')) },
+    }),
+    delete: operation({
+      id: 'deleteWebhook',
+      tag: 'Webhooks',
+      summary: 'Unsubscribe, dropping anything still queued',
+      request: webhookSchemas.webhookById,
+      responses: { 200: ok('Deleted', ref('Message')) },
+    }),
+  },
+  '/webhooks/{id}/deliveries': {
+    get: operation({
+      id: 'listWebhookDeliveries',
+      tag: 'Webhooks',
+      summary: 'Delivery log, newest first, with every attempt',
+      request: webhookSchemas.listDeliveries,
+      responses: { 200: ok('The deliveries', arrayOf('WebhookDelivery')) },
+    }),
+  },
+  '/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+    post: operation({
+      id: 'redeliverWebhook',
+      tag: 'Webhooks',
+      summary: 'Send a delivery again now, with a fresh set of retries',
+      request: webhookSchemas.deliveryById,
+      responses: { 202: ok('Queued', ref('WebhookDelivery')) },
+    }),
+  },
+};
+
+module.exports = { paths };
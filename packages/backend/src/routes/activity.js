@@ -0,0 +1,26 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/historySchemas');
+const { listActivity, toHistoryEntry } = require('../services/history');
+
+// Routes for /api/activity - one feed of the changes to all of the user's todos
+const createActivityRouter = ({ store }) => {
+  const router = express.Router();
+
+  // GET /api/activity - Newest first; X-Next-Cursor points at the next page
+  router.get('/', validate(schemas.listActivity), asyncHandler(async (req, res) => {
+    const { limit, cursor } = req.query;
+    const { items, next } = await listActivity(store, req.user.id, { limit, before: cursor });
+    const users = await store.users.list();
+
+    if (next) {
+      res.set('X-Next-Cursor', String(next));
+    }
+    res.json(items.map((entry) => toHistoryEntry(entry, users)));
+  }));
+
+  return router;
+};
+
+module.exports = { createActivityRouter };
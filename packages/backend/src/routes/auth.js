@@ -0,0 +1,107 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { ConflictError, UnauthorizedError } = require('../errors');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/authSchemas');
+const { authenticate, SESSION_COOKIE } = require('../middleware/authenticate');
+const {
+  hashPassword,
+  verifyPassword,
+  rejectPassword,
+  createSession,
+  toUser,
+} = require('../services/auth');
+
+// Routes for /api/auth - registration, login, logout and the current user
+const createAuthRouter = ({ store, clock, config }) => {
+  const router = express.Router();
+  const { sessionTtlMs, cookieSecure } = config.auth;
+
+  const findUser = async (username) => {
+    const users = await store.users.list();
+    return users.find((u) => u.username.toLowerCase() === username.toLowerCase()) || null;
+  };
+
+  // Issue a session and hand the token back both as a cookie and in the body
+  const startSession = async (res, user, status) => {
+    const { token, expiresAt } = await createSession({ store, clock, ttlMs: sessionTtlMs }, user.id);
+
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: cookieSecure,
+      maxAge: sessionTtlMs,
+      path: '/',
+    });
+    res.status(status).json({ user: toUser(user), token, expiresAt });
+  };
+
+  // Usernames (lowercased) with a registration under way. Taken before the
+  // store is read and released after the insert, so two requests for one
+  // name at the same time cannot both find it free.
+  const registering = new Set();
+
+  const takenError = () => new ConflictError('Username is already taken', [
+    { location: 'body', field: 'username', message: 'is already taken' },
+  ]);
+
+  // POST /api/auth/register - Create an account and sign in
+  router.post('/register', validate(schemas.register), asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+    const key = username.toLowerCase();
+
+    if (registering.has(key)) {
+      throw takenError();
+    }
+    registering.add(key);
+
+    let user;
+    try {
+      const passwordHash = await hashPassword(password);
+      if (await findUser(username)) {
+        throw takenError();
+      }
+      user = await store.users.insert({
+        username,
+        passwordHash,
+        createdAt: clock.now().toISOString(),
+      });
+    } finally {
+      registering.delete(key);
+    }
+
+    await startSession(res, user, 201);
+  }));
+
+  // POST /api/auth/login - Exchange credentials for a session
+  router.post('/login', validate(schemas.login), asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+    const user = await findUser(username);
+
+    const valid = user
+      ? await verifyPassword(password, user.passwordHash)
+      : await rejectPassword(password);
+
+    if (!valid) {
+      throw new UnauthorizedError('Invalid username or password');
+    }
+
+    await startSession(res, user, 200);
+  }));
+
+  // POST /api/auth/logout - End the current session
+  router.post('/logout', authenticate({ store, clock }), asyncHandler(async (req, res) => {
+    await store.sessions.remove(req.session.id);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.status(204).end();
+  }));
+
+  // GET /api/auth/me - The signed-in user
+  router.get('/me', authenticate({ store, clock }), (req, res) => {
+    res.json({ user: toUser(req.user) });
+  });
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
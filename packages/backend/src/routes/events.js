@@ -0,0 +1,56 @@
+const express = require('express');
+
+// GET /api/events - Server-Sent Events stream of the user's changes.
+// Clients resume with the Last-Event-ID header (sent automatically by
+// EventSource) or ?lastEventId=; when the missed events are gone a "reset"
+// event tells the client to refetch everything instead.
+
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 3000;
+
+const formatEvent = (event) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+const createEventsRouter = ({ events, heartbeatMs = HEARTBEAT_MS }) => {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = events.since(req.user.id, lastEventId);
+      if (missed) {
+        missed.forEach((event) => res.write(formatEvent(event)));
+      } else {
+        res.write('event: reset\ndata: {}\n\n');
+      }
+    }
+
+    const unsubscribe = events.subscribe(
+      req.user.id,
+      (event) => res.write(formatEvent(event)),
+      () => res.end()
+    );
+
+    // Comments keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createEventsRouter };
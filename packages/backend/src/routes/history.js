@@ -0,0 +1,42 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { NotFoundError } = require('../errors');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/historySchemas');
+const { listHistoryOf, revertChanges, toHistoryEntry } = require('../services/history');
+const { updateTodo } = require('../services/todos');
+const { sendTodo } = require('../utils/etag');
+
+// Routes for /api/todos/:id/history - the todo's change log, and reverting
+// to an earlier version. findOwnTodo and publishTodo come from the todos
+// router; publishTodo is also what records each change.
+const createHistoryRouter = ({ store, findOwnTodo, publishTodo }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // GET /api/todos/:id/history - Changes to the todo, newest first
+  router.get('/', validate(schemas.todoHistory), asyncHandler(async (req, res) => {
+    await findOwnTodo(req, req.params.id);
+    const entries = await listHistoryOf(store, req.params.id);
+    const users = await store.users.list();
+
+    res.json(entries.reverse().map((entry) => toHistoryEntry(entry, users)));
+  }));
+
+  // POST /api/todos/:id/history/:entryId/revert - Bring back the version
+  // the todo had right after that change
+  router.post('/:entryId/revert', validate(schemas.revertTodo), asyncHandler(async (req, res) => {
+    const { id, entryId } = req.params;
+    const todo = await findOwnTodo(req, id);
+    const entry = await store.history.get(entryId);
+    if (!entry || entry.todoId !== id) {
+      throw new NotFoundError('History entry not found');
+    }
+
+    const reverted = await updateTodo(store, todo, await revertChanges(store, todo, entry));
+    sendTodo(res, await publishTodo(req, 'todo.updated', reverted, { action: 'reverted', revertOf: entry.id }));
+  }));
+
+  return router;
+};
+
+module.exports = { createHistoryRouter };
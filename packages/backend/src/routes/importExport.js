@@ -0,0 +1,87 @@
+const { once } = require('events');
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError } = require('../errors');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/todoSchemas');
+const { toTodo } = require('../models/todo');
+const { toList } = require('../services/lists');
+const { FORMATS, toRecord } = require('../formats');
+const { queryTodos } = require('../services/todoQuery');
+const { listOwnTodos } = require('../services/todos');
+const { importTodos } = require('../services/todoImport');
+
+const MAX_IMPORT_BYTES = '2mb';
+
+// Routes for /api/todos/export and /api/todos/import - moving todos in and
+// out as JSON, CSV, Markdown checklists or iCalendar VTODOs.
+// publishTodo comes from the todos router.
+const createImportExportRouter = ({ store, clock, events, publishTodo }) => {
+  const router = express.Router();
+
+  const ownLists = async (userId) =>
+    (await store.lists.list()).filter((l) => l.ownerId === userId);
+
+  // GET /api/todos/export?format= - Download the todos matching the usual filters
+  router.get('/export', validate(schemas.exportTodos), asyncHandler(async (req, res) => {
+    const { format, ...query } = req.query;
+    const formatter = FORMATS[format];
+    const { items } = queryTodos(await listOwnTodos(store, req.user.id), query);
+    const listNames = new Map((await ownLists(req.user.id)).map((l) => [l.id, l.name]));
+    const now = clock.now();
+
+    res.type(formatter.contentType);
+    res.attachment(`todos-${now.toISOString().slice(0, 10)}.${formatter.extension}`);
+    for (const chunk of formatter.serialize(items.map((todo) => toRecord(toTodo(todo), listNames)), { now })) {
+      // Respect backpressure from slow clients
+      if (!res.write(chunk)) {
+        await once(res, 'drain');
+      }
+    }
+    res.end();
+  }));
+
+  // POST /api/todos/import?format=&dryRun= - Import a file sent as the raw body.
+  // Send it as text/plain: application/json bodies are capped by express.json().
+  router.post(
+    '/import',
+    express.text({ type: () => true, limit: MAX_IMPORT_BYTES }),
+    validate(schemas.importTodos),
+    asyncHandler(async (req, res) => {
+      const { format, dryRun } = req.query;
+      const text = typeof req.body === 'string' ? req.body : '';
+      if (!text.trim()) {
+        throw new ValidationError('The file is empty', [
+          { location: 'body', field: null, message: 'must not be empty' },
+        ]);
+      }
+
+      const rows = FORMATS[format].parse(text);
+      if (rows.length > schemas.MAX_IMPORT_ROWS) {
+        throw new ValidationError(`Import at most ${schemas.MAX_IMPORT_ROWS} todos at a time`, [
+          { location: 'body', field: null, message: `has more than ${schemas.MAX_IMPORT_ROWS} todos` },
+        ]);
+      }
+
+      const { created, ...result } = await importTodos({
+        store,
+        clock,
+        userId: req.user.id,
+        rows,
+        dryRun,
+      });
+
+      for (const list of created.lists) {
+        events.publish(req.user.id, 'list.created', toList(list, []));
+      }
+      for (const todo of created.todos) {
+        await publishTodo(req, 'todo.created', todo);
+      }
+      res.json(result);
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createImportExportRouter };
@@ -0,0 +1,119 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { ConflictError, ValidationError } = require('../errors');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/listSchemas');
+const { findOwnList, toList } = require('../services/lists');
+const { listOwnTodos, updateTodo } = require('../services/todos');
+const { trashTodo } = require('../services/trash');
+const { recordTodoChange } = require('../services/history');
+
+// Routes for /api/lists - named lists that group a user's todos.
+// Changes are published on the event bus like todo changes.
+const createListsRouter = ({ store, clock, events }) => {
+  const router = express.Router();
+
+  const ownLists = async (userId) =>
+    (await store.lists.list()).filter((l) => l.ownerId === userId);
+
+  const ownTodos = (userId) => listOwnTodos(store, userId);
+
+  const assertNameAvailable = async (userId, name, exceptId) => {
+    const taken = (await ownLists(userId)).some(
+      (l) => l.id !== exceptId && l.name.toLowerCase() === name.toLowerCase()
+    );
+    if (taken) {
+      throw new ConflictError('A list with that name already exists', [
+        { location: 'body', field: 'name', message: 'is already used by another list' },
+      ]);
+    }
+  };
+
+  // GET /api/lists - All lists with their todo counts
+  router.get('/', asyncHandler(async (req, res) => {
+    const [lists, todos] = await Promise.all([ownLists(req.user.id), ownTodos(req.user.id)]);
+    res.json(lists.map((list) => toList(list, todos)));
+  }));
+
+  // POST /api/lists - Create a list
+  router.post('/', validate(schemas.createList), asyncHandler(async (req, res) => {
+    await assertNameAvailable(req.user.id, req.body.name);
+
+    const list = await store.lists.insert({
+      name: req.body.name,
+      ownerId: req.user.id,
+      createdAt: clock.now().toISOString(),
+    });
+
+    const created = toList(list, []);
+    events.publish(req.user.id, 'list.created', created);
+    res.status(201).json(created);
+  }));
+
+  // GET /api/lists/:id - One list with its counts
+  router.get('/:id', validate(schemas.listById), asyncHandler(async (req, res) => {
+    const list = await findOwnList(store, req.user.id, req.params.id);
+    res.json(toList(list, await ownTodos(req.user.id)));
+  }));
+
+  // PUT /api/lists/:id - Rename a list
+  router.put('/:id', validate(schemas.updateList), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    await findOwnList(store, req.user.id, id);
+    await assertNameAvailable(req.user.id, req.body.name, id);
+
+    const list = await store.lists.update(id, { name: req.body.name });
+    const updated = toList(list, await ownTodos(req.user.id));
+    events.publish(req.user.id, 'list.updated', updated);
+    res.json(updated);
+  }));
+
+  // DELETE /api/lists/:id - Delete a list, trashing or reassigning its todos
+  router.delete('/:id', validate(schemas.deleteList), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { cascade, reassignTo } = req.query;
+    await findOwnList(store, req.user.id, id);
+
+    if (cascade && reassignTo !== undefined) {
+      throw new ValidationError('Use either cascade or reassignTo, not both');
+    }
+    if (reassignTo !== undefined) {
+      if (reassignTo === id) {
+        throw new ValidationError('Cannot reassign todos to the list being deleted');
+      }
+      await findOwnList(store, req.user.id, reassignTo);
+    }
+
+    const todos = (await ownTodos(req.user.id)).filter((t) => t.listId === id);
+    for (const todo of todos) {
+      const updated = cascade
+        ? await trashTodo(store, todo, clock)
+        : await updateTodo(store, todo, { listId: reassignTo ?? null });
+      await recordTodoChange(store, {
+        todo: updated,
+        action: cascade ? 'deleted' : 'updated',
+        userId: req.user.id,
+        requestId: req.id,
+        at: clock.now().toISOString(),
+      });
+    }
+    await store.lists.remove(id);
+    // Todos that went with it are deleted like any other, for webhooks and
+    // subscriptions that only follow todos
+    if (cascade) {
+      todos.forEach((todo) => events.publish(req.user.id, 'todo.deleted', { id: todo.id }));
+    }
+    // Its todos moved or went with it, so clients refetch rather than patch
+    events.publish(req.user.id, 'list.deleted', { id });
+
+    res.json({
+      message: 'List deleted successfully',
+      deletedTodos: cascade ? todos.length : 0,
+      movedTodos: cascade ? 0 : todos.length,
+    });
+  }));
+
+  return router;
+};
+
+module.exports = { createListsRouter };
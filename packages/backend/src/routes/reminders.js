@@ -0,0 +1,68 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/reminderSchemas');
+const { bySoonest, listRemindersOf, toReminder } = require('../services/reminders');
+
+// Routes for /api/todos/:id/reminders - times to bring a todo back to its
+// owner's attention. They fire from the scheduler in services/reminders.js.
+const createRemindersRouter = ({ store, clock, findOwnTodo }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // GET /api/todos/:id/reminders - The todo's reminders, soonest first
+  router.get('/', validate(schemas.listReminders), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    const reminders = (await listRemindersOf(store, todo.id)).map((r) => toReminder(r, todo));
+
+    res.json(reminders.sort(bySoonest));
+  }));
+
+  // POST /api/todos/:id/reminders - Remind at a time, or some minutes before the due date
+  router.post('/', validate(schemas.createReminder), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    const { at, minutesBefore } = req.body;
+
+    if ((at === undefined) === (minutesBefore === undefined)) {
+      throw new ValidationError('Send exactly one of at and minutesBefore', [
+        { location: 'body', field: null, message: 'must have exactly one of at and minutesBefore' },
+      ]);
+    }
+    if (at !== undefined && Date.parse(at) <= clock.now().getTime()) {
+      throw new ValidationError('at must be in the future', [
+        { location: 'body', field: 'at', message: 'must be in the future' },
+      ]);
+    }
+    const existing = await listRemindersOf(store, todo.id);
+    if (existing.length >= schemas.MAX_REMINDERS) {
+      throw new ConflictError(`A todo can have at most ${schemas.MAX_REMINDERS} reminders`);
+    }
+
+    const reminder = await store.reminders.insert({
+      todoId: todo.id,
+      at: at === undefined ? null : new Date(at).toISOString(),
+      minutesBefore: minutesBefore ?? null,
+      status: 'pending',
+      firedAt: null,
+      createdAt: clock.now().toISOString(),
+    });
+
+    res.status(201).json(toReminder(reminder, todo));
+  }));
+
+  // DELETE /api/todos/:id/reminders/:reminderId - Cancel a reminder
+  router.delete('/:reminderId', validate(schemas.reminderById), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    const reminder = await store.reminders.get(req.params.reminderId);
+    if (!reminder || reminder.todoId !== todo.id) {
+      throw new NotFoundError('Reminder not found');
+    }
+
+    await store.reminders.remove(reminder.id);
+    res.json({ message: 'Reminder deleted successfully' });
+  }));
+
+  return router;
+};
+
+module.exports = { createRemindersRouter };
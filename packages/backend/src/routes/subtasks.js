@@ -0,0 +1,133 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/subtaskSchemas');
+const { listSubtasksOf, syncParentCompletion, toSubtask } = require('../services/subtasks');
+const { spawnNextOccurrence } = require('../services/recurrence');
+const { toTodo } = require('../models/todo');
+
+// Routes for /api/todos/:id/subtasks - ordered checklist items inside a todo.
+// findOwnTodo and publishTodo come from the todos router so ownership rules
+// and change events stay in one place.
+const createSubtasksRouter = ({ store, clock, events, findOwnTodo, publishTodo }) => {
+  const router = express.Router({ mergeParams: true });
+
+  const findSubtask = async (todoId, subtaskId) => {
+    const subtask = await store.subtasks.get(subtaskId);
+    if (!subtask || subtask.todoId !== todoId) {
+      throw new NotFoundError('Subtask not found');
+    }
+    return subtask;
+  };
+
+  // Subtask changes are published as subtask.* events carrying the parent's
+  // new progress. The parent itself only changes (and is published as
+  // todo.updated) when finishing or reopening a subtask flips its
+  // completion; a recurring todo completed that way then recurs.
+  const syncParent = async (req, todo, type, subtaskId) => {
+    const parent = await syncParentCompletion(store, todo);
+    const { subtaskCounts } = toTodo(parent, await listSubtasksOf(store, todo.id));
+    events.publish(req.user.id, type, { id: subtaskId, todoId: todo.id, subtaskCounts });
+
+    if (parent === todo) {
+      return;
+    }
+    const next = await spawnNextOccurrence(store, parent, clock);
+    await publishTodo(req, 'todo.updated', await store.todos.get(todo.id));
+    if (next) {
+      await publishTodo(req, 'todo.created', next);
+    }
+  };
+
+  // GET /api/todos/:id/subtasks - Subtasks in order
+  router.get('/', validate(schemas.listSubtasks), asyncHandler(async (req, res) => {
+    await findOwnTodo(req, req.params.id);
+    const subtasks = await listSubtasksOf(store, req.params.id);
+    res.json(subtasks.map(toSubtask));
+  }));
+
+  // POST /api/todos/:id/subtasks - Append a subtask
+  router.post('/', validate(schemas.createSubtask), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    const existing = await listSubtasksOf(store, todo.id);
+
+    if (existing.length >= schemas.MAX_SUBTASKS) {
+      throw new ConflictError(`A todo can have at most ${schemas.MAX_SUBTASKS} subtasks`);
+    }
+
+    const subtask = await store.subtasks.insert({
+      todoId: todo.id,
+      title: req.body.title,
+      completed: false,
+      position: existing.length ? existing[existing.length - 1].position + 1 : 0,
+      createdAt: clock.now().toISOString(),
+    });
+    await syncParent(req, todo, 'subtask.created', subtask.id);
+
+    res.status(201).json(toSubtask(subtask));
+  }));
+
+  // PUT /api/todos/:id/subtasks/order - Reorder all subtasks at once
+  router.put('/order', validate(schemas.reorderSubtasks), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    const existing = await listSubtasksOf(store, todo.id);
+    const { ids } = req.body;
+
+    const sameSet =
+      ids.length === existing.length && existing.every((s) => ids.includes(s.id));
+    if (!sameSet) {
+      throw new ValidationError('ids must list every subtask of the todo exactly once', [
+        { location: 'body', field: 'ids', message: 'must list every subtask exactly once' },
+      ]);
+    }
+
+    for (const [position, id] of ids.entries()) {
+      await store.subtasks.update(id, { position });
+    }
+
+    // Progress is unchanged, but sent like the other subtask events
+    const subtasks = await listSubtasksOf(store, todo.id);
+    const { subtaskCounts } = toTodo(todo, subtasks);
+    events.publish(req.user.id, 'subtask.reordered', { todoId: todo.id, ids, subtaskCounts });
+
+    res.json(subtasks.map(toSubtask));
+  }));
+
+  // PUT /api/todos/:id/subtasks/:subtaskId - Update a subtask
+  router.put('/:subtaskId', validate(schemas.updateSubtask), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    await findSubtask(todo.id, req.params.subtaskId);
+
+    const subtask = await store.subtasks.update(req.params.subtaskId, req.body);
+    await syncParent(req, todo, 'subtask.updated', subtask.id);
+
+    res.json(toSubtask(subtask));
+  }));
+
+  // PATCH /api/todos/:id/subtasks/:subtaskId/toggle - Toggle a subtask
+  router.patch('/:subtaskId/toggle', validate(schemas.subtaskById), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    const existing = await findSubtask(todo.id, req.params.subtaskId);
+
+    const subtask = await store.subtasks.update(existing.id, { completed: !existing.completed });
+    await syncParent(req, todo, 'subtask.updated', subtask.id);
+
+    res.json(toSubtask(subtask));
+  }));
+
+  // DELETE /api/todos/:id/subtasks/:subtaskId - Delete a subtask
+  router.delete('/:subtaskId', validate(schemas.subtaskById), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    await findSubtask(todo.id, req.params.subtaskId);
+
+    await store.subtasks.remove(req.params.subtaskId);
+    await syncParent(req, todo, 'subtask.deleted', req.params.subtaskId);
+
+    res.json({ message: 'Subtask deleted successfully' });
+  }));
+
+  return router;
+};
+
+module.exports = { createSubtasksRouter };
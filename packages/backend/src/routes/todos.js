@@ -0,0 +1,163 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/todoSchemas');
+const { queryTodos } = require('../services/todoQuery');
+const { listOwnTodos } = require('../services/todos');
+const { createTodoActions } = require('../services/todoActions');
+const { applyBulkOperations } = require('../services/bulk');
+const { moveTodo } = require('../services/todoOrder');
+const { skipOccurrence } = require('../services/recurrence');
+const { assertIfMatch, sendTodo } = require('../utils/etag');
+const { createSubtasksRouter } = require('./subtasks');
+const { createRemindersRouter } = require('./reminders');
+const { createTrashRouter } = require('./trash');
+const { createImportExportRouter } = require('./importExport');
+const { createHistoryRouter } = require('./history');
+
+// Change event for each kind of bulk operation; deletes publish just the id
+const BULK_EVENTS = {
+  toggle: 'todo.toggled',
+  setCompleted: 'todo.toggled',
+  update: 'todo.updated',
+  restore: 'todo.restored',
+};
+
+// Routes for /api/todos, backed by the injected store and clock.
+// Mounted behind authenticate(), so req.user is always set and every
+// query is scoped to todos owned by that user. Changes go through the todo
+// actions (services/todoActions.js), which log and publish them.
+const createTodosRouter = ({ store, clock, events }) => {
+  const router = express.Router();
+  const actions = createTodoActions({ store, clock, events });
+
+  const actorOf = (req) => ({ userId: req.user.id, requestId: req.id });
+
+  // Writes sent with If-Match only go ahead if the todo is still at that version
+  const findOwnTodo = async (req, id) => {
+    const todo = await actions.findOwn(req.user.id, id);
+    if (req.method !== 'GET') {
+      assertIfMatch(req, todo);
+    }
+    return todo;
+  };
+
+  const { presentAll: presentTodos, present: presentTodo } = actions;
+
+  const recordChange = (req, action, todo) => actions.recordChange(actorOf(req), action, todo);
+
+  const publishTodo = (req, type, todo, options) => actions.publish(actorOf(req), type, todo, options);
+
+  // Deleted todos, import and export - ahead of the /:id routes so "trash"
+  // isn't taken for an id
+  router.use('/trash', createTrashRouter({ store, events, presentTodos, publishTodo }));
+  router.use(createImportExportRouter({ store, clock, events, publishTodo }));
+
+  // GET /api/todos - List todos with optional filters, sort and pagination
+  // Paging metadata travels in headers so the body stays a plain array
+  router.get('/', validate(schemas.listTodos), asyncHandler(async (req, res) => {
+    const todos = await listOwnTodos(store, req.user.id);
+    const { items, total, nextCursor, counts } = queryTodos(await presentTodos(todos), req.query);
+
+    res.set('X-Total-Count', String(total));
+    res.set('X-Active-Count', String(counts.active));
+    res.set('X-Completed-Count', String(counts.completed));
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+    res.json(items);
+  }));
+
+  // POST /api/todos - Create a new todo, optionally parsing the title
+  router.post('/', validate(schemas.createTodo), asyncHandler(async (req, res) => {
+    const [language] = req.acceptsLanguages();
+    const created = await actions.create(actorOf(req), req.body, {
+      preferredLocale: language === '*' ? undefined : language,
+    });
+
+    sendTodo(res, created, 201);
+  }));
+
+  // POST /api/todos/bulk - Apply a batch of operations all together or not at all
+  router.post('/bulk', validate(schemas.bulkTodos), asyncHandler(async (req, res) => {
+    const { results, created } = await applyBulkOperations({
+      store,
+      clock,
+      userId: req.user.id,
+      operations: req.body.operations,
+    });
+
+    const items = [];
+    for (const { index, op, id, todo } of results) {
+      let presented;
+      if (op === 'delete') {
+        await recordChange(req, 'deleted', todo);
+        presented = await presentTodo(todo);
+        events.publish(req.user.id, 'todo.deleted', { id });
+      } else {
+        presented = await publishTodo(req, BULK_EVENTS[op], todo);
+      }
+      items.push({ index, op, id, status: 'ok', todo: presented });
+    }
+    for (const todo of created) {
+      await publishTodo(req, 'todo.created', todo);
+    }
+
+    res.json({ results: items });
+  }));
+
+  // GET /api/todos/:id - One todo, with an ETag for conditional requests
+  router.get('/:id', validate(schemas.todoById), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    sendTodo(res, await presentTodo(todo));
+  }));
+
+  // PUT /api/todos/:id - Update a todo
+  router.put('/:id', validate(schemas.updateTodo), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    sendTodo(res, await actions.update(actorOf(req), todo, req.body));
+  }));
+
+  // PATCH /api/todos/:id/toggle - Toggle todo completion status
+  router.patch('/:id/toggle', validate(schemas.todoById), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    sendTodo(res, await actions.toggle(actorOf(req), todo));
+  }));
+
+  // POST /api/todos/:id/skip - Move a recurring todo on to its next occurrence
+  router.post('/:id/skip', validate(schemas.todoById), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    const updated = await skipOccurrence(store, todo, clock);
+
+    sendTodo(res, await publishTodo(req, 'todo.updated', updated));
+  }));
+
+  // POST /api/todos/:id/move - Place a todo directly before or after another
+  router.post('/:id/move', validate(schemas.moveTodo), asyncHandler(async (req, res) => {
+    await findOwnTodo(req, req.params.id);
+    const todo = await moveTodo(store, req.user.id, req.params.id, req.body);
+
+    sendTodo(res, await publishTodo(req, 'todo.updated', todo));
+  }));
+
+  // DELETE /api/todos/:id - Move a todo to the trash, subtasks and all
+  router.delete('/:id', validate(schemas.todoById), asyncHandler(async (req, res) => {
+    const todo = await findOwnTodo(req, req.params.id);
+    await actions.trash(actorOf(req), todo);
+
+    res.status(200).json({ message: 'Todo moved to trash' });
+  }));
+
+  // Checklist items nested under a todo
+  router.use('/:id/subtasks', createSubtasksRouter({ store, clock, events, findOwnTodo, publishTodo }));
+
+  // Times to be reminded of the todo
+  router.use('/:id/reminders', createRemindersRouter({ store, clock, findOwnTodo }));
+
+  // Change log and reverts
+  router.use('/:id/history', createHistoryRouter({ store, findOwnTodo, publishTodo }));
+
+  return router;
+};
+
+module.exports = { createTodosRouter };
@@ -0,0 +1,64 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { NotFoundError } = require('../errors');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/todoSchemas');
+const { isTrashed, listOwnTodos } = require('../services/todos');
+const { purgeTodo, restoreTodo } = require('../services/trash');
+const { assertIfMatch, sendTodo } = require('../utils/etag');
+
+// Routes for /api/todos/trash - deleted todos waiting to be restored or purged.
+// presentTodos and publishTodo come from the todos router.
+const createTrashRouter = ({ store, events, presentTodos, publishTodo }) => {
+  const router = express.Router();
+
+  const findTrashedTodo = async (req, id) => {
+    const todo = await store.todos.get(id);
+    if (!todo || todo.ownerId !== req.user.id || !isTrashed(todo)) {
+      throw new NotFoundError('Todo not found in trash');
+    }
+    return todo;
+  };
+
+  // GET /api/todos/trash - Trashed todos, most recently deleted first
+  router.get('/', asyncHandler(async (req, res) => {
+    const todos = await listOwnTodos(store, req.user.id, { trashed: true });
+    todos.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt) || b.id - a.id);
+
+    res.json(await presentTodos(todos));
+  }));
+
+  // POST /api/todos/trash/:id/restore - Put a todo back where it was
+  router.post('/:id/restore', validate(schemas.todoById), asyncHandler(async (req, res) => {
+    const todo = await findTrashedTodo(req, req.params.id);
+    assertIfMatch(req, todo);
+    const restored = await restoreTodo(store, todo);
+
+    sendTodo(res, await publishTodo(req, 'todo.restored', restored));
+  }));
+
+  // DELETE /api/todos/trash/:id - Delete a trashed todo for good
+  router.delete('/:id', validate(schemas.todoById), asyncHandler(async (req, res) => {
+    const todo = await findTrashedTodo(req, req.params.id);
+    assertIfMatch(req, todo);
+    await purgeTodo(store, todo);
+    events.publish(req.user.id, 'todo.purged', { id: todo.id });
+
+    res.json({ message: 'Todo deleted permanently' });
+  }));
+
+  // DELETE /api/todos/trash - Empty the trash
+  router.delete('/', asyncHandler(async (req, res) => {
+    const todos = await listOwnTodos(store, req.user.id, { trashed: true });
+    for (const todo of todos) {
+      await purgeTodo(store, todo);
+      events.publish(req.user.id, 'todo.purged', { id: todo.id });
+    }
+
+    res.json({ message: 'Trash emptied', purgedTodos: todos.length });
+  }));
+
+  return router;
+};
+
+module.exports = { createTrashRouter };
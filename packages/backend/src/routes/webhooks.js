@@ -0,0 +1,148 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { ConflictError, NotFoundError, ValidationError } = require('../errors');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/webhookSchemas');
+const {
+  findTargetProblem,
+  generateSecret,
+  toWebhook,
+  toDelivery,
+  listWebhooksOf,
+  listDeliveriesOf,
+  removeWebhook,
+} = require('../services/webhooks');
+
+const newestFirst = (a, b) => b.id - a.id;
+
+const assertSomeEvents = (events) => {
+  if (events !== undefined && events.length === 0) {
+    throw new ValidationError('events must name at least one event', [
+      { location: 'body', field: 'events', message: 'must name at least one event' },
+    ]);
+  }
+};
+
+// Routes for /api/webhooks - URLs told about changes to the user's todos,
+// and the log of what was sent to them. Sending happens in the background,
+// see services/webhooks.js.
+const createWebhooksRouter = ({ store, clock, config, lookup }) => {
+  const router = express.Router();
+
+  // Refuse URLs the server must not send to, e.g. its own loopback address
+  const assertTarget = async (url) => {
+    const problem = await findTargetProblem(url, { lookup, allowPrivate: config.webhooks.allowPrivateUrls });
+    if (problem) {
+      throw new ValidationError(`url ${problem}`, [{ location: 'body', field: 'url', message: problem }]);
+    }
+  };
+
+  // Other users' webhooks are reported as missing
+  const findOwnWebhook = async (req, id) => {
+    const webhook = await store.webhooks.get(id);
+    if (!webhook || webhook.ownerId !== req.user.id) {
+      throw new NotFoundError('Webhook not found');
+    }
+    return webhook;
+  };
+
+  // GET /api/webhooks - The user's webhooks
+  router.get('/', asyncHandler(async (req, res) => {
+    res.json((await listWebhooksOf(store, req.user.id)).map(toWebhook));
+  }));
+
+  // POST /api/webhooks - Subscribe a URL; the response is the only one with the secret
+  router.post('/', validate(schemas.createWebhook), asyncHandler(async (req, res) => {
+    const { url, events = schemas.WEBHOOK_EVENTS, secret = generateSecret(), active = true } = req.body;
+    assertSomeEvents(events);
+    await assertTarget(url);
+    if ((await listWebhooksOf(store, req.user.id)).length >= schemas.MAX_WEBHOOKS) {
+      throw new ConflictError(`You can have at most ${schemas.MAX_WEBHOOKS} webhooks`);
+    }
+
+    const now = clock.now().toISOString();
+    const webhook = await store.webhooks.insert({
+      ownerId: req.user.id,
+      url,
+      events,
+      secret,
+      active,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    res.status(201).json({ ...toWebhook(webhook), secret });
+  }));
+
+  // GET /api/webhooks/dead-letters - Deliveries that ran out of retries, newest first
+  router.get('/dead-letters', validate(schemas.listDeadLetters), asyncHandler(async (req, res) => {
+    const ids = (await listWebhooksOf(store, req.user.id)).map((w) => w.id);
+    const dead = (await store.webhookDeliveries.list())
+      .filter((d) => d.status === 'dead' && ids.includes(d.webhookId))
+      .sort(newestFirst);
+
+    res.json(dead.slice(0, req.query.limit).map(toDelivery));
+  }));
+
+  // GET /api/webhooks/:id - One webhook
+  router.get('/:id', validate(schemas.webhookById), asyncHandler(async (req, res) => {
+    res.json(toWebhook(await findOwnWebhook(req, req.params.id)));
+  }));
+
+  // PUT /api/webhooks/:id - Change the URL, events or secret, or pause it
+  router.put('/:id', validate(schemas.updateWebhook), asyncHandler(async (req, res) => {
+    const webhook = await findOwnWebhook(req, req.params.id);
+    assertSomeEvents(req.body.events);
+    if (req.body.url !== undefined) {
+      await assertTarget(req.body.url);
+    }
+
+    const updated = await store.webhooks.update(webhook.id, {
+      ...req.body,
+      updatedAt: clock.now().toISOString(),
+    });
+    res.json(toWebhook(updated));
+  }));
+
+  // DELETE /api/webhooks/:id - Unsubscribe, dropping anything still queued
+  router.delete('/:id', validate(schemas.webhookById), asyncHandler(async (req, res) => {
+    await removeWebhook(store, await findOwnWebhook(req, req.params.id));
+    res.json({ message: 'Webhook deleted successfully' });
+  }));
+
+  // GET /api/webhooks/:id/deliveries - Delivery log, newest first, with every attempt
+  router.get('/:id/deliveries', validate(schemas.listDeliveries), asyncHandler(async (req, res) => {
+    const webhook = await findOwnWebhook(req, req.params.id);
+    const { status, limit } = req.query;
+    const deliveries = (await listDeliveriesOf(store, webhook.id))
+      .filter((d) => !status || d.status === status)
+      .sort(newestFirst);
+
+    res.json(deliveries.slice(0, limit).map(toDelivery));
+  }));
+
+  // POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Queue a delivery
+  // to be sent again now, with a fresh set of retries
+  router.post(
+    '/:id/deliveries/:deliveryId/redeliver',
+    validate(schemas.deliveryById),
+    asyncHandler(async (req, res) => {
+      const webhook = await findOwnWebhook(req, req.params.id);
+      const delivery = await store.webhookDeliveries.get(req.params.deliveryId);
+      if (!delivery || delivery.webhookId !== webhook.id) {
+        throw new NotFoundError('Delivery not found');
+      }
+
+      const queued = await store.webhookDeliveries.update(delivery.id, {
+        status: 'pending',
+        failures: 0,
+        nextAttemptAt: clock.now().toISOString(),
+      });
+      res.status(202).json(toDelivery(queued));
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createWebhooksRouter };
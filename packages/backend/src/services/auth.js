@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Password hashing and opaque session tokens
+//
+// Passwords are stored as "scrypt$<salt>$<hash>". Session tokens look like
+// "<sessionId>.<secret>"; only a SHA-256 of the secret is kept in the store,
+// so a leaked database cannot be replayed as live sessions.
+
+const KEY_LENGTH = 64;
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('base64url')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, expected] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, 'base64url');
+  return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+};
+
+// Burn the same time as a real check so unknown usernames can't be timed
+const DUMMY_HASH = 'scrypt$c2FsdA$' + Buffer.alloc(KEY_LENGTH).toString('base64url');
+const rejectPassword = async (password) => {
+  await verifyPassword(password, DUMMY_HASH);
+  return false;
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('base64url');
+
+const createSession = async ({ store, clock, ttlMs }, userId) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = clock.now();
+  const session = await store.sessions.insert({
+    userId,
+    secretHash: hashSecret(secret),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+  });
+
+  return { token: `${session.id}.${secret}`, expiresAt: session.expiresAt };
+};
+
+// Resolve a token to { session, user }, or null if invalid or expired
+const resolveSession = async ({ store, clock }, token) => {
+  const [idPart, secret] = (token || '').split('.');
+  const sessionId = Number(idPart);
+  if (!Number.isSafeInteger(sessionId) || !secret) {
+    return null;
+  }
+
+  const session = await store.sessions.get(sessionId);
+  if (!session) {
+    return null;
+  }
+
+  const expected = Buffer.from(session.secretHash);
+  const actual = Buffer.from(hashSecret(secret));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  if (new Date(session.expiresAt) <= clock.now()) {
+    await store.sessions.remove(session.id);
+    return null;
+  }
+
+  const user = await store.users.get(session.userId);
+  return user ? { session, user } : null;
+};
+
+// Public view of a user record - never includes the password hash
+const toUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  createdAt: user.createdAt,
+});
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  rejectPassword,
+  createSession,
+  resolveSession,
+  toUser,
+};
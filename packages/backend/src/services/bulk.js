@@ -0,0 +1,122 @@
+const { ValidationError } = require('../errors');
+const { isTrashed, updateTodo } = require('./todos');
+const { purgeTodo, restoreTodo, trashTodo } = require('./trash');
+const { spawnNextOccurrence } = require('./recurrence');
+
+// Bulk changes - a batch of operations on a user's todos that is applied
+// as a whole or not at all. Every operation is checked against the state
+// the earlier ones leave behind before anything is written, and a write
+// that fails halfway is rolled back.
+
+// Why an operation cannot be applied, given whether its todo is in the trash
+const checkOperation = (todo, inTrash, operation, listIds) => {
+  if (!todo) {
+    return { field: 'id', message: 'does not exist' };
+  }
+  if (operation.op === 'restore') {
+    return inTrash ? null : { field: 'id', message: 'is not in the trash' };
+  }
+  if (inTrash) {
+    return { field: 'id', message: 'is in the trash' };
+  }
+  const listId = operation.changes?.listId;
+  if (listId !== undefined && listId !== null && !listIds.has(listId)) {
+    return { field: 'changes.listId', message: 'does not exist' };
+  }
+  return null;
+};
+
+const planOperations = async (store, userId, operations) => {
+  const todos = new Map();
+  (await store.todos.list())
+    .filter((t) => t.ownerId === userId)
+    .forEach((t) => todos.set(t.id, t));
+  const trashed = new Set([...todos.values()].filter(isTrashed).map((t) => t.id));
+  const listIds = new Set(
+    (await store.lists.list()).filter((l) => l.ownerId === userId).map((l) => l.id)
+  );
+
+  const errors = [];
+  operations.forEach((operation, index) => {
+    const { id, op } = operation;
+    const error = checkOperation(todos.get(id), trashed.has(id), operation, listIds);
+    if (error) {
+      errors.push({ location: 'body', field: `operations[${index}].${error.field}`, message: error.message });
+    } else if (op === 'delete') {
+      trashed.add(id);
+    } else if (op === 'restore') {
+      trashed.delete(id);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `${errors.length} of ${operations.length} operations cannot be applied`,
+      errors
+    );
+  }
+};
+
+// Apply one operation; returns the todo afterwards and any next occurrence
+const applyOperation = async (store, clock, todo, operation) => {
+  switch (operation.op) {
+    case 'toggle':
+    case 'setCompleted': {
+      const completed = operation.op === 'toggle' ? !todo.completed : operation.completed;
+      const updated = await updateTodo(store, todo, { completed });
+      const next = await spawnNextOccurrence(store, updated, clock);
+      return { todo: next ? await store.todos.get(todo.id) : updated, next };
+    }
+    case 'update':
+      return { todo: await updateTodo(store, todo, operation.changes) };
+    case 'delete':
+      return { todo: await trashTodo(store, todo, clock) };
+    default:
+      return { todo: await restoreTodo(store, todo) };
+  }
+};
+
+// Put every touched todo back exactly as it was, without the fields set
+// since, and drop the ones created since
+const rollback = async (store, originals, created) => {
+  for (const todo of created) {
+    await purgeTodo(store, todo);
+  }
+  for (const original of originals.values()) {
+    await store.todos.replace(original.id, original);
+  }
+};
+
+/**
+ * Apply a batch of { op, id, completed?, changes? } operations for a user.
+ * Throws a ValidationError listing every operation that cannot be applied,
+ * in which case nothing is written. Returns { results, created }: the todo
+ * after each operation, and the next occurrences of completed recurring todos.
+ */
+const applyBulkOperations = async ({ store, clock, userId, operations }) => {
+  await planOperations(store, userId, operations);
+
+  const originals = new Map();
+  const created = [];
+  const results = [];
+  try {
+    for (const [index, operation] of operations.entries()) {
+      const todo = await store.todos.get(operation.id);
+      if (!originals.has(todo.id)) {
+        originals.set(todo.id, todo);
+      }
+      const { todo: after, next } = await applyOperation(store, clock, todo, operation);
+      if (next) {
+        created.push(next);
+      }
+      results.push({ index, op: operation.op, id: todo.id, todo: after });
+    }
+  } catch (err) {
+    await rollback(store, originals, created);
+    throw err;
+  }
+
+  return { results, created };
+};
+
+module.exports = { applyBulkOperations };
@@ -0,0 +1,79 @@
+// In-process event bus for real-time updates. Every change to a user's data
+// is published here and fanned out to that user's open event streams.
+// Recent events are kept so a reconnecting client can resume where it left off.
+
+const DEFAULT_BUFFER_SIZE = 1000;
+
+/**
+ * Create an event bus. Event ids look like "<epoch>-<seq>"; the epoch changes
+ * on every restart, so ids from a previous process are never mistaken for
+ * ones this process can replay.
+ */
+const createEventBus = ({
+  bufferSize = DEFAULT_BUFFER_SIZE,
+  epoch = Date.now().toString(36),
+} = {}) => {
+  let seq = 0;
+  const buffer = [];
+  const subscribers = new Set();
+  const listeners = new Set();
+
+  return {
+    // Record an event for one user and deliver it to their subscribers
+    publish(userId, type, data) {
+      seq += 1;
+      const event = { id: `${epoch}-${seq}`, seq, userId, type, data };
+
+      buffer.push(event);
+      if (buffer.length > bufferSize) {
+        buffer.shift();
+      }
+
+      subscribers.forEach((subscriber) => {
+        if (subscriber.userId === userId) {
+          subscriber.onEvent(event);
+        }
+      });
+      listeners.forEach((onEvent) => onEvent(event));
+      return event;
+    },
+
+    // Returns a function that ends the subscription; onClose runs if the bus closes first
+    subscribe(userId, onEvent, onClose = () => {}) {
+      const subscriber = { userId, onEvent, onClose };
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    },
+
+    // Hear every user's events, e.g. to pass them on to webhooks. Returns a
+    // function that stops listening.
+    listen(onEvent) {
+      listeners.add(onEvent);
+      return () => listeners.delete(onEvent);
+    },
+
+    // The user's events after lastEventId, or null when they can no longer be replayed
+    since(userId, lastEventId) {
+      const [eventEpoch, lastSeq] = String(lastEventId).split('-');
+      const last = Number(lastSeq);
+      if (eventEpoch !== epoch || !Number.isInteger(last) || last > seq) {
+        return null;
+      }
+
+      const oldest = buffer.length ? buffer[0].seq : seq + 1;
+      if (last < oldest - 1) {
+        return null;
+      }
+      return buffer.filter((event) => event.seq > last && event.userId === userId);
+    },
+
+    // End every subscription, e.g. so the HTTP server can shut down
+    close() {
+      subscribers.forEach((subscriber) => subscriber.onClose());
+      subscribers.clear();
+      listeners.clear();
+    },
+  };
+};
+
+module.exports = { createEventBus };
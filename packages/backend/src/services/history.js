@@ -0,0 +1,135 @@
+const { TODO_DEFAULTS } = require('../models/todo');
+
+// Append-only change log for todos. Every entry keeps a snapshot of the
+// todo's tracked fields after the change, so each diff is taken against the
+// entry before it and any earlier version can be brought back.
+
+// Ordering and bookkeeping fields (position, nextOccurrenceId) are left out
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'completed',
+  'dueDate',
+  'priority',
+  'tags',
+  'listId',
+  'autoComplete',
+  'recurrence',
+  'deletedAt',
+];
+
+const snapshotOf = (todo) =>
+  Object.fromEntries(TRACKED_FIELDS.map((field) => [field, todo[field] ?? TODO_DEFAULTS[field] ?? null]));
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS
+    .filter((field) => !isSame(before[field], after[field]))
+    .map((field) => ({ field, from: before[field], to: after[field] }));
+
+// A todo's entries, oldest first
+const listHistoryOf = async (store, todoId) =>
+  (await store.history.list())
+    .filter((entry) => entry.todoId === todoId)
+    .sort((a, b) => a.id - b.id);
+
+/**
+ * Append an entry for a change to todo made by userId, or return null if
+ * none of the tracked fields changed. action names the change ("updated",
+ * "toggled", ...) and requestId ties it to the request that made it.
+ */
+const recordTodoChange = async (store, { todo, action, userId, requestId = null, at, revertOf = null }) => {
+  const history = await listHistoryOf(store, todo.id);
+  const previous = history[history.length - 1];
+  const snapshot = snapshotOf(todo);
+
+  let changes;
+  if (previous) {
+    changes = diffSnapshots(previous.snapshot, snapshot);
+    if (changes.length === 0) {
+      return null;
+    }
+  } else if (action === 'created') {
+    // Only what differs from a blank todo
+    changes = diffSnapshots(snapshotOf({ completed: false }), snapshot);
+  } else {
+    // The todo predates the log, so what it changed from is unknown
+    changes = null;
+  }
+
+  return store.history.insert({
+    todoId: todo.id,
+    ownerId: todo.ownerId,
+    userId,
+    action,
+    changes,
+    snapshot,
+    requestId,
+    revertOf,
+    createdAt: at,
+  });
+};
+
+// Drop a todo's history along with the todo when it is purged
+const removeHistoryOf = async (store, todoId) => {
+  for (const entry of await listHistoryOf(store, todoId)) {
+    await store.history.remove(entry.id);
+  }
+};
+
+/**
+ * Entries for all of a user's todos, newest first. before is an entry id to
+ * continue after. Returns the page and the id to continue from (or null).
+ */
+const listActivity = async (store, ownerId, { limit, before }) => {
+  const entries = (await store.history.list())
+    .filter((entry) => entry.ownerId === ownerId && (before === undefined || entry.id < before))
+    .sort((a, b) => b.id - a.id);
+
+  const items = entries.slice(0, limit);
+  return { items, next: entries.length > limit ? items[items.length - 1].id : null };
+};
+
+/**
+ * The fields to write to bring todo back to the version in entry. Trashing
+ * is left alone, and a list deleted since then is swapped for the inbox.
+ */
+const revertChanges = async (store, todo, entry) => {
+  const fields = { ...entry.snapshot };
+  delete fields.deletedAt;
+  if (fields.listId !== null) {
+    const list = await store.lists.get(fields.listId);
+    if (!list || list.ownerId !== todo.ownerId) {
+      fields.listId = null;
+    }
+  }
+  return fields;
+};
+
+// Entries as returned by the API, with the name of whoever made the change
+const toHistoryEntry = (entry, users) => {
+  const user = users.find((u) => u.id === entry.userId);
+  return {
+    id: entry.id,
+    todoId: entry.todoId,
+    title: entry.snapshot.title,
+    action: entry.action,
+    changes: entry.changes,
+    snapshot: entry.snapshot,
+    user: user ? { id: user.id, username: user.username } : null,
+    requestId: entry.requestId,
+    revertOf: entry.revertOf,
+    createdAt: entry.createdAt,
+  };
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  listHistoryOf,
+  recordTodoChange,
+  removeHistoryOf,
+  listActivity,
+  revertChanges,
+  toHistoryEntry,
+};
@@ -0,0 +1,43 @@
+const { NotFoundError, ValidationError } = require('../errors');
+
+// Shared list lookups for the lists and todos routes
+
+// Fetch a list owned by the user; other users' lists are reported as missing
+const findOwnList = async (store, userId, id) => {
+  const list = await store.lists.get(id);
+  if (!list || list.ownerId !== userId) {
+    throw new NotFoundError('List not found');
+  }
+  return list;
+};
+
+// Check a listId taken from a request body points at one of the user's lists
+const assertListAssignable = async (store, userId, listId, field = 'listId') => {
+  if (listId === null || listId === undefined) {
+    return;
+  }
+
+  const list = await store.lists.get(listId);
+  if (!list || list.ownerId !== userId) {
+    throw new ValidationError(`${field} does not exist`, [
+      { location: 'body', field, message: 'does not exist' },
+    ]);
+  }
+};
+
+// Public view of a list with its todo counts
+const toList = (list, todos) => {
+  const own = todos.filter((t) => t.listId === list.id);
+  const completedCount = own.filter((t) => t.completed).length;
+
+  return {
+    id: list.id,
+    name: list.name,
+    createdAt: list.createdAt,
+    todoCount: own.length,
+    completedCount,
+    activeCount: own.length - completedCount,
+  };
+};
+
+module.exports = { findOwnList, assertListAssignable, toList };
@@ -0,0 +1,40 @@
+const { parseQuickAdd } = require('shared');
+const { ValidationError } = require('../errors');
+const { validateObject } = require('../validation/validate');
+const { createTodo } = require('../validation/todoSchemas');
+
+// Quick add on the server: the parser itself lives in the shared package so
+// the app's preview reads text the same way.
+
+const QUICK_ADD_OPTIONS = ['locale', 'timezoneOffset'];
+
+/**
+ * The fields for a todo created from a validated POST body. With quickAdd
+ * the title is parsed, and fields sent alongside it win over what it
+ * mentions; the result is checked like any other new todo. The locale
+ * defaults to the one the request prefers.
+ */
+const createTodoFields = ({ quickAdd, ...body }, { now, preferredLocale }) => {
+  const { locale, timezoneOffset, ...fields } = body;
+  if (!quickAdd) {
+    const field = QUICK_ADD_OPTIONS.find((name) => body[name] !== undefined);
+    if (field) {
+      throw new ValidationError(`${field} is only allowed with quickAdd`, [
+        { location: 'body', field, message: 'is only allowed with quickAdd' },
+      ]);
+    }
+    return fields;
+  }
+
+  const parsed = parseQuickAdd(fields.title, { now, locale: locale || preferredLocale, timezoneOffset });
+  const { value, errors } = validateObject(createTodo.body, { ...parsed, ...fields, title: parsed.title }, {
+    location: 'body',
+  });
+  if (errors.length > 0) {
+    const [first] = errors;
+    throw new ValidationError(`${first.field} ${first.message}`, errors);
+  }
+  return value;
+};
+
+module.exports = { createTodoFields };
@@ -0,0 +1,117 @@
+const { ConflictError } = require('../errors');
+const { parseRecurrence, nextDueDate } = require('../models/recurrence');
+const { nextPosition } = require('./todoOrder');
+const { listSubtasksOf } = require('./subtasks');
+const { listRemindersOf } = require('./reminders');
+const { isTrashed, updateTodo } = require('./todos');
+
+// Recurring todos - completing one occurrence creates the next, and an
+// occurrence can be skipped to move straight to the one after it.
+
+// Fields every occurrence of a series shares
+const SERIES_FIELDS = ['title', 'description', 'priority', 'tags', 'listId', 'autoComplete', 'recurrence', 'ownerId'];
+
+// Todos without a due date recur from the day they are completed. An
+// overdue series catches up: occurrences whose day has already passed are
+// passed over, so the next one is due today at the earliest and still falls
+// on the rule's days.
+const upcomingDueDate = (todo, clock) => {
+  const rule = parseRecurrence(todo.recurrence);
+  const today = clock.now().toISOString().slice(0, 10);
+  let next = nextDueDate(rule, todo.dueDate || today, todo.occurrence || 1);
+  while (next && next.slice(0, 10) < today) {
+    next = nextDueDate(rule, next, todo.occurrence || 1);
+  }
+  return next;
+};
+
+/**
+ * Create the next occurrence of a completed recurring todo, with its
+ * checklist reset and its reminders before the due date set again. Each
+ * todo produces at most one successor, so completing it again after
+ * reopening never duplicates the next occurrence - unless that successor
+ * has since been deleted, e.g. by undoing the completion.
+ * Returns the new todo, or null when there is nothing to create.
+ */
+const spawnNextOccurrence = async (store, todo, clock) => {
+  if (!todo.recurrence || !todo.completed) {
+    return null;
+  }
+  if (todo.nextOccurrenceId) {
+    const successor = await store.todos.get(todo.nextOccurrenceId);
+    if (successor && !isTrashed(successor)) {
+      return null;
+    }
+  }
+
+  const dueDate = upcomingDueDate(todo, clock);
+  if (!dueDate) {
+    return null;
+  }
+
+  const own = (await store.todos.list()).filter((t) => t.ownerId === todo.ownerId);
+  const fields = {};
+  SERIES_FIELDS.forEach((field) => {
+    fields[field] = todo[field];
+  });
+
+  const next = await store.todos.insert({
+    ...fields,
+    dueDate,
+    completed: false,
+    createdAt: clock.now().toISOString(),
+    position: nextPosition(own),
+    seriesId: todo.seriesId || todo.id,
+    occurrence: (todo.occurrence || 1) + 1,
+  });
+
+  for (const subtask of await listSubtasksOf(store, todo.id)) {
+    await store.subtasks.insert({
+      todoId: next.id,
+      title: subtask.title,
+      completed: false,
+      position: subtask.position,
+      createdAt: next.createdAt,
+    });
+  }
+
+  // Reminders relative to the due date carry over; ones at a set time don't
+  for (const reminder of await listRemindersOf(store, todo.id)) {
+    if (!reminder.at) {
+      await store.reminders.insert({
+        todoId: next.id,
+        at: null,
+        minutesBefore: reminder.minutesBefore,
+        status: 'pending',
+        firedAt: null,
+        createdAt: next.createdAt,
+      });
+    }
+  }
+
+  await store.todos.update(todo.id, { nextOccurrenceId: next.id });
+  return next;
+};
+
+// Move a pending recurring todo on to its next occurrence
+const skipOccurrence = async (store, todo, clock) => {
+  if (!todo.recurrence) {
+    throw new ConflictError('Only recurring todos can skip an occurrence');
+  }
+  if (todo.completed) {
+    throw new ConflictError('Completed todos cannot skip an occurrence');
+  }
+
+  const dueDate = upcomingDueDate(todo, clock);
+  if (!dueDate) {
+    throw new ConflictError('This is the last occurrence');
+  }
+
+  return updateTodo(store, todo, {
+    dueDate,
+    seriesId: todo.seriesId || todo.id,
+    occurrence: (todo.occurrence || 1) + 1,
+  });
+};
+
+module.exports = { spawnNextOccurrence, skipOccurrence };
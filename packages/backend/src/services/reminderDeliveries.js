@@ -0,0 +1,43 @@
+// Ways a fired reminder reaches its owner. A delivery is any object with a
+// name and an async deliver(notification) that throws when it fails, so an
+// email (SMTP) or push sender plugs in the same way as the ones here.
+// notification.id stays the same when a reminder is delivered again after a
+// restart, for receivers to ignore ones they already have.
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Open browser tabs, which show an in-app alert and a system notification
+const createEventDelivery = (events) => ({
+  name: 'events',
+  deliver: async (notification) => {
+    events.publish(notification.userId, 'reminder.fired', notification);
+  },
+});
+
+// POST the notification as JSON to url; anything but a 2xx answer fails
+const createWebhookDelivery = ({ url, fetch = global.fetch, timeoutMs = WEBHOOK_TIMEOUT_MS }) => ({
+  name: 'webhook',
+  deliver: async (notification) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': `reminder-${notification.id}`,
+      },
+      body: JSON.stringify({ type: 'reminder.fired', reminder: notification }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook answered ${response.status}`);
+    }
+  },
+});
+
+// The deliveries configured for the server: always the browser, plus a
+// webhook when config.webhookUrl is set
+const createReminderDeliveries = ({ config, events }) => [
+  createEventDelivery(events),
+  ...(config.webhookUrl ? [createWebhookDelivery({ url: config.webhookUrl })] : []),
+];
+
+module.exports = { createEventDelivery, createWebhookDelivery, createReminderDeliveries };
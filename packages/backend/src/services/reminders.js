@@ -0,0 +1,172 @@
+const { isTrashed } = require('./todos');
+
+// Reminders - a todo can ask for its owner's attention at a set time ("at")
+// or a while before it is due ("minutesBefore"). The scheduler looks for
+// reminders that have come due every so often, so ones that came due while
+// the server was down go out as soon as it is back.
+//
+// Each reminder fires once. It is claimed ("firing") before it is delivered
+// and marked "fired" after, so a reminder found still firing was cut off by
+// a restart and is delivered again under the same id for receivers to
+// drop if they already have it. Reminders of completed todos are skipped;
+// those of trashed todos wait in case the todo is restored.
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// The reminders set on one todo
+const listRemindersOf = async (store, todoId) =>
+  (await store.reminders.list()).filter((r) => r.todoId === todoId);
+
+const removeRemindersOf = async (store, todoId) => {
+  for (const reminder of await listRemindersOf(store, todoId)) {
+    await store.reminders.remove(reminder.id);
+  }
+};
+
+/**
+ * When a reminder goes off, in epoch ms, or null while it is relative to a
+ * due date the todo doesn't have. A due date without a time counts from the
+ * start of that day (UTC).
+ */
+const reminderTime = (reminder, todo) => {
+  if (reminder.at) {
+    return Date.parse(reminder.at);
+  }
+  if (!todo.dueDate) {
+    return null;
+  }
+  const due = /^\d{4}-\d{2}-\d{2}$/.test(todo.dueDate) ? `${todo.dueDate}T00:00:00Z` : todo.dueDate;
+  return Date.parse(due) - reminder.minutesBefore * MINUTE_MS;
+};
+
+const toReminder = (record, todo) => {
+  const time = reminderTime(record, todo);
+  return {
+    id: record.id,
+    todoId: record.todoId,
+    at: record.at,
+    minutesBefore: record.minutesBefore,
+    fireAt: time === null ? null : new Date(time).toISOString(),
+    status: record.status,
+    firedAt: record.firedAt,
+    // Deliveries that failed when it fired
+    deliveryErrors: record.deliveryErrors || [],
+    createdAt: record.createdAt,
+  };
+};
+
+// Comparator for presented reminders, soonest first; those waiting for a
+// due date go last
+const bySoonest = (a, b) => {
+  if (a.fireAt === b.fireAt) {
+    return a.id - b.id;
+  }
+  if (a.fireAt === null || b.fireAt === null) {
+    return a.fireAt === null ? 1 : -1;
+  }
+  return a.fireAt.localeCompare(b.fireAt);
+};
+
+// What deliveries are handed; id stays the same if a delivery is repeated
+const toNotification = (reminder, todo) => ({
+  ...toReminder(reminder, todo),
+  userId: todo.ownerId,
+  title: todo.title,
+  dueDate: todo.dueDate,
+});
+
+/**
+ * Fire every reminder that has come due, handing each to all deliveries - a
+ * list of { name, deliver(notification) } (see reminderDeliveries.js). A
+ * failed delivery is logged and recorded on the reminder without holding up
+ * the others. Returns the notifications sent.
+ */
+const fireDueReminders = async ({ store, clock, deliveries, logger }) => {
+  const now = clock.now().getTime();
+  const fired = [];
+
+  const reminders = (await store.reminders.list()).filter(
+    (r) => r.status === 'pending' || r.status === 'firing'
+  );
+  for (const reminder of reminders) {
+    const todo = await store.todos.get(reminder.todoId);
+    const time = todo && reminderTime(reminder, todo);
+    if (!todo || isTrashed(todo) || (reminder.status === 'pending' && (time === null || time > now))) {
+      continue;
+    }
+    if (todo.completed) {
+      await store.reminders.update(reminder.id, { status: 'skipped' });
+      continue;
+    }
+
+    const claimed = await store.reminders.update(reminder.id, {
+      status: 'firing',
+      firedAt: reminder.firedAt || new Date(now).toISOString(),
+    });
+    const notification = toNotification(claimed, todo);
+
+    const deliveryErrors = [];
+    for (const delivery of deliveries) {
+      try {
+        await delivery.deliver(notification);
+      } catch (err) {
+        logger.warn('Failed to deliver a reminder', {
+          reminderId: reminder.id,
+          delivery: delivery.name,
+          error: err.message,
+        });
+        deliveryErrors.push({ delivery: delivery.name, message: err.message });
+      }
+    }
+
+    await store.reminders.update(reminder.id, { status: 'fired', deliveryErrors });
+    fired.push({ ...notification, status: 'fired' });
+  }
+  return fired;
+};
+
+// Fire due reminders now and then every intervalMs. Returns a stop function.
+const startReminderScheduler = ({
+  store,
+  clock,
+  deliveries,
+  logger,
+  intervalMs = CHECK_INTERVAL_MS,
+}) => {
+  // Runs never overlap, so a reminder left firing is never one in progress
+  let running = null;
+
+  const run = () => {
+    if (!running) {
+      running = fireDueReminders({ store, clock, deliveries, logger })
+        .then((fired) => {
+          if (fired.length > 0) {
+            logger.info('Fired reminders', { count: fired.length });
+          }
+        })
+        .catch((err) => logger.error('Failed to fire reminders', { error: err.message }))
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  // Never keep the process alive just for this
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  listRemindersOf,
+  removeRemindersOf,
+  reminderTime,
+  toReminder,
+  bySoonest,
+  fireDueReminders,
+  startReminderScheduler,
+};
@@ -0,0 +1,44 @@
+const { updateTodo } = require('./todos');
+
+// Subtask helpers shared by the todos and subtasks routes
+
+// Comparator for subtasks in display order
+const byPosition = (a, b) => a.position - b.position || a.id - b.id;
+
+// A todo's subtasks in display order
+const listSubtasksOf = async (store, todoId) =>
+  (await store.subtasks.list())
+    .filter((s) => s.todoId === todoId)
+    .sort(byPosition);
+
+const removeSubtasksOf = async (store, todoId) => {
+  for (const subtask of await listSubtasksOf(store, todoId)) {
+    await store.subtasks.remove(subtask.id);
+  }
+};
+
+// With autoComplete on, a todo is complete exactly when all its subtasks are
+const syncParentCompletion = async (store, todo) => {
+  if (!todo.autoComplete) {
+    return todo;
+  }
+
+  const subtasks = await listSubtasksOf(store, todo.id);
+  if (subtasks.length === 0) {
+    return todo;
+  }
+
+  const completed = subtasks.every((s) => s.completed);
+  return completed === todo.completed ? todo : updateTodo(store, todo, { completed });
+};
+
+const toSubtask = (record) => ({
+  id: record.id,
+  todoId: record.todoId,
+  title: record.title,
+  completed: record.completed,
+  position: record.position,
+  createdAt: record.createdAt,
+});
+
+module.exports = { byPosition, listSubtasksOf, removeSubtasksOf, syncParentCompletion, toSubtask };
@@ -0,0 +1,103 @@
+const { NotFoundError } = require('../errors');
+const { TODO_DEFAULTS, toTodo } = require('../models/todo');
+const { assertListAssignable } = require('./lists');
+const { isTrashed, updateTodo } = require('./todos');
+const { trashTodo } = require('./trash');
+const { nextPosition } = require('./todoOrder');
+const { spawnNextOccurrence } = require('./recurrence');
+const { recordTodoChange } = require('./history');
+const { createTodoFields } = require('./quickAdd');
+
+/**
+ * Todo changes made on behalf of a user, shared by the REST routes and the
+ * GraphQL resolvers so both follow the same rules. Every change is logged in
+ * the todo's history and published on the event bus for the user's other
+ * tabs and devices.
+ *
+ * `actor` is { userId, requestId }: who made the change, and in which request.
+ */
+const createTodoActions = ({ store, clock, events }) => {
+  // Other users' todos are reported as missing rather than forbidden, and
+  // trashed ones only exist in the trash
+  const findOwn = async (userId, id) => {
+    const todo = await store.todos.get(id);
+    if (!todo || todo.ownerId !== userId || isTrashed(todo)) {
+      throw new NotFoundError('Todo not found');
+    }
+    return todo;
+  };
+
+  // Shape todos for responses, with progress from their subtasks
+  const presentAll = async (todos) => {
+    const subtasks = await store.subtasks.list();
+    return todos.map((todo) => toTodo(todo, subtasks.filter((s) => s.todoId === todo.id)));
+  };
+
+  const present = async (todo) => (await presentAll([todo]))[0];
+
+  const recordChange = (actor, action, todo, extra = {}) =>
+    recordTodoChange(store, {
+      todo,
+      action,
+      userId: actor.userId,
+      requestId: actor.requestId,
+      at: clock.now().toISOString(),
+      ...extra,
+    });
+
+  // Record and publish a todo change and return the todo as presented.
+  // The history action defaults to the event name, e.g. "toggled".
+  const publish = async (actor, type, todo, { action = type.replace(/^todo\./, ''), revertOf } = {}) => {
+    await recordChange(actor, action, todo, { revertOf });
+    const presented = await present(todo);
+    events.publish(actor.userId, type, presented);
+    return presented;
+  };
+
+  // body holds validated createTodo fields; the title is parsed when quickAdd is set
+  const create = async (actor, body, { preferredLocale } = {}) => {
+    const fields = createTodoFields(body, { now: clock.now(), preferredLocale });
+    await assertListAssignable(store, actor.userId, fields.listId);
+    // Trashed todos keep their place, so a restore doesn't collide
+    const own = (await store.todos.list()).filter((t) => t.ownerId === actor.userId);
+
+    const todo = await store.todos.insert({
+      ...TODO_DEFAULTS,
+      ...fields,
+      position: nextPosition(own),
+      ownerId: actor.userId,
+      completed: false,
+      createdAt: clock.now().toISOString(),
+    });
+
+    return publish(actor, 'todo.created', todo);
+  };
+
+  const update = async (actor, todo, changes) => {
+    await assertListAssignable(store, actor.userId, changes.listId);
+    return publish(actor, 'todo.updated', await updateTodo(store, todo, changes));
+  };
+
+  // Completing a recurring todo also creates its next occurrence, which
+  // the toggled todo then links to
+  const toggle = async (actor, todo) => {
+    const updated = await updateTodo(store, todo, { completed: !todo.completed });
+    const next = await spawnNextOccurrence(store, updated, clock);
+
+    const toggled = await publish(actor, 'todo.toggled', next ? await store.todos.get(todo.id) : updated);
+    if (next) {
+      await publish(actor, 'todo.created', next);
+    }
+    return toggled;
+  };
+
+  // Move a todo to the trash, subtasks and all
+  const trash = async (actor, todo) => {
+    await recordChange(actor, 'deleted', await trashTodo(store, todo, clock));
+    events.publish(actor.userId, 'todo.deleted', { id: todo.id });
+  };
+
+  return { findOwn, presentAll, present, recordChange, publish, create, update, toggle, trash };
+};
+
+module.exports = { createTodoActions };
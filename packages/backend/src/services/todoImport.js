@@ -0,0 +1,105 @@
+const { TODO_DEFAULTS } = require('../models/todo');
+const { validateObject } = require('../validation/validate');
+const { importedTodo } = require('../validation/todoSchemas');
+const { listOwnTodos } = require('./todos');
+const { nextPosition } = require('./todoOrder');
+
+// Importing todos parsed from a file (see formats/). Every row is checked on
+// its own: invalid rows and duplicates are reported and skipped while the
+// rest are imported, so one bad line never blocks a whole file.
+
+// Todos count as duplicates when title and due date match, ignoring case
+const duplicateKey = (todo) => `${todo.title.trim().toLowerCase()}\n${todo.dueDate ?? ''}`;
+
+const checkRow = ({ row, fields, error }) => {
+  if (error) {
+    return { row, status: 'error', title: null, errors: [{ field: null, message: error }] };
+  }
+  const { value, errors } = validateObject(importedTodo, fields);
+  if (errors.length > 0) {
+    const title = typeof fields.title === 'string' ? fields.title : null;
+    return { row, status: 'error', title, errors: errors.map(({ field, message }) => ({ field, message })) };
+  }
+  return { row, title: value.title, value };
+};
+
+/**
+ * Check parsed rows against the user's todos and, unless dryRun, create the
+ * new ones along with any lists they name that don't exist yet.
+ * Returns the per-row report, a summary, the new list names and the records
+ * created.
+ */
+const importTodos = async ({ store, clock, userId, rows, dryRun }) => {
+  const own = await listOwnTodos(store, userId);
+  const lists = (await store.lists.list()).filter((l) => l.ownerId === userId);
+  const listsByName = new Map(lists.map((l) => [l.name.toLowerCase(), l]));
+
+  const seen = new Map(own.map((todo) => [duplicateKey(todo), { id: todo.id }]));
+  const newLists = [];
+  const report = [];
+  const accepted = [];
+
+  for (const parsed of rows) {
+    const { value, ...entry } = checkRow(parsed);
+    if (value) {
+      const key = duplicateKey(value);
+      if (seen.has(key)) {
+        entry.status = 'duplicate';
+        entry.duplicateOf = seen.get(key);
+      } else {
+        seen.set(key, { row: entry.row });
+        entry.status = dryRun ? 'ready' : 'imported';
+        accepted.push({ entry, value });
+
+        const listName = value.list?.toLowerCase();
+        if (listName && !listsByName.has(listName)) {
+          listsByName.set(listName, null);
+          newLists.push(value.list);
+        }
+      }
+    }
+    report.push(entry);
+  }
+
+  const created = { lists: [], todos: [] };
+  if (!dryRun) {
+    for (const name of newLists) {
+      const list = await store.lists.insert({ name, ownerId: userId, createdAt: clock.now().toISOString() });
+      listsByName.set(name.toLowerCase(), list);
+      created.lists.push(list);
+    }
+
+    const placed = [...own];
+    for (const { entry, value } of accepted) {
+      const { list, completed = false, ...fields } = value;
+      const todo = await store.todos.insert({
+        ...TODO_DEFAULTS,
+        ...fields,
+        listId: list ? listsByName.get(list.toLowerCase()).id : null,
+        position: nextPosition(placed),
+        ownerId: userId,
+        completed,
+        createdAt: clock.now().toISOString(),
+      });
+      placed.push(todo);
+      entry.id = todo.id;
+      created.todos.push(todo);
+    }
+  }
+
+  const count = (status) => report.filter((entry) => entry.status === status).length;
+  return {
+    dryRun,
+    summary: {
+      total: report.length,
+      imported: accepted.length,
+      duplicates: count('duplicate'),
+      errors: count('error'),
+    },
+    newLists,
+    rows: report,
+    created,
+  };
+};
+
+module.exports = { importTodos };
@@ -0,0 +1,83 @@
+const { ValidationError } = require('../errors');
+const { keyBetween, keysAfter } = require('../utils/fractionalIndex');
+const { listOwnTodos } = require('./todos');
+
+// Manual ordering of a user's todos. Each todo holds a fractional position
+// key, so a move rewrites only the moved todo and concurrent moves of other
+// todos never conflict.
+
+// Position order; todos saved before positions existed come last, oldest first
+const byPosition = (a, b) => {
+  if (a.position !== b.position) {
+    if (!a.position) return 1;
+    if (!b.position) return -1;
+    return a.position < b.position ? -1 : 1;
+  }
+  return a.id - b.id;
+};
+
+// Key for a new todo, placed after all of the owner's todos
+const nextPosition = (todos) => {
+  const last = todos.reduce(
+    (max, todo) => (todo.position && (max === null || todo.position > max) ? todo.position : max),
+    null
+  );
+  return keyBetween(last, null);
+};
+
+// Give every todo a distinct key, keeping the current order. Only needed for
+// todos that predate positions or that were created at the same instant.
+const ensurePositions = async (store, todos) => {
+  const ordered = [...todos].sort(byPosition);
+  const needsRebalance = ordered.some(
+    (todo, i) => !todo.position || (i > 0 && todo.position === ordered[i - 1].position)
+  );
+  if (!needsRebalance) {
+    return ordered;
+  }
+
+  const keys = keysAfter(null, ordered.length);
+  return Promise.all(
+    ordered.map((todo, i) =>
+      todo.position === keys[i] ? todo : store.todos.update(todo.id, { position: keys[i] })
+    )
+  );
+};
+
+/**
+ * Move one of the user's todos directly before or after another of them.
+ * Exactly one of before/after must be given. Returns the updated todo.
+ */
+const moveTodo = async (store, userId, id, { before, after }) => {
+  if ((before === undefined) === (after === undefined)) {
+    throw new ValidationError('Provide exactly one of before or after', [
+      { location: 'body', field: 'before', message: 'or after is required, but not both' },
+    ]);
+  }
+
+  const field = before !== undefined ? 'before' : 'after';
+  const targetId = before ?? after;
+  if (targetId === id) {
+    throw new ValidationError(`${field} must be a different todo`, [
+      { location: 'body', field, message: 'must be a different todo' },
+    ]);
+  }
+
+  const own = await listOwnTodos(store, userId);
+  const others = (await ensurePositions(store, own)).filter((t) => t.id !== id);
+  const index = others.findIndex((t) => t.id === targetId);
+  if (index === -1) {
+    throw new ValidationError(`${field} does not exist`, [
+      { location: 'body', field, message: 'does not exist' },
+    ]);
+  }
+
+  const [previous, next] = field === 'before'
+    ? [others[index - 1], others[index]]
+    : [others[index], others[index + 1]];
+  const position = keyBetween(previous ? previous.position : null, next ? next.position : null);
+
+  return store.todos.update(id, { position });
+};
+
+module.exports = { nextPosition, moveTodo };
@@ -0,0 +1,120 @@
+const { ValidationError } = require('../errors');
+
+// Filtering, sorting and cursor pagination for GET /api/todos
+
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+// Sort key for each sort field; null keys always sort last
+const SORT_KEYS = {
+  created: (todo) => todo.createdAt,
+  due: (todo) => todo.dueDate,
+  priority: (todo) => PRIORITY_RANK[todo.priority] || null,
+  // Manual order from drag-and-drop
+  position: (todo) => todo.position,
+};
+
+const DEFAULT_ORDER = {
+  created: 'asc',
+  due: 'asc',
+  priority: 'desc',
+  position: 'asc',
+};
+
+const compareKeys = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+};
+
+// Build a comparator over [key, id] pairs; ids break ties (oldest first)
+// so the order is total and cursors always point at a unique position
+const createComparator = (order) => ([keyA, idA], [keyB, idB]) => {
+  const bothPresent = keyA !== null && keyA !== undefined && keyB !== null && keyB !== undefined;
+  const byKey = compareKeys(keyA, keyB);
+  if (byKey !== 0) {
+    return bothPresent && order === 'desc' ? -byKey : byKey;
+  }
+  return idA - idB;
+};
+
+const encodeCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(position) && position.length === 2 && Number.isInteger(position[1])) {
+      return position;
+    }
+  } catch (err) {
+    // Fall through to the validation error below
+  }
+  throw new ValidationError('cursor is invalid', [
+    { location: 'query', field: 'cursor', message: 'is invalid' },
+  ]);
+};
+
+const matchesFilters = (todo, { completed, listId, q, tag, priority }) => {
+  if (completed !== undefined && todo.completed !== completed) {
+    return false;
+  }
+  if (listId !== undefined && todo.listId !== (listId === 'none' ? null : Number(listId))) {
+    return false;
+  }
+  if (priority && !priority.includes(todo.priority)) {
+    return false;
+  }
+  // Every requested tag must be present
+  if (tag && !tag.every((t) => todo.tags.includes(t))) {
+    return false;
+  }
+  if (q) {
+    const needle = q.toLowerCase();
+    const haystack = `${todo.title}\n${todo.description}`.toLowerCase();
+    if (!haystack.includes(needle)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Apply a validated GET /api/todos query to a list of todos.
+ * Returns the page of items, the total matching the filters, the cursor for
+ * the next page (null on the last page) and counts of the active and
+ * completed todos matching every filter but completed.
+ */
+const queryTodos = (todos, query = {}) => {
+  const sort = query.sort || 'created';
+  const order = query.order || DEFAULT_ORDER[sort];
+  const keyOf = SORT_KEYS[sort];
+  const compare = createComparator(order);
+  const positionOf = (todo) => [keyOf(todo) ?? null, todo.id];
+
+  const matching = todos
+    .filter((todo) => matchesFilters(todo, query))
+    .sort((a, b) => compare(positionOf(a), positionOf(b)));
+
+  let remaining = matching;
+  if (query.cursor) {
+    const after = decodeCursor(query.cursor);
+    remaining = matching.filter((todo) => compare(positionOf(todo), after) > 0);
+  }
+
+  const scope = todos.filter((todo) => matchesFilters(todo, { ...query, completed: undefined }));
+  const completed = scope.filter((todo) => todo.completed).length;
+
+  const limit = query.limit || remaining.length;
+  const items = remaining.slice(0, limit);
+  const hasMore = remaining.length > items.length;
+
+  return {
+    items,
+    total: matching.length,
+    nextCursor: hasMore ? encodeCursor(positionOf(items[items.length - 1])) : null,
+    counts: { active: scope.length - completed, completed },
+  };
+};
+
+module.exports = { queryTodos, SORT_FIELDS: Object.keys(SORT_KEYS) };
@@ -0,0 +1,26 @@
+// Todo lookups and writes shared by the routes and services
+
+// Deleted todos sit in the trash until restored or purged
+const isTrashed = (todo) => Boolean(todo.deletedAt);
+
+// A user's todos - the live ones by default, or those in the trash
+const listOwnTodos = async (store, userId, { trashed = false } = {}) =>
+  (await store.todos.list()).filter((t) => t.ownerId === userId && isTrashed(t) === trashed);
+
+// Todos saved before versioning count as version 1
+const versionOf = (todo) => todo.version ?? 1;
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Write changes to a todo, bumping its version if any value differs, so
+ * clients holding an older version get a 412 on their next If-Match write.
+ * Ordering (position) and occurrence links are written with
+ * store.todos.update directly and leave the version alone.
+ */
+const updateTodo = (store, todo, changes) => {
+  const changed = Object.keys(changes).some((field) => !isSame(todo[field], changes[field]));
+  return store.todos.update(todo.id, changed ? { ...changes, version: versionOf(todo) + 1 } : changes);
+};
+
+module.exports = { isTrashed, listOwnTodos, versionOf, updateTodo };
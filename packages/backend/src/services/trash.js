@@ -0,0 +1,76 @@
+const { removeSubtasksOf } = require('./subtasks');
+const { removeHistoryOf } = require('./history');
+const { removeRemindersOf } = require('./reminders');
+const { isTrashed, updateTodo } = require('./todos');
+
+// Soft delete - deleted todos move to the trash, where they can be restored
+// until they are purged by hand or once the retention period has passed
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const trashTodo = (store, todo, clock) =>
+  updateTodo(store, todo, { deletedAt: clock.now().toISOString() });
+
+// A todo whose list was deleted meanwhile comes back to the inbox
+const restoreTodo = async (store, todo) => {
+  const list = todo.listId === null ? null : await store.lists.get(todo.listId);
+  return updateTodo(store, todo, {
+    deletedAt: null,
+    listId: list && list.ownerId === todo.ownerId ? todo.listId : null,
+  });
+};
+
+// Purging is for good, so the todo's history and reminders go too
+const purgeTodo = async (store, todo) => {
+  await store.todos.remove(todo.id);
+  await removeSubtasksOf(store, todo.id);
+  await removeHistoryOf(store, todo.id);
+  await removeRemindersOf(store, todo.id);
+};
+
+/**
+ * Permanently remove todos that have been in the trash longer than
+ * retentionMs. Returns the purged todos.
+ */
+const purgeExpiredTodos = async (store, clock, retentionMs) => {
+  const cutoff = clock.now().getTime() - retentionMs;
+  const expired = (await store.todos.list()).filter(
+    (todo) => isTrashed(todo) && Date.parse(todo.deletedAt) <= cutoff
+  );
+
+  for (const todo of expired) {
+    await purgeTodo(store, todo);
+  }
+  return expired;
+};
+
+// Purge expired trash now and then every intervalMs. Returns a stop function.
+const startTrashPurger = ({
+  store,
+  clock,
+  retentionMs,
+  logger,
+  events,
+  intervalMs = PURGE_INTERVAL_MS,
+}) => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTodos(store, clock, retentionMs);
+      purged.forEach((todo) => events?.publish(todo.ownerId, 'todo.purged', { id: todo.id }));
+      if (purged.length > 0) {
+        logger.info('Purged expired todos from the trash', { count: purged.length });
+      }
+    } catch (err) {
+      logger.error('Failed to purge the trash', { error: err.message });
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  // Never keep the process alive just for this
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { trashTodo, restoreTodo, purgeTodo, purgeExpiredTodos, startTrashPurger };
@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { WEBHOOK_EVENTS } = require('../validation/webhookSchemas');
+
+// Outgoing webhooks - URLs a user has asked to be told about changes to
+// their todos. Every matching event is stored as a delivery before anything
+// is sent, so deliveries outlive restarts and the request that caused the
+// change never waits on a receiver.
+//
+// A failed delivery is tried again with exponential backoff. After
+// MAX_ATTEMPTS failures in a row it is "dead" and kept in the dead-letter
+// list until the user sends it again. Receivers may get an event more than
+// once (payload.id stays the same) and not always in order.
+//
+// Each request is signed: X-Webhook-Signature is "sha256=" and the hex
+// HMAC-SHA256, keyed with the webhook's secret, of
+// "<X-Webhook-Timestamp>.<raw body>".
+//
+// Requests leave from inside our network, so URLs whose host is (or resolves
+// to) a loopback, private or link-local address are refused, when registered
+// and again before every delivery. The request then connects to the very
+// address that was checked, so a host that resolves somewhere else a moment
+// later gets nowhere, and redirects are never followed: a 3xx answer is a
+// failed delivery. Local development can allow private URLs with
+// WEBHOOK_ALLOW_PRIVATE_URLS.
+
+const CHECK_INTERVAL_MS = 15 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 8;
+// Delivered deliveries kept per webhook for the log; dead ones are kept
+const LOG_SIZE = 50;
+
+// Networks a webhook must not reach: this host, private and carrier-grade NAT
+// ranges, link-local (which includes cloud metadata at 169.254.169.254),
+// benchmarking, multicast and reserved ranges, unique-local IPv6 and the
+// NAT64 prefix that maps onto IPv4. BlockList matches IPv4 addresses written
+// as IPv6 (::ffff:127.0.0.1) against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+const isPrivateAddress = (address) =>
+  BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+/**
+ * Where a request to url would connect: { address, family } of the first
+ * address its host resolves to, or { problem } saying why it must not be
+ * sent to. Host names are resolved, so one that points at a private address
+ * is caught too.
+ */
+const resolveTarget = async (url, { lookup = dns.promises.lookup, allowPrivate = false } = {}) => {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let entries = [{ address: host, family: net.isIP(host) }];
+  if (!net.isIP(host)) {
+    try {
+      entries = await lookup(host, { all: true });
+    } catch (err) {
+      return { problem: 'must have a host name that resolves' };
+    }
+    if (entries.length === 0) {
+      return { problem: 'must have a host name that resolves' };
+    }
+  }
+  if (!allowPrivate && entries.some((entry) => isPrivateAddress(entry.address))) {
+    return { problem: 'must not point at a private or local address' };
+  }
+  return { address: entries[0].address, family: entries[0].family };
+};
+
+// What is wrong with sending to url, or null when nothing is
+const findTargetProblem = async (url, options) => (await resolveTarget(url, options)).problem || null;
+
+// A lookup for http.request that answers with an address resolved earlier
+const pinnedLookup = ({ address, family }) => (hostname, options, callback) =>
+  options.all ? callback(null, [{ address, family }]) : callback(null, address, family);
+
+// The default fetch: a fetch-like POST made with http(s).request, which
+// honours options.lookup where the global fetch would look the host up again.
+// Never follows redirects and resolves to { status } once the answer arrives.
+const requestPinned = (url, { method, headers, body, signal, lookup }) => new Promise((resolve, reject) => {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  const req = client.request(url, { method, headers, signal, lookup }, (res) => {
+    res.resume();
+    resolve({ status: res.statusCode });
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Wait after the nth failure in a row: 30s, 1m, 2m, ... at most an hour
+const retryDelay = (failures) => Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+
+// Public view of a webhook; the secret is only shown when it is created
+const toWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  active: webhook.active,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+});
+
+const toDelivery = (delivery) => ({
+  id: delivery.id,
+  webhookId: delivery.webhookId,
+  event: delivery.event,
+  payload: delivery.payload,
+  status: delivery.status,
+  // Every try, oldest first: { at, responseStatus, error }
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.nextAttemptAt,
+  createdAt: delivery.createdAt,
+  deliveredAt: delivery.deliveredAt,
+});
+
+const listWebhooksOf = async (store, userId) =>
+  (await store.webhooks.list()).filter((w) => w.ownerId === userId);
+
+const listDeliveriesOf = async (store, webhookId) =>
+  (await store.webhookDeliveries.list()).filter((d) => d.webhookId === webhookId);
+
+// Delete a webhook along with its delivery log and queue
+const removeWebhook = async (store, webhook) => {
+  for (const delivery of await listDeliveriesOf(store, webhook.id)) {
+    await store.webhookDeliveries.remove(delivery.id);
+  }
+  await store.webhooks.remove(webhook.id);
+};
+
+// Forget the oldest delivered deliveries beyond LOG_SIZE
+const pruneLog = async (store, webhookId) => {
+  const delivered = (await listDeliveriesOf(store, webhookId)).filter((d) => d.status === 'delivered');
+  for (const delivery of delivered.slice(0, Math.max(delivered.length - LOG_SIZE, 0))) {
+    await store.webhookDeliveries.remove(delivery.id);
+  }
+};
+
+// Queue a delivery of a bus event to each of its owner's active webhooks
+// that subscribe to it. Returns the deliveries queued.
+const enqueueWebhookEvent = async ({ store, clock, event }) => {
+  const now = clock.now().toISOString();
+  const webhooks = (await listWebhooksOf(store, event.userId)).filter(
+    (w) => w.active && w.events.includes(event.type)
+  );
+
+  const queued = [];
+  for (const webhook of webhooks) {
+    queued.push(await store.webhookDeliveries.insert({
+      webhookId: webhook.id,
+      event: event.type,
+      payload: { id: event.id, type: event.type, createdAt: now, data: event.data },
+      status: 'pending',
+      attempts: [],
+      failures: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+      deliveredAt: null,
+    }));
+    await pruneLog(store, webhook.id);
+  }
+  return queued;
+};
+
+// POST one delivery to the address its URL was checked at; resolves to the
+// response status, rejects when there was none
+const sendDelivery = async ({ webhook, delivery, target, clock, fetch }) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(clock.now().getTime() / 1000);
+
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'todo-app-webhooks',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+    },
+    body,
+    redirect: 'manual',
+    lookup: pinnedLookup(target),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  return response.status;
+};
+
+/**
+ * Send every pending delivery that is due. Anything but a 2xx answer is a
+ * failure and is scheduled again, or moved to the dead letters once it has
+ * failed MAX_ATTEMPTS times in a row. Deliveries of paused webhooks wait.
+ * Returns the deliveries as they ended up.
+ */
+const deliverDueWebhooks = async ({ store, clock, fetch = requestPinned, lookup, allowPrivateUrls, logger }) => {
+  const now = clock.now();
+  const due = (await store.webhookDeliveries.list()).filter(
+    (d) => d.status === 'pending' && Date.parse(d.nextAttemptAt) <= now.getTime()
+  );
+
+  const results = [];
+  for (const delivery of due) {
+    const webhook = await store.webhooks.get(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      continue;
+    }
+
+    const attempt = { at: now.toISOString(), responseStatus: null, error: null };
+    try {
+      // Checked every time: the host may resolve somewhere else by now
+      const target = await resolveTarget(webhook.url, { lookup, allowPrivate: allowPrivateUrls });
+      if (target.problem) {
+        throw new Error(`URL ${target.problem}`);
+      }
+      attempt.responseStatus = await sendDelivery({ webhook, delivery, target, clock, fetch });
+      if (attempt.responseStatus >= 300 && attempt.responseStatus < 400) {
+        attempt.error = `Answered ${attempt.responseStatus}; redirects are not followed`;
+      } else if (attempt.responseStatus < 200 || attempt.responseStatus >= 300) {
+        attempt.error = `Answered ${attempt.responseStatus}`;
+      }
+    } catch (err) {
+      attempt.error = err.message;
+    }
+
+    const attempts = [...delivery.attempts, attempt];
+    let changes;
+    if (!attempt.error) {
+      changes = { status: 'delivered', attempts, failures: 0, nextAttemptAt: null, deliveredAt: attempt.at };
+    } else if (delivery.failures + 1 >= MAX_ATTEMPTS) {
+      logger.warn('Gave up on a webhook delivery', {
+        webhookId: webhook.id,
+        deliveryId: delivery.id,
+        error: attempt.error,
+      });
+      changes = { status: 'dead', attempts, failures: delivery.failures + 1, nextAttemptAt: null };
+    } else {
+      const failures = delivery.failures + 1;
+      const nextAttemptAt = new Date(now.getTime() + retryDelay(failures)).toISOString();
+      changes = { attempts, failures, nextAttemptAt };
+    }
+    results.push(await store.webhookDeliveries.update(delivery.id, changes));
+  }
+  return results;
+};
+
+/**
+ * Queue deliveries for todo events published on the bus and send them, at
+ * once and then every intervalMs for retries and for whatever was left
+ * queued when the server last stopped. Returns a stop function.
+ */
+const startWebhookDispatcher = ({
+  store,
+  clock,
+  events,
+  fetch = requestPinned,
+  lookup,
+  allowPrivateUrls = false,
+  logger,
+  intervalMs = CHECK_INTERVAL_MS,
+}) => {
+  // Runs never overlap; one asked for during a run follows right after it
+  let running = null;
+  let runAgain = false;
+
+  const run = () => {
+    if (running) {
+      runAgain = true;
+      return running;
+    }
+    running = deliverDueWebhooks({ store, clock, fetch, lookup, allowPrivateUrls, logger })
+      .catch((err) => logger.error('Failed to deliver webhooks', { error: err.message }))
+      .finally(() => {
+        running = null;
+        if (runAgain) {
+          runAgain = false;
+          run();
+        }
+      });
+    return running;
+  };
+
+  // Events are queued one after another so deliveries keep their order
+  let queue = Promise.resolve();
+  const stopListening = events.listen((event) => {
+    if (!WEBHOOK_EVENTS.includes(event.type)) {
+      return;
+    }
+    queue = queue
+      .then(() => enqueueWebhookEvent({ store, clock, event }))
+      .then((queued) => queued.length > 0 && run())
+      .catch((err) => logger.error('Failed to queue webhook deliveries', {
+        eventId: event.id,
+        error: err.message,
+      }));
+  });
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  // Never keep the process alive just for this
+  timer.unref();
+
+  return () => {
+    stopListening();
+    clearInterval(timer);
+  };
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  retryDelay,
+  findTargetProblem,
+  toWebhook,
+  toDelivery,
+  listWebhooksOf,
+  listDeliveriesOf,
+  removeWebhook,
+  enqueueWebhookEvent,
+  deliverDueWebhooks,
+  startWebhookDispatcher,
+};
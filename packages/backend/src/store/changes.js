@@ -0,0 +1,11 @@
+// Helpers every store driver shares so they all treat records the same way
+
+/**
+ * The fields of an update that actually set something. A key whose value is
+ * undefined leaves the stored field as it was, whichever driver is in use;
+ * pass null to clear a field.
+ */
+const definedChanges = (changes) =>
+  Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+
+module.exports = { definedChanges };
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+// File-backed store - keeps everything in memory and rewrites a JSON
+// snapshot (records plus ID counters) after every change
+
+const readSnapshot = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  const contents = fs.readFileSync(filePath, 'utf8');
+  return contents.trim() ? JSON.parse(contents) : {};
+};
+
+const createFileStore = ({ collections, filePath }) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Writes are chained so snapshots land on disk in order
+  let pending = Promise.resolve();
+
+  const persist = (state) => {
+    const snapshot = JSON.stringify(state, null, 2);
+    const tmpPath = `${filePath}.tmp`;
+
+    // A failed write must not block the ones queued after it
+    pending = pending.catch(() => {}).then(async () => {
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, filePath);
+    });
+
+    return pending;
+  };
+
+  const store = createMemoryStore({
+    collections,
+    initialState: readSnapshot(filePath),
+    onChange: persist,
+  });
+
+  store.close = () => pending;
+
+  return store;
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,42 @@
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { createSqliteStore } = require('./sqliteStore');
+
+// Collections every store driver exposes
+const COLLECTIONS = [
+  'todos',
+  'users',
+  'sessions',
+  'lists',
+  'subtasks',
+  'history',
+  'reminders',
+  'webhooks',
+  'webhookDeliveries',
+];
+
+/**
+ * Create the storage backend selected by config.
+ *
+ * Every driver exposes one repository per collection with the same async
+ * interface: list(), get(id), insert(data), update(id, changes),
+ * replace(id, data), remove(id). insert() assigns the numeric id; update()
+ * merges and returns the record (or null if missing), leaving fields whose
+ * new value is undefined as they were; replace() does the same but writes
+ * exactly data, dropping fields it lacks; remove() resolves to whether a
+ * record was deleted.
+ */
+const createStore = ({ driver = 'memory', path: filePath } = {}) => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore({ collections: COLLECTIONS });
+    case 'file':
+      return createFileStore({ collections: COLLECTIONS, filePath });
+    case 'sqlite':
+      return createSqliteStore({ collections: COLLECTIONS, filePath });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+module.exports = { createStore, COLLECTIONS };
@@ -0,0 +1,74 @@
+const { definedChanges } = require('./changes');
+
+// In-memory store - data lives only as long as the process
+// Used by the test suite and as the base for the file-backed store
+
+const clone = (record) => JSON.parse(JSON.stringify(record));
+
+// Create a single collection backed by a plain array and ID counter
+const createMemoryCollection = (state, onChange = () => {}) => ({
+  async list() {
+    return state.records.map(clone);
+  },
+
+  async get(id) {
+    const record = state.records.find((r) => r.id === id);
+    return record ? clone(record) : null;
+  },
+
+  async insert(data) {
+    const record = { ...clone(data), id: state.nextId++ };
+    state.records.push(record);
+    await onChange();
+    return clone(record);
+  },
+
+  async update(id, changes) {
+    const record = state.records.find((r) => r.id === id);
+    if (!record) {
+      return null;
+    }
+
+    Object.assign(record, clone(definedChanges(changes)), { id });
+    await onChange();
+    return clone(record);
+  },
+
+  async replace(id, data) {
+    const index = state.records.findIndex((r) => r.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    state.records[index] = { ...clone(data), id };
+    await onChange();
+    return clone(state.records[index]);
+  },
+
+  async remove(id) {
+    const index = state.records.findIndex((r) => r.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    state.records.splice(index, 1);
+    await onChange();
+    return true;
+  },
+});
+
+const createMemoryStore = ({ collections, initialState = {}, onChange } = {}) => {
+  const state = {};
+  const store = {};
+
+  collections.forEach((name) => {
+    state[name] = initialState[name] || { nextId: 1, records: [] };
+    store[name] = createMemoryCollection(state[name], onChange && (() => onChange(state)));
+  });
+
+  store.close = async () => {};
+
+  return store;
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { definedChanges } = require('./changes');
+
+// Embedded SQLite store - one table per collection, each row holding the
+// record as JSON. AUTOINCREMENT keeps IDs unique across restarts and deletes.
+
+const createSqliteCollection = (db, name) => {
+  db.exec(`CREATE TABLE IF NOT EXISTS "${name}" (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    data TEXT NOT NULL
+  )`);
+
+  const statements = {
+    list: db.prepare(`SELECT id, data FROM "${name}" ORDER BY id`),
+    get: db.prepare(`SELECT id, data FROM "${name}" WHERE id = ?`),
+    insert: db.prepare(`INSERT INTO "${name}" (data) VALUES (?)`),
+    update: db.prepare(`UPDATE "${name}" SET data = ? WHERE id = ?`),
+    remove: db.prepare(`DELETE FROM "${name}" WHERE id = ?`),
+  };
+
+  const toRecord = (row) => ({ ...JSON.parse(row.data), id: row.id });
+
+  // The id lives in its own column, never inside the JSON payload
+  const serialize = (record) => {
+    const fields = { ...record };
+    delete fields.id;
+    return JSON.stringify(fields);
+  };
+
+  const findById = (id) => {
+    const row = statements.get.get(id);
+    return row ? toRecord(row) : null;
+  };
+
+  return {
+    async list() {
+      return statements.list.all().map(toRecord);
+    },
+
+    async get(id) {
+      return findById(id);
+    },
+
+    async insert(data) {
+      const result = statements.insert.run(serialize(data));
+      return findById(Number(result.lastInsertRowid));
+    },
+
+    async update(id, changes) {
+      const existing = findById(id);
+      if (!existing) {
+        return null;
+      }
+
+      statements.update.run(serialize({ ...existing, ...definedChanges(changes) }), id);
+      return findById(id);
+    },
+
+    async replace(id, data) {
+      return statements.update.run(serialize(data), id).changes > 0 ? findById(id) : null;
+    },
+
+    async remove(id) {
+      return statements.remove.run(id).changes > 0;
+    },
+  };
+};
+
+const createSqliteStore = ({ collections, filePath }) => {
+  // Loaded lazily so the native module is only needed when SQLite is selected
+  const Database = require('better-sqlite3');
+
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+
+  const store = {};
+  collections.forEach((name) => {
+    store[name] = createSqliteCollection(db, name);
+  });
+
+  store.close = async () => {
+    db.close();
+  };
+
+  return store;
+};
+
+module.exports = { createSqliteStore };
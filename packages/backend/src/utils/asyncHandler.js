@@ -0,0 +1,6 @@
+// Wrap an async route handler so rejected promises reach Express's error handling
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
@@ -0,0 +1,51 @@
+const { PreconditionFailedError } = require('../errors');
+const { versionOf } = require('../services/todos');
+
+// ETags for single todos come from their version, so a client can send one
+// back in If-Match to make sure it is not overwriting newer changes. Subtask
+// changes leave the version alone, so a todo with subtasks adds its progress
+// ("3-1-4": version 3, one of four done) for If-None-Match to see them.
+
+const etagOf = (todo) => {
+  const counts = todo.subtaskCounts;
+  return counts && counts.total > 0
+    ? `"${versionOf(todo)}-${counts.completed}-${counts.total}"`
+    : `"${versionOf(todo)}"`;
+};
+
+// The version an ETag names, whether or not it carries subtask progress
+const versionOfTag = (tag) => /^"(\d+)(?:-\d+-\d+)?"$/.exec(tag)?.[1];
+
+// Throw unless the request's If-Match (if any) names the todo's current
+// version; "*" matches any version. Only the version is compared: a write
+// needs the todo itself unchanged, not its subtasks.
+const assertIfMatch = (req, todo) => {
+  const header = req.get('If-Match');
+  if (!header) {
+    return;
+  }
+
+  const tags = header.split(',').map((tag) => tag.trim());
+  const version = String(versionOf(todo));
+  if (!tags.some((tag) => tag === '*' || versionOfTag(tag) === version)) {
+    throw new PreconditionFailedError('The todo has changed since you loaded it', [
+      { location: 'headers', field: 'If-Match', message: `does not match the current version "${version}"` },
+    ]);
+  }
+};
+
+// The same check for clients that send the version itself, e.g. GraphQL
+const assertVersion = (todo, version) => {
+  if (version !== undefined && version !== null && version !== versionOf(todo)) {
+    throw new PreconditionFailedError('The todo has changed since you loaded it', [
+      { location: 'args', field: 'version', message: `does not match the current version ${versionOf(todo)}` },
+    ]);
+  }
+};
+
+// Respond with a presented todo and its ETag
+const sendTodo = (res, todo, status = 200) => {
+  res.status(status).set('ETag', etagOf(todo)).json(todo);
+};
+
+module.exports = { etagOf, assertIfMatch, assertVersion, sendTodo };
@@ -0,0 +1,188 @@
+// Fractional indexing - string keys that sort lexicographically and can
+// always be generated between any two existing keys, so moving an item
+// only ever rewrites that item's key.
+//
+// A key is an "integer" part followed by an optional fraction. The first
+// character of the integer encodes its length (a-z for positive lengths,
+// A-Z for negative), which keeps appends at the end short instead of
+// growing the fraction on every new item.
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const INTEGER_ZERO = `a${DIGITS[0]}`;
+const SMALLEST_INTEGER = `A${DIGITS[0].repeat(26)}`;
+
+const invalid = (key) => new Error(`Invalid order key: ${key}`);
+
+const integerLength = (head) => {
+  if (head >= 'a' && head <= 'z') {
+    return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+  }
+  if (head >= 'A' && head <= 'Z') {
+    return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+  }
+  throw invalid(head);
+};
+
+const integerPart = (key) => {
+  const length = integerLength(key[0]);
+  if (length > key.length) {
+    throw invalid(key);
+  }
+  return key.slice(0, length);
+};
+
+const assertValidKey = (key) => {
+  if (key === SMALLEST_INTEGER) {
+    throw invalid(key);
+  }
+  const fraction = key.slice(integerPart(key).length);
+  if (fraction.endsWith(DIGITS[0])) {
+    throw invalid(key);
+  }
+};
+
+// Midpoint of two fractions, where b === null stands for 1
+const midpoint = (a, b) => {
+  if (b !== null) {
+    // Shared prefix is kept as is
+    let n = 0;
+    while ((a[n] || DIGITS[0]) === b[n]) {
+      n++;
+    }
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  if (b && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+// Next integer, or null once the largest one is reached
+const incrementInteger = (integer) => {
+  const [head, ...digits] = integer.split('');
+  let carry = true;
+  for (let i = digits.length - 1; carry && i >= 0; i--) {
+    const digit = DIGITS.indexOf(digits[i]) + 1;
+    if (digit === DIGITS.length) {
+      digits[i] = DIGITS[0];
+    } else {
+      digits[i] = DIGITS[digit];
+      carry = false;
+    }
+  }
+  if (!carry) {
+    return head + digits.join('');
+  }
+  if (head === 'Z') {
+    return `a${DIGITS[0]}`;
+  }
+  if (head === 'z') {
+    return null;
+  }
+  const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+  if (nextHead > 'a') {
+    digits.push(DIGITS[0]);
+  } else {
+    digits.pop();
+  }
+  return nextHead + digits.join('');
+};
+
+// Previous integer, or null once the smallest one is reached
+const decrementInteger = (integer) => {
+  const [head, ...digits] = integer.split('');
+  let borrow = true;
+  for (let i = digits.length - 1; borrow && i >= 0; i--) {
+    const digit = DIGITS.indexOf(digits[i]) - 1;
+    if (digit === -1) {
+      digits[i] = DIGITS[DIGITS.length - 1];
+    } else {
+      digits[i] = DIGITS[digit];
+      borrow = false;
+    }
+  }
+  if (!borrow) {
+    return head + digits.join('');
+  }
+  if (head === 'a') {
+    return `Z${DIGITS[DIGITS.length - 1]}`;
+  }
+  if (head === 'A') {
+    return null;
+  }
+  const previousHead = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (previousHead < 'Z') {
+    digits.push(DIGITS[DIGITS.length - 1]);
+  } else {
+    digits.pop();
+  }
+  return previousHead + digits.join('');
+};
+
+/**
+ * Generate a key that sorts strictly between a and b.
+ * null stands for "before everything" (a) or "after everything" (b).
+ */
+const keyBetween = (a, b) => {
+  if (a !== null) assertValidKey(a);
+  if (b !== null) assertValidKey(b);
+  if (a !== null && b !== null && a >= b) {
+    throw new Error(`Order keys out of order: ${a} >= ${b}`);
+  }
+
+  if (a === null) {
+    if (b === null) {
+      return INTEGER_ZERO;
+    }
+    const intB = integerPart(b);
+    const fracB = b.slice(intB.length);
+    if (intB === SMALLEST_INTEGER) {
+      return intB + midpoint('', fracB);
+    }
+    if (intB < b) {
+      return intB;
+    }
+    const previous = decrementInteger(intB);
+    if (previous === null) {
+      throw new Error('Cannot generate a key before the smallest key');
+    }
+    return previous;
+  }
+
+  const intA = integerPart(a);
+  const fracA = a.slice(intA.length);
+
+  if (b === null) {
+    const next = incrementInteger(intA);
+    return next === null ? intA + midpoint(fracA, null) : next;
+  }
+
+  const intB = integerPart(b);
+  const fracB = b.slice(intB.length);
+  if (intA === intB) {
+    return intA + midpoint(fracA, fracB);
+  }
+  const next = incrementInteger(intA);
+  return next !== null && next < b ? next : intA + midpoint(fracA, null);
+};
+
+// n ascending keys after a, e.g. to backfill records that have none
+const keysAfter = (a, n) => {
+  const keys = [];
+  let previous = a;
+  for (let i = 0; i < n; i++) {
+    previous = keyBetween(previous, null);
+    keys.push(previous);
+  }
+  return keys;
+};
+
+module.exports = { keyBetween, keysAfter };
@@ -0,0 +1,21 @@
+// Request schemas for the /api/auth routes
+
+const credentials = {
+  body: {
+    username: {
+      type: 'string',
+      required: true,
+      trim: true,
+      minLength: 3,
+      maxLength: 32,
+      pattern: /^[a-zA-Z0-9_.-]+$/,
+      patternMessage: 'may only contain letters, numbers, dots, dashes and underscores',
+    },
+    password: { type: 'string', required: true, minLength: 8, maxLength: 128 },
+  },
+};
+
+module.exports = {
+  register: credentials,
+  login: credentials,
+};
@@ -0,0 +1,32 @@
+// Request schemas for todo history and the activity feed
+
+const MAX_PAGE_SIZE = 100;
+
+const todoParams = {
+  id: { type: 'integer', required: true, min: 1 },
+};
+
+const todoHistory = {
+  params: todoParams,
+};
+
+const revertTodo = {
+  params: {
+    ...todoParams,
+    entryId: { type: 'integer', required: true, min: 1 },
+  },
+};
+
+// Newest first; cursor is the id of the last entry already shown
+const listActivity = {
+  query: {
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: 50 },
+    cursor: { type: 'integer', min: 1 },
+  },
+};
+
+module.exports = {
+  todoHistory,
+  revertTodo,
+  listActivity,
+};
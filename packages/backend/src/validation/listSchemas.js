@@ -0,0 +1,40 @@
+// Request schemas for the /api/lists routes
+
+const NAME_MAX_LENGTH = 60;
+
+const idParams = {
+  id: { type: 'integer', required: true, min: 1 },
+};
+
+const name = { type: 'string', required: true, trim: true, minLength: 1, maxLength: NAME_MAX_LENGTH };
+
+const createList = {
+  body: { name },
+};
+
+const updateList = {
+  params: idParams,
+  body: { name },
+};
+
+const listById = {
+  params: idParams,
+};
+
+// DELETE either removes the list's todos (cascade) or moves them elsewhere;
+// with neither option they move to the inbox
+const deleteList = {
+  params: idParams,
+  query: {
+    cascade: { type: 'boolean', default: false },
+    reassignTo: { type: 'integer', min: 1 },
+  },
+};
+
+module.exports = {
+  NAME_MAX_LENGTH,
+  createList,
+  updateList,
+  listById,
+  deleteList,
+};
@@ -0,0 +1,37 @@
+// Request schemas for the /api/todos/:id/reminders routes
+
+const MAX_REMINDERS = 10;
+// Four weeks
+const MAX_MINUTES_BEFORE = 4 * 7 * 24 * 60;
+
+const todoParams = {
+  id: { type: 'integer', required: true, min: 1 },
+};
+
+const listReminders = {
+  params: todoParams,
+};
+
+// Exactly one of at and minutesBefore, checked by the route
+const createReminder = {
+  params: todoParams,
+  body: {
+    at: { type: 'date' },
+    minutesBefore: { type: 'integer', min: 0, max: MAX_MINUTES_BEFORE },
+  },
+};
+
+const reminderById = {
+  params: {
+    ...todoParams,
+    reminderId: { type: 'integer', required: true, min: 1 },
+  },
+};
+
+module.exports = {
+  MAX_REMINDERS,
+  MAX_MINUTES_BEFORE,
+  listReminders,
+  createReminder,
+  reminderById,
+};
@@ -0,0 +1,61 @@
+// Request schemas for the /api/todos/:id/subtasks routes
+
+const TITLE_MAX_LENGTH = 200;
+const MAX_SUBTASKS = 100;
+
+const todoParams = {
+  id: { type: 'integer', required: true, min: 1 },
+};
+
+const subtaskParams = {
+  ...todoParams,
+  subtaskId: { type: 'integer', required: true, min: 1 },
+};
+
+const title = { type: 'string', trim: true, minLength: 1, maxLength: TITLE_MAX_LENGTH };
+
+const listSubtasks = {
+  params: todoParams,
+};
+
+const createSubtask = {
+  params: todoParams,
+  body: {
+    title: { ...title, required: true },
+  },
+};
+
+const updateSubtask = {
+  params: subtaskParams,
+  body: {
+    title,
+    completed: { type: 'boolean' },
+  },
+};
+
+const subtaskById = {
+  params: subtaskParams,
+};
+
+// Full new order of the todo's subtask ids
+const reorderSubtasks = {
+  params: todoParams,
+  body: {
+    ids: {
+      type: 'array',
+      required: true,
+      distinct: true,
+      maxItems: MAX_SUBTASKS,
+      items: { type: 'integer', min: 1 },
+    },
+  },
+};
+
+module.exports = {
+  MAX_SUBTASKS,
+  listSubtasks,
+  createSubtask,
+  updateSubtask,
+  subtaskById,
+  reorderSubtasks,
+};
@@ -0,0 +1,194 @@
+const { PRIORITIES } = require('../models/todo');
+const { SORT_FIELDS } = require('../services/todoQuery');
+const { parseRecurrence, formatRecurrence } = require('../models/recurrence');
+const { validateObject } = require('./validate');
+const { FORMAT_NAMES } = require('../formats');
+const { NAME_MAX_LENGTH: LIST_NAME_MAX_LENGTH } = require('./listSchemas');
+
+// Request schemas for the /api/todos routes
+
+const TITLE_MAX_LENGTH = 200;
+const DESCRIPTION_MAX_LENGTH = 2000;
+const TAG_MAX_LENGTH = 30;
+const MAX_TAGS = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_OPERATIONS = 100;
+const MAX_IMPORT_ROWS = 1000;
+
+// Recurrence rules are stored in canonical form
+const checkRecurrence = (rule, value) => {
+  if (typeof value !== 'string') {
+    return { error: 'must be a string' };
+  }
+  try {
+    return { value: formatRecurrence(parseRecurrence(value)) };
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+const idParams = {
+  id: { type: 'integer', required: true, min: 1 },
+};
+
+// Editable fields shared by create and update
+const todoFields = {
+  title: { type: 'string', trim: true, minLength: 1, maxLength: TITLE_MAX_LENGTH },
+  description: { type: 'string', trim: true, maxLength: DESCRIPTION_MAX_LENGTH },
+  dueDate: { type: 'date', nullable: true },
+  priority: { type: 'string', enum: PRIORITIES, nullable: true },
+  tags: {
+    type: 'array',
+    maxItems: MAX_TAGS,
+    unique: true,
+    items: { type: 'string', trim: true, minLength: 1, maxLength: TAG_MAX_LENGTH },
+  },
+  // null keeps the todo outside any list (the inbox)
+  listId: { type: 'integer', min: 1, nullable: true },
+  autoComplete: { type: 'boolean' },
+  recurrence: { type: 'string', nullable: true, check: checkRecurrence },
+};
+
+// Filters, sort and pagination for GET /api/todos
+const listTodos = {
+  query: {
+    completed: { type: 'boolean' },
+    // A list id, or "none" for todos that are not in any list
+    listId: { type: 'string', pattern: /^(\d+|none)$/, patternMessage: 'must be a list id or "none"' },
+    q: { type: 'string', trim: true, maxLength: TITLE_MAX_LENGTH },
+    tag: { type: 'array', maxItems: MAX_TAGS, items: todoFields.tags.items },
+    priority: { type: 'array', items: { type: 'string', enum: PRIORITIES } },
+    sort: { type: 'string', enum: SORT_FIELDS },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string', maxLength: 500 },
+  },
+};
+
+const createTodo = {
+  body: {
+    ...todoFields,
+    title: { ...todoFields.title, required: true },
+    // Read the due date, tags, priority and recurrence out of the title
+    quickAdd: { type: 'boolean' },
+    locale: {
+      type: 'string',
+      maxLength: 35,
+      pattern: /^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i,
+      patternMessage: 'must be a language tag like en-GB',
+    },
+    // Minutes, as from Date#getTimezoneOffset
+    timezoneOffset: { type: 'integer', min: -840, max: 840 },
+  },
+};
+
+const updateTodo = {
+  params: idParams,
+  body: todoFields,
+};
+
+const todoById = {
+  params: idParams,
+};
+
+// Exactly one of before/after, checked by the move itself
+const moveTodo = {
+  params: idParams,
+  body: {
+    before: { type: 'integer', min: 1 },
+    after: { type: 'integer', min: 1 },
+  },
+};
+
+// One operation of a bulk request. completed goes with setCompleted and
+// changes (the fields of PUT /api/todos/:id) with update.
+const BULK_OPS = ['toggle', 'setCompleted', 'update', 'delete', 'restore'];
+const OP_ONLY_FIELDS = { completed: 'setCompleted', changes: 'update' };
+
+const describeError = ({ field, message }) => (field ? `${field} ${message}` : message);
+
+const checkChanges = (rule, value) => {
+  const { value: changes, errors } = validateObject(todoFields, value);
+  return errors.length ? { error: `are invalid: ${describeError(errors[0])}` } : { value: changes };
+};
+
+const bulkOperationFields = {
+  op: { type: 'string', required: true, enum: BULK_OPS },
+  id: { type: 'integer', required: true, min: 1 },
+  completed: { type: 'boolean' },
+  changes: { check: checkChanges },
+};
+
+const checkBulkOperation = (rule, value) => {
+  const { value: operation, errors } = validateObject(bulkOperationFields, value);
+  if (errors.length) {
+    return { error: describeError(errors[0]) };
+  }
+
+  for (const [field, op] of Object.entries(OP_ONLY_FIELDS)) {
+    if (operation.op === op && operation[field] === undefined) {
+      return { error: `${field} is required for ${op}` };
+    }
+    if (operation.op !== op && operation[field] !== undefined) {
+      return { error: `${field} is only allowed for ${op}` };
+    }
+  }
+  return { value: operation };
+};
+
+const bulkTodos = {
+  body: {
+    operations: {
+      type: 'array',
+      required: true,
+      maxItems: MAX_BULK_OPERATIONS,
+      items: { check: checkBulkOperation },
+    },
+  },
+};
+
+const omit = (rules, fields) =>
+  Object.fromEntries(Object.entries(rules).filter(([field]) => !fields.includes(field)));
+
+const format = { type: 'string', required: true, enum: FORMAT_NAMES };
+
+// The filters and sort of GET /api/todos, without paging
+const exportTodos = {
+  query: { ...omit(listTodos.query, ['limit', 'cursor']), format },
+};
+
+const importTodos = {
+  query: {
+    format,
+    // Report what would happen without saving anything
+    dryRun: { type: 'boolean', default: false },
+  },
+};
+
+// One todo read from an import file; the list is matched by name
+const importedTodo = {
+  ...omit(todoFields, ['listId']),
+  title: { ...todoFields.title, required: true },
+  completed: { type: 'boolean' },
+  list: { type: 'string', trim: true, minLength: 1, maxLength: LIST_NAME_MAX_LENGTH },
+};
+
+module.exports = {
+  TITLE_MAX_LENGTH,
+  DESCRIPTION_MAX_LENGTH,
+  TAG_MAX_LENGTH,
+  MAX_TAGS,
+  MAX_PAGE_SIZE,
+  MAX_BULK_OPERATIONS,
+  MAX_IMPORT_ROWS,
+  BULK_OPS,
+  listTodos,
+  createTodo,
+  updateTodo,
+  todoById,
+  moveTodo,
+  bulkTodos,
+  exportTodos,
+  importTodos,
+  importedTodo,
+};
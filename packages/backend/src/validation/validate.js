@@ -0,0 +1,242 @@
+const { ValidationError } = require('../errors');
+
+// Declarative request validation
+//
+// A schema maps field names to rules, e.g.
+//   { title: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 200 } }
+//
+// Supported rule keys:
+//   type       'string' | 'integer' | 'boolean' | 'array' | 'date'
+//   required   field must be present
+//   nullable   null is accepted as a value
+//   trim       (string) strip surrounding whitespace before other checks
+//   minLength / maxLength / pattern / enum   (string)
+//   min / max  (integer)
+//   items / maxItems   (array)
+//   unique     (array) drop repeated items
+//   distinct   (array) reject repeated items
+//   default    value used when the field is absent
+//   check      custom (rule, value, coerce) => { value } | { error }, replacing the type's own check
+//   schema     JSON Schema describing what check accepts, for the API docs (see openapi/)
+//
+// Fields not named in the schema are rejected. Params and query strings are
+// coerced ("12" -> 12, "true" -> true) strictly, so "12abc" is not an integer.
+
+const INTEGER_PATTERN = /^-?\d+$/;
+
+// Calendar date (2024-05-01) or ISO 8601 date-time (2024-05-01T09:00:00Z)
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const checkString = (rule, value) => {
+  if (typeof value !== 'string') {
+    return { error: 'must be a string' };
+  }
+
+  const result = rule.trim ? value.trim() : value;
+
+  if (rule.minLength !== undefined && result.length < rule.minLength) {
+    return {
+      error: rule.minLength === 1
+        ? 'must not be empty'
+        : `must be at least ${rule.minLength} characters`,
+    };
+  }
+  if (rule.maxLength !== undefined && result.length > rule.maxLength) {
+    return { error: `must be at most ${rule.maxLength} characters` };
+  }
+  if (rule.enum && !rule.enum.includes(result)) {
+    return { error: `must be one of: ${rule.enum.join(', ')}` };
+  }
+  if (rule.pattern && !rule.pattern.test(result)) {
+    return { error: rule.patternMessage || 'has an invalid format' };
+  }
+
+  return { value: result };
+};
+
+const checkInteger = (rule, value, coerce) => {
+  let result = value;
+  if (coerce && typeof value === 'string' && INTEGER_PATTERN.test(value)) {
+    result = Number(value);
+  }
+
+  if (!Number.isSafeInteger(result)) {
+    return { error: 'must be an integer' };
+  }
+  if (rule.min !== undefined && result < rule.min) {
+    return { error: `must be at least ${rule.min}` };
+  }
+  if (rule.max !== undefined && result > rule.max) {
+    return { error: `must be at most ${rule.max}` };
+  }
+
+  return { value: result };
+};
+
+const checkBoolean = (rule, value, coerce) => {
+  if (coerce && (value === 'true' || value === 'false')) {
+    return { value: value === 'true' };
+  }
+  if (typeof value !== 'boolean') {
+    return { error: 'must be a boolean' };
+  }
+
+  return { value };
+};
+
+// Date.parse rolls impossible days over (2024-02-30 becomes March 1), so the
+// day has to read the same once parsed and formatted again
+const isCalendarDay = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === day;
+};
+
+const checkDate = (rule, value) => {
+  if (
+    typeof value !== 'string' ||
+    !DATE_PATTERN.test(value) ||
+    Number.isNaN(Date.parse(value)) ||
+    !isCalendarDay(value.slice(0, 10))
+  ) {
+    return { error: 'must be an ISO 8601 date' };
+  }
+
+  return { value };
+};
+
+// Forward declaration - arrays validate their items with the same rules
+let checkValue;
+
+const checkArray = (rule, value, coerce) => {
+  // A single query parameter (?tag=a) arrives as a string
+  const list = coerce && typeof value === 'string' ? value.split(',') : value;
+
+  if (!Array.isArray(list)) {
+    return { error: 'must be an array' };
+  }
+  if (rule.maxItems !== undefined && list.length > rule.maxItems) {
+    return { error: `must have at most ${rule.maxItems} items` };
+  }
+
+  const result = [];
+  for (let i = 0; i < list.length; i++) {
+    const item = checkValue(rule.items, list[i], coerce);
+    if (item.error) {
+      return { error: `item ${i} ${item.error}` };
+    }
+    if (rule.distinct && result.includes(item.value)) {
+      return { error: `item ${i} repeats an earlier item` };
+    }
+    if (!rule.unique || !result.includes(item.value)) {
+      result.push(item.value);
+    }
+  }
+
+  return { value: result };
+};
+
+const CHECKS = {
+  string: checkString,
+  integer: checkInteger,
+  boolean: checkBoolean,
+  array: checkArray,
+  date: checkDate,
+};
+
+checkValue = (rule, value, coerce) => {
+  if (value === null) {
+    return rule.nullable ? { value: null } : { error: 'must not be null' };
+  }
+
+  const check = rule.check || CHECKS[rule.type];
+  if (!check) {
+    throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+
+  return check(rule, value, coerce);
+};
+
+/**
+ * Validate an input object against a schema.
+ * Returns { value, errors } where value holds only the known, coerced fields.
+ */
+const validateObject = (schema, input, { location, coerce = false } = {}) => {
+  const errors = [];
+  const value = {};
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ location, field: null, message: 'must be an object' }] };
+  }
+
+  Object.keys(input).forEach((field) => {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      errors.push({ location, field, message: 'is not allowed' });
+    }
+  });
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (input[field] === undefined) {
+      if (rule.required) {
+        errors.push({ location, field, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      }
+      return;
+    }
+
+    const result = checkValue(rule, input[field], coerce);
+    if (result.error) {
+      errors.push({ location, field, message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  return { value, errors };
+};
+
+// The API error for a failed validation, named after the first problem
+const toValidationError = (errors) => {
+  const [first] = errors;
+  const message = first.field
+    ? `${first.field} ${first.message}`
+    : `${first.location} ${first.message}`;
+  return new ValidationError(message, errors);
+};
+
+// Validate input that doesn't come through a route (e.g. GraphQL arguments),
+// returning the clean value or throwing as validate() would
+const assertValid = (schema, input, options) => {
+  const { value, errors } = validateObject(schema, input, options);
+  if (errors.length > 0) {
+    throw toValidationError(errors);
+  }
+  return value;
+};
+
+// Express middleware validating params, query and body against their schemas.
+// Validated values replace the raw ones, so handlers only see clean input.
+const validate = ({ params, query, body }) => (req, res, next) => {
+  const errors = [];
+
+  const run = (schema, location, coerce) => {
+    if (!schema) {
+      return;
+    }
+    const result = validateObject(schema, req[location] ?? {}, { location, coerce });
+    errors.push(...result.errors);
+    req[location] = result.value;
+  };
+
+  run(params, 'params', true);
+  run(query, 'query', true);
+  run(body, 'body', false);
+
+  if (errors.length > 0) {
+    return next(toValidationError(errors));
+  }
+
+  next();
+};
+
+module.exports = { DATE_PATTERN, assertValid, validate, validateObject };
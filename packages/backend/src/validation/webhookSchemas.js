@@ -0,0 +1,101 @@
+// Request schemas for the /api/webhooks routes
+
+const MAX_WEBHOOKS = 10;
+const URL_MAX_LENGTH = 2000;
+const SECRET_MIN_LENGTH = 16;
+const SECRET_MAX_LENGTH = 200;
+
+// Todo changes a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  'todo.created',
+  'todo.updated',
+  'todo.toggled',
+  'todo.deleted',
+  'todo.restored',
+  'todo.purged',
+];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const idParams = {
+  id: { type: 'integer', required: true, min: 1 },
+};
+
+// Absolute http(s) URLs only
+const checkUrl = (rule, value) => {
+  if (typeof value !== 'string' || value.length > URL_MAX_LENGTH) {
+    return { error: `must be a URL of at most ${URL_MAX_LENGTH} characters` };
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return { error: 'must be an absolute URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: 'must be an http or https URL' };
+  }
+  return { value: url.href };
+};
+
+const fields = {
+  url: { check: checkUrl, schema: { type: 'string', format: 'uri', maxLength: URL_MAX_LENGTH } },
+  events: {
+    type: 'array',
+    items: { type: 'string', enum: WEBHOOK_EVENTS },
+    maxItems: WEBHOOK_EVENTS.length,
+    unique: true,
+  },
+  secret: { type: 'string', minLength: SECRET_MIN_LENGTH, maxLength: SECRET_MAX_LENGTH },
+  active: { type: 'boolean' },
+};
+
+// A secret is generated when none is sent; events default to all of them
+const createWebhook = {
+  body: {
+    ...fields,
+    url: { ...fields.url, required: true },
+  },
+};
+
+const updateWebhook = {
+  params: idParams,
+  body: fields,
+};
+
+const webhookById = {
+  params: idParams,
+};
+
+const listDeliveries = {
+  params: idParams,
+  query: {
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    limit: { type: 'integer', min: 1, max: 100, default: 50 },
+  },
+};
+
+// Deliveries that ran out of retries, across all of the user's webhooks
+const listDeadLetters = {
+  query: {
+    limit: { type: 'integer', min: 1, max: 100, default: 50 },
+  },
+};
+
+const deliveryById = {
+  params: {
+    ...idParams,
+    deliveryId: { type: 'integer', required: true, min: 1 },
+  },
+};
+
+module.exports = {
+  MAX_WEBHOOKS,
+  WEBHOOK_EVENTS,
+  createWebhook,
+  updateWebhook,
+  webhookById,
+  listDeliveries,
+  listDeadLetters,
+  deliveryById,
+};
@@ -0,0 +1,64 @@
+/* eslint-disable no-restricted-globals */
+// Caches the app shell - index.html and the built scripts, styles and images -
+// so the app loads without the server. The API is never cached here: the app
+// keeps its own copy of the todos and queues changes (see src/offline).
+
+// Each build registers the worker with its own ?build= id (see
+// src/offline/serviceWorker.js), so a deploy gets a fresh cache and the
+// previous build's bundles are dropped once it takes over
+const CACHE_PREFIX = 'todo-app-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${new URL(self.location.href).searchParams.get('build') || 'dev'}`;
+const SHELL_URL = '/index.html';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.add(SHELL_URL)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names
+        .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const putInCache = (request, response) => {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  // Pages: the network first so a new release shows up, the cached shell
+  // when it can't be reached
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => putInCache(SHELL_URL, response))
+        .catch(() => caches.match(SHELL_URL))
+    );
+    return;
+  }
+
+  // Assets: straight from the cache, refreshed in the background. Offline
+  // the refresh fails, which only matters when nothing was cached.
+  event.respondWith(
+    caches.match(request).then((cached) => {
+      const network = fetch(request)
+        .then((response) => putInCache(request, response))
+        .catch((err) => cached || Promise.reject(err));
+      return cached || network;
+    })
+  );
+});
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
   Container,
   Box,
@@ -15,131 +15,486 @@ import {
   CircularProgress,
   Chip,
   Stack,
+  Collapse,
 } from '@mui/material';
 import {
   Delete as DeleteIcon,
   Edit as EditIcon,
   Add as AddIcon,
+  Logout as LogoutIcon,
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon,
+  DragIndicator as DragIndicatorIcon,
+  SkipNext as SkipNextIcon,
+  Checklist as SelectIcon,
+  FileDownload as ExportIcon,
+  FileUpload as ImportIcon,
+  History as HistoryIcon,
+  Notes as ActivityIcon,
 } from '@mui/icons-material';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { parseQuickAdd } from 'shared';
+import FilterBar from './components/FilterBar';
+import BulkActionBar from './components/BulkActionBar';
+import CommandPalette from './components/CommandPalette';
+import ActivityDrawer from './components/ActivityDrawer';
+import EditConflictDialog from './components/EditConflictDialog';
+import ExportDialog from './components/ExportDialog';
+import HistoryDrawer from './components/HistoryDrawer';
+import ImportDialog from './components/ImportDialog';
+import ListSidebar from './components/ListSidebar';
+import NoticeSnackbar from './components/NoticeSnackbar';
+import QuickAddPreview from './components/QuickAddPreview';
+import ShortcutsDialog from './components/ShortcutsDialog';
+import SubtaskList from './components/SubtaskList';
+import ReminderList from './components/ReminderList';
+import SyncChip from './components/SyncChip';
+import SyncConflictDialog from './components/SyncConflictDialog';
+import SyncStatus from './components/SyncStatus';
+import TodoEditForm from './components/TodoEditForm';
+import TodoMeta from './components/TodoMeta';
+import TrashView from './components/TrashView';
+import { todosApi } from './api/endpoints';
+import { useAuth } from './auth/AuthProvider';
+import { DEFAULT_FILTERS, useTodos } from './hooks/useTodos';
+import { useListMutations, useLists } from './hooks/useLists';
+import { useInfiniteScroll } from './hooks/useInfiniteScroll';
+import { useMoveTodo } from './hooks/useMoveTodo';
+import { useTodoMutations } from './hooks/useTodoMutations';
+import { useTrashMutations } from './hooks/useTrash';
+import { useDragReorder } from './hooks/useDragReorder';
+import { useSelection } from './hooks/useSelection';
+import { useTodoEvents } from './hooks/useTodoEvents';
+import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts';
+import { useOfflineSync, useSyncState } from './hooks/useSync';
+import { mutationQueue } from './offline';
+import { FIELD_LABELS, getChangedFields } from './utils/todoFields';
+import { showReminderNotification } from './utils/notifications';
 import './App.css';
 
-// Use relative URL for API calls (works in both dev and production)
-const API_URL = '/api/todos';
-
-// React Query hook for fetching todos
-const useTodos = () => {
-  return useQuery({
-    queryKey: ['todos'],
-    queryFn: async () => {
-      const response = await fetch(API_URL);
-      if (!response.ok) {
-        throw new Error('Failed to fetch todos');
-      }
-      const data = await response.json();
-      return data;
-    },
-  });
+const countTodos = (count) => `${count} todo${count === 1 ? '' : 's'}`;
+
+// Message for one field from a validation error, for display next to its input
+const getFieldError = (error, field) => {
+  const detail = error?.details?.find((d) => d.field === field);
+  return detail ? `${FIELD_LABELS[field] || field} ${detail.message}` : null;
+};
+
+// What the user typed in the add field, read as of now where they are
+const readQuickAdd = (text) => {
+  const now = new Date();
+  return parseQuickAdd(text, { now, locale: navigator.language, timezoneOffset: now.getTimezoneOffset() });
 };
 
 function App() {
   const [newTodoTitle, setNewTodoTitle] = useState('');
   const [editingTodo, setEditingTodo] = useState(null);
-  const [editTitle, setEditTitle] = useState('');
+  const [editDraft, setEditDraft] = useState(null);
+  // The todo as it was when editing began, and a save that clashed with
+  // someone else's change: { base, theirs, values }
+  const [editBase, setEditBase] = useState(null);
+  const [editConflict, setEditConflict] = useState(null);
+  const [expandedTodos, setExpandedTodos] = useState([]);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [showTrash, setShowTrash] = useState(false);
+  const [selecting, setSelecting] = useState(false);
+  const [transfer, setTransfer] = useState(null); // 'import' | 'export' | null
+  const [historyTodo, setHistoryTodo] = useState(null);
+  const [showActivity, setShowActivity] = useState(false);
+  const [resolvingConflict, setResolvingConflict] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  // The todo the keyboard shortcuts act on, moved with j and k
+  const [activeTodoId, setActiveTodoId] = useState(null);
+  const addInputRef = useRef(null);
+  const searchRef = useRef(null);
   const queryClient = useQueryClient();
+  const { user, logout } = useAuth();
 
-  // Fetch todos using React Query
-  const { data: todos = [], isLoading, error } = useTodos();
-
-  // Mutation for adding a new todo
-  const addTodoMutation = useMutation({
-    mutationFn: async (title) => {
-      // INTENTIONAL ISSUE: Missing validation for empty title
-      const response = await fetch(API_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ title }),
-      });
-      return response.json();
-    },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['todos'] });
-      setNewTodoTitle('');
-    },
+  // Failed mutations are reported with the server's message; network and
+  // server errors can be retried, rejected input cannot
+  const [notice, setNotice] = useState(null);
+  const reportError = (error, retry) => {
+    // Edit conflicts get their own dialog
+    if (error.code === 'PRECONDITION_FAILED') {
+      return;
+    }
+    const retryable = !error.status || error.status >= 500;
+    setNotice({
+      message: error.message || 'Something went wrong',
+      severity: 'error',
+      action: retryable ? { label: 'Retry', onClick: retry } : null,
+    });
+  };
+
+  // Changes made while the server is away wait in a queue and are sent once
+  // it is back. An edit that clashes with someone else's holds the queue up
+  // until the user merges or discards it.
+  const sync = useSyncState();
+  const syncNow = useOfflineSync(user?.id, {
+    onDropped: (entry, error) =>
+      setNotice({ message: `Couldn’t sync “${entry.todo.title}”: ${error.message}`, severity: 'error' }),
   });
+  const conflictEntry = sync.entries[0]?.status === 'conflict' ? sync.entries[0] : null;
 
-  // Mutation for toggling todo completion
-  const toggleTodoMutation = useMutation({
-    mutationFn: async (id) => {
-      await fetch(`${API_URL}/${id}/toggle`, {
-        method: 'PATCH',
+  // Changes made in other tabs and on other devices arrive as events, and so
+  // do reminders, shown in the app and as a system notification
+  useTodoEvents({
+    onReminder: (reminder) => {
+      showReminderNotification(reminder);
+      setNotice({
+        message: `Reminder: “${reminder.title}”`,
+        severity: 'info',
+        action: { label: 'Show', onClick: () => setActiveTodoId(reminder.todoId) },
       });
     },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['todos'] });
-    },
   });
 
-  const deleteTodoMutation = useMutation({
-    mutationFn: async (id) => {
-      await fetch(`${API_URL}/${id}`, { method: 'DELETE' });
-    },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['todos'] });
-    },
+  const settleConflict = async (changes, version) => {
+    setResolvingConflict(false);
+    if (changes && Object.keys(changes).length > 0) {
+      await mutationQueue.resolve(conflictEntry.id, { changes, version });
+    } else {
+      await mutationQueue.discard(conflictEntry.id);
+    }
+    syncNow();
+  };
+
+  // Fetch todos using React Query, one page at a time
+  const {
+    data: todos = [],
+    total,
+    counts: todoCounts,
+    isLoading,
+    error,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useTodos(filters);
+
+  const loadMore = useCallback(() => {
+    if (hasNextPage && !isFetchingNextPage) {
+      fetchNextPage();
+    }
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+
+  const sentinelRef = useInfiniteScroll({ enabled: Boolean(hasNextPage), onLoadMore: loadMore });
+  const hasFilters =
+    JSON.stringify({ ...filters, listId: '' }) !== JSON.stringify(DEFAULT_FILTERS);
+
+  // Lists are fetched after todos so the todo list stays the first request
+  const { data: lists = [] } = useLists();
+  const { createList, renameList, deleteList } = useListMutations({ onError: reportError });
+  const selectedList = lists.find((list) => list.id === filters.listId) || null;
+
+  // The trash replaces the todo list rather than filtering it
+  const handleSelectList = (listId) => {
+    setShowTrash(listId === 'trash');
+    if (listId !== 'trash') {
+      setFilters((current) => ({ ...current, listId }));
+    }
+    setEditingTodo(null);
+  };
+
+  const handleDeleteList = (id, mode) => {
+    deleteList.mutate({ id, mode });
+    if (filters.listId === id) {
+      handleSelectList('');
+    }
+  };
+
+  const { addTodo, toggleTodo, updateTodo, deleteTodo, bulkTodos } = useTodoMutations({
+    onError: reportError,
   });
+  const { restoreTodo } = useTrashMutations({ onError: reportError });
 
-  // Mutation for updating a todo
-  const updateTodoMutation = useMutation({
-    mutationFn: async ({ id, title }) => {
-      const response = await fetch(`${API_URL}/${id}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ title }),
-      });
-      return response.json();
-    },
+  // Deletes and bulk changes can be undone from the notice that follows them
+  const offerUndo = (message, undo) => {
+    setNotice({ message, severity: 'info', action: { label: 'Undo', onClick: undo } });
+  };
+
+  // Apply many changes in one request; undoOperations put things back. It
+  // can be a function of the server's results when those decide what to undo.
+  const runBulk = (operations, message, undoOperations) => {
+    if (operations.length === 0) {
+      return;
+    }
+    bulkTodos.mutate(operations, {
+      onSuccess: (data) => offerUndo(message, () =>
+        bulkTodos.mutate(typeof undoOperations === 'function' ? undoOperations(data) : undoOperations)),
+    });
+  };
+
+  // Completing a recurring todo starts its next occurrence, so undoing that
+  // deletes the occurrences the completion started
+  const setCompleted = (items, completed) => {
+    const changed = items.filter((todo) => todo.completed !== completed);
+    const before = new Map(changed.map((todo) => [todo.id, todo]));
+    runBulk(
+      changed.map((todo) => ({ op: 'setCompleted', todo, completed })),
+      `Marked ${countTodos(changed.length)} ${completed ? 'complete' : 'active'}`,
+      ({ results }) => [
+        ...changed.map((todo) => ({ op: 'setCompleted', todo, completed: todo.completed })),
+        ...results
+          .map((result) => result.todo?.nextOccurrenceId)
+          .filter((id, index) => id && id !== before.get(results[index].id)?.nextOccurrenceId)
+          .map((id) => ({ op: 'delete', todo: { id } })),
+      ]
+    );
+  };
+
+  const addTags = (items, tags) => {
+    const changed = items.filter((todo) => tags.some((tag) => !(todo.tags || []).includes(tag)));
+    runBulk(
+      changed.map((todo) => ({
+        op: 'update',
+        todo,
+        changes: { tags: [...new Set([...(todo.tags || []), ...tags])] },
+      })),
+      `Tagged ${countTodos(changed.length)}`,
+      changed.map((todo) => ({ op: 'update', todo, changes: { tags: todo.tags || [] } }))
+    );
+  };
+
+  const trashTodos = (items) => {
+    runBulk(
+      items.map((todo) => ({ op: 'delete', todo })),
+      `Moved ${countTodos(items.length)} to the trash`,
+      items.map((todo) => ({ op: 'restore', todo }))
+    );
+  };
+
+  // Move a recurring todo on to its next occurrence without completing it.
+  // Sending a skip twice would skip two occurrences, so it is never queued:
+  // the button is off while changes can't be sent.
+  const canSkip = sync.online && sync.entries.length === 0;
+  const skipTodoMutation = useMutation({
+    mutationFn: todosApi.skip,
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['todos'] });
-      setEditingTodo(null);
-      setEditTitle('');
     },
+    onError: (error, id) => reportError(error, () => skipTodoMutation.mutate(id)),
   });
 
+  // Dates, tags, priority and recurrence in the text show up as chips first
+  const quickAdd = useMemo(() => readQuickAdd(newTodoTitle), [newTodoTitle]);
+
+  // The field is cleared straight away and refilled if the todo is rejected
   const handleAddTodo = (e) => {
     e.preventDefault();
     if (newTodoTitle.trim()) {
-      addTodoMutation.mutate(newTodoTitle);
+      // New todos land in the list being viewed
+      const listId = typeof filters.listId === 'number' ? filters.listId : undefined;
+      const text = newTodoTitle;
+      const { title, ...fields } = readQuickAdd(text);
+      // Nothing but a date or tags: the preview asks for a title
+      if (!title) {
+        return;
+      }
+      addTodo.mutate({ title, listId, ...fields }, {
+        onError: () => setNewTodoTitle((current) => current || text),
+      });
+      setNewTodoTitle('');
     }
   };
 
-  const handleToggleTodo = (id) => {
-    toggleTodoMutation.mutate(id);
+  const handleToggleTodo = (todo) => {
+    toggleTodo.mutate(todo);
+  };
+
+  // A queued delete has not reached the trash yet, so there is nothing to undo from
+  const handleDeleteTodo = (todo) => {
+    deleteTodo.mutate(todo, {
+      onSuccess: (result) =>
+        result && offerUndo(`Moved “${todo.title}” to the trash`, () => restoreTodo.mutate(todo.id)),
+    });
   };
 
-  const handleDeleteTodo = (id) => {
-    deleteTodoMutation.mutate(id);
+  // Subtasks are only fetched once their todo is expanded
+  const handleToggleExpanded = (id) => {
+    setExpandedTodos((current) =>
+      current.includes(id) ? current.filter((todoId) => todoId !== id) : [...current, id]
+    );
   };
 
   const handleEditTodo = (todo) => {
+    updateTodo.reset();
+    setEditDraft(null);
+    setEditBase(todo);
     setEditingTodo(todo.id);
-    setEditTitle(todo.title);
   };
 
-  const handleSaveEdit = (id) => {
-    if (editTitle.trim()) {
-      updateTodoMutation.mutate({ id, title: editTitle });
-    }
+  const handleCancelEdit = () => {
+    setEditingTodo(null);
+    setEditDraft(null);
+    updateTodo.reset();
   };
 
-  const handleCancelEdit = () => {
+  // Save changes made on top of `base`, provided the todo is still at that
+  // version. The form closes at once; if the server rejects the input it
+  // reopens with the draft and the errors, and if someone else changed the
+  // todo meanwhile the conflict dialog offers to merge or overwrite.
+  const saveEdit = (todo, base, values, changes) => {
     setEditingTodo(null);
-    setEditTitle('');
+    updateTodo.mutate({ todo, changes, version: base.version }, {
+      onError: async (error) => {
+        if (error.code === 'VALIDATION_ERROR') {
+          setEditDraft(values);
+          setEditBase(base);
+          setEditingTodo(todo.id);
+        } else if (error.code === 'PRECONDITION_FAILED') {
+          try {
+            const theirs = await todosApi.get(todo.id);
+            setEditConflict({ base, theirs, values });
+          } catch (err) {
+            reportError(err, () => saveEdit(todo, base, values, changes));
+          }
+        }
+      },
+    });
   };
 
-  // Calculate stats
-  const incompleteCount = todos.filter((todo) => !todo.completed).length;
-  const completedCount = todos.filter((todo) => todo.completed).length;
+  // Send only the fields that were actually edited
+  const handleSaveEdit = (todo, values) => {
+    const base = editBase?.id === todo.id ? editBase : todo;
+    const changes = getChangedFields(base, values);
+    if (Object.keys(changes).length === 0) {
+      handleCancelEdit();
+      return;
+    }
+    saveEdit(todo, base, values, changes);
+  };
+
+  // Both resolutions apply on top of the todo as it is now
+  const resolveConflict = (changes) => {
+    const { theirs, values } = editConflict;
+    setEditConflict(null);
+    if (Object.keys(changes).length > 0) {
+      saveEdit(theirs, theirs, values, changes);
+    }
+  };
+
+  // Manual reordering only makes sense while the list shows the manual order
+  const moveTodoMutation = useMoveTodo(filters, { onError: reportError });
+  const reorder = useDragReorder({
+    items: todos,
+    enabled: filters.sort === 'position' && editingTodo === null,
+    onMove: (move) => moveTodoMutation.mutate(move),
+  });
+
+  // Select mode: pick todos with checkboxes, shift-click for a range
+  const selection = useSelection(todos.filter((todo) => !todo.pending));
+
+  const handleStopSelecting = () => {
+    setSelecting(false);
+    selection.clear();
+  };
+
+  const dropIndicator = (todo) => {
+    if (reorder.dropTarget?.id !== todo.id) {
+      return 'none';
+    }
+    return reorder.dropTarget.placement === 'before'
+      ? 'inset 0 2px 0 0 #667eea'
+      : 'inset 0 -2px 0 0 #667eea';
+  };
+
+  const addTitleError = getFieldError(addTodo.error, 'title');
+
+  // Keyboard control: j and k move the highlight through the list, the other
+  // keys act on the highlighted todo just like its buttons do
+  const activeTodo = todos.find((todo) => todo.id === activeTodoId && !todo.pending) || null;
+
+  const moveActive = (step) => {
+    if (showTrash || todos.length === 0) {
+      return;
+    }
+    const index = todos.findIndex((todo) => todo.id === activeTodoId);
+    const next = index === -1
+      ? (step > 0 ? 0 : todos.length - 1)
+      : Math.min(Math.max(index + step, 0), todos.length - 1);
+    setActiveTodoId(todos[next].id);
+  };
+
+  // The highlight moves on to a neighbour rather than vanishing with the todo
+  const deleteActive = () => {
+    const index = todos.indexOf(activeTodo);
+    setActiveTodoId((todos[index + 1] || todos[index - 1])?.id ?? null);
+    handleDeleteTodo(activeTodo);
+  };
+
+  useEffect(() => {
+    if (activeTodoId !== null) {
+      document.querySelector(`[data-todo-id="${activeTodoId}"]`)?.scrollIntoView?.({ block: 'nearest' });
+    }
+  }, [activeTodoId]);
+
+  // Fields are focused once they are on screen, leaving the trash if need be
+  const [focusField, setFocusField] = useState(null);
+  const focusOn = (field) => {
+    setShowTrash(false);
+    setFocusField(field);
+  };
+  useEffect(() => {
+    const ref = { add: addInputRef, search: searchRef }[focusField];
+    if (ref?.current) {
+      ref.current.focus();
+      setFocusField(null);
+    }
+  }, [focusField, showTrash]);
+
+  const dialogOpen = showPalette || showShortcuts || transfer !== null || historyTodo !== null ||
+    showActivity || Boolean(editConflict) || resolvingConflict;
+  const onList = !showTrash && editingTodo === null;
+
+  useKeyboardShortcuts(
+    {
+      j: () => moveActive(1),
+      k: () => moveActive(-1),
+      x: () => onList && activeTodo && handleToggleTodo(activeTodo),
+      e: () => onList && activeTodo && handleEditTodo(activeTodo),
+      '#': () => onList && activeTodo && deleteActive(),
+      '/': () => focusOn('search'),
+      '?': () => setShowShortcuts(true),
+      'mod+k': () => setShowPalette(true),
+    },
+    { enabled: !dialogOpen }
+  );
+
+  const setStatus = (status) => setFilters((current) => ({ ...current, status }));
+  const commands = [
+    { id: 'add', label: 'Add a todo', run: () => focusOn('add') },
+    { id: 'search', label: 'Search todos', shortcut: '/', run: () => focusOn('search') },
+    { id: 'all', label: 'Show all todos', run: () => setStatus('all') },
+    { id: 'active', label: 'Show active todos', run: () => setStatus('active') },
+    { id: 'completed', label: 'Show completed todos', run: () => setStatus('completed') },
+    { id: 'list-all', label: 'Go to All todos', run: () => handleSelectList('') },
+    { id: 'list-inbox', label: 'Go to Inbox', run: () => handleSelectList('none') },
+    ...lists.map((list) => ({
+      id: `list-${list.id}`,
+      label: `Go to ${list.name}`,
+      run: () => handleSelectList(list.id),
+    })),
+    { id: 'trash', label: 'Open the trash', run: () => handleSelectList('trash') },
+    { id: 'select', label: 'Select todos', run: () => { setShowTrash(false); setSelecting(true); } },
+    { id: 'import', label: 'Import todos', run: () => setTransfer('import') },
+    { id: 'export', label: 'Export todos', run: () => setTransfer('export') },
+    { id: 'activity', label: 'Show recent activity', run: () => setShowActivity(true) },
+    ...(sync.entries.length > 0 ? [{ id: 'sync', label: 'Sync now', run: syncNow }] : []),
+    { id: 'shortcuts', label: 'Show keyboard shortcuts', shortcut: '?', run: () => setShowShortcuts(true) },
+    ...(user ? [{ id: 'logout', label: 'Sign out', run: logout }] : []),
+  ];
+
+  // Calculate stats - a selected list has its own counts, otherwise the
+  // server counts every todo the filters match, loaded or not. Only pages
+  // saved on this device before the counts were sent fall back to counting
+  // what has been loaded.
+  const stats = selectedList
+    ? { active: selectedList.activeCount, completed: selectedList.completedCount }
+    : todoCounts || {
+      active: todos.filter((todo) => !todo.completed).length,
+      completed: todos.filter((todo) => todo.completed).length,
+    };
 
   return (
     <Box
@@ -149,7 +504,7 @@ function App() {
         py: 4,
       }}
     >
-      <Container maxWidth="md">
+      <Container maxWidth="lg">
         <Paper
           elevation={0}
           sx={{
@@ -160,151 +515,381 @@ function App() {
             mb: 4,
           }}
         >
-          <Typography variant="h4" component="h1" gutterBottom>
-            TODO App
-          </Typography>
-          <Typography variant="body1" sx={{ opacity: 0.9 }}>
-            Session 5: Agentic Development
-          </Typography>
-        </Paper>
-
-        <Card sx={{ mb: 3 }}>
-          <CardContent>
-            <Box
-              component="form"
-              onSubmit={handleAddTodo}
-              sx={{ display: 'flex', gap: 2 }}
-            >
-              <TextField
-                fullWidth
-                value={newTodoTitle}
-                onChange={(e) => setNewTodoTitle(e.target.value)}
-                placeholder="What needs to be done?"
-                variant="outlined"
-                size="medium"
-              />
-              <Button
-                type="submit"
-                variant="contained"
-                startIcon={<AddIcon />}
-                sx={{ minWidth: 120 }}
-              >
-                Add
-              </Button>
+          <Box sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between' }}>
+            <Box>
+              <Typography variant="h4" component="h1" gutterBottom>
+                TODO App
+              </Typography>
+              <Typography variant="body1" sx={{ opacity: 0.9 }}>
+                Session 5: Agentic Development
+              </Typography>
             </Box>
-          </CardContent>
-        </Card>
-
-        {isLoading && (
-          <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
-            <CircularProgress />
+            <Stack direction="row" spacing={1}>
+              <SyncStatus sync={sync} onSyncNow={syncNow} onResolve={() => setResolvingConflict(true)} />
+              <Button color="inherit" startIcon={<ActivityIcon />} onClick={() => setShowActivity(true)}>
+                Activity
+              </Button>
+              {user && (
+                <Button color="inherit" startIcon={<LogoutIcon />} onClick={logout}>
+                  Sign out {user.username}
+                </Button>
+              )}
+            </Stack>
           </Box>
-        )}
+        </Paper>
 
-        {error && (
-          <Card sx={{ mb: 3 }}>
-            <CardContent>
-              <Typography color="error" align="center">
-                Error loading todos. Please try again later.
-              </Typography>
-            </CardContent>
-          </Card>
-        )}
-
-        {!isLoading && !error && todos.length === 0 && (
-          <Card sx={{ mb: 3 }}>
-            <CardContent>
-              <Typography align="center" color="text.secondary">
-                No todos yet! Add one above to get started.
-              </Typography>
-            </CardContent>
-          </Card>
-        )}
-
-        <Card>
-          <List sx={{ p: 0 }}>
-            {todos.map((todo, index) => (
-              <ListItem
-                key={todo.id}
-                sx={{
-                  borderBottom: index < todos.length - 1 ? 1 : 0,
-                  borderColor: 'divider',
-                  '&:hover': {
-                    bgcolor: 'action.hover',
-                  },
-                }}
-              >
-                {editingTodo === todo.id ? (
-                  <>
+        <Stack direction={{ xs: 'column', md: 'row' }} spacing={3}>
+          <ListSidebar
+            lists={lists}
+            selected={showTrash ? 'trash' : filters.listId}
+            onSelect={handleSelectList}
+            onCreate={(name) => createList.mutate(name)}
+            onRename={(id, name) => renameList.mutate({ id, name })}
+            onDelete={handleDeleteList}
+          />
+
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            {showTrash ? (
+              <TrashView onError={reportError} />
+            ) : (
+              <>
+              <Card sx={{ mb: 3 }}>
+                <CardContent>
+                  <Box
+                    component="form"
+                    onSubmit={handleAddTodo}
+                    sx={{ display: 'flex', gap: 2 }}
+                  >
                     <TextField
                       fullWidth
-                      value={editTitle}
-                      onChange={(e) => setEditTitle(e.target.value)}
-                      size="small"
-                      sx={{ mr: 2 }}
+                      inputRef={addInputRef}
+                      value={newTodoTitle}
+                      onChange={(e) => setNewTodoTitle(e.target.value)}
+                      placeholder="What needs to be done?"
+                      variant="outlined"
+                      size="medium"
+                      error={Boolean(addTitleError)}
+                      helperText={addTitleError}
                     />
-                    <Stack direction="row" spacing={1}>
-                      <Button
-                        size="small"
-                        variant="contained"
-                        onClick={() => handleSaveEdit(todo.id)}
-                      >
-                        Save
-                      </Button>
-                      <Button
-                        size="small"
-                        variant="outlined"
-                        onClick={handleCancelEdit}
-                      >
-                        Cancel
-                      </Button>
-                    </Stack>
-                  </>
-                ) : (
-                  <>
-                    <Checkbox
-                      checked={todo.completed}
-                      onChange={() => handleToggleTodo(todo.id)}
-                      sx={{ mr: 2 }}
-                    />
-                    <Typography
+                    <Button
+                      type="submit"
+                      variant="contained"
+                      startIcon={<AddIcon />}
+                      sx={{ minWidth: 120 }}
+                    >
+                      Add
+                    </Button>
+                  </Box>
+                  <QuickAddPreview parsed={quickAdd} />
+                </CardContent>
+              </Card>
+
+              <FilterBar filters={filters} onChange={setFilters} searchRef={searchRef} />
+
+              {selecting ? (
+                <BulkActionBar
+                  count={selection.selected.length}
+                  total={todos.filter((todo) => !todo.pending).length}
+                  onSelectAll={selection.selectAll}
+                  onClear={selection.clear}
+                  onComplete={() => setCompleted(selection.selected, true)}
+                  onReopen={() => setCompleted(selection.selected, false)}
+                  onAddTags={(tags) => addTags(selection.selected, tags)}
+                  onDelete={() => trashTodos(selection.selected)}
+                  onClose={handleStopSelecting}
+                />
+              ) : (
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mb: 1 }}>
+                  <Button size="small" startIcon={<ImportIcon />} onClick={() => setTransfer('import')}>
+                    Import
+                  </Button>
+                  <Button
+                    size="small"
+                    startIcon={<ExportIcon />}
+                    disabled={todos.length === 0}
+                    onClick={() => setTransfer('export')}
+                  >
+                    Export
+                  </Button>
+                  {todos.length > 0 && (
+                    <Button size="small" startIcon={<SelectIcon />} onClick={() => setSelecting(true)}>
+                      Select
+                    </Button>
+                  )}
+                </Box>
+              )}
+
+              {isLoading && (
+                <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+                  <CircularProgress />
+                </Box>
+              )}
+
+              {/* Todos saved on this device are still worth showing */}
+              {error && todos.length === 0 && (
+                <Card sx={{ mb: 3 }}>
+                  <CardContent>
+                    <Typography color="error" align="center">
+                      Error loading todos. Please try again later.
+                    </Typography>
+                  </CardContent>
+                </Card>
+              )}
+              {error && todos.length > 0 && (
+                <Typography color="text.secondary" variant="body2" sx={{ mb: 1 }}>
+                  Can’t reach the server, so these are the todos saved on this device.
+                </Typography>
+              )}
+
+              {!isLoading && !error && todos.length === 0 && (
+                <Card sx={{ mb: 3 }}>
+                  <CardContent>
+                    <Typography align="center" color="text.secondary">
+                      {hasFilters
+                        ? 'No todos match your filters.'
+                        : 'No todos yet! Add one above to get started.'}
+                    </Typography>
+                  </CardContent>
+                </Card>
+              )}
+
+              <Box
+                role="status"
+                aria-live="polite"
+                sx={{ position: 'absolute', width: 1, height: 1, overflow: 'hidden', clip: 'rect(0 0 0 0)' }}
+              >
+                {reorder.announcement}
+              </Box>
+
+              <Card>
+                <List sx={{ p: 0 }}>
+                  {todos.map((todo, index) => (
+                    <ListItem
+                      key={todo.id}
+                      {...(todo.pending ? {} : reorder.getItemProps(todo))}
+                      data-todo-id={todo.id}
+                      aria-current={todo.id === activeTodoId ? 'true' : undefined}
                       sx={{
-                        flex: 1,
-                        textDecoration: todo.completed ? 'line-through' : 'none',
-                        color: todo.completed ? 'text.secondary' : 'text.primary',
+                        flexWrap: 'wrap',
+                        bgcolor: todo.id === activeTodoId ? 'action.selected' : 'transparent',
+                        borderBottom: index < todos.length - 1 ? 1 : 0,
+                        borderColor: 'divider',
+                        boxShadow: dropIndicator(todo),
+                        opacity: reorder.draggedId === todo.id || todo.pending ? 0.5 : 1,
+                        '&:hover': {
+                          bgcolor: 'action.hover',
+                        },
                       }}
                     >
-                      {todo.title}
-                    </Typography>
-                    <Stack direction="row" spacing={1}>
-                      <IconButton
-                        size="small"
-                        color="primary"
-                        onClick={() => handleEditTodo(todo)}
-                        aria-label="edit"
-                      >
-                        <EditIcon />
-                      </IconButton>
-                      <IconButton
-                        size="small"
-                        color="error"
-                        onClick={() => handleDeleteTodo(todo.id)}
-                      >
-                        <DeleteIcon />
-                      </IconButton>
-                    </Stack>
-                  </>
-                )}
-              </ListItem>
-            ))}
-          </List>
-        </Card>
-
-        <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center', gap: 2 }}>
-          <Chip label={`${incompleteCount} items left`} color="primary" />
-          <Chip label={`${completedCount} completed`} color="success" />
-        </Box>
+                      {editingTodo === todo.id ? (
+                        <TodoEditForm
+                          todo={todo}
+                          lists={lists}
+                          onSave={(values) => handleSaveEdit(todo, values)}
+                          initialValues={editDraft}
+                          onCancel={handleCancelEdit}
+                          getFieldError={(field) => getFieldError(updateTodo.error, field)}
+                        />
+                      ) : (
+                        <>
+                          {selecting && !todo.pending && (
+                            <Checkbox
+                              checked={selection.isSelected(todo.id)}
+                              onClick={(e) => selection.toggle(todo.id, { range: e.shiftKey })}
+                              inputProps={{ 'aria-label': `Select ${todo.title}` }}
+                              title="Shift-click to select a range"
+                            />
+                          )}
+                          {filters.sort === 'position' && !todo.pending && (
+                            <IconButton
+                              size="small"
+                              {...reorder.getHandleProps(todo, index)}
+                              aria-label={`Reorder ${todo.title}`}
+                              title="Drag to reorder, or use the arrow keys"
+                              sx={{ cursor: 'grab', color: 'text.disabled' }}
+                            >
+                              <DragIndicatorIcon fontSize="small" />
+                            </IconButton>
+                          )}
+                          <Checkbox
+                            checked={todo.completed}
+                            onChange={() => handleToggleTodo(todo)}
+                            disabled={todo.pending}
+                            sx={{ mr: 2 }}
+                          />
+                          <Box sx={{ flex: 1, minWidth: 0 }}>
+                            <Typography
+                              sx={{
+                                textDecoration: todo.completed ? 'line-through' : 'none',
+                                color: todo.completed ? 'text.secondary' : 'text.primary',
+                              }}
+                            >
+                              {todo.title}
+                            </Typography>
+                            {todo.description && (
+                              <Typography variant="body2" color="text.secondary" sx={{ whiteSpace: 'pre-line' }}>
+                                {todo.description}
+                              </Typography>
+                            )}
+                            <TodoMeta todo={todo} />
+                          </Box>
+                          <SyncChip todo={todo} onResolve={() => setResolvingConflict(true)} />
+                          {/* Not saved yet, so there is nothing to act on */}
+                          {todo.pending ? (
+                            !todo.sync && <CircularProgress size={20} aria-label="Saving" />
+                          ) : (
+                            <Stack direction="row" spacing={1}>
+                              <IconButton
+                                size="small"
+                                onClick={() => handleToggleExpanded(todo.id)}
+                                aria-label={`Subtasks of ${todo.title}`}
+                                aria-expanded={expandedTodos.includes(todo.id)}
+                              >
+                                {expandedTodos.includes(todo.id) ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                              </IconButton>
+                              {todo.recurrence && !todo.completed && (
+                                <IconButton
+                                  size="small"
+                                  onClick={() => skipTodoMutation.mutate(todo.id)}
+                                  disabled={!canSkip}
+                                  aria-label={`Skip this occurrence of ${todo.title}`}
+                                  title={canSkip ? 'Skip this occurrence' : 'Skipping needs a connection'}
+                                >
+                                  <SkipNextIcon />
+                                </IconButton>
+                              )}
+                              <IconButton
+                                size="small"
+                                onClick={() => setHistoryTodo(todo)}
+                                aria-label={`History of ${todo.title}`}
+                                title="History"
+                              >
+                                <HistoryIcon />
+                              </IconButton>
+                              <IconButton
+                                size="small"
+                                color="primary"
+                                onClick={() => handleEditTodo(todo)}
+                                aria-label="edit"
+                              >
+                                <EditIcon />
+                              </IconButton>
+                              <IconButton
+                                size="small"
+                                color="error"
+                                onClick={() => handleDeleteTodo(todo)}
+                                aria-label="delete"
+                              >
+                                <DeleteIcon />
+                              </IconButton>
+                            </Stack>
+                          )}
+                          <Collapse
+                            in={expandedTodos.includes(todo.id)}
+                            unmountOnExit
+                            sx={{ width: '100%' }}
+                          >
+                            <SubtaskList todo={todo} />
+                            <ReminderList todo={todo} />
+                          </Collapse>
+                        </>
+                      )}
+                    </ListItem>
+                  ))}
+                </List>
+              </Card>
+
+              {hasNextPage && (
+                <Box ref={sentinelRef} sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                  <Button onClick={loadMore} disabled={isFetchingNextPage}>
+                    {isFetchingNextPage ? 'Loading…' : `Load more (${todos.length} of ${total})`}
+                  </Button>
+                </Box>
+              )}
+
+              <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center', gap: 2 }}>
+                <Chip label={`${stats.active} items left`} color="primary" />
+                <Chip label={`${stats.completed} completed`} color="success" />
+              </Box>
+
+              {/* These act on the todos loaded so far */}
+              <Box sx={{ mt: 1, display: 'flex', justifyContent: 'center', gap: 1 }}>
+                <Button
+                  size="small"
+                  disabled={!todos.some((todo) => !todo.completed && !todo.pending)}
+                  onClick={() => setCompleted(todos.filter((todo) => !todo.pending), true)}
+                >
+                  Complete all
+                </Button>
+                <Button
+                  size="small"
+                  color="error"
+                  disabled={!todos.some((todo) => todo.completed && !todo.pending)}
+                  onClick={() => trashTodos(todos.filter((todo) => todo.completed && !todo.pending))}
+                >
+                  Clear completed
+                </Button>
+              </Box>
+              </>
+            )}
+          </Box>
+        </Stack>
       </Container>
+
+      <ExportDialog
+        open={transfer === 'export'}
+        onClose={() => setTransfer(null)}
+        filters={filters}
+        filtered={hasFilters || filters.listId !== ''}
+        onError={reportError}
+      />
+      <ImportDialog
+        open={transfer === 'import'}
+        onClose={() => setTransfer(null)}
+        onImported={(result) =>
+          setNotice({ message: `Imported ${countTodos(result.summary.imported)}`, severity: 'success' })}
+      />
+
+      {editConflict && (
+        <EditConflictDialog
+          conflict={editConflict}
+          lists={lists}
+          onMerge={resolveConflict}
+          onOverwrite={resolveConflict}
+          onCancel={() => setEditConflict(null)}
+        />
+      )}
+      {resolvingConflict && conflictEntry && (
+        <SyncConflictDialog
+          entry={conflictEntry}
+          lists={lists}
+          onResolve={settleConflict}
+          onDiscard={() => settleConflict(null)}
+          onError={(err) => {
+            setResolvingConflict(false);
+            reportError(err, () => setResolvingConflict(true));
+          }}
+        />
+      )}
+      {/* Stays open even if the todo drops out of the filtered list */}
+      <HistoryDrawer
+        todo={historyTodo && (todos.find((todo) => todo.id === historyTodo.id) || historyTodo)}
+        lists={lists}
+        onClose={() => setHistoryTodo(null)}
+        onError={reportError}
+        onReverted={() => setNotice({ message: 'Reverted to the earlier version', severity: 'success' })}
+      />
+      <ActivityDrawer open={showActivity} lists={lists} onClose={() => setShowActivity(false)} />
+      <CommandPalette
+        open={showPalette}
+        onClose={() => setShowPalette(false)}
+        commands={commands}
+        todos={todos}
+        onSelectTodo={(todo) => setActiveTodoId(todo.id)}
+      />
+      <ShortcutsDialog open={showShortcuts} onClose={() => setShowShortcuts(false)} />
+
+      <NoticeSnackbar notice={notice} onClose={() => setNotice(null)} />
     </Box>
   );
 }
@@ -1,6 +1,8 @@
-import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent, within } from '@testing-library/react';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import App from '../App';
+import { DEFAULT_FILTERS } from '../hooks/useTodos';
+import { mutationQueue } from '../offline';
 
 // Create a test query client
 const createTestQueryClient = () =>
@@ -12,6 +14,9 @@ const createTestQueryClient = () =>
     },
   });
 
+// Rendering the whole app under jsdom is slow on a busy CI machine
+jest.setTimeout(15000);
+
 // Mock fetch for tests
 global.fetch = jest.fn(() =>
   Promise.resolve({
@@ -232,6 +237,13 @@ describe('Edit Functionality', () => {
           json: () => Promise.resolve(mockTodos),
         })
       )
+      // Lists load right after the todos
+      .mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve([]),
+        })
+      )
       .mockImplementationOnce(() =>
         Promise.resolve({
           ok: true,
@@ -271,7 +283,7 @@ describe('Edit Functionality', () => {
     // Verify PUT request was made
     await waitFor(() => {
       expect(global.fetch).toHaveBeenCalledWith(
-        expect.stringContaining('/api/todos/1'),
+        expect.stringContaining('/api/v1/todos/1'),
         expect.objectContaining({
           method: 'PUT',
           body: JSON.stringify({ title: 'Updated Todo' }),
@@ -280,3 +292,1574 @@ describe('Edit Functionality', () => {
     });
   });
 });
+
+// Test 5: Validation Errors
+describe('Validation Errors', () => {
+  test('should show field-level error from the API next to the title input', async () => {
+    global.fetch
+      .mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve([]),
+        })
+      )
+      // Lists load right after the todos
+      .mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve([]),
+        })
+      )
+      .mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: false,
+          status: 400,
+          json: () =>
+            Promise.resolve({
+              error: {
+                code: 'VALIDATION_ERROR',
+                message: 'title must be at most 200 characters',
+                details: [
+                  { location: 'body', field: 'title', message: 'must be at most 200 characters' },
+                ],
+              },
+            }),
+        })
+      );
+
+    const testQueryClient = createTestQueryClient();
+    render(
+      <QueryClientProvider client={testQueryClient}>
+        <App />
+      </QueryClientProvider>
+    );
+
+    const input = screen.getByPlaceholderText(/what needs to be done/i);
+    fireEvent.change(input, { target: { value: 'Too long' } });
+    fireEvent.click(screen.getByRole('button', { name: /add/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Title must be at most 200 characters')).toBeInTheDocument();
+    });
+  });
+});
+
+// Test 6: Rich Todo Fields
+describe('Rich Todo Fields', () => {
+  const richTodo = {
+    id: 1,
+    title: 'Write report',
+    description: 'Quarterly numbers',
+    dueDate: '2999-06-30',
+    priority: 'high',
+    tags: ['work', 'finance'],
+    completed: false,
+    createdAt: new Date().toISOString(),
+  };
+
+  test('should show description, priority, due date and tags', async () => {
+    global.fetch.mockImplementation(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve([richTodo]),
+      })
+    );
+
+    const testQueryClient = createTestQueryClient();
+    render(
+      <QueryClientProvider client={testQueryClient}>
+        <App />
+      </QueryClientProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('Quarterly numbers')).toBeInTheDocument();
+    });
+    expect(screen.getByText('high')).toBeInTheDocument();
+    expect(screen.getByText(/^Due /)).toBeInTheDocument();
+    expect(screen.getByText('#work')).toBeInTheDocument();
+    expect(screen.getByText('#finance')).toBeInTheDocument();
+  });
+
+  test('should edit all fields and send only the changed ones', async () => {
+    global.fetch.mockImplementation(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve([richTodo]),
+      })
+    );
+
+    const testQueryClient = createTestQueryClient();
+    render(
+      <QueryClientProvider client={testQueryClient}>
+        <App />
+      </QueryClientProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('Write report')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: /edit/i }));
+
+    expect(screen.getByLabelText('Description')).toHaveValue('Quarterly numbers');
+    expect(screen.getByLabelText('Due date')).toHaveValue('2999-06-30');
+
+    fireEvent.change(screen.getByLabelText('Description'), {
+      target: { value: 'Annual numbers' },
+    });
+    fireEvent.change(screen.getByLabelText('Tags'), {
+      target: { value: 'work, reports' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: /save/i }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/api/v1/todos/1'),
+        expect.objectContaining({
+          method: 'PUT',
+          body: JSON.stringify({ description: 'Annual numbers', tags: ['work', 'reports'] }),
+        })
+      );
+    });
+  });
+});
+
+// Test 7: Filtering and Pagination
+describe('Filtering and Pagination', () => {
+  const mockPage = (todos, headers = {}) =>
+    Promise.resolve({
+      ok: true,
+      headers: { get: (name) => headers[name] ?? null },
+      json: () => Promise.resolve(todos),
+    });
+
+  test('should request filtered todos when a status filter is chosen', async () => {
+    global.fetch.mockImplementation(() => mockPage([]));
+
+    const testQueryClient = createTestQueryClient();
+    render(
+      <QueryClientProvider client={testQueryClient}>
+        <App />
+      </QueryClientProvider>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Completed' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('completed=true'),
+        expect.anything()
+      );
+    });
+    expect(await screen.findByText(/no todos match your filters/i)).toBeInTheDocument();
+  });
+
+  test('should search after typing stops', async () => {
+    global.fetch.mockImplementation(() => mockPage([]));
+
+    const testQueryClient = createTestQueryClient();
+    render(
+      <QueryClientProvider client={testQueryClient}>
+        <App />
+      </QueryClientProvider>
+    );
+
+    fireEvent.change(screen.getByLabelText('Search todos'), { target: { value: 'rent' } });
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('q=rent'),
+        expect.anything()
+      );
+    });
+  });
+
+  test('should load the next page using the cursor', async () => {
+    const first = { id: 1, title: 'First page', completed: false, createdAt: new Date().toISOString() };
+    const second = { id: 2, title: 'Second page', completed: false, createdAt: new Date().toISOString() };
+
+    global.fetch.mockImplementation((url) =>
+      url.includes('cursor=abc')
+        ? mockPage([second], { 'X-Total-Count': '2' })
+        : mockPage([first], { 'X-Total-Count': '2', 'X-Next-Cursor': 'abc' })
+    );
+
+    const testQueryClient = createTestQueryClient();
+    render(
+      <QueryClientProvider client={testQueryClient}>
+        <App />
+      </QueryClientProvider>
+    );
+
+    fireEvent.click(await screen.findByRole('button', { name: /load more \(1 of 2\)/i }));
+
+    expect(await screen.findByText('Second page')).toBeInTheDocument();
+    expect(screen.getByText('First page')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /load more/i })).not.toBeInTheDocument();
+  });
+
+  test('should count every todo the filters match, not just the loaded page', async () => {
+    const loaded = { id: 1, title: 'First page', completed: false, createdAt: new Date().toISOString() };
+    global.fetch.mockImplementation((url) =>
+      url.startsWith('/api/v1/lists')
+        ? mockPage([])
+        : mockPage([loaded], {
+          'X-Total-Count': '52',
+          'X-Next-Cursor': 'abc',
+          'X-Active-Count': '40',
+          'X-Completed-Count': '12',
+        })
+    );
+
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+
+    expect(await screen.findByText('40 items left')).toBeInTheDocument();
+    expect(screen.getByText('12 completed')).toBeInTheDocument();
+  });
+});
+
+// Test 8: Lists
+describe('Lists', () => {
+  const work = { id: 7, name: 'Work', todoCount: 3, completedCount: 1, activeCount: 2 };
+  const home = { id: 8, name: 'Home', todoCount: 0, completedCount: 0, activeCount: 0 };
+
+  const mockApi = (todosByUrl = () => []) =>
+    global.fetch.mockImplementation((url, options = {}) =>
+      Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () =>
+          Promise.resolve(
+            url.startsWith('/api/v1/lists')
+              ? options.method ? {} : [work, home]
+              : options.method ? {} : todosByUrl(url)
+          ),
+      })
+    );
+
+  const renderApp = () =>
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+
+  test('should switch lists from the sidebar and show per-list counts', async () => {
+    mockApi((url) =>
+      url.includes('listId=7')
+        ? [{ id: 1, title: 'Work item', completed: false, listId: 7 }]
+        : [{ id: 2, title: 'Anything', completed: false, listId: null }]
+    );
+
+    renderApp();
+
+    fireEvent.click(await screen.findByText('Work'));
+
+    expect(await screen.findByText('Work item')).toBeInTheDocument();
+    expect(screen.getByText('2 items left')).toBeInTheDocument();
+    expect(screen.getByText('1 completed')).toBeInTheDocument();
+  });
+
+  test('should add new todos to the selected list', async () => {
+    mockApi();
+    renderApp();
+
+    fireEvent.click(await screen.findByText('Work'));
+    fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), {
+      target: { value: 'Prepare slides' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: /^add$/i }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/v1/todos',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ title: 'Prepare slides', listId: 7 }),
+        })
+      );
+    });
+  });
+
+  test('should create a list', async () => {
+    mockApi();
+    renderApp();
+
+    fireEvent.change(await screen.findByLabelText('New list name'), { target: { value: 'Errands' } });
+    fireEvent.click(screen.getByRole('button', { name: /create list/i }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/v1/lists',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ name: 'Errands' }) })
+      );
+    });
+  });
+
+  test('should delete a list and its todos when cascade is chosen', async () => {
+    mockApi();
+    renderApp();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete Work' }));
+    fireEvent.click(screen.getByLabelText(/delete its 3 todos/i));
+    fireEvent.click(screen.getByRole('button', { name: /delete list/i }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/v1/lists/7?cascade=true',
+        expect.objectContaining({ method: 'DELETE' })
+      );
+    });
+  });
+});
+
+describe('Subtasks', () => {
+  const todo = {
+    id: 1,
+    title: 'Plan trip',
+    completed: false,
+    subtaskCounts: { total: 2, completed: 1 },
+  };
+  const subtasks = [
+    { id: 10, todoId: 1, title: 'Book flights', completed: true, position: 1 },
+    { id: 11, todoId: 1, title: 'Pack bags', completed: false, position: 2 },
+  ];
+
+  const mockApi = () =>
+    global.fetch.mockImplementation((url, options = {}) =>
+      Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => {
+          if (options.method) return Promise.resolve({});
+          if (url.includes('/subtasks')) return Promise.resolve(subtasks);
+          if (url.startsWith('/api/v1/lists')) return Promise.resolve([]);
+          return Promise.resolve([todo]);
+        },
+      })
+    );
+
+  const renderApp = () =>
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+
+  test('should show subtask progress without fetching subtasks', async () => {
+    mockApi();
+    renderApp();
+
+    expect(await screen.findByText('1/2')).toBeInTheDocument();
+    expect(global.fetch).not.toHaveBeenCalledWith(
+      expect.stringContaining('/subtasks'),
+      expect.anything()
+    );
+  });
+
+  test('should expand a todo and toggle a subtask', async () => {
+    mockApi();
+    renderApp();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Subtasks of Plan trip' }));
+    fireEvent.click(await screen.findByRole('checkbox', { name: 'Pack bags' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/v1/todos/1/subtasks/11/toggle',
+        expect.objectContaining({ method: 'PATCH' })
+      );
+    });
+  });
+
+  test('should add a subtask', async () => {
+    mockApi();
+    renderApp();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Subtasks of Plan trip' }));
+    fireEvent.change(await screen.findByLabelText('New subtask'), {
+      target: { value: 'Renew passport' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save subtask' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/v1/todos/1/subtasks',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ title: 'Renew passport' }) })
+      );
+    });
+  });
+
+  test('should move a subtask up', async () => {
+    mockApi();
+    renderApp();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Subtasks of Plan trip' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Move Pack bags up' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/v1/todos/1/subtasks/order',
+        expect.objectContaining({ method: 'PUT', body: JSON.stringify({ ids: [11, 10] }) })
+      );
+    });
+  });
+});
+
+describe('Reminders', () => {
+  const todo = { id: 1, title: 'Pay rent', completed: false, dueDate: '2026-10-20T09:00:00.000Z' };
+  const reminders = [
+    { id: 4, todoId: 1, at: null, minutesBefore: 1440, fireAt: '2026-10-19T09:00:00.000Z', status: 'pending' },
+  ];
+
+  const mockApi = () =>
+    global.fetch.mockImplementation((url, options = {}) =>
+      Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => {
+          if (options.method) return Promise.resolve({});
+          if (url.includes('/reminders')) return Promise.resolve(reminders);
+          if (url.includes('/subtasks') || url.startsWith('/api/v1/lists')) return Promise.resolve([]);
+          return Promise.resolve([todo]);
+        },
+      })
+    );
+
+  const renderApp = () =>
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+
+  test('should list a todo\'s reminders and remove one', async () => {
+    mockApi();
+    renderApp();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Subtasks of Pay rent' }));
+    const list = await screen.findByRole('list', { name: 'Reminders of Pay rent' });
+    expect(within(list).getByText('1 day before due')).toBeInTheDocument();
+    fireEvent.click(within(list).getByRole('button', { name: 'Remove reminder 1 day before due' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/v1/todos/1/reminders/4',
+        expect.objectContaining({ method: 'DELETE' })
+      );
+    });
+  });
+
+  test('should add a reminder before the due date', async () => {
+    mockApi();
+    renderApp();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Subtasks of Pay rent' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Add reminder' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/v1/todos/1/reminders',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ minutesBefore: 60 }) })
+      );
+    });
+  });
+});
+
+describe('Reordering', () => {
+  const todos = [
+    { id: 1, title: 'Alpha', completed: false, position: 'a0' },
+    { id: 2, title: 'Bravo', completed: false, position: 'a1' },
+    { id: 3, title: 'Charlie', completed: false, position: 'a2' },
+  ];
+
+  // moveResponse resolves the POST /move call; everything else serves the fixtures
+  const mockApi = (moveResponse) =>
+    global.fetch.mockImplementation((url, options = {}) => {
+      if (url.endsWith('/move')) {
+        return moveResponse();
+      }
+      return Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => Promise.resolve(url.startsWith('/api/v1/lists') ? [] : todos),
+      });
+    });
+
+  const renderApp = () =>
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+
+  const titlesInOrder = () =>
+    screen.getAllByRole('button', { name: /^Reorder / }).map((b) => b.getAttribute('aria-label'));
+
+  test('should move a todo down with the keyboard and reorder it right away', async () => {
+    mockApi(() => new Promise(() => {}));
+    renderApp();
+
+    fireEvent.keyDown(await screen.findByRole('button', { name: 'Reorder Alpha' }), { key: 'ArrowDown' });
+
+    await waitFor(() => {
+      expect(titlesInOrder()).toEqual(['Reorder Bravo', 'Reorder Alpha', 'Reorder Charlie']);
+    });
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/api/v1/todos/1/move',
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ after: 2 }) })
+    );
+    expect(screen.getByRole('status')).toHaveTextContent('Alpha moved to position 2 of 3');
+  });
+
+  test('should drop a dragged todo after the target row', async () => {
+    mockApi(() => new Promise(() => {}));
+    renderApp();
+
+    // Drag events bubble from the title up to its row
+    const source = await screen.findByText('Alpha');
+    const target = screen.getByText('Charlie');
+    fireEvent.dragStart(source);
+    fireEvent.dragOver(target, { clientY: 10 });
+    fireEvent.drop(target);
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/v1/todos/1/move',
+        expect.objectContaining({ body: JSON.stringify({ after: 3 }) })
+      );
+    });
+  });
+
+  test('should restore the previous order when the move fails', async () => {
+    mockApi(() =>
+      Promise.resolve({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({ error: { code: 'VALIDATION_ERROR', message: 'Invalid' } }),
+      })
+    );
+    renderApp();
+
+    fireEvent.keyDown(await screen.findByRole('button', { name: 'Reorder Charlie' }), { key: 'ArrowUp' });
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('/api/v1/todos/3/move', expect.anything());
+    });
+    await waitFor(() => {
+      expect(titlesInOrder()).toEqual(['Reorder Alpha', 'Reorder Bravo', 'Reorder Charlie']);
+    });
+  });
+
+  test('should hide reordering when sorted by another field', async () => {
+    mockApi(() => new Promise(() => {}));
+    renderApp();
+
+    await screen.findByText('Alpha');
+    fireEvent.mouseDown(screen.getByLabelText('Sort by'));
+    fireEvent.click(await screen.findByRole('option', { name: 'Priority' }));
+
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: 'Reorder Alpha' })).not.toBeInTheDocument();
+    });
+  });
+});
+
+describe('Recurring Todos', () => {
+  const weekly = {
+    id: 1,
+    title: 'Weekly report',
+    completed: false,
+    dueDate: '2999-06-30',
+    recurrence: 'FREQ=WEEKLY;BYDAY=MO,FR;COUNT=10',
+  };
+  const oneOff = { id: 2, title: 'Buy milk', completed: false };
+
+  const mockApi = () =>
+    global.fetch.mockImplementation((url, options = {}) =>
+      Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => {
+          if (options.method) return Promise.resolve({});
+          return Promise.resolve(url.startsWith('/api/v1/lists') ? [] : [weekly, oneOff]);
+        },
+      })
+    );
+
+  const renderApp = () =>
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+
+  test('should describe the recurrence of repeating todos', async () => {
+    mockApi();
+    renderApp();
+
+    expect(await screen.findByText('Every week on Mon, Fri, 10 times')).toBeInTheDocument();
+  });
+
+  test('should skip an occurrence of a repeating todo only', async () => {
+    mockApi();
+    renderApp();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Skip this occurrence of Weekly report' }));
+
+    expect(screen.queryByRole('button', { name: 'Skip this occurrence of Buy milk' })).not.toBeInTheDocument();
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/v1/todos/1/skip',
+        expect.objectContaining({ method: 'POST' })
+      );
+    });
+  });
+
+  test('should report a failed skip once, in the notice', async () => {
+    mockApi();
+    renderApp();
+    const skip = await screen.findByRole('button', { name: 'Skip this occurrence of Weekly report' });
+    global.fetch.mockImplementationOnce(() =>
+      Promise.resolve({
+        ok: false,
+        status: 500,
+        json: () => Promise.resolve({ error: { code: 'INTERNAL_ERROR', message: 'Could not skip' } }),
+      })
+    );
+
+    fireEvent.click(skip);
+
+    expect(await screen.findByRole('button', { name: 'Retry' })).toBeInTheDocument();
+    expect(screen.getAllByText('Could not skip')).toHaveLength(1);
+  });
+
+  test('should not offer to skip while changes cannot be sent', async () => {
+    mockApi();
+    renderApp();
+    await screen.findByText('Weekly report');
+
+    fireEvent(window, new Event('offline'));
+    expect(screen.getByRole('button', { name: 'Skip this occurrence of Weekly report' })).toBeDisabled();
+
+    fireEvent(window, new Event('online'));
+    expect(screen.getByRole('button', { name: 'Skip this occurrence of Weekly report' })).toBeEnabled();
+  });
+
+  test('should make a todo repeat from the edit form', async () => {
+    mockApi();
+    renderApp();
+
+    await screen.findByText('Buy milk');
+    fireEvent.click(screen.getAllByRole('button', { name: /edit/i })[1]);
+    fireEvent.mouseDown(screen.getByLabelText('Repeat'));
+    fireEvent.click(await screen.findByRole('option', { name: 'Weekly' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Thu' }));
+    fireEvent.click(screen.getByRole('button', { name: /save/i }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/v1/todos/2',
+        expect.objectContaining({
+          method: 'PUT',
+          body: JSON.stringify({ recurrence: 'FREQ=WEEKLY;BYDAY=TH' }),
+        })
+      );
+    });
+  });
+});
+
+describe('Quick Add', () => {
+  const renderApp = () => {
+    global.fetch.mockImplementation((url, options = {}) =>
+      Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => Promise.resolve(options.method ? { id: 9, title: 'Pay rent', completed: false } : []),
+      })
+    );
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+  };
+
+  const type = async (value) => {
+    fireEvent.change(await screen.findByPlaceholderText(/what needs to be done/i), { target: { value } });
+  };
+
+  test('should preview what the text will become and send the fields it read', async () => {
+    renderApp();
+
+    await type('Pay rent #finance !high every month');
+
+    const preview = within(screen.getByLabelText('Quick add preview'));
+    expect(preview.getByText('Adds “Pay rent”')).toBeInTheDocument();
+    expect(preview.getByText('high')).toBeInTheDocument();
+    expect(preview.getByText('Every month')).toBeInTheDocument();
+    expect(preview.getByText('#finance')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /^add$/i }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('/api/v1/todos', expect.objectContaining({ method: 'POST' }));
+    });
+    const [, { body }] = global.fetch.mock.calls.find(([, options]) => options?.method === 'POST');
+    expect(JSON.parse(body)).toEqual({
+      title: 'Pay rent',
+      dueDate: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+      tags: ['finance'],
+      priority: 'high',
+      recurrence: 'FREQ=MONTHLY',
+    });
+  });
+
+  test('should ask for a title rather than add a todo without one', async () => {
+    renderApp();
+
+    await type('tomorrow #errands');
+    fireEvent.click(screen.getByRole('button', { name: /^add$/i }));
+
+    expect(screen.getByText('Add a title as well')).toBeInTheDocument();
+    expect(screen.getByDisplayValue('tomorrow #errands')).toBeInTheDocument();
+    expect(global.fetch).not.toHaveBeenCalledWith('/api/v1/todos', expect.objectContaining({ method: 'POST' }));
+  });
+
+  test('should keep plain titles as they are', async () => {
+    renderApp();
+
+    await type('Buy sun cream');
+
+    expect(screen.queryByLabelText('Quick add preview')).not.toBeInTheDocument();
+  });
+});
+
+describe('Optimistic Updates', () => {
+  const todos = [
+    { id: 1, title: 'Water plants', completed: false, position: 'a0' },
+    { id: 2, title: 'Call mom', completed: false, position: 'a1' },
+  ];
+
+  // respond(url, options) answers mutations; reads serve the fixtures
+  const mockApi = (respond) =>
+    global.fetch.mockImplementation((url, options = {}) => {
+      if (options.method) {
+        return respond(url, options);
+      }
+      return Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => Promise.resolve(url.startsWith('/api/v1/lists') ? [] : todos),
+      });
+    });
+
+  const failWith = (status, error) =>
+    Promise.resolve({ ok: false, status, json: () => Promise.resolve({ error }) });
+
+  const renderApp = () =>
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+
+  test('should tick a todo before the server answers', async () => {
+    mockApi(() => new Promise(() => {}));
+    renderApp();
+
+    await screen.findByText('Water plants');
+    fireEvent.click(screen.getAllByRole('checkbox')[0]);
+
+    await waitFor(() => {
+      expect(screen.getByText('1 completed')).toBeInTheDocument();
+    });
+  });
+
+  test('should roll back a failed toggle and offer a retry', async () => {
+    mockApi(() => failWith(500, { code: 'INTERNAL_ERROR', message: 'Database unavailable' }));
+    renderApp();
+
+    await screen.findByText('Water plants');
+    fireEvent.click(screen.getAllByRole('checkbox')[0]);
+
+    expect(await screen.findByText('Database unavailable')).toBeInTheDocument();
+    expect(screen.getByText('0 completed')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Retry' }));
+
+    await waitFor(() => {
+      expect(
+        global.fetch.mock.calls.filter(([url]) => url === '/api/v1/todos/1/toggle')
+      ).toHaveLength(2);
+    });
+  });
+
+  test('should remove a todo at once and restore it when the delete fails', async () => {
+    let failDelete;
+    mockApi(() => new Promise((resolve) => { failDelete = resolve; }));
+    renderApp();
+
+    await screen.findByText('Call mom');
+    fireEvent.click(screen.getAllByRole('button', { name: /delete/i })[1]);
+
+    await waitFor(() => {
+      expect(screen.queryByText('Call mom')).not.toBeInTheDocument();
+    });
+
+    failDelete({ ok: false, status: 503, json: () => Promise.resolve({ error: { message: 'Service unavailable' } }) });
+
+    expect(await screen.findByText('Call mom')).toBeInTheDocument();
+    expect(screen.getByText('Service unavailable')).toBeInTheDocument();
+  });
+
+  test('should show a new todo as pending until it is saved', async () => {
+    mockApi(() => new Promise(() => {}));
+    renderApp();
+
+    await screen.findByText('Water plants');
+    fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), {
+      target: { value: 'Book dentist' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: /^add$/i }));
+
+    expect(await screen.findByText('Book dentist')).toBeInTheDocument();
+    expect(screen.getByLabelText('Saving')).toBeInTheDocument();
+    expect(screen.getByPlaceholderText(/what needs to be done/i)).toHaveValue('');
+  });
+
+  test('should reopen the editor with the draft when an edit is rejected', async () => {
+    mockApi(() =>
+      failWith(400, {
+        code: 'VALIDATION_ERROR',
+        message: 'title must be at most 200 characters',
+        details: [{ location: 'body', field: 'title', message: 'must be at most 200 characters' }],
+      })
+    );
+    renderApp();
+
+    await screen.findByText('Water plants');
+    fireEvent.click(screen.getAllByRole('button', { name: /edit/i })[0]);
+    fireEvent.change(screen.getByDisplayValue('Water plants'), { target: { value: 'Too long' } });
+    fireEvent.click(screen.getByRole('button', { name: /save/i }));
+
+    expect(await screen.findByText('Title must be at most 200 characters')).toBeInTheDocument();
+    expect(screen.getByDisplayValue('Too long')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Retry' })).not.toBeInTheDocument();
+  });
+});
+
+describe('Trash', () => {
+  const todos = [{ id: 1, title: 'Water plants', completed: false, position: 'a0' }];
+  const trash = [
+    { id: 7, title: 'Old chore', completed: false, deletedAt: '2026-10-10T09:00:00.000Z' },
+  ];
+
+  beforeEach(() => {
+    global.fetch.mockImplementation((url, options = {}) => {
+      let body = todos;
+      if (url.startsWith('/api/v1/lists')) body = [];
+      else if (url === '/api/v1/todos/trash' && !options.method) body = trash;
+      else if (options.method) body = { message: 'ok' };
+      return Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => Promise.resolve(body),
+      });
+    });
+  });
+
+  const renderApp = () =>
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+
+  const calledWith = (url, method) =>
+    global.fetch.mock.calls.some(([u, options = {}]) => u === url && options.method === method);
+
+  test('should offer to undo a delete', async () => {
+    renderApp();
+
+    await screen.findByText('Water plants');
+    fireEvent.click(screen.getByRole('button', { name: 'delete' }));
+
+    expect(await screen.findByText('Moved “Water plants” to the trash')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+    await waitFor(() => {
+      expect(calledWith('/api/v1/todos/trash/1/restore', 'POST')).toBe(true);
+    });
+  });
+
+  test('should list deleted todos and restore or purge them', async () => {
+    renderApp();
+
+    await screen.findByText('Water plants');
+    expect(global.fetch.mock.calls.some(([url]) => url === '/api/v1/todos/trash')).toBe(false);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Trash' }));
+
+    expect(await screen.findByText('Old chore')).toBeInTheDocument();
+    expect(screen.queryByText('Water plants')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Restore Old chore' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Old chore forever' }));
+
+    await waitFor(() => {
+      expect(calledWith('/api/v1/todos/trash/7/restore', 'POST')).toBe(true);
+    });
+    expect(calledWith('/api/v1/todos/trash/7', 'DELETE')).toBe(true);
+  });
+
+  test('should ask before emptying the trash', async () => {
+    renderApp();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Trash' }));
+    await screen.findByText('Old chore');
+    fireEvent.click(screen.getByRole('button', { name: 'Empty trash' }));
+
+    expect(screen.getByText('The todo in the trash will be deleted for good.')).toBeInTheDocument();
+    fireEvent.click(within(screen.getByRole('dialog')).getByRole('button', { name: 'Empty trash' }));
+
+    await waitFor(() => {
+      expect(calledWith('/api/v1/todos/trash', 'DELETE')).toBe(true);
+    });
+  });
+});
+
+describe('Bulk Actions', () => {
+  const todos = [
+    { id: 1, title: 'Alpha', completed: false, position: 'a0', tags: [] },
+    { id: 2, title: 'Bravo', completed: true, position: 'a1', tags: [] },
+    { id: 3, title: 'Charlie', completed: false, position: 'a2', tags: ['home'] },
+    { id: 4, title: 'Delta', completed: false, position: 'a3', tags: [] },
+  ];
+
+  beforeEach(() => {
+    global.fetch.mockImplementation((url, options = {}) =>
+      Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => {
+          if (options.method) return Promise.resolve({ results: [] });
+          return Promise.resolve(url.startsWith('/api/v1/lists') ? [] : todos);
+        },
+      })
+    );
+  });
+
+  const renderApp = () =>
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+
+  // Operations sent in the nth bulk request
+  const bulkOperations = (n = 0) => {
+    const calls = global.fetch.mock.calls.filter(([url]) => url === '/api/v1/todos/bulk');
+    return calls[n] && JSON.parse(calls[n][1].body).operations;
+  };
+
+  test('should select a range with shift-click and delete it in one request', async () => {
+    renderApp();
+
+    await screen.findByText('Alpha');
+    fireEvent.click(screen.getByRole('button', { name: 'Select' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Select Alpha' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Select Charlie' }), { shiftKey: true });
+
+    expect(screen.getByText('3 selected')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Delete selected' }));
+
+    await waitFor(() => {
+      expect(bulkOperations()).toEqual([
+        { op: 'delete', id: 1 },
+        { op: 'delete', id: 2 },
+        { op: 'delete', id: 3 },
+      ]);
+    });
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Undo' }));
+    await waitFor(() => {
+      expect(bulkOperations(1)).toEqual([
+        { op: 'restore', id: 1 },
+        { op: 'restore', id: 2 },
+        { op: 'restore', id: 3 },
+      ]);
+    });
+  });
+
+  test('should add a tag to the selected todos that lack it', async () => {
+    renderApp();
+
+    await screen.findByText('Alpha');
+    fireEvent.click(screen.getByRole('button', { name: 'Select' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Select all' }));
+    fireEvent.change(screen.getByLabelText('Tags to add'), { target: { value: 'home' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add tag' }));
+
+    await waitFor(() => {
+      expect(bulkOperations()).toEqual([
+        { op: 'update', id: 1, changes: { tags: ['home'] } },
+        { op: 'update', id: 2, changes: { tags: ['home'] } },
+        { op: 'update', id: 4, changes: { tags: ['home'] } },
+      ]);
+    });
+  });
+
+  test('should delete the occurrences a completion started when it is undone', async () => {
+    global.fetch.mockImplementation((url, options = {}) =>
+      Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => {
+          if (options.method) {
+            return Promise.resolve({
+              results: [
+                { index: 0, op: 'setCompleted', id: 1, status: 'ok', todo: { ...todos[0], completed: true, nextOccurrenceId: 9 } },
+                { index: 1, op: 'setCompleted', id: 3, status: 'ok', todo: { ...todos[2], completed: true } },
+              ],
+            });
+          }
+          return Promise.resolve(url.startsWith('/api/v1/lists') ? [] : todos);
+        },
+      })
+    );
+    renderApp();
+
+    await screen.findByText('Alpha');
+    fireEvent.click(screen.getByRole('button', { name: 'Select' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Select Alpha' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Select Charlie' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Complete' }));
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Undo' }));
+    await waitFor(() => {
+      expect(bulkOperations(1)).toEqual([
+        { op: 'setCompleted', id: 1, completed: false },
+        { op: 'setCompleted', id: 3, completed: false },
+        { op: 'delete', id: 9 },
+      ]);
+    });
+  });
+
+  test('should complete all and clear completed todos', async () => {
+    renderApp();
+
+    await screen.findByText('Alpha');
+    fireEvent.click(screen.getByRole('button', { name: 'Clear completed' }));
+
+    await waitFor(() => {
+      expect(bulkOperations()).toEqual([{ op: 'delete', id: 2 }]);
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Complete all' }));
+
+    await waitFor(() => {
+      expect(bulkOperations(1)).toEqual([
+        { op: 'setCompleted', id: 1, completed: true },
+        { op: 'setCompleted', id: 3, completed: true },
+        { op: 'setCompleted', id: 4, completed: true },
+      ]);
+    });
+  });
+});
+
+describe('Import and Export', () => {
+  const todos = [{ id: 1, title: 'Water plants', completed: false, position: 'a0' }];
+  const preview = (dryRun) => ({
+    dryRun,
+    summary: { total: 3, imported: 1, duplicates: 1, errors: 1 },
+    newLists: ['Home'],
+    rows: [
+      { row: 2, status: dryRun ? 'ready' : 'imported', title: 'Call mom' },
+      { row: 3, status: 'duplicate', title: 'water plants', duplicateOf: { id: 1 } },
+      { row: 4, status: 'error', title: 'Pay rent', errors: [{ field: 'priority', message: 'must be one of: low, medium, high' }] },
+    ],
+  });
+
+  beforeEach(() => {
+    URL.createObjectURL = jest.fn(() => 'blob:todos');
+    URL.revokeObjectURL = jest.fn();
+    global.fetch.mockImplementation((url) => {
+      let body = todos;
+      if (url.startsWith('/api/v1/lists')) body = [];
+      else if (url.startsWith('/api/v1/todos/import')) body = preview(url.includes('dryRun=true'));
+      return Promise.resolve({
+        ok: true,
+        headers: {
+          get: (name) => (name === 'Content-Disposition' ? 'attachment; filename="todos-2026-10-18.md"' : null),
+        },
+        json: () => Promise.resolve(body),
+        blob: () => Promise.resolve(new Blob(['- [ ] Water plants\n'])),
+      });
+    });
+  });
+
+  const renderApp = () =>
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+
+  test('should download the todos in the chosen format', async () => {
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    renderApp();
+
+    await screen.findByText('Water plants');
+    fireEvent.click(screen.getByRole('button', { name: 'Export' }));
+    const dialog = within(screen.getByRole('dialog'));
+    fireEvent.click(dialog.getByLabelText('Markdown checklist'));
+    fireEvent.click(dialog.getByRole('button', { name: 'Download' }));
+
+    await waitFor(() => {
+      expect(click).toHaveBeenCalled();
+    });
+    expect(global.fetch).toHaveBeenCalledWith('/api/v1/todos/export?sort=position&format=markdown', expect.anything());
+    expect(click.mock.instances[0].download).toBe('todos-2026-10-18.md');
+    click.mockRestore();
+  });
+
+  test('should preview a file before importing it', async () => {
+    renderApp();
+
+    await screen.findByText('Water plants');
+    fireEvent.click(screen.getByRole('button', { name: 'Import' }));
+    const dialog = within(screen.getByRole('dialog'));
+    const file = new File(['title\nCall mom\n'], 'todos.csv', { type: 'text/csv' });
+    fireEvent.change(dialog.getByLabelText('File to import'), { target: { files: [file] } });
+
+    expect(await dialog.findByText('Already in your todos')).toBeInTheDocument();
+    expect(dialog.getByText('priority must be one of: low, medium, high')).toBeInTheDocument();
+    expect(dialog.getByText(/3 rows: 1 to import, 1 duplicate, 1 error\. New lists: Home\./)).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/api/v1/todos/import?format=csv&dryRun=true',
+      expect.objectContaining({ method: 'POST', body: 'title\nCall mom\n' })
+    );
+
+    fireEvent.click(dialog.getByRole('button', { name: 'Import 1 todo' }));
+
+    expect(await screen.findByText('Imported 1 todo')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith('/api/v1/todos/import?format=csv&dryRun=false', expect.anything());
+  });
+});
+
+describe('History', () => {
+  const todos = [{ id: 1, title: 'Water the plants', completed: true, position: 'a0' }];
+  const alice = { id: 1, username: 'alice' };
+  const entries = [
+    {
+      id: 12,
+      todoId: 1,
+      title: 'Water the plants',
+      action: 'toggled',
+      changes: [{ field: 'completed', from: false, to: true }],
+      snapshot: { title: 'Water the plants', completed: true },
+      user: alice,
+      createdAt: '2026-10-18T12:02:00.000Z',
+    },
+    {
+      id: 11,
+      todoId: 1,
+      title: 'Water the plants',
+      action: 'updated',
+      changes: [
+        { field: 'title', from: 'Water plants', to: 'Water the plants' },
+        { field: 'tags', from: ['home'], to: ['garden'] },
+      ],
+      snapshot: { title: 'Water the plants', completed: false },
+      user: alice,
+      createdAt: '2026-10-18T12:01:00.000Z',
+    },
+  ];
+
+  beforeEach(() => {
+    global.fetch.mockImplementation((url, options = {}) => {
+      let body = todos;
+      if (url.startsWith('/api/v1/lists')) body = [];
+      else if (url === '/api/v1/todos/1/history') body = entries;
+      else if (url === '/api/v1/activity') body = entries;
+      else if (options.method) body = todos[0];
+      return Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => Promise.resolve(body),
+      });
+    });
+  });
+
+  const renderApp = () =>
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+
+  test('should show a todo\'s changes and revert to an earlier version', async () => {
+    renderApp();
+
+    await screen.findByText('Water the plants');
+    fireEvent.click(screen.getByRole('button', { name: 'History of Water the plants' }));
+
+    const drawer = within(await screen.findByRole('region', { name: 'Todo history' }));
+    expect(await drawer.findByText('Completed')).toBeInTheDocument();
+    expect(drawer.getByText('Title: “Water plants” → “Water the plants”')).toBeInTheDocument();
+    expect(drawer.getByText('Tagged #garden, Untagged #home')).toBeInTheDocument();
+
+    // Only earlier versions can be brought back
+    const revertButtons = drawer.getAllByRole('button', { name: /^Revert to the version from/ });
+    expect(revertButtons).toHaveLength(1);
+    fireEvent.click(revertButtons[0]);
+
+    expect(await screen.findByText('Reverted to the earlier version')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/api/v1/todos/1/history/11/revert',
+      expect.objectContaining({ method: 'POST' })
+    );
+  });
+
+  test('should list recent activity across todos', async () => {
+    renderApp();
+
+    await screen.findByText('Water the plants');
+    fireEvent.click(screen.getByRole('button', { name: 'Activity' }));
+
+    const drawer = within(await screen.findByRole('region', { name: 'Recent activity' }));
+    expect(await drawer.findByText('Completed: Water the plants')).toBeInTheDocument();
+    expect(drawer.getByText('Edited: Water the plants')).toBeInTheDocument();
+  });
+});
+
+describe('Edit Conflicts', () => {
+  const todo = { id: 1, title: 'Water plants', completed: false, priority: null, version: 1, position: 'a0' };
+  const theirs = { ...todo, title: 'Water the plants', priority: 'high', version: 2 };
+  let puts;
+
+  beforeEach(() => {
+    puts = [];
+    global.fetch.mockImplementation((url, options = {}) => {
+      if (options.method === 'PUT') {
+        puts.push(options);
+        // Only writes based on their version go through
+        if (options.headers['If-Match'] !== '"2"') {
+          return Promise.resolve({
+            ok: false,
+            status: 412,
+            json: () => Promise.resolve({
+              error: { code: 'PRECONDITION_FAILED', message: 'The todo has changed since you loaded it' },
+            }),
+          });
+        }
+      }
+      let body = [todo];
+      if (url.startsWith('/api/v1/lists')) body = [];
+      else if (url === '/api/v1/todos/1') body = theirs;
+      return Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => Promise.resolve(body),
+      });
+    });
+  });
+
+  const editTitle = async (title) => {
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+    await screen.findByText('Water plants');
+    fireEvent.click(screen.getByRole('button', { name: /edit/i }));
+    fireEvent.change(screen.getByDisplayValue('Water plants'), { target: { value: title } });
+    fireEvent.click(screen.getByRole('button', { name: /save/i }));
+    return within(await screen.findByRole('dialog'));
+  };
+
+  test('should merge my changes into theirs', async () => {
+    const dialog = await editTitle('Water the cactus');
+
+    expect(puts[0].headers['If-Match']).toBe('"1"');
+    expect(dialog.getByText('Water the cactus')).toBeInTheDocument();
+    expect(dialog.getByText('Water the plants')).toBeInTheDocument();
+    expect(dialog.getByText('high')).toBeInTheDocument();
+    expect(dialog.getByLabelText('Keep your title')).toBeChecked();
+
+    fireEvent.click(dialog.getByRole('button', { name: 'Merge' }));
+
+    await waitFor(() => {
+      expect(puts).toHaveLength(2);
+    });
+    expect(puts[1].headers['If-Match']).toBe('"2"');
+    expect(puts[1].body).toBe(JSON.stringify({ title: 'Water the cactus' }));
+    expect(screen.queryByText('The todo has changed since you loaded it')).not.toBeInTheDocument();
+  });
+
+  test('should keep their value for a field when asked', async () => {
+    const dialog = await editTitle('Water the cactus');
+
+    fireEvent.click(dialog.getByLabelText('Keep their title'));
+    fireEvent.click(dialog.getByRole('button', { name: 'Merge' }));
+
+    await waitFor(() => {
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+    // Nothing of mine is left to save
+    expect(puts).toHaveLength(1);
+  });
+
+  test('should overwrite their changes with the form', async () => {
+    const dialog = await editTitle('Water the cactus');
+
+    fireEvent.click(dialog.getByRole('button', { name: 'Overwrite' }));
+
+    await waitFor(() => {
+      expect(puts).toHaveLength(2);
+    });
+    expect(puts[1].body).toBe(JSON.stringify({ title: 'Water the cactus', priority: null }));
+  });
+});
+
+describe('Offline', () => {
+  const todos = [
+    { id: 1, title: 'Water plants', completed: false, priority: null, version: 1, position: 'a0' },
+    { id: 2, title: 'Call mom', completed: false, priority: null, version: 3, position: 'a1' },
+  ];
+  let writes;
+  let offline;
+
+  // Reads serve the fixtures; writes are recorded and answered by respond
+  const mockApi = (respond = () => ({})) =>
+    global.fetch.mockImplementation((url, options = {}) => {
+      if (options.method && options.method !== 'GET') {
+        writes.push({ url, method: options.method, headers: options.headers, body: options.body });
+        return Promise.resolve(respond(url, options)).then((answer) => ({ ok: true, status: 200, ...answer }));
+      }
+      let body = todos;
+      if (url.startsWith('/api/v1/lists')) body = [];
+      else if (url === '/api/v1/todos/2') body = { ...todos[1], title: 'Call dad', version: 4 };
+      return Promise.resolve({ ok: true, headers: { get: () => null }, json: () => Promise.resolve(body) });
+    });
+
+  const goOnline = () => {
+    offline.mockReturnValue(true);
+    fireEvent(window, new Event('online'));
+  };
+
+  const renderApp = (queryClient = createTestQueryClient()) =>
+    render(
+      <QueryClientProvider client={queryClient}>
+        <App />
+      </QueryClientProvider>
+    );
+
+  beforeEach(async () => {
+    writes = [];
+    offline = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+    await mutationQueue.clear();
+  });
+
+  afterEach(() => {
+    offline.mockRestore();
+  });
+
+  test('should queue changes made offline and send them in order once back online', async () => {
+    mockApi((url) => ({
+      json: () => Promise.resolve(url.endsWith('/bulk') ? { results: [{ todo: { ...todos[0], completed: true, version: 2 } }] } : todos[0]),
+    }));
+    renderApp();
+
+    await screen.findByText('Water plants');
+    fireEvent.click(screen.getAllByRole('checkbox')[0]);
+    fireEvent.click(screen.getAllByRole('button', { name: /edit/i })[0]);
+    fireEvent.change(screen.getByDisplayValue('Water plants'), { target: { value: 'Water the plants' } });
+    fireEvent.click(screen.getByRole('button', { name: /save/i }));
+
+    expect(await screen.findByText('Offline, 2 changes waiting')).toBeInTheDocument();
+    expect(screen.getByText('Water the plants')).toBeInTheDocument();
+    expect(screen.getByText('Waiting to sync')).toBeInTheDocument();
+    expect(screen.getByText('1 completed')).toBeInTheDocument();
+    expect(writes).toEqual([]);
+
+    goOnline();
+
+    await waitFor(() => {
+      expect(screen.queryByText(/waiting|Syncing/)).not.toBeInTheDocument();
+    });
+    expect(writes.map(({ url, method }) => `${method} ${url}`)).toEqual(['POST /api/v1/todos/bulk', 'PUT /api/v1/todos/1']);
+    expect(JSON.parse(writes[0].body).operations).toEqual([{ op: 'setCompleted', id: 1, completed: true }]);
+    // The edit was made on top of the toggle, so it follows its version
+    expect(writes[1].headers['If-Match']).toBe('"2"');
+  });
+
+  test('should queue a change whose request never reached the server', async () => {
+    offline.mockReturnValue(true);
+    let failDelete;
+    mockApi(() => new Promise((resolve, reject) => { failDelete = reject; }));
+    renderApp();
+
+    await screen.findByText('Call mom');
+    fireEvent.click(screen.getAllByRole('button', { name: /delete/i })[1]);
+    await waitFor(() => {
+      expect(writes).toHaveLength(1);
+    });
+
+    failDelete(new TypeError('Failed to fetch'));
+
+    expect(await screen.findByText('Offline, 1 change waiting')).toBeInTheDocument();
+    expect(screen.queryByText('Call mom')).not.toBeInTheDocument();
+    expect(screen.queryByText('Failed to fetch')).not.toBeInTheDocument();
+  });
+
+  test('should hold the queue on a conflicting edit until it is merged', async () => {
+    mockApi((url, options) =>
+      options.headers['If-Match'] === '"3"'
+        ? { ok: false, status: 412, json: () => Promise.resolve({ error: { code: 'PRECONDITION_FAILED', message: 'Changed' } }) }
+        : { json: () => Promise.resolve({ ...todos[1], title: 'Call mom tonight', version: 5 }) }
+    );
+    renderApp();
+
+    await screen.findByText('Call mom');
+    fireEvent.click(screen.getAllByRole('button', { name: /edit/i })[1]);
+    fireEvent.change(screen.getByDisplayValue('Call mom'), { target: { value: 'Call mom tonight' } });
+    fireEvent.click(screen.getByRole('button', { name: /save/i }));
+    await screen.findByText('Offline, 1 change waiting');
+
+    goOnline();
+
+    fireEvent.click(await screen.findByText('Sync conflict'));
+    const dialog = within(await screen.findByRole('dialog'));
+    expect(dialog.getByText('Call dad')).toBeInTheDocument();
+    fireEvent.click(dialog.getByRole('button', { name: 'Merge' }));
+
+    await waitFor(() => {
+      expect(writes).toHaveLength(2);
+    });
+    expect(writes[1].headers['If-Match']).toBe('"4"');
+    expect(writes[1].body).toBe(JSON.stringify({ title: 'Call mom tonight' }));
+  });
+
+  test('should show the todos saved on this device when they cannot be loaded', async () => {
+    global.fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+    const queryClient = createTestQueryClient();
+    queryClient.setQueryData(['todos', DEFAULT_FILTERS], {
+      pages: [{ items: todos, total: 2, nextCursor: null }],
+      pageParams: [null],
+    });
+    renderApp(queryClient);
+
+    expect(await screen.findByText(/saved on this device/)).toBeInTheDocument();
+    expect(screen.getByText('Water plants')).toBeInTheDocument();
+    expect(screen.queryByText(/error loading todos/i)).not.toBeInTheDocument();
+  });
+});
+
+describe('Keyboard', () => {
+  const todos = [
+    { id: 1, title: 'Water plants', completed: false, position: 'a0' },
+    { id: 2, title: 'Call mom', completed: false, position: 'a1' },
+    { id: 3, title: 'Tidy desk', completed: false, position: 'a2' },
+  ];
+
+  beforeEach(() => {
+    global.fetch.mockImplementation((url, options = {}) =>
+      Promise.resolve({
+        ok: true,
+        headers: { get: () => null },
+        json: () => Promise.resolve(options.method || url.startsWith('/api/v1/lists') ? [] : todos),
+      })
+    );
+  });
+
+  const renderApp = async () => {
+    render(
+      <QueryClientProvider client={createTestQueryClient()}>
+        <App />
+      </QueryClientProvider>
+    );
+    await screen.findByText('Water plants');
+  };
+
+  const press = (key, options = {}) => fireEvent.keyDown(document.body, { key, ...options });
+
+  const activeRow = () => screen.getByRole('listitem', { current: true });
+
+  const calls = (method) =>
+    global.fetch.mock.calls.filter(([, options]) => options?.method === method).map(([url]) => url);
+
+  test('should move through the list with j and k and act on the highlighted todo', async () => {
+    await renderApp();
+
+    press('j');
+    press('j');
+    press('k');
+    expect(within(activeRow()).getByText('Water plants')).toBeInTheDocument();
+
+    press('x');
+    await waitFor(() => {
+      expect(calls('PATCH')).toEqual(['/api/v1/todos/1/toggle']);
+    });
+
+    press('j');
+    press('#');
+    await waitFor(() => {
+      expect(calls('DELETE')).toEqual(['/api/v1/todos/2']);
+    });
+    expect(within(activeRow()).getByText('Tidy desk')).toBeInTheDocument();
+
+    press('e');
+    expect(await screen.findByDisplayValue('Tidy desk')).toBeInTheDocument();
+  });
+
+  test('should jump to the search box with / and leave typing alone there', async () => {
+    await renderApp();
+
+    press('j');
+    press('/');
+    const search = screen.getByLabelText('Search todos');
+    expect(search).toHaveFocus();
+
+    fireEvent.keyDown(search, { key: 'x' });
+    expect(calls('PATCH')).toEqual([]);
+  });
+
+  test('should run commands and find todos from the command palette', async () => {
+    await renderApp();
+
+    press('k', { ctrlKey: true });
+    const palette = within(await screen.findByRole('dialog'));
+    fireEvent.change(palette.getByRole('combobox', { name: 'Command' }), { target: { value: 'tdy' } });
+
+    expect(palette.getByRole('option', { name: 'Tidy desk' })).toBeInTheDocument();
+    fireEvent.click(palette.getByRole('option', { name: 'Tidy desk' }));
+    await waitFor(() => {
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+    expect(within(activeRow()).getByText('Tidy desk')).toBeInTheDocument();
+
+    press('k', { metaKey: true });
+    const input = within(await screen.findByRole('dialog')).getByRole('combobox', { name: 'Command' });
+    fireEvent.change(input, { target: { value: 'trash' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(await screen.findByRole('button', { name: 'Empty trash' })).toBeInTheDocument();
+  });
+
+  test('should list the shortcuts when ? is pressed', async () => {
+    await renderApp();
+
+    press('?');
+
+    const help = within(await screen.findByRole('dialog'));
+    expect(help.getByText('Keyboard shortcuts')).toBeInTheDocument();
+    expect(help.getByText('Open the command palette')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,119 @@
+import '@testing-library/jest-dom';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import App from '../App';
+import AuthProvider from '../auth/AuthProvider';
+
+const createTestQueryClient = () =>
+  new QueryClient({
+    defaultOptions: {
+      queries: {
+        retry: false,
+      },
+    },
+  });
+
+const jsonResponse = (status, body) =>
+  Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: () => Promise.resolve(body),
+  });
+
+const alice = { id: 1, username: 'alice', createdAt: new Date().toISOString() };
+
+const renderWithAuth = () =>
+  render(
+    <QueryClientProvider client={createTestQueryClient()}>
+      <AuthProvider>
+        <App />
+      </AuthProvider>
+    </QueryClientProvider>
+  );
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+});
+
+describe('Authentication', () => {
+  test('should show the login page when there is no session', async () => {
+    global.fetch.mockImplementation(() => jsonResponse(401, { error: { code: 'UNAUTHORIZED' } }));
+
+    renderWithAuth();
+
+    expect(await screen.findByRole('heading', { name: /sign in/i })).toBeInTheDocument();
+    expect(screen.queryByText(/TODO App/i)).not.toBeInTheDocument();
+  });
+
+  test('should sign in and show the todo list', async () => {
+    let signedIn = false;
+    global.fetch.mockImplementation((url) => {
+      if (url === '/api/v1/auth/me') return jsonResponse(401, {});
+      if (url === '/api/v1/auth/login') {
+        signedIn = true;
+        return jsonResponse(200, { user: alice, token: 'token' });
+      }
+      return signedIn ? jsonResponse(200, []) : jsonResponse(401, {});
+    });
+
+    renderWithAuth();
+
+    fireEvent.change(await screen.findByLabelText(/username/i), { target: { value: 'alice' } });
+    fireEvent.change(screen.getByLabelText(/password/i), { target: { value: 'secret-pass' } });
+    fireEvent.click(screen.getByRole('button', { name: /^sign in$/i }));
+
+    expect(await screen.findByText(/TODO App/i)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /sign out alice/i })).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/api/v1/auth/login',
+      expect.objectContaining({
+        method: 'POST',
+        credentials: 'same-origin',
+        body: JSON.stringify({ username: 'alice', password: 'secret-pass' }),
+      })
+    );
+  });
+
+  test('should show the server error for bad credentials', async () => {
+    global.fetch.mockImplementation((url) =>
+      url === '/api/v1/auth/login'
+        ? jsonResponse(401, { error: { code: 'UNAUTHORIZED', message: 'Invalid username or password' } })
+        : jsonResponse(401, {})
+    );
+
+    renderWithAuth();
+
+    fireEvent.change(await screen.findByLabelText(/username/i), { target: { value: 'alice' } });
+    fireEvent.change(screen.getByLabelText(/password/i), { target: { value: 'wrong-pass' } });
+    fireEvent.click(screen.getByRole('button', { name: /^sign in$/i }));
+
+    expect(await screen.findByText('Invalid username or password')).toBeInTheDocument();
+  });
+
+  test('should return to the login page when the API answers 401', async () => {
+    global.fetch.mockImplementation((url) =>
+      url === '/api/v1/auth/me' ? jsonResponse(200, { user: alice }) : jsonResponse(401, {})
+    );
+
+    renderWithAuth();
+
+    await waitFor(() => {
+      expect(screen.getByRole('heading', { name: /sign in/i })).toBeInTheDocument();
+    });
+  });
+
+  test('should sign out', async () => {
+    global.fetch.mockImplementation((url) => {
+      if (url === '/api/v1/auth/me') return jsonResponse(200, { user: alice });
+      if (url === '/api/v1/auth/logout') return jsonResponse(204, null);
+      return jsonResponse(200, []);
+    });
+
+    renderWithAuth();
+
+    fireEvent.click(await screen.findByRole('button', { name: /sign out alice/i }));
+
+    expect(await screen.findByRole('heading', { name: /sign in/i })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,61 @@
+import { historyApi, listsApi, todosApi } from '../api/endpoints';
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+  json: () => Promise.resolve(body),
+});
+
+describe('API client', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn(() => Promise.resolve(jsonResponse(200, [])));
+  });
+
+  const lastCall = () => global.fetch.mock.calls[global.fetch.mock.calls.length - 1];
+
+  test('should call versioned endpoints', async () => {
+    await todosApi.toggle(3);
+    expect(lastCall()).toEqual(['/api/v1/todos/3/toggle', expect.objectContaining({ method: 'PATCH' })]);
+
+    await listsApi.remove(7, { reassignTo: 2 });
+    expect(lastCall()[0]).toBe('/api/v1/lists/7?reassignTo=2');
+
+    await historyApi.activity();
+    expect(lastCall()[0]).toBe('/api/v1/activity');
+  });
+
+  test('should send the version as If-Match', async () => {
+    await todosApi.update(1, { title: 'Renamed' }, 4);
+
+    expect(lastCall()[1].headers).toEqual({ 'Content-Type': 'application/json', 'If-Match': '"4"' });
+  });
+
+  test('should read paging from the response headers', async () => {
+    global.fetch.mockResolvedValueOnce(
+      jsonResponse(200, [{ id: 1 }], { 'X-Total-Count': '12', 'X-Next-Cursor': 'abc' })
+    );
+
+    expect(await todosApi.list('limit=1')).toEqual({ items: [{ id: 1 }], total: 12, nextCursor: 'abc', counts: null });
+    expect(lastCall()[0]).toBe('/api/v1/todos?limit=1');
+  });
+
+  test('should read the active and completed counts from the response headers', async () => {
+    global.fetch.mockResolvedValueOnce(
+      jsonResponse(200, [{ id: 1 }], { 'X-Total-Count': '12', 'X-Active-Count': '9', 'X-Completed-Count': '3' })
+    );
+
+    expect((await todosApi.list('limit=1')).counts).toEqual({ active: 9, completed: 3 });
+    expect(lastCall()[0]).toBe('/api/v1/todos?limit=1');
+  });
+
+  test('should throw the API error envelope', async () => {
+    global.fetch.mockResolvedValueOnce(
+      jsonResponse(404, { error: { code: 'NOT_FOUND', message: 'Todo not found' } })
+    );
+
+    await expect(todosApi.get(9)).rejects.toEqual(
+      expect.objectContaining({ status: 404, code: 'NOT_FOUND', message: 'Todo not found' })
+    );
+  });
+});
@@ -0,0 +1,19 @@
+import { fuzzyFilter, fuzzyMatch } from '../utils/fuzzy';
+
+describe('fuzzyMatch', () => {
+  test('should match letters in order, ignoring case', () => {
+    expect(fuzzyMatch('tdy', 'Tidy desk')).toEqual(expect.objectContaining({ indices: [0, 2, 3] }));
+    expect(fuzzyMatch('ydt', 'Tidy desk')).toBeNull();
+  });
+
+  test('should prefer substrings, then runs and word starts', () => {
+    const rank = (query, texts) => fuzzyFilter(texts, query, (text) => text).map(({ item }) => item);
+
+    expect(rank('ash', ['Take a shower', 'Open the trash'])).toEqual(['Open the trash', 'Take a shower']);
+    expect(rank('gt', ['Go to Groceries', 'Sign out'])).toEqual(['Go to Groceries', 'Sign out']);
+  });
+
+  test('should match everything, in the original order, for an empty query', () => {
+    expect(fuzzyFilter(['b', 'a'], ' ', (text) => text).map(({ item }) => item)).toEqual(['b', 'a']);
+  });
+});
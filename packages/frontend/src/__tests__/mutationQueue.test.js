@@ -0,0 +1,150 @@
+import { createMutationQueue } from '../offline/mutationQueue';
+import { createMemoryStorage } from '../offline/storage';
+import { applyQueuedChanges } from '../utils/todoCache';
+import { DEFAULT_FILTERS } from '../hooks/useTodos';
+
+const apiError = (status) => Object.assign(new Error(`Failed with ${status}`), { status });
+
+const networkError = () => Object.assign(new TypeError('Failed to fetch'), { isNetworkError: true });
+
+describe('Mutation queue', () => {
+  let storage;
+  let send;
+  let queue;
+
+  beforeEach(async () => {
+    storage = createMemoryStorage();
+    send = jest.fn();
+    queue = createMutationQueue({ storage, send });
+    await queue.open(1);
+  });
+
+  const types = () => queue.getState().entries.map((entry) => entry.type);
+
+  test('should send changes in order and point later ones at the created todo', async () => {
+    const placeholder = { id: -5, title: 'Book dentist' };
+    await queue.enqueue({ type: 'add', todo: placeholder });
+    await queue.enqueue({ type: 'toggle', todo: placeholder, completed: true });
+    await queue.enqueue({ type: 'update', todo: placeholder, changes: { priority: 'high' } });
+    send
+      .mockResolvedValueOnce({ id: 7, title: 'Book dentist', version: 1 })
+      .mockResolvedValueOnce({ id: 7, completed: true, version: 2 })
+      .mockResolvedValueOnce({ id: 7, priority: 'high', version: 3 });
+
+    const { sent, dropped } = await queue.flush();
+
+    expect(sent.map((entry) => entry.type)).toEqual(['add', 'toggle', 'update']);
+    expect(dropped).toEqual([]);
+    expect(send.mock.calls[1][0].todo.id).toBe(7);
+    expect(send.mock.calls[2][0]).toEqual(expect.objectContaining({ todo: expect.objectContaining({ id: 7 }), version: 2 }));
+    expect(queue.getState().entries).toEqual([]);
+  });
+
+  test('should keep everything and go offline when the server cannot be reached', async () => {
+    await queue.enqueue({ type: 'delete', todo: { id: 1 } });
+    await queue.enqueue({ type: 'delete', todo: { id: 2 } });
+    send.mockRejectedValueOnce(networkError());
+
+    await queue.flush();
+
+    expect(types()).toEqual(['delete', 'delete']);
+    expect(queue.getState()).toEqual(expect.objectContaining({ online: false, syncing: false }));
+    expect(queue.getState().entries[0].status).toBe('queued');
+    expect(queue.canSend()).toBe(false);
+  });
+
+  test('should hold the queue at a conflict until it is resolved', async () => {
+    await queue.enqueue({ type: 'update', todo: { id: 1 }, changes: { title: 'Mine' }, version: 1 });
+    await queue.enqueue({ type: 'delete', todo: { id: 2 } });
+    send.mockRejectedValueOnce(apiError(412));
+
+    await queue.flush();
+
+    expect(queue.getState().entries.map((entry) => entry.status)).toEqual(['conflict', 'queued']);
+    expect(send).toHaveBeenCalledTimes(1);
+
+    const [conflict] = queue.getState().entries;
+    await queue.resolve(conflict.id, { changes: { title: 'Mine' }, version: 4 });
+    send.mockResolvedValue({ id: 1, version: 5 });
+    await queue.flush();
+
+    expect(send.mock.calls[1][0]).toEqual(expect.objectContaining({ changes: { title: 'Mine' }, version: 4 }));
+    expect(queue.getState().entries).toEqual([]);
+  });
+
+  test('should drop refused changes, and the rest of a todo that was never created', async () => {
+    const placeholder = { id: -1, title: '' };
+    await queue.enqueue({ type: 'add', todo: placeholder });
+    await queue.enqueue({ type: 'toggle', todo: placeholder, completed: true });
+    await queue.enqueue({ type: 'toggle', todo: { id: 3 }, completed: true });
+    send.mockRejectedValueOnce(apiError(400)).mockResolvedValueOnce({ id: 3, completed: true });
+
+    const { sent, dropped } = await queue.flush();
+
+    expect(dropped.map(({ entry, error }) => [entry.type, error.status])).toEqual([['add', 400]]);
+    expect(sent.map((entry) => entry.todo.id)).toEqual([3]);
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  test('should save the queue per user and pick up an interrupted send after a reload', async () => {
+    await queue.enqueue({ type: 'delete', todo: { id: 1, sync: 'queued' } });
+    let finishSend;
+    send.mockReturnValueOnce(new Promise((resolve, reject) => { finishSend = reject; }));
+    const flushing = queue.flush();
+
+    const reloaded = createMutationQueue({ storage, send });
+    await reloaded.open(1);
+    expect(reloaded.getState().entries).toEqual([
+      expect.objectContaining({ type: 'delete', todo: { id: 1 }, status: 'queued' }),
+    ]);
+
+    await reloaded.open(2);
+    expect(reloaded.getState().entries).toEqual([]);
+
+    finishSend(networkError());
+    await flushing;
+  });
+});
+
+describe('applyQueuedChanges', () => {
+  const data = {
+    pages: [{
+      items: [
+        { id: 1, title: 'Water plants', completed: false, position: 'a0' },
+        { id: 2, title: 'Call mom', completed: false, position: 'a1' },
+      ],
+      total: 2,
+      nextCursor: null,
+    }],
+    pageParams: [null],
+  };
+
+  const items = (filters, entries) =>
+    applyQueuedChanges(data, filters, entries).pages[0].items;
+
+  test('should show queued changes with their sync state', () => {
+    const entries = [
+      { type: 'toggle', todo: data.pages[0].items[0], completed: true, status: 'syncing' },
+      { type: 'delete', todo: { id: 2 }, status: 'queued' },
+      { type: 'add', todo: { id: -1, title: 'Book dentist', position: null, pending: true }, status: 'queued' },
+    ];
+
+    expect(items(DEFAULT_FILTERS, entries)).toEqual([
+      expect.objectContaining({ id: 1, completed: true, sync: 'syncing' }),
+      expect.objectContaining({ id: -1, pending: true, sync: 'queued' }),
+    ]);
+    expect(items({ ...DEFAULT_FILTERS, status: 'active' }, entries).map((todo) => todo.id)).toEqual([-1]);
+  });
+
+  test('should keep marking a conflict while later changes wait', () => {
+    const todo = data.pages[0].items[1];
+    const entries = [
+      { type: 'update', todo, changes: { title: 'Call dad' }, version: 1, status: 'conflict' },
+      { type: 'toggle', todo, completed: true, status: 'queued' },
+    ];
+
+    expect(items(DEFAULT_FILTERS, entries)[1]).toEqual(
+      expect.objectContaining({ title: 'Call dad', completed: true, sync: 'conflict' })
+    );
+  });
+});
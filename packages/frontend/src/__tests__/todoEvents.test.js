@@ -0,0 +1,212 @@
+import { act, renderHook } from '@testing-library/react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { useTodoEvents } from '../hooks/useTodoEvents';
+import { DEFAULT_FILTERS } from '../hooks/useTodos';
+import { patchTodoPages } from '../utils/todoCache';
+
+const todo = (id, fields = {}) => ({
+  id,
+  title: `Todo ${id}`,
+  completed: false,
+  position: `a${id}`,
+  createdAt: `2026-01-0${id}T00:00:00.000Z`,
+  ...fields,
+});
+
+const pagesOf = (...pages) => ({
+  pageParams: pages.map(() => null),
+  pages: pages.map((items, index) => ({
+    items,
+    total: 3,
+    nextCursor: index < pages.length - 1 ? 'more' : null,
+  })),
+});
+
+const ids = (data) => data.pages.map((page) => page.items.map((item) => item.id));
+
+describe('patchTodoPages', () => {
+  const filters = DEFAULT_FILTERS;
+
+  test('should replace an updated todo in place', () => {
+    const data = pagesOf([todo(1), todo(2), todo(3)]);
+
+    const patched = patchTodoPages(data, filters, todo(2, { title: 'Renamed' }));
+
+    expect(ids(patched)).toEqual([[1, 2, 3]]);
+    expect(patched.pages[0].items[1].title).toBe('Renamed');
+  });
+
+  test('should move a todo to its new position', () => {
+    const data = pagesOf([todo(1), todo(2), todo(3)]);
+
+    expect(ids(patchTodoPages(data, filters, todo(3, { position: 'a0V' })))).toEqual([[3, 1, 2]]);
+  });
+
+  test('should add new todos and drop deleted ones, keeping the total', () => {
+    const data = pagesOf([todo(1), todo(2), todo(3)]);
+
+    const added = patchTodoPages(data, filters, todo(4));
+    const removed = patchTodoPages(added, filters, { id: 1 }, { remove: true });
+
+    expect(ids(added)).toEqual([[1, 2, 3, 4]]);
+    expect(added.pages[0].total).toBe(4);
+    expect(ids(removed)).toEqual([[2, 3, 4]]);
+    expect(removed.pages[0].total).toBe(3);
+  });
+
+  test('should drop todos that stop matching the filters', () => {
+    const data = pagesOf([todo(1), todo(2)]);
+
+    const patched = patchTodoPages(data, { ...filters, status: 'active' }, todo(2, { completed: true }));
+
+    expect(ids(patched)).toEqual([[1]]);
+  });
+
+  test('should keep the active and completed counts in step', () => {
+    const data = pagesOf([todo(1), todo(2)]);
+    data.pages[0].counts = { active: 30, completed: 5 };
+    const active = { ...filters, status: 'active' };
+
+    const toggled = patchTodoPages(data, active, todo(2, { completed: true }));
+    const added = patchTodoPages(toggled, active, todo(4));
+    const removed = patchTodoPages(added, active, { id: 1 }, { remove: true });
+
+    expect(toggled.pages[0].counts).toEqual({ active: 29, completed: 6 });
+    expect(added.pages[0].counts).toEqual({ active: 30, completed: 6 });
+    expect(removed.pages[0].counts).toEqual({ active: 29, completed: 6 });
+  });
+
+  test('should leave todos beyond the loaded pages for the next page', () => {
+    const data = pagesOf([todo(1)], [todo(2)]);
+    data.pages[1].nextCursor = 'more';
+
+    expect(ids(patchTodoPages(data, filters, todo(5)))).toEqual([[1], [2]]);
+  });
+});
+
+describe('useTodoEvents', () => {
+  let sources;
+
+  class FakeEventSource {
+    static CLOSED = 2;
+
+    constructor(url) {
+      this.url = url;
+      this.readyState = 1;
+      this.listeners = {};
+      this.close = jest.fn();
+      sources.push(this);
+    }
+
+    addEventListener(type, listener) {
+      this.listeners[type] = listener;
+    }
+
+    emit(type, data, lastEventId = '') {
+      this.listeners[type]({ type, data: JSON.stringify(data), lastEventId });
+    }
+  }
+
+  beforeEach(() => {
+    sources = [];
+    global.EventSource = FakeEventSource;
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    delete global.EventSource;
+    jest.useRealTimers();
+  });
+
+  const setup = (options) => {
+    const queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+    queryClient.setQueryData(['todos', DEFAULT_FILTERS], pagesOf([todo(1), todo(2)]));
+    const wrapper = ({ children }) => (
+      <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>
+    );
+    const { unmount } = renderHook(() => useTodoEvents(options), { wrapper });
+    return { queryClient, unmount };
+  };
+
+  test('should patch the todos cache from events', () => {
+    const { queryClient } = setup();
+
+    act(() => {
+      sources[0].emit('todo.created', todo(3, { title: 'From another tab' }), 'e-1');
+      sources[0].emit('todo.deleted', { id: 1 }, 'e-2');
+    });
+
+    const data = queryClient.getQueryData(['todos', DEFAULT_FILTERS]);
+    expect(ids(data)).toEqual([[2, 3]]);
+    expect(data.pages[0].items[1].title).toBe('From another tab');
+  });
+
+  test('should bring back restored todos and refresh the trash', () => {
+    const { queryClient } = setup();
+    const invalidate = jest.spyOn(queryClient, 'invalidateQueries');
+
+    act(() => {
+      sources[0].emit('todo.deleted', { id: 1 }, 'e-1');
+      sources[0].emit('todo.restored', todo(1), 'e-2');
+      sources[0].emit('todo.purged', { id: 2 }, 'e-3');
+    });
+
+    expect(ids(queryClient.getQueryData(['todos', DEFAULT_FILTERS]))).toEqual([[1]]);
+    expect(invalidate).toHaveBeenCalledWith({ queryKey: ['trash'] });
+  });
+
+  test('should show subtask progress from other tabs without refetching the todos', () => {
+    const { queryClient } = setup();
+    const invalidate = jest.spyOn(queryClient, 'invalidateQueries');
+
+    act(() => {
+      sources[0].emit('subtask.updated', { id: 9, todoId: 2, subtaskCounts: { total: 3, completed: 2 } }, 'e-1');
+    });
+
+    const data = queryClient.getQueryData(['todos', DEFAULT_FILTERS]);
+    expect(data.pages[0].items[1].subtaskCounts).toEqual({ total: 3, completed: 2 });
+    expect(invalidate.mock.calls).toEqual([[{ queryKey: ['subtasks', 2] }]]);
+  });
+
+  test('should reconnect from the last event id after the stream closes', () => {
+    setup();
+
+    act(() => {
+      sources[0].emit('todo.updated', todo(1), 'e-7');
+      sources[0].readyState = FakeEventSource.CLOSED;
+      sources[0].onerror();
+      jest.advanceTimersByTime(1000);
+    });
+
+    expect(sources).toHaveLength(2);
+    expect(sources[1].url).toBe('/api/v1/events?lastEventId=e-7');
+  });
+
+  test('should refetch everything on reset and close the stream on unmount', () => {
+    const { queryClient, unmount } = setup();
+    const invalidate = jest.spyOn(queryClient, 'invalidateQueries');
+
+    act(() => {
+      sources[0].emit('reset', {});
+    });
+    unmount();
+
+    expect(invalidate).toHaveBeenCalledWith({ queryKey: ['todos'] });
+    expect(sources[0].close).toHaveBeenCalled();
+  });
+
+  test('should hand fired reminders on and refresh the todo\'s reminders', () => {
+    const onReminder = jest.fn();
+    const { queryClient } = setup({ onReminder });
+    const invalidate = jest.spyOn(queryClient, 'invalidateQueries');
+    const reminder = { id: 5, todoId: 1, title: 'Todo 1', status: 'fired' };
+
+    act(() => {
+      sources[0].emit('reminder.fired', reminder, 'e-3');
+    });
+
+    expect(onReminder).toHaveBeenCalledWith(reminder);
+    expect(invalidate).toHaveBeenCalledWith({ queryKey: ['reminders', 1] });
+    expect(ids(queryClient.getQueryData(['todos', DEFAULT_FILTERS]))).toEqual([[1, 2]]);
+  });
+});
@@ -0,0 +1,59 @@
+// Thin wrapper around fetch shared by every API call in the app.
+// Sends the session cookie and reports 401s so the app can return to login.
+// Requests that never reach the server are marked with isNetworkError, which
+// is what decides whether a change can be queued until it is back.
+
+// Every endpoint lives under this versioned prefix; see /api/docs for the spec
+export const API_BASE = '/api/v1';
+
+let unauthorizedHandler = () => {};
+
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler || (() => {});
+};
+
+export const apiFetch = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { credentials: 'same-origin', ...options });
+  } catch (error) {
+    error.isNetworkError = true;
+    throw error;
+  }
+  if (response.status === 401) {
+    unauthorizedHandler();
+  }
+  return response;
+};
+
+// Build an Error from the API's { error: { code, message, details } } envelope
+export const toApiError = async (response) => {
+  const body = await response.json().catch(() => ({}));
+  const error = new Error(body.error?.message || 'Request failed');
+  error.status = response.status;
+  error.code = body.error?.code;
+  error.details = body.error?.details || [];
+  return error;
+};
+
+// GET a JSON resource, throwing API errors
+export const getJson = async (url) => {
+  const response = await apiFetch(url);
+  if (!response.ok) {
+    throw await toApiError(response);
+  }
+  return response.json();
+};
+
+// Send a JSON request and return the parsed response, throwing API errors
+export const sendJson = async (url, method, body, headers = {}) => {
+  const response = await apiFetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!response.ok) {
+    throw await toApiError(response);
+  }
+  return response.json();
+};
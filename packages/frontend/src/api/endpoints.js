@@ -0,0 +1,250 @@
+import { API_BASE, apiFetch, getJson, sendJson, toApiError } from './client';
+
+// One function per API operation, named after the operationIds in the
+// server's OpenAPI document (GET /api/openapi.json). The typedefs below
+// mirror its component schemas; keep them in step when the spec changes.
+
+/**
+ * @typedef {Object} Todo
+ * @property {number} id
+ * @property {string} title
+ * @property {string} description
+ * @property {boolean} completed
+ * @property {string|null} dueDate - A calendar date or a date-time, as it was sent
+ * @property {'low'|'medium'|'high'|null} priority
+ * @property {string[]} tags
+ * @property {number|null} listId
+ * @property {boolean} autoComplete
+ * @property {string|null} position
+ * @property {string|null} recurrence
+ * @property {string|null} deletedAt
+ * @property {number} version
+ * @property {string} [createdAt]
+ * @property {{ total: number, completed: number }} subtaskCounts
+ * @property {number} [nextOccurrenceId]
+ */
+
+/**
+ * @typedef {Object} TodoList
+ * @property {number} id
+ * @property {string} name
+ * @property {number} todoCount
+ * @property {number} completedCount
+ * @property {number} activeCount
+ */
+
+/**
+ * @typedef {Object} Subtask
+ * @property {number} id
+ * @property {number} todoId
+ * @property {string} title
+ * @property {boolean} completed
+ * @property {number} position
+ */
+
+/**
+ * @typedef {Object} Reminder
+ * @property {number} id
+ * @property {number} todoId
+ * @property {string|null} at
+ * @property {number|null} minutesBefore
+ * @property {string|null} fireAt - null while the todo has no due date
+ * @property {'pending'|'firing'|'fired'|'skipped'} status
+ * @property {string|null} firedAt
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} id
+ * @property {number} todoId
+ * @property {string} title
+ * @property {string} action
+ * @property {{ field: string, from: *, to: * }[]} changes
+ * @property {{ id: number, username: string }|null} user
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} username
+ */
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {boolean} dryRun
+ * @property {{ total: number, imported: number, duplicates: number, errors: number }} summary
+ * @property {string[]} newLists
+ * @property {Object[]} rows
+ */
+
+/**
+ * @template T
+ * @typedef {Object} Page
+ * @property {T[]} items
+ * @property {number} total
+ * @property {string|null} nextCursor
+ * @property {{ active: number, completed: number }|null} counts - todo lists only: active and
+ *   completed todos matching every filter but the status
+ */
+
+const TODOS_URL = `${API_BASE}/todos`;
+const TRASH_URL = `${TODOS_URL}/trash`;
+const LISTS_URL = `${API_BASE}/lists`;
+const AUTH_URL = `${API_BASE}/auth`;
+
+const withQuery = (url, query) => (query ? `${url}?${query}` : url);
+
+// Conditional writes: the server refuses them (412) once the todo has moved on
+const ifMatch = (version) => (version ? { 'If-Match': `"${version}"` } : {});
+
+// List endpoints send the body as a plain array and paging in headers
+const getPage = async (url) => {
+  const response = await apiFetch(url);
+  if (!response.ok) {
+    throw await toApiError(response);
+  }
+  const items = await response.json();
+  const total = response.headers?.get('X-Total-Count');
+  const active = response.headers?.get('X-Active-Count');
+  const completed = response.headers?.get('X-Completed-Count');
+  return {
+    items,
+    total: total ? Number(total) : items.length,
+    nextCursor: response.headers?.get('X-Next-Cursor') || null,
+    counts: active && completed ? { active: Number(active), completed: Number(completed) } : null,
+  };
+};
+
+export const todosApi = {
+  /** @type {(query: string) => Promise<Page<Todo>>} */
+  list: (query) => getPage(withQuery(TODOS_URL, query)),
+  /** @type {(id: number) => Promise<Todo>} */
+  get: (id) => getJson(`${TODOS_URL}/${id}`),
+  /** @type {(fields: Object) => Promise<Todo>} */
+  create: (fields) => sendJson(TODOS_URL, 'POST', fields),
+  /** @type {(id: number, changes: Object, version?: number) => Promise<Todo>} */
+  update: (id, changes, version) => sendJson(`${TODOS_URL}/${id}`, 'PUT', changes, ifMatch(version)),
+  /** @type {(id: number) => Promise<Todo>} */
+  toggle: (id) => sendJson(`${TODOS_URL}/${id}/toggle`, 'PATCH'),
+  /** @type {(id: number) => Promise<Todo>} */
+  skip: (id) => sendJson(`${TODOS_URL}/${id}/skip`, 'POST'),
+  /** @type {(id: number, move: { before?: number, after?: number }) => Promise<Todo>} */
+  move: (id, move) => sendJson(`${TODOS_URL}/${id}/move`, 'POST', move),
+  /** Moves the todo to the trash */
+  remove: (id) => sendJson(`${TODOS_URL}/${id}`, 'DELETE'),
+  /** @type {(operations: Object[]) => Promise<{ results: { index: number, op: string, id: number, todo: Todo }[] }>} */
+  bulk: (operations) => sendJson(`${TODOS_URL}/bulk`, 'POST', { operations }),
+  /** The raw response, for the file and its name */
+  export: async (query) => {
+    const response = await apiFetch(withQuery(`${TODOS_URL}/export`, query));
+    if (!response.ok) {
+      throw await toApiError(response);
+    }
+    return response;
+  },
+  /**
+   * Sent as plain text: the server caps JSON bodies well below import size
+   * @type {(text: string, options: { format: string, dryRun: boolean }) => Promise<ImportResult>}
+   */
+  import: async (text, { format, dryRun }) => {
+    const response = await apiFetch(`${TODOS_URL}/import?format=${format}&dryRun=${dryRun}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: text,
+    });
+    if (!response.ok) {
+      throw await toApiError(response);
+    }
+    return response.json();
+  },
+};
+
+export const trashApi = {
+  /** @type {() => Promise<Todo[]>} */
+  list: () => getJson(TRASH_URL),
+  /** @type {(id: number) => Promise<Todo>} */
+  restore: (id) => sendJson(`${TRASH_URL}/${id}/restore`, 'POST'),
+  purge: (id) => sendJson(`${TRASH_URL}/${id}`, 'DELETE'),
+  empty: () => sendJson(TRASH_URL, 'DELETE'),
+};
+
+const subtasksUrl = (todoId) => `${TODOS_URL}/${todoId}/subtasks`;
+
+export const subtasksApi = {
+  /** @type {(todoId: number) => Promise<Subtask[]>} */
+  list: (todoId) => getJson(subtasksUrl(todoId)),
+  /** @type {(todoId: number, title: string) => Promise<Subtask>} */
+  create: (todoId, title) => sendJson(subtasksUrl(todoId), 'POST', { title }),
+  /** @type {(todoId: number, id: number) => Promise<Subtask>} */
+  toggle: (todoId, id) => sendJson(`${subtasksUrl(todoId)}/${id}/toggle`, 'PATCH'),
+  remove: (todoId, id) => sendJson(`${subtasksUrl(todoId)}/${id}`, 'DELETE'),
+  /** @type {(todoId: number, ids: number[]) => Promise<Subtask[]>} */
+  reorder: (todoId, ids) => sendJson(`${subtasksUrl(todoId)}/order`, 'PUT', { ids }),
+};
+
+const remindersUrl = (todoId) => `${TODOS_URL}/${todoId}/reminders`;
+
+export const remindersApi = {
+  /** @type {(todoId: number) => Promise<Reminder[]>} */
+  list: (todoId) => getJson(remindersUrl(todoId)),
+  /** @type {(todoId: number, reminder: { at: string } | { minutesBefore: number }) => Promise<Reminder>} */
+  create: (todoId, reminder) => sendJson(remindersUrl(todoId), 'POST', reminder),
+  remove: (todoId, id) => sendJson(`${remindersUrl(todoId)}/${id}`, 'DELETE'),
+};
+
+const historyUrl = (todoId) => `${TODOS_URL}/${todoId}/history`;
+
+export const historyApi = {
+  /** @type {(todoId: number) => Promise<HistoryEntry[]>} */
+  list: (todoId) => getJson(historyUrl(todoId)),
+  /** @type {(todoId: number, entryId: number) => Promise<Todo>} */
+  revert: (todoId, entryId) => sendJson(`${historyUrl(todoId)}/${entryId}/revert`, 'POST'),
+  /**
+   * Changes to all the user's todos, newest first
+   * @type {(cursor?: string) => Promise<Page<HistoryEntry>>}
+   */
+  activity: (cursor) => getPage(withQuery(`${API_BASE}/activity`, cursor && `cursor=${cursor}`)),
+};
+
+export const listsApi = {
+  /** @type {() => Promise<TodoList[]>} */
+  list: () => getJson(LISTS_URL),
+  /** @type {(name: string) => Promise<TodoList>} */
+  create: (name) => sendJson(LISTS_URL, 'POST', { name }),
+  /** @type {(id: number, name: string) => Promise<TodoList>} */
+  rename: (id, name) => sendJson(`${LISTS_URL}/${id}`, 'PUT', { name }),
+  /**
+   * Todos in the list move to the inbox unless cascade or reassignTo says otherwise
+   * @type {(id: number, options?: { cascade?: boolean, reassignTo?: number }) => Promise<Object>}
+   */
+  remove: (id, { cascade, reassignTo } = {}) => {
+    const params = new URLSearchParams();
+    if (cascade) params.set('cascade', 'true');
+    if (reassignTo !== undefined) params.set('reassignTo', String(reassignTo));
+    return sendJson(withQuery(`${LISTS_URL}/${id}`, params.toString()), 'DELETE');
+  },
+};
+
+export const authApi = {
+  /**
+   * The signed-in user, or null without a session. Plain fetch, so a 401
+   * here doesn't count as being signed out.
+   * @type {() => Promise<User|null>}
+   */
+  me: async () => {
+    const response = await fetch(`${AUTH_URL}/me`, { credentials: 'same-origin' });
+    if (response.status === 401) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error('Failed to load session');
+    }
+    return (await response.json()).user;
+  },
+  /** @type {(credentials: { username: string, password: string }) => Promise<{ user: User }>} */
+  login: (credentials) => sendJson(`${AUTH_URL}/login`, 'POST', credentials),
+  /** @type {(credentials: { username: string, password: string }) => Promise<{ user: User }>} */
+  register: (credentials) => sendJson(`${AUTH_URL}/register`, 'POST', credentials),
+  logout: () => apiFetch(`${AUTH_URL}/logout`, { method: 'POST' }),
+};
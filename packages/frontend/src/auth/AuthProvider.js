@@ -0,0 +1,69 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo } from 'react';
+import { Box, CircularProgress } from '@mui/material';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { setUnauthorizedHandler } from '../api/client';
+import { authApi } from '../api/endpoints';
+import LoginPage from '../components/LoginPage';
+
+const ME_KEY = ['auth', 'me'];
+
+const AuthContext = createContext({ user: null, logout: () => {} });
+
+export const useAuth = () => useContext(AuthContext);
+
+// Loads the signed-in user and shows the login page until there is one
+function AuthProvider({ children }) {
+  const queryClient = useQueryClient();
+
+  const { data: user, isLoading } = useQuery({
+    queryKey: ME_KEY,
+    queryFn: authApi.me,
+    staleTime: Infinity,
+    retry: false,
+  });
+
+  // Drop to the login page and forget cached data once the session is gone
+  const signedOut = useCallback(() => {
+    queryClient.setQueryData(ME_KEY, null);
+    queryClient.removeQueries({ predicate: (query) => query.queryKey[0] !== ME_KEY[0] });
+  }, [queryClient]);
+
+  useEffect(() => {
+    setUnauthorizedHandler(signedOut);
+    return () => setUnauthorizedHandler(null);
+  }, [signedOut]);
+
+  const value = useMemo(() => {
+    const signIn = async (send, credentials) => {
+      const result = await send(credentials);
+      queryClient.setQueryData(ME_KEY, result.user);
+      return result.user;
+    };
+
+    return {
+      user,
+      login: (credentials) => signIn(authApi.login, credentials),
+      register: (credentials) => signIn(authApi.register, credentials),
+      logout: async () => {
+        await authApi.logout();
+        signedOut();
+      },
+    };
+  }, [user, queryClient, signedOut]);
+
+  if (isLoading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <AuthContext.Provider value={value}>
+      {user ? children : <LoginPage onLogin={value.login} onRegister={value.register} />}
+    </AuthContext.Provider>
+  );
+}
+
+export default AuthProvider;
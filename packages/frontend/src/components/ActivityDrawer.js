@@ -0,0 +1,56 @@
+import React from 'react';
+import { Box, Button, CircularProgress, Drawer, IconButton, Typography } from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+import HistoryTimeline from './HistoryTimeline';
+import { useActivity } from '../hooks/useHistory';
+
+// Side panel with the latest changes across all of the user's todos
+function ActivityDrawer({ open, lists, onClose }) {
+  const { data: entries, isLoading, error, hasNextPage, fetchNextPage, isFetchingNextPage } =
+    useActivity({ enabled: open });
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 400 } }} role="region" aria-label="Recent activity">
+        <Box sx={{ display: 'flex', alignItems: 'center', p: 2, pb: 1 }}>
+          <Typography variant="h6" component="h2" sx={{ flex: 1 }}>
+            Recent activity
+          </Typography>
+          <IconButton aria-label="Close activity" onClick={onClose}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+
+        {isLoading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {error && (
+          <Typography color="error" align="center" sx={{ my: 3 }}>
+            Error loading recent activity. Please try again later.
+          </Typography>
+        )}
+
+        {!isLoading && !error && entries.length === 0 && (
+          <Typography align="center" color="text.secondary" sx={{ my: 3 }}>
+            Nothing has happened yet.
+          </Typography>
+        )}
+
+        <HistoryTimeline entries={entries} lists={lists} showTitle />
+
+        {hasNextPage && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+            <Button onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+              Show older
+            </Button>
+          </Box>
+        )}
+      </Box>
+    </Drawer>
+  );
+}
+
+export default ActivityDrawer;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  Checkbox,
+  IconButton,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  CheckCircle as CompleteIcon,
+  Close as CloseIcon,
+  Delete as DeleteIcon,
+  LocalOffer as TagIcon,
+  RadioButtonUnchecked as ReopenIcon,
+} from '@mui/icons-material';
+import { parseTags } from '../utils/todoFields';
+
+// Actions for the todos picked in select mode
+function BulkActionBar({ count, total, onSelectAll, onClear, onComplete, onReopen, onAddTags, onDelete, onClose }) {
+  const [tag, setTag] = useState('');
+
+  const handleAddTags = (e) => {
+    e.preventDefault();
+    const tags = parseTags(tag);
+    if (tags.length > 0) {
+      onAddTags(tags);
+      setTag('');
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 2, px: 1, py: 0.5 }}>
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ flexWrap: 'wrap', rowGap: 1 }}>
+        <Checkbox
+          checked={total > 0 && count === total}
+          indeterminate={count > 0 && count < total}
+          onChange={() => (count === total ? onClear() : onSelectAll())}
+          inputProps={{ 'aria-label': 'Select all' }}
+        />
+        <Typography variant="body2" sx={{ minWidth: 80 }}>
+          {count} selected
+        </Typography>
+        <Button size="small" startIcon={<CompleteIcon />} disabled={count === 0} onClick={onComplete}>
+          Complete
+        </Button>
+        <Button size="small" startIcon={<ReopenIcon />} disabled={count === 0} onClick={onReopen}>
+          Mark active
+        </Button>
+        <Box component="form" onSubmit={handleAddTags} sx={{ display: 'flex', alignItems: 'center' }}>
+          <TextField
+            size="small"
+            placeholder="Tags"
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            inputProps={{ 'aria-label': 'Tags to add' }}
+            sx={{ width: 120 }}
+          />
+          <Button type="submit" size="small" startIcon={<TagIcon />} disabled={count === 0 || !tag.trim()}>
+            Add tag
+          </Button>
+        </Box>
+        <Button size="small" color="error" startIcon={<DeleteIcon />} disabled={count === 0} onClick={onDelete}>
+          Delete selected
+        </Button>
+        <Box sx={{ flex: 1 }} />
+        <IconButton size="small" aria-label="Stop selecting" onClick={onClose}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Stack>
+    </Card>
+  );
+}
+
+export default BulkActionBar;
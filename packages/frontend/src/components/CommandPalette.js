@@ -0,0 +1,158 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Dialog,
+  List,
+  ListItemButton,
+  ListItemText,
+  ListSubheader,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { fuzzyFilter } from '../utils/fuzzy';
+
+const MAX_TODOS = 8;
+const LISTBOX_ID = 'command-palette-results';
+
+// text with the matched characters in bold
+const Highlighted = ({ text, indices }) => (
+  <>
+    {Array.from(text).map((char, index) =>
+      indices.includes(index) ? (
+        <Box component="strong" key={index} sx={{ color: 'primary.main' }}>
+          {char}
+        </Box>
+      ) : (
+        char
+      )
+    )}
+  </>
+);
+
+/**
+ * The Ctrl+K palette: type to fuzzy-find a command or a todo, then pick one
+ * with the arrow keys and Enter (or a click). commands are
+ * { id, label, shortcut?, run }; picking a todo calls onSelectTodo(todo).
+ */
+function CommandPalette({ open, onClose, commands, todos, onSelectTodo }) {
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+
+  // Start afresh every time it opens
+  useEffect(() => {
+    if (open) {
+      setQuery('');
+      setActive(0);
+    }
+  }, [open]);
+
+  // Todos only show up once there is something to look for
+  const results = useMemo(() => {
+    const matchedCommands = fuzzyFilter(commands, query, (command) => command.label).map(
+      ({ item, match }) => ({
+        key: `command-${item.id}`,
+        group: 'Commands',
+        label: item.label,
+        hint: item.shortcut,
+        match,
+        run: item.run,
+      })
+    );
+    const matchedTodos = query.trim()
+      ? fuzzyFilter(todos.filter((todo) => !todo.pending), query, (todo) => todo.title)
+        .slice(0, MAX_TODOS)
+        .map(({ item, match }) => ({
+          key: `todo-${item.id}`,
+          group: 'Todos',
+          label: item.title,
+          hint: item.completed ? 'Completed' : null,
+          match,
+          run: () => onSelectTodo(item),
+        }))
+      : [];
+    return [...matchedCommands, ...matchedTodos];
+  }, [commands, todos, query, onSelectTodo]);
+
+  const choose = (result) => {
+    onClose();
+    result.run();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActive((index) => Math.min(index + 1, results.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActive((index) => Math.max(index - 1, 0));
+    } else if (event.key === 'Enter' && results[active]) {
+      event.preventDefault();
+      choose(results[active]);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      // Commands may move the focus themselves
+      disableRestoreFocus
+      PaperProps={{ sx: { alignSelf: 'flex-start', mt: 10 } }}
+    >
+      <TextField
+        autoFocus
+        fullWidth
+        placeholder="Type a command or search todos"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+        }}
+        onKeyDown={handleKeyDown}
+        inputProps={{
+          role: 'combobox',
+          'aria-label': 'Command',
+          'aria-expanded': true,
+          'aria-controls': LISTBOX_ID,
+          'aria-activedescendant': results[active] ? `${LISTBOX_ID}-${active}` : undefined,
+        }}
+        sx={{ '& fieldset': { border: 'none' }, borderBottom: 1, borderColor: 'divider' }}
+      />
+      <List id={LISTBOX_ID} role="listbox" dense sx={{ maxHeight: 400, overflowY: 'auto' }}>
+        {results.map((result, index) => (
+          <React.Fragment key={result.key}>
+            {result.group !== results[index - 1]?.group && (
+              <ListSubheader role="presentation">{result.group}</ListSubheader>
+            )}
+            <ListItemButton
+              id={`${LISTBOX_ID}-${index}`}
+              role="option"
+              // The highlighting would break up the name read out
+              aria-label={result.label}
+              aria-selected={index === active}
+              selected={index === active}
+              onMouseEnter={() => setActive(index)}
+              onClick={() => choose(result)}
+            >
+              <ListItemText primary={<Highlighted text={result.label} indices={result.match.indices} />} />
+              {result.hint && (
+                <Typography variant="caption" color="text.secondary" sx={{ ml: 2 }}>
+                  {result.hint}
+                </Typography>
+              )}
+            </ListItemButton>
+          </React.Fragment>
+        ))}
+        {results.length === 0 && (
+          <Typography color="text.secondary" align="center" sx={{ py: 2 }}>
+            Nothing matches “{query}”
+          </Typography>
+        )}
+      </List>
+    </Dialog>
+  );
+}
+
+export default CommandPalette;
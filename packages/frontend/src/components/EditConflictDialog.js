@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Radio,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { FIELD_LABELS, formatDueDate, getChangedFields, toFormValues } from '../utils/todoFields';
+import { describeRecurrence } from '../utils/recurrence';
+
+const formatValue = (field, value, lists) => {
+  switch (field) {
+    case 'dueDate':
+      return value ? formatDueDate(value) : 'None';
+    case 'tags':
+      return value.length > 0 ? value.join(', ') : 'None';
+    case 'listId':
+      return value === null ? 'Inbox' : lists.find((list) => list.id === value)?.name || 'Unknown list';
+    case 'autoComplete':
+      return value ? 'On' : 'Off';
+    case 'recurrence':
+      return value ? describeRecurrence(value) : 'Does not repeat';
+    default:
+      return value || 'None';
+  }
+};
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Shown when saving an edit fails because someone else changed the todo
+ * first. conflict is { base, theirs, values }: the todo as it was when
+ * editing began, the todo as it is now and the values in the edit form.
+ * Merging keeps their changes and applies yours, asking which one wins
+ * where both changed the same field; overwriting saves the form as it is.
+ */
+function EditConflictDialog({ conflict, lists, onMerge, onOverwrite, onCancel }) {
+  const { base, theirs, values } = conflict;
+  const [keepTheirs, setKeepTheirs] = useState([]);
+
+  const mine = getChangedFields(base, values);
+  const theirChanges = getChangedFields(base, toFormValues(theirs));
+  const fields = Object.keys(FIELD_LABELS).filter((field) => field in mine || field in theirChanges);
+  const clashes = fields.filter(
+    (field) => field in mine && field in theirChanges && !isSame(mine[field], theirChanges[field])
+  );
+
+  const handleMerge = () => {
+    const changes = { ...mine };
+    keepTheirs.forEach((field) => delete changes[field]);
+    onMerge(changes);
+  };
+
+  const choose = (field, theirsWins) => {
+    setKeepTheirs((current) => (theirsWins ? [...current, field] : current.filter((f) => f !== field)));
+  };
+
+  const valueCell = (field, changes) =>
+    field in changes ? formatValue(field, changes[field], lists) : '—';
+
+  return (
+    <Dialog open onClose={onCancel} maxWidth="sm" fullWidth>
+      <DialogTitle>This todo was changed while you were editing it</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          {clashes.length > 0
+            ? 'You both changed some of the same fields. Pick which version to keep for each of them.'
+            : 'Your changes don’t overlap, so they can be merged with the other ones.'}
+        </DialogContentText>
+        <Table size="small" aria-label="Changes">
+          <TableHead>
+            <TableRow>
+              <TableCell>Field</TableCell>
+              <TableCell>Your change</TableCell>
+              <TableCell>Their change</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {fields.map((field) => {
+              const clash = clashes.includes(field);
+              const theirsWins = keepTheirs.includes(field);
+              return (
+                <TableRow key={field}>
+                  <TableCell>{FIELD_LABELS[field]}</TableCell>
+                  <TableCell>
+                    {clash && (
+                      <Radio
+                        size="small"
+                        checked={!theirsWins}
+                        onChange={() => choose(field, false)}
+                        inputProps={{ 'aria-label': `Keep your ${FIELD_LABELS[field].toLowerCase()}` }}
+                      />
+                    )}
+                    {valueCell(field, mine)}
+                  </TableCell>
+                  <TableCell>
+                    {clash && (
+                      <Radio
+                        size="small"
+                        checked={theirsWins}
+                        onChange={() => choose(field, true)}
+                        inputProps={{ 'aria-label': `Keep their ${FIELD_LABELS[field].toLowerCase()}` }}
+                      />
+                    )}
+                    {valueCell(field, theirChanges)}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Discard my changes</Button>
+        <Button color="warning" onClick={() => onOverwrite(getChangedFields(theirs, values))}>
+          Overwrite
+        </Button>
+        <Button variant="contained" onClick={handleMerge}>
+          Merge
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default EditConflictDialog;
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Radio,
+  RadioGroup,
+  Typography,
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { FORMATS, useImportExport } from '../hooks/useImportExport';
+
+// Download the todos currently shown, in a format picked by the user
+function ExportDialog({ open, onClose, filters, filtered, onError }) {
+  const [format, setFormat] = useState('csv');
+  const { exportTodos } = useImportExport();
+
+  const handleExport = () => {
+    exportTodos.mutate(
+      { filters, format },
+      {
+        onSuccess: onClose,
+        onError: (error) => onError(error, handleExport),
+      }
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Export todos</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          {filtered
+            ? 'Only the todos matching the current list and filters are exported.'
+            : 'All your todos are exported, except those in the trash.'}
+        </Typography>
+        <RadioGroup
+          aria-label="Export format"
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+        >
+          {FORMATS.map((option) => (
+            <FormControlLabel
+              key={option.value}
+              value={option.value}
+              control={<Radio size="small" />}
+              label={option.label}
+            />
+          ))}
+        </RadioGroup>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          startIcon={<DownloadIcon />}
+          disabled={exportTodos.isPending}
+          onClick={handleExport}
+        >
+          Download
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ExportDialog;
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import {
+  InputAdornment,
+  MenuItem,
+  Stack,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
+import { Search as SearchIcon } from '@mui/icons-material';
+import { PRIORITIES } from '../utils/todoFields';
+
+const SEARCH_DELAY_MS = 300;
+
+// Search, status, tag, priority and sort controls for the todo list.
+// searchRef is given the search input, for the "/" shortcut.
+function FilterBar({ filters, onChange, searchRef }) {
+  const [search, setSearch] = useState(filters.q);
+
+  // Debounce typing so each keystroke doesn't trigger a request
+  useEffect(() => {
+    if (search === filters.q) {
+      return undefined;
+    }
+    const timer = setTimeout(() => onChange({ ...filters, q: search }), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search, filters, onChange]);
+
+  const update = (field) => (e) => onChange({ ...filters, [field]: e.target.value });
+
+  return (
+    <Stack spacing={2} sx={{ mb: 2 }}>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+        <TextField
+          fullWidth
+          size="small"
+          placeholder="Search todos"
+          inputRef={searchRef}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          inputProps={{ 'aria-label': 'Search todos' }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          value={filters.status}
+          onChange={(e, status) => status && onChange({ ...filters, status })}
+          aria-label="Status filter"
+        >
+          <ToggleButton value="all">All</ToggleButton>
+          <ToggleButton value="active">Active</ToggleButton>
+          <ToggleButton value="completed">Completed</ToggleButton>
+        </ToggleButtonGroup>
+      </Stack>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+        <TextField
+          size="small"
+          label="Tag"
+          value={filters.tag}
+          onChange={update('tag')}
+          sx={{ minWidth: 140 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Priority"
+          value={filters.priority}
+          onChange={update('priority')}
+          sx={{ minWidth: 140 }}
+        >
+          <MenuItem value="">Any</MenuItem>
+          {PRIORITIES.map((priority) => (
+            <MenuItem key={priority} value={priority}>
+              {priority.charAt(0).toUpperCase() + priority.slice(1)}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Sort by"
+          value={filters.sort}
+          onChange={update('sort')}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="position">Manual</MenuItem>
+          <MenuItem value="created">Created</MenuItem>
+          <MenuItem value="due">Due date</MenuItem>
+          <MenuItem value="priority">Priority</MenuItem>
+        </TextField>
+      </Stack>
+    </Stack>
+  );
+}
+
+export default FilterBar;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Box, Button, CircularProgress, Drawer, IconButton, Typography } from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+import HistoryTimeline from './HistoryTimeline';
+import { useRevertTodo, useTodoHistory } from '../hooks/useHistory';
+import { formatChangedAt } from '../utils/history';
+
+// Side panel with one todo's change log; any earlier version can be
+// brought back, which itself shows up as a new entry
+function HistoryDrawer({ todo, lists, onClose, onError, onReverted }) {
+  const { data: entries = [], isLoading, error } = useTodoHistory(todo?.id, { enabled: Boolean(todo) });
+  const revertTodo = useRevertTodo({ onError });
+
+  const handleRevert = (entry) => {
+    revertTodo.mutate(
+      { todoId: todo.id, entryId: entry.id },
+      { onSuccess: onReverted }
+    );
+  };
+
+  return (
+    <Drawer anchor="right" open={Boolean(todo)} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 400 } }} role="region" aria-label="Todo history">
+        <Box sx={{ display: 'flex', alignItems: 'center', p: 2, pb: 1 }}>
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Typography variant="h6" component="h2">
+              History
+            </Typography>
+            <Typography variant="body2" color="text.secondary" noWrap>
+              {todo?.title}
+            </Typography>
+          </Box>
+          <IconButton aria-label="Close history" onClick={onClose}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+
+        {isLoading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {error && (
+          <Typography color="error" align="center" sx={{ my: 3 }}>
+            Error loading the history. Please try again later.
+          </Typography>
+        )}
+
+        <HistoryTimeline
+          entries={entries}
+          lists={lists}
+          renderAction={(entry, index) =>
+            // The newest entry is the current version
+            index > 0 && (
+              <Button
+                size="small"
+                disabled={revertTodo.isPending}
+                onClick={() => handleRevert(entry)}
+                aria-label={`Revert to the version from ${formatChangedAt(entry.createdAt)}`}
+              >
+                Revert
+              </Button>
+            )
+          }
+        />
+      </Box>
+    </Drawer>
+  );
+}
+
+export default HistoryDrawer;
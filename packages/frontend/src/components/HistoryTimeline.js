@@ -0,0 +1,46 @@
+import React from 'react';
+import { List, ListItem, ListItemText, Typography } from '@mui/material';
+import { describeAction, describeChange, formatChangedAt } from '../utils/history';
+
+// Change log entries, newest first. showTitle names the todo on each entry
+// (for the activity feed); renderAction adds a button such as "Revert".
+function HistoryTimeline({ entries, lists, showTitle = false, renderAction }) {
+  return (
+    <List dense sx={{ p: 0 }}>
+      {entries.map((entry, index) => (
+        <ListItem
+          key={entry.id}
+          alignItems="flex-start"
+          secondaryAction={renderAction?.(entry, index)}
+          sx={{ borderTop: index > 0 ? 1 : 0, borderColor: 'divider' }}
+        >
+          <ListItemText
+            primary={showTitle ? `${describeAction(entry)}: ${entry.title}` : describeAction(entry)}
+            secondary={
+              <>
+                {entry.changes === null ? (
+                  <Typography component="span" variant="body2" display="block">
+                    Earlier changes were not recorded
+                  </Typography>
+                ) : (
+                  entry.action !== 'created' &&
+                  entry.changes.map((change) => (
+                    <Typography key={change.field} component="span" variant="body2" display="block">
+                      {describeChange(change, lists)}
+                    </Typography>
+                  ))
+                )}
+                <Typography component="span" variant="caption" display="block">
+                  {formatChangedAt(entry.createdAt)}
+                  {entry.user && ` by ${entry.user.username}`}
+                </Typography>
+              </>
+            }
+          />
+        </ListItem>
+      ))}
+    </List>
+  );
+}
+
+export default HistoryTimeline;
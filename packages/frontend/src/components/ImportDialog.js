@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import { FORMATS, formatForFile, useImportExport } from '../hooks/useImportExport';
+
+const STATUS_CHIPS = {
+  ready: { label: 'Ready', color: 'success' },
+  imported: { label: 'Imported', color: 'success' },
+  duplicate: { label: 'Duplicate', color: 'warning' },
+  error: { label: 'Error', color: 'error' },
+};
+
+const ACCEPT = FORMATS.flatMap((format) => format.extensions.map((ext) => `.${ext}`)).join(',');
+
+const describeRow = (row) => {
+  if (row.status === 'error') {
+    return row.errors.map(({ field, message }) => (field ? `${field} ${message}` : message)).join('; ');
+  }
+  if (row.status === 'duplicate') {
+    return row.duplicateOf.row ? `Same as row ${row.duplicateOf.row}` : 'Already in your todos';
+  }
+  return '';
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Upload a file of todos: the server checks it first (a dry run) and the
+// preview shows what will be imported, skipped as a duplicate or rejected
+function ImportDialog({ open, onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('csv');
+  const { previewImport, importTodos } = useImportExport();
+  const preview = previewImport.data;
+
+  const check = (nextFile, nextFormat) => {
+    importTodos.reset();
+    previewImport.mutate({ file: nextFile, format: nextFormat });
+  };
+
+  const handleFile = (e) => {
+    const chosen = e.target.files[0];
+    e.target.value = '';
+    if (!chosen) {
+      return;
+    }
+    const guessed = formatForFile(chosen.name) || format;
+    setFile(chosen);
+    setFormat(guessed);
+    check(chosen, guessed);
+  };
+
+  const handleFormat = (e) => {
+    setFormat(e.target.value);
+    if (file) {
+      check(file, e.target.value);
+    }
+  };
+
+  const handleClose = () => {
+    setFile(null);
+    previewImport.reset();
+    importTodos.reset();
+    onClose();
+  };
+
+  const handleImport = () => {
+    importTodos.mutate({ file, format }, {
+      onSuccess: (result) => {
+        onImported(result);
+        handleClose();
+      },
+    });
+  };
+
+  const error = previewImport.error || importTodos.error;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import todos</DialogTitle>
+      <DialogContent>
+        <Stack direction="row" spacing={2} alignItems="center" sx={{ mt: 1, mb: 2 }}>
+          <TextField
+            select
+            size="small"
+            label="Format"
+            value={format}
+            onChange={handleFormat}
+            sx={{ minWidth: 200 }}
+          >
+            {FORMATS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button component="label" variant="outlined" startIcon={<UploadFileIcon />}>
+            Choose file
+            <input type="file" hidden accept={ACCEPT} onChange={handleFile} aria-label="File to import" />
+          </Button>
+          {file && (
+            <Typography variant="body2" noWrap>
+              {file.name}
+            </Typography>
+          )}
+        </Stack>
+
+        {previewImport.isPending && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {error && <Alert severity="error">{error.message}</Alert>}
+
+        {preview && !previewImport.isPending && (
+          <>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {plural(preview.summary.total, 'row')}: {preview.summary.imported} to import,{' '}
+              {plural(preview.summary.duplicates, 'duplicate')},{' '}
+              {plural(preview.summary.errors, 'error')}.
+              {preview.newLists.length > 0 && ` New lists: ${preview.newLists.join(', ')}.`}
+            </Typography>
+            <Table size="small" aria-label="Import preview">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Row</TableCell>
+                  <TableCell>Title</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Details</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {preview.rows.map((row) => (
+                  <TableRow key={row.row}>
+                    <TableCell>{row.row}</TableCell>
+                    <TableCell>{row.title || '—'}</TableCell>
+                    <TableCell>
+                      <Chip size="small" variant="outlined" {...STATUS_CHIPS[row.status]} />
+                    </TableCell>
+                    <TableCell>{describeRow(row)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          disabled={!preview || preview.summary.imported === 0 || importTodos.isPending}
+          onClick={handleImport}
+        >
+          {preview ? `Import ${plural(preview.summary.imported, 'todo')}` : 'Import'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ImportDialog;
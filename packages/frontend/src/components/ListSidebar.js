@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import {
+  Badge,
+  Box,
+  Button,
+  Card,
+  Dialog,
+  Divider,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  ListSubheader,
+  MenuItem,
+  Radio,
+  RadioGroup,
+  Stack,
+  TextField,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  DeleteOutline as TrashIcon,
+  Edit as EditIcon,
+} from '@mui/icons-material';
+
+// Dialog asking what should happen to a deleted list's todos
+function DeleteListDialog({ list, lists, onConfirm, onClose }) {
+  const [mode, setMode] = useState('inbox');
+  const [target, setTarget] = useState('');
+  const others = lists.filter((l) => l.id !== list.id);
+
+  const handleConfirm = () => {
+    onConfirm(mode === 'reassign' ? Number(target) : mode);
+  };
+
+  return (
+    <Dialog open onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>Delete “{list.name}”?</DialogTitle>
+      <DialogContent>
+        {list.todoCount > 0 ? (
+          <RadioGroup value={mode} onChange={(e) => setMode(e.target.value)}>
+            <FormControlLabel value="inbox" control={<Radio />} label="Move its todos to the inbox" />
+            {others.length > 0 && (
+              <FormControlLabel value="reassign" control={<Radio />} label="Move its todos to another list" />
+            )}
+            {mode === 'reassign' && (
+              <TextField
+                select
+                size="small"
+                label="Target list"
+                value={target}
+                onChange={(e) => setTarget(e.target.value)}
+                sx={{ ml: 4, mb: 1 }}
+              >
+                {others.map((l) => (
+                  <MenuItem key={l.id} value={l.id}>
+                    {l.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+            <FormControlLabel
+              value="cascade"
+              control={<Radio />}
+              label={`Delete its ${list.todoCount} todo${list.todoCount === 1 ? '' : 's'}`}
+            />
+          </RadioGroup>
+        ) : (
+          'This list is empty.'
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          color="error"
+          variant="contained"
+          onClick={handleConfirm}
+          disabled={mode === 'reassign' && !target}
+        >
+          Delete list
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+// Sidebar for switching between all todos, the inbox, named lists and the
+// trash (selected === 'trash')
+function ListSidebar({ lists, selected, onSelect, onCreate, onRename, onDelete }) {
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [deleting, setDeleting] = useState(null);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (newName.trim()) {
+      onCreate(newName.trim());
+      setNewName('');
+    }
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (renameValue.trim()) {
+      onRename(renaming, renameValue.trim());
+    }
+    setRenaming(null);
+  };
+
+  return (
+    <Card component="nav" aria-label="Lists" sx={{ width: { md: 260 }, flexShrink: 0, alignSelf: 'flex-start' }}>
+      <List dense subheader={<ListSubheader>Lists</ListSubheader>}>
+        <ListItemButton selected={selected === ''} onClick={() => onSelect('')}>
+          <ListItemText primary="All todos" />
+        </ListItemButton>
+        <ListItemButton selected={selected === 'none'} onClick={() => onSelect('none')}>
+          <ListItemText primary="Inbox" />
+        </ListItemButton>
+        {lists.map((list) =>
+          renaming === list.id ? (
+            <Box key={list.id} component="form" onSubmit={handleRename} sx={{ px: 2, py: 0.5 }}>
+              <TextField
+                size="small"
+                fullWidth
+                autoFocus
+                value={renameValue}
+                onChange={(e) => setRenameValue(e.target.value)}
+                onBlur={() => setRenaming(null)}
+                inputProps={{ 'aria-label': 'List name' }}
+              />
+            </Box>
+          ) : (
+            <ListItemButton
+              key={list.id}
+              selected={selected === list.id}
+              onClick={() => onSelect(list.id)}
+              sx={{ '&:hover .list-actions, &:focus-within .list-actions': { opacity: 1 } }}
+            >
+              <ListItemText primary={list.name} />
+              <Stack direction="row" className="list-actions" sx={{ opacity: 0 }}>
+                <IconButton
+                  size="small"
+                  aria-label={`Rename ${list.name}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setRenaming(list.id);
+                    setRenameValue(list.name);
+                  }}
+                >
+                  <EditIcon fontSize="inherit" />
+                </IconButton>
+                <IconButton
+                  size="small"
+                  aria-label={`Delete ${list.name}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setDeleting(list);
+                  }}
+                >
+                  <DeleteIcon fontSize="inherit" />
+                </IconButton>
+              </Stack>
+              <Badge badgeContent={list.activeCount} color="primary" sx={{ mx: 1.5 }} />
+            </ListItemButton>
+          )
+        )}
+      </List>
+      <Box component="form" onSubmit={handleCreate} sx={{ display: 'flex', gap: 1, p: 2, pt: 0 }}>
+        <TextField
+          size="small"
+          fullWidth
+          placeholder="New list"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          inputProps={{ 'aria-label': 'New list name' }}
+        />
+        <IconButton type="submit" color="primary" aria-label="Create list">
+          <AddIcon />
+        </IconButton>
+      </Box>
+      <Divider />
+      <List dense>
+        <ListItemButton selected={selected === 'trash'} onClick={() => onSelect('trash')}>
+          <ListItemIcon sx={{ minWidth: 32 }}>
+            <TrashIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText primary="Trash" />
+        </ListItemButton>
+      </List>
+      {deleting && (
+        <DeleteListDialog
+          list={deleting}
+          lists={lists}
+          onClose={() => setDeleting(null)}
+          onConfirm={(mode) => {
+            onDelete(deleting.id, mode);
+            setDeleting(null);
+          }}
+        />
+      )}
+    </Card>
+  );
+}
+
+export default ListSidebar;
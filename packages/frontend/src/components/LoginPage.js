@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Container,
+  Link,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+
+// Sign-in and registration form shown while nobody is signed in
+function LoginPage({ onLogin, onRegister }) {
+  const [mode, setMode] = useState('login');
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isLogin = mode === 'login';
+
+  const handleChange = (field) => (e) => {
+    setCredentials((current) => ({ ...current, [field]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await (isLogin ? onLogin : onRegister)(credentials);
+    } catch (err) {
+      setError(err);
+      setSubmitting(false);
+    }
+  };
+
+  const fieldError = (field) => {
+    const detail = error?.details?.find((d) => d.field === field);
+    return detail ? detail.message : null;
+  };
+
+  return (
+    <Box sx={{ minHeight: '100vh', bgcolor: 'background.default', py: 8 }}>
+      <Container maxWidth="xs">
+        <Card>
+          <CardContent component="form" onSubmit={handleSubmit}>
+            <Stack spacing={2}>
+              <Typography variant="h5" component="h1">
+                {isLogin ? 'Sign in' : 'Create an account'}
+              </Typography>
+              {error && !error.details?.length && <Alert severity="error">{error.message}</Alert>}
+              <TextField
+                label="Username"
+                autoComplete="username"
+                value={credentials.username}
+                onChange={handleChange('username')}
+                error={Boolean(fieldError('username'))}
+                helperText={fieldError('username')}
+                required
+              />
+              <TextField
+                label="Password"
+                type="password"
+                autoComplete={isLogin ? 'current-password' : 'new-password'}
+                value={credentials.password}
+                onChange={handleChange('password')}
+                error={Boolean(fieldError('password'))}
+                helperText={fieldError('password') || (isLogin ? null : 'At least 8 characters')}
+                required
+              />
+              <Button type="submit" variant="contained" disabled={submitting}>
+                {isLogin ? 'Sign in' : 'Create account'}
+              </Button>
+              <Typography variant="body2" align="center">
+                {isLogin ? 'New here? ' : 'Already have an account? '}
+                <Link
+                  component="button"
+                  type="button"
+                  onClick={() => {
+                    setMode(isLogin ? 'register' : 'login');
+                    setError(null);
+                  }}
+                >
+                  {isLogin ? 'Create an account' : 'Sign in'}
+                </Link>
+              </Typography>
+            </Stack>
+          </CardContent>
+        </Card>
+      </Container>
+    </Box>
+  );
+}
+
+export default LoginPage;
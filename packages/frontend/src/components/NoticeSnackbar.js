@@ -0,0 +1,56 @@
+import React from 'react';
+import { Alert, Button, IconButton, Snackbar } from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+
+const AUTO_HIDE_MS = 6000;
+
+// Transient message at the bottom of the screen, with an optional action
+// such as "Retry". notice is { message, severity, action: { label, onClick } }.
+function NoticeSnackbar({ notice, onClose }) {
+  const handleClose = (event, reason) => {
+    if (reason !== 'clickaway') {
+      onClose();
+    }
+  };
+
+  return (
+    <Snackbar
+      open={Boolean(notice)}
+      autoHideDuration={AUTO_HIDE_MS}
+      onClose={handleClose}
+      anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+    >
+      {notice ? (
+        <Alert
+          severity={notice.severity || 'error'}
+          variant="filled"
+          action={
+            <>
+              {notice.action && (
+                <Button
+                  color="inherit"
+                  size="small"
+                  onClick={() => {
+                    onClose();
+                    notice.action.onClick();
+                  }}
+                >
+                  {notice.action.label}
+                </Button>
+              )}
+              <IconButton color="inherit" size="small" aria-label="Dismiss" onClick={onClose}>
+                <CloseIcon fontSize="small" />
+              </IconButton>
+            </>
+          }
+        >
+          {notice.message}
+        </Alert>
+      ) : (
+        <span />
+      )}
+    </Snackbar>
+  );
+}
+
+export default NoticeSnackbar;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { Chip, Stack, Typography } from '@mui/material';
+import { Event as EventIcon, Flag as FlagIcon, Repeat as RepeatIcon } from '@mui/icons-material';
+import { PRIORITY_COLORS, formatDueDate } from '../utils/todoFields';
+import { describeRecurrence } from '../utils/recurrence';
+
+const formatDue = (dueDate) =>
+  dueDate.includes('T')
+    ? new Date(dueDate).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+    : formatDueDate(dueDate);
+
+// What the add field's text will become, from parseQuickAdd(); shows nothing
+// until the text mentions more than a title
+function QuickAddPreview({ parsed }) {
+  const { title, dueDate, priority, recurrence, tags = [] } = parsed;
+  if (!dueDate && !priority && !recurrence && tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <Stack
+      direction="row"
+      spacing={0.5}
+      aria-label="Quick add preview"
+      sx={{ mt: 1, flexWrap: 'wrap', rowGap: 0.5, alignItems: 'center' }}
+    >
+      {title ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mr: 0.5 }}>
+          Adds “{title}”
+        </Typography>
+      ) : (
+        <Typography variant="body2" color="error" sx={{ mr: 0.5 }}>
+          Add a title as well
+        </Typography>
+      )}
+      {priority && (
+        <Chip
+          size="small"
+          icon={<FlagIcon />}
+          label={priority}
+          color={PRIORITY_COLORS[priority]}
+          variant={priority === 'low' ? 'outlined' : 'filled'}
+        />
+      )}
+      {dueDate && <Chip size="small" icon={<EventIcon />} label={`Due ${formatDue(dueDate)}`} variant="outlined" />}
+      {recurrence && (
+        <Chip size="small" icon={<RepeatIcon />} label={describeRecurrence(recurrence)} variant="outlined" />
+      )}
+      {tags.map((tag) => (
+        <Chip key={tag} size="small" label={`#${tag}`} variant="outlined" />
+      ))}
+    </Stack>
+  );
+}
+
+export default QuickAddPreview;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { MenuItem, Stack, TextField, ToggleButton, ToggleButtonGroup } from '@mui/material';
+import { WEEKDAYS, buildRecurrence, parseRecurrence } from '../utils/recurrence';
+
+// Repeat controls for the edit form. Reports the rule as an RRULE string,
+// or '' when the todo does not repeat.
+function RecurrenceFields({ value, onChange, error }) {
+  const [rule, setRule] = useState(() => parseRecurrence(value));
+
+  const update = (changes) => {
+    const next = { ...rule, ...changes };
+    setRule(next);
+    onChange(buildRecurrence(next));
+  };
+
+  const unit = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months' }[rule.freq];
+
+  return (
+    <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} useFlexGap flexWrap="wrap">
+      <TextField
+        select
+        size="small"
+        label="Repeat"
+        value={rule.freq}
+        onChange={(e) => update({ freq: e.target.value })}
+        error={Boolean(error)}
+        helperText={error}
+        sx={{ minWidth: 160 }}
+      >
+        <MenuItem value="">Does not repeat</MenuItem>
+        <MenuItem value="DAILY">Daily</MenuItem>
+        <MenuItem value="WEEKLY">Weekly</MenuItem>
+        <MenuItem value="MONTHLY">Monthly</MenuItem>
+      </TextField>
+      {rule.freq && (
+        <>
+          <TextField
+            size="small"
+            type="number"
+            label={`Every (${unit})`}
+            value={rule.interval}
+            onChange={(e) => update({ interval: e.target.value })}
+            inputProps={{ min: 1, max: 365 }}
+            sx={{ width: 130 }}
+          />
+          {rule.freq === 'WEEKLY' && (
+            <ToggleButtonGroup
+              size="small"
+              value={rule.byDay}
+              onChange={(e, byDay) => update({ byDay })}
+              aria-label="Repeat on"
+            >
+              {WEEKDAYS.map((day) => (
+                <ToggleButton key={day.code} value={day.code} aria-label={day.label}>
+                  {day.label.charAt(0)}
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+          )}
+          {rule.freq === 'MONTHLY' && (
+            <TextField
+              size="small"
+              type="number"
+              label="Day of month"
+              placeholder="Due day"
+              value={rule.byMonthDay}
+              onChange={(e) => update({ byMonthDay: e.target.value })}
+              inputProps={{ min: 1, max: 31 }}
+              InputLabelProps={{ shrink: true }}
+              sx={{ width: 130 }}
+            />
+          )}
+          <TextField
+            select
+            size="small"
+            label="Ends"
+            value={rule.ends}
+            onChange={(e) => update({ ends: e.target.value })}
+            sx={{ minWidth: 120 }}
+          >
+            <MenuItem value="never">Never</MenuItem>
+            <MenuItem value="until">On date</MenuItem>
+            <MenuItem value="count">After</MenuItem>
+          </TextField>
+          {rule.ends === 'until' && (
+            <TextField
+              size="small"
+              type="date"
+              label="End date"
+              value={rule.until}
+              onChange={(e) => update({ until: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+          )}
+          {rule.ends === 'count' && (
+            <TextField
+              size="small"
+              type="number"
+              label="Occurrences"
+              value={rule.count}
+              onChange={(e) => update({ count: e.target.value })}
+              inputProps={{ min: 1, max: 1000 }}
+              sx={{ width: 130 }}
+            />
+          )}
+        </>
+      )}
+    </Stack>
+  );
+}
+
+export default RecurrenceFields;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  IconButton,
+  List,
+  ListItem,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  AddAlarm as AddAlarmIcon,
+  Close as CloseIcon,
+} from '@mui/icons-material';
+import { useReminderMutations, useReminders } from '../hooks/useReminders';
+import { notificationPermission, requestNotificationPermission } from '../utils/notifications';
+
+const AT_TIME = 'at';
+
+// Minutes before the due date offered in the picker
+const PRESETS = [
+  { minutes: 0, label: 'When due' },
+  { minutes: 10, label: '10 minutes before due' },
+  { minutes: 60, label: '1 hour before due' },
+  { minutes: 24 * 60, label: '1 day before due' },
+  { minutes: 7 * 24 * 60, label: '1 week before due' },
+];
+
+export const describeReminder = (reminder) => {
+  if (reminder.at) {
+    return `At ${new Date(reminder.at).toLocaleString()}`;
+  }
+  const preset = PRESETS.find((p) => p.minutes === reminder.minutesBefore);
+  if (preset) {
+    return preset.label;
+  }
+  const { minutesBefore } = reminder;
+  return minutesBefore % 60 === 0
+    ? `${minutesBefore / 60} hours before due`
+    : `${minutesBefore} minutes before due`;
+};
+
+const reminderStatus = (reminder) => {
+  if (reminder.status === 'fired') {
+    return 'Sent';
+  }
+  if (reminder.status === 'skipped') {
+    return 'Skipped, todo was done';
+  }
+  if (!reminder.fireAt) {
+    return 'Needs a due date';
+  }
+  return reminder.at ? null : new Date(reminder.fireAt).toLocaleString();
+};
+
+// Reminders shown under an expanded todo, with a picker to add another
+function ReminderList({ todo }) {
+  const [choice, setChoice] = useState('60');
+  const [at, setAt] = useState('');
+  const [permission, setPermission] = useState(notificationPermission);
+  const { data: reminders = [] } = useReminders(todo.id);
+  const { addReminder, deleteReminder } = useReminderMutations(todo.id);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (choice === AT_TIME) {
+      if (at) {
+        // datetime-local has no zone: it is the browser's local time
+        addReminder.mutate({ at: new Date(at).toISOString() }, { onSuccess: () => setAt('') });
+      }
+      return;
+    }
+    addReminder.mutate({ minutesBefore: Number(choice) });
+  };
+
+  const enableNotifications = async () => {
+    setPermission(await requestNotificationPermission());
+  };
+
+  return (
+    <Box sx={{ pl: 7, pb: 1 }}>
+      {reminders.length > 0 && (
+        <List dense disablePadding aria-label={`Reminders of ${todo.title}`}>
+          {reminders.map((reminder) => {
+            const description = describeReminder(reminder);
+            const status = reminderStatus(reminder);
+            return (
+              <ListItem key={reminder.id} disableGutters sx={{ py: 0 }}>
+                <Typography variant="body2" sx={{ flex: 1 }}>
+                  {description}
+                  {status && (
+                    <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                      {status}
+                    </Typography>
+                  )}
+                </Typography>
+                <IconButton
+                  size="small"
+                  aria-label={`Remove reminder ${description}`}
+                  onClick={() => deleteReminder.mutate(reminder.id)}
+                >
+                  <CloseIcon fontSize="inherit" />
+                </IconButton>
+              </ListItem>
+            );
+          })}
+        </List>
+      )}
+      <Box component="form" onSubmit={handleAdd} sx={{ display: 'flex', gap: 1, mt: 0.5, alignItems: 'center' }}>
+        <TextField
+          select
+          size="small"
+          value={choice}
+          label="Remind me"
+          onChange={(e) => setChoice(e.target.value)}
+          sx={{ minWidth: 200 }}
+        >
+          {PRESETS.map((preset) => (
+            <MenuItem key={preset.minutes} value={String(preset.minutes)}>
+              {preset.label}
+            </MenuItem>
+          ))}
+          <MenuItem value={AT_TIME}>At a set time</MenuItem>
+        </TextField>
+        {choice === AT_TIME && (
+          <TextField
+            type="datetime-local"
+            size="small"
+            value={at}
+            label="Reminder time"
+            onChange={(e) => setAt(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+        )}
+        <IconButton type="submit" size="small" color="primary" aria-label="Add reminder">
+          <AddAlarmIcon />
+        </IconButton>
+        {permission === 'default' && (
+          <Button size="small" onClick={enableNotifications}>
+            Turn on browser notifications
+          </Button>
+        )}
+      </Box>
+      {addReminder.isError && (
+        <Typography variant="caption" color="error">
+          {addReminder.error.message}
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
+export default ReminderList;
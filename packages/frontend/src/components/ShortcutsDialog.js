@@ -0,0 +1,57 @@
+import React from 'react';
+import {
+  Box,
+  Dialog,
+  DialogContent,
+  DialogTitle,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+} from '@mui/material';
+import { SHORTCUTS } from '../hooks/useKeyboardShortcuts';
+
+// A key as printed on the keyboard
+const Key = ({ children }) => (
+  <Box
+    component="kbd"
+    sx={{
+      px: 0.75,
+      py: 0.25,
+      mr: 0.5,
+      border: 1,
+      borderColor: 'divider',
+      borderRadius: 1,
+      fontFamily: 'monospace',
+      fontSize: '0.85em',
+      bgcolor: 'action.hover',
+    }}
+  >
+    {children}
+  </Box>
+);
+
+// The help overlay opened with "?"
+function ShortcutsDialog({ open, onClose }) {
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Keyboard shortcuts</DialogTitle>
+      <DialogContent>
+        <Table size="small" aria-label="Keyboard shortcuts">
+          <TableBody>
+            {SHORTCUTS.map(({ keys, description }) => (
+              <TableRow key={description}>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                  {keys.map((key) => <Key key={key}>{key}</Key>)}
+                </TableCell>
+                <TableCell>{description}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default ShortcutsDialog;
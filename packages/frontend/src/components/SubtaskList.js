@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Checkbox,
+  CircularProgress,
+  IconButton,
+  List,
+  ListItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Close as CloseIcon,
+  KeyboardArrowDown as MoveDownIcon,
+  KeyboardArrowUp as MoveUpIcon,
+} from '@mui/icons-material';
+import { useSubtaskMutations, useSubtasks } from '../hooks/useSubtasks';
+
+// Expandable checklist shown under a todo
+function SubtaskList({ todo }) {
+  const [newTitle, setNewTitle] = useState('');
+  const { data: subtasks = [], isLoading } = useSubtasks(todo.id);
+  const { addSubtask, toggleSubtask, deleteSubtask, reorderSubtasks } = useSubtaskMutations(todo.id);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (newTitle.trim()) {
+      addSubtask.mutate(newTitle.trim(), { onSuccess: () => setNewTitle('') });
+    }
+  };
+
+  const move = (index, offset) => {
+    const ids = subtasks.map((s) => s.id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + offset, 0, moved);
+    reorderSubtasks.mutate(ids);
+  };
+
+  if (isLoading) {
+    return <CircularProgress size={20} sx={{ ml: 7, my: 1 }} />;
+  }
+
+  return (
+    <Box sx={{ pl: 7, pb: 1 }}>
+      <List dense disablePadding aria-label={`Subtasks of ${todo.title}`}>
+        {subtasks.map((subtask, index) => (
+          <ListItem key={subtask.id} disableGutters sx={{ py: 0 }}>
+            <Checkbox
+              size="small"
+              checked={subtask.completed}
+              onChange={() => toggleSubtask.mutate(subtask.id)}
+              inputProps={{ 'aria-label': subtask.title }}
+            />
+            <Typography
+              variant="body2"
+              sx={{
+                flex: 1,
+                textDecoration: subtask.completed ? 'line-through' : 'none',
+                color: subtask.completed ? 'text.secondary' : 'text.primary',
+              }}
+            >
+              {subtask.title}
+            </Typography>
+            <IconButton
+              size="small"
+              aria-label={`Move ${subtask.title} up`}
+              disabled={index === 0}
+              onClick={() => move(index, -1)}
+            >
+              <MoveUpIcon fontSize="inherit" />
+            </IconButton>
+            <IconButton
+              size="small"
+              aria-label={`Move ${subtask.title} down`}
+              disabled={index === subtasks.length - 1}
+              onClick={() => move(index, 1)}
+            >
+              <MoveDownIcon fontSize="inherit" />
+            </IconButton>
+            <IconButton
+              size="small"
+              aria-label={`Remove ${subtask.title}`}
+              onClick={() => deleteSubtask.mutate(subtask.id)}
+            >
+              <CloseIcon fontSize="inherit" />
+            </IconButton>
+          </ListItem>
+        ))}
+      </List>
+      <Box component="form" onSubmit={handleAdd} sx={{ display: 'flex', gap: 1, mt: 0.5 }}>
+        <TextField
+          size="small"
+          fullWidth
+          placeholder="Add a subtask"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          inputProps={{ 'aria-label': 'New subtask' }}
+        />
+        <IconButton type="submit" size="small" color="primary" aria-label="Save subtask">
+          <AddIcon />
+        </IconButton>
+      </Box>
+    </Box>
+  );
+}
+
+export default SubtaskList;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { Chip } from '@mui/material';
+import {
+  CloudQueue as WaitingIcon,
+  Sync as SyncingIcon,
+  WarningAmber as ConflictIcon,
+} from '@mui/icons-material';
+
+const STATES = {
+  queued: { icon: <WaitingIcon />, label: 'Waiting to sync' },
+  syncing: { icon: <SyncingIcon />, label: 'Syncing' },
+  conflict: { icon: <ConflictIcon />, label: 'Sync conflict', color: 'warning' },
+};
+
+// Marks a todo with a change still in the offline queue; a conflict can be
+// clicked to settle it
+function SyncChip({ todo, onResolve }) {
+  const state = STATES[todo.sync];
+  if (!state) {
+    return null;
+  }
+
+  return (
+    <Chip
+      size="small"
+      icon={state.icon}
+      label={state.label}
+      color={state.color || 'default'}
+      variant="outlined"
+      onClick={todo.sync === 'conflict' ? onResolve : undefined}
+      sx={{ mr: 1 }}
+    />
+  );
+}
+
+export default SyncChip;
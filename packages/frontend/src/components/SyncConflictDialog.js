@@ -0,0 +1,42 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { todosApi } from '../api/endpoints';
+import { toFormValues } from '../utils/todoFields';
+import EditConflictDialog from './EditConflictDialog';
+
+/**
+ * The edit conflict dialog for an edit made offline that the server refused
+ * because the todo changed in the meantime. entry is the queued update;
+ * onResolve(changes, version) sends changes on top of the todo as it is now
+ * and onDiscard drops the edit.
+ */
+function SyncConflictDialog({ entry, lists, onResolve, onDiscard, onError }) {
+  // The todo as it is now, to compare the edit with
+  const { data: theirs } = useQuery({
+    queryKey: ['todo', entry.todo.id],
+    queryFn: () =>
+      todosApi.get(entry.todo.id).catch((error) => {
+        onError(error);
+        throw error;
+      }),
+    staleTime: 0,
+    retry: false,
+  });
+
+  if (!theirs) {
+    return null;
+  }
+
+  const resolve = (changes) => onResolve(changes, theirs.version);
+  return (
+    <EditConflictDialog
+      conflict={{ base: entry.todo, theirs, values: toFormValues({ ...entry.todo, ...entry.changes }) }}
+      lists={lists}
+      onMerge={resolve}
+      onOverwrite={resolve}
+      onCancel={onDiscard}
+    />
+  );
+}
+
+export default SyncConflictDialog;
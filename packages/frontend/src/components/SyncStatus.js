@@ -0,0 +1,54 @@
+import React from 'react';
+import { Box, Button, Chip } from '@mui/material';
+import {
+  CloudOff as OfflineIcon,
+  CloudQueue as WaitingIcon,
+  Sync as SyncingIcon,
+  WarningAmber as ConflictIcon,
+} from '@mui/icons-material';
+
+const countChanges = (count) => `${count} change${count === 1 ? '' : 's'}`;
+
+// How the offline queue is doing, for the header: nothing at all while
+// everything is saved. sync is the queue's { entries, online, syncing }.
+function SyncStatus({ sync, onSyncNow, onResolve }) {
+  const { entries, online, syncing } = sync;
+  const conflict = entries[0]?.status === 'conflict';
+
+  let chip = null;
+  let action = null;
+  if (conflict) {
+    chip = { icon: <ConflictIcon />, label: 'Sync paused: a change clashes with another one' };
+    action = { label: 'Resolve', onClick: onResolve };
+  } else if (!online) {
+    chip = {
+      icon: <OfflineIcon />,
+      label: entries.length > 0 ? `Offline, ${countChanges(entries.length)} waiting` : 'Offline',
+    };
+  } else if (syncing) {
+    chip = { icon: <SyncingIcon />, label: `Syncing ${countChanges(entries.length)}…` };
+  } else if (entries.length > 0) {
+    chip = { icon: <WaitingIcon />, label: `${countChanges(entries.length)} waiting to sync` };
+    action = { label: 'Sync now', onClick: onSyncNow };
+  }
+
+  return (
+    <Box aria-live="polite" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+      {chip && (
+        <Chip
+          icon={chip.icon}
+          label={chip.label}
+          variant="outlined"
+          sx={{ color: 'inherit', borderColor: 'currentColor', '& .MuiChip-icon': { color: 'inherit' } }}
+        />
+      )}
+      {action && (
+        <Button color="inherit" size="small" onClick={action.onClick}>
+          {action.label}
+        </Button>
+      )}
+    </Box>
+  );
+}
+
+export default SyncStatus;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  FormControlLabel,
+  MenuItem,
+  Stack,
+  TextField,
+} from '@mui/material';
+import RecurrenceFields from './RecurrenceFields';
+import { PRIORITIES, toFormValues } from '../utils/todoFields';
+
+// Expanded inline form for editing every field of a todo.
+// initialValues restores a rejected draft instead of the todo's own values.
+function TodoEditForm({
+  todo,
+  lists = [],
+  initialValues = null,
+  onSave,
+  onCancel,
+  getFieldError = () => null,
+}) {
+  const [values, setValues] = useState(() => initialValues || toFormValues(todo));
+
+  const handleChange = (field) => (e) => {
+    setValues((current) => ({ ...current, [field]: e.target.value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (values.title.trim()) {
+      onSave(values);
+    }
+  };
+
+  const fieldProps = (field) => {
+    const error = getFieldError(field);
+    return {
+      value: values[field],
+      onChange: handleChange(field),
+      size: 'small',
+      error: Boolean(error),
+      helperText: error,
+    };
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ flex: 1, py: 1 }}>
+      <Stack spacing={2}>
+        <TextField fullWidth label="Title" autoFocus {...fieldProps('title')} />
+        <TextField fullWidth multiline minRows={2} label="Description" {...fieldProps('description')} />
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+          <TextField
+            type="date"
+            label="Due date"
+            InputLabelProps={{ shrink: true }}
+            sx={{ minWidth: 170 }}
+            {...fieldProps('dueDate')}
+          />
+          <TextField select label="List" sx={{ minWidth: 140 }} {...fieldProps('listId')}>
+            <MenuItem value="">Inbox</MenuItem>
+            {lists.map((list) => (
+              <MenuItem key={list.id} value={list.id}>
+                {list.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField select label="Priority" sx={{ minWidth: 140 }} {...fieldProps('priority')}>
+            <MenuItem value="">None</MenuItem>
+            {PRIORITIES.map((priority) => (
+              <MenuItem key={priority} value={priority}>
+                {priority.charAt(0).toUpperCase() + priority.slice(1)}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            fullWidth
+            label="Tags"
+            placeholder="work, urgent"
+            {...fieldProps('tags')}
+            helperText={getFieldError('tags') || 'Separate tags with commas'}
+          />
+        </Stack>
+        <RecurrenceFields
+          value={values.recurrence}
+          onChange={(recurrence) => setValues((current) => ({ ...current, recurrence }))}
+          error={getFieldError('recurrence')}
+        />
+        <FormControlLabel
+          control={
+            <Checkbox
+              size="small"
+              checked={values.autoComplete}
+              onChange={(e) => setValues((current) => ({ ...current, autoComplete: e.target.checked }))}
+            />
+          }
+          label="Complete automatically when all subtasks are done"
+        />
+        <Stack direction="row" spacing={1} justifyContent="flex-end">
+          <Button size="small" variant="outlined" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button size="small" variant="contained" type="submit">
+            Save
+          </Button>
+        </Stack>
+      </Stack>
+    </Box>
+  );
+}
+
+export default TodoEditForm;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Chip, Stack } from '@mui/material';
+import {
+  Checklist as ChecklistIcon,
+  Event as EventIcon,
+  Flag as FlagIcon,
+  Repeat as RepeatIcon,
+} from '@mui/icons-material';
+import { PRIORITY_COLORS, formatDueDate, isOverdue } from '../utils/todoFields';
+import { describeRecurrence } from '../utils/recurrence';
+
+// Priority, due date, recurrence, subtask progress and tag chips shown under a todo's title
+function TodoMeta({ todo }) {
+  const subtaskCounts = todo.subtaskCounts || { total: 0, completed: 0 };
+  const hasMeta =
+    todo.priority ||
+    todo.dueDate ||
+    todo.recurrence ||
+    subtaskCounts.total > 0 ||
+    (todo.tags && todo.tags.length > 0);
+  if (!hasMeta) {
+    return null;
+  }
+
+  const overdue = isOverdue(todo);
+
+  return (
+    <Stack direction="row" spacing={0.5} sx={{ mt: 0.5, flexWrap: 'wrap', rowGap: 0.5 }}>
+      {todo.priority && (
+        <Chip
+          size="small"
+          icon={<FlagIcon />}
+          label={todo.priority}
+          color={PRIORITY_COLORS[todo.priority]}
+          variant={todo.priority === 'low' ? 'outlined' : 'filled'}
+        />
+      )}
+      {todo.dueDate && (
+        <Chip
+          size="small"
+          icon={<EventIcon />}
+          label={overdue ? `Overdue ${formatDueDate(todo.dueDate)}` : `Due ${formatDueDate(todo.dueDate)}`}
+          color={overdue ? 'error' : 'default'}
+          variant="outlined"
+        />
+      )}
+      {todo.recurrence && (
+        <Chip
+          size="small"
+          icon={<RepeatIcon />}
+          label={describeRecurrence(todo.recurrence)}
+          variant="outlined"
+        />
+      )}
+      {subtaskCounts.total > 0 && (
+        <Chip
+          size="small"
+          icon={<ChecklistIcon />}
+          label={`${subtaskCounts.completed}/${subtaskCounts.total}`}
+          color={subtaskCounts.completed === subtaskCounts.total ? 'success' : 'default'}
+          variant="outlined"
+          aria-label={`${subtaskCounts.completed} of ${subtaskCounts.total} subtasks done`}
+        />
+      )}
+      {(todo.tags || []).map((tag) => (
+        <Chip key={tag} size="small" label={`#${tag}`} variant="outlined" />
+      ))}
+    </Stack>
+  );
+}
+
+export default TodoMeta;
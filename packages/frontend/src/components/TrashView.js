@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+  Typography,
+} from '@mui/material';
+import {
+  DeleteForever as DeleteForeverIcon,
+  RestoreFromTrash as RestoreIcon,
+} from '@mui/icons-material';
+import { useTrash, useTrashMutations } from '../hooks/useTrash';
+
+const formatDeletedAt = (deletedAt) =>
+  new Date(deletedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// Deleted todos, which can be restored or deleted for good until the server
+// purges them after its retention period
+function TrashView({ onError }) {
+  const [confirmingEmpty, setConfirmingEmpty] = useState(false);
+  const { data: todos = [], isLoading, error } = useTrash();
+  const { restoreTodo, purgeTodo, emptyTrash } = useTrashMutations({ onError });
+
+  return (
+    <Card>
+      <CardContent sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', pb: 1 }}>
+        <Box>
+          <Typography variant="h6" component="h2">
+            Trash
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Deleted todos are removed for good after a while.
+          </Typography>
+        </Box>
+        <Button color="error" disabled={todos.length === 0} onClick={() => setConfirmingEmpty(true)}>
+          Empty trash
+        </Button>
+      </CardContent>
+
+      {isLoading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {error && (
+        <Typography color="error" align="center" sx={{ my: 3 }}>
+          Error loading the trash. Please try again later.
+        </Typography>
+      )}
+
+      {!isLoading && !error && todos.length === 0 && (
+        <Typography align="center" color="text.secondary" sx={{ my: 3 }}>
+          The trash is empty.
+        </Typography>
+      )}
+
+      <List sx={{ p: 0 }}>
+        {todos.map((todo) => (
+          <ListItem key={todo.id} sx={{ borderTop: 1, borderColor: 'divider' }}>
+            <ListItemText
+              primary={todo.title}
+              secondary={`Deleted ${formatDeletedAt(todo.deletedAt)}`}
+            />
+            <Stack direction="row" spacing={1}>
+              <IconButton
+                size="small"
+                color="primary"
+                onClick={() => restoreTodo.mutate(todo.id)}
+                aria-label={`Restore ${todo.title}`}
+                title="Restore"
+              >
+                <RestoreIcon />
+              </IconButton>
+              <IconButton
+                size="small"
+                color="error"
+                onClick={() => purgeTodo.mutate(todo.id)}
+                aria-label={`Delete ${todo.title} forever`}
+                title="Delete forever"
+              >
+                <DeleteForeverIcon />
+              </IconButton>
+            </Stack>
+          </ListItem>
+        ))}
+      </List>
+
+      <Dialog open={confirmingEmpty} onClose={() => setConfirmingEmpty(false)} maxWidth="xs">
+        <DialogTitle>Empty the trash?</DialogTitle>
+        <DialogContent>
+          {todos.length === 1
+            ? 'The todo in the trash will be deleted for good.'
+            : `All ${todos.length} todos in the trash will be deleted for good.`}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmingEmpty(false)}>Cancel</Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={() => {
+              emptyTrash.mutate();
+              setConfirmingEmpty(false);
+            }}
+          >
+            Empty trash
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+}
+
+export default TrashView;
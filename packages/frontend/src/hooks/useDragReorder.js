@@ -0,0 +1,68 @@
+import { useState } from 'react';
+
+// Drag-and-drop and keyboard reordering for a list of items with ids.
+// onMove receives { id, before } or { id, after } naming the neighbour
+// the item should be placed next to.
+export const useDragReorder = ({ items, enabled, onMove, getLabel = (item) => item.title }) => {
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  const reset = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  // Props for the draggable row; the drop lands above or below the row's midpoint
+  const getItemProps = (item) => {
+    if (!enabled) {
+      return {};
+    }
+
+    return {
+      draggable: true,
+      onDragStart: (e) => {
+        setDraggedId(item.id);
+        if (e.dataTransfer) {
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', String(item.id));
+        }
+      },
+      onDragOver: (e) => {
+        if (draggedId === null || draggedId === item.id) {
+          return;
+        }
+        e.preventDefault();
+        const rect = e.currentTarget.getBoundingClientRect();
+        const placement = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+        if (dropTarget?.id !== item.id || dropTarget.placement !== placement) {
+          setDropTarget({ id: item.id, placement });
+        }
+      },
+      onDrop: (e) => {
+        e.preventDefault();
+        if (draggedId !== null && dropTarget?.id === item.id) {
+          onMove({ id: draggedId, [dropTarget.placement]: item.id });
+        }
+        reset();
+      },
+      onDragEnd: reset,
+    };
+  };
+
+  // Props for the row's handle: arrow keys move the item one step
+  const getHandleProps = (item, index) => ({
+    onKeyDown: (e) => {
+      const offset = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+      const neighbour = offset && items[index + offset];
+      if (!neighbour) {
+        return;
+      }
+      e.preventDefault();
+      onMove({ id: item.id, [offset < 0 ? 'before' : 'after']: neighbour.id });
+      setAnnouncement(`${getLabel(item)} moved to position ${index + offset + 1} of ${items.length}`);
+    },
+  });
+
+  return { draggedId, dropTarget, announcement, getItemProps, getHandleProps };
+};
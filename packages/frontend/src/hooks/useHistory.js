@@ -0,0 +1,41 @@
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { historyApi } from '../api/endpoints';
+
+// Changes to one todo, newest first - fetched only while its history is open
+export const useTodoHistory = (todoId, { enabled = true } = {}) =>
+  useQuery({
+    queryKey: ['history', todoId],
+    queryFn: () => historyApi.list(todoId),
+    enabled,
+  });
+
+// Changes to all the user's todos, newest first, a page at a time
+export const useActivity = ({ enabled = true } = {}) => {
+  const query = useInfiniteQuery({
+    queryKey: ['activity'],
+    queryFn: ({ pageParam }) => historyApi.activity(pageParam),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+    enabled,
+  });
+
+  return { ...query, data: (query.data?.pages || []).flatMap((page) => page.items) };
+};
+
+// Bring a todo back to the version it had after one of its history entries.
+// onError gets the error and a function that retries the failed call.
+export const useRevertTodo = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  const revertTodo = useMutation({
+    mutationFn: ({ todoId, entryId }) => historyApi.revert(todoId, entryId),
+    onSuccess: (todo) => {
+      queryClient.invalidateQueries({ queryKey: ['todos'] });
+      queryClient.invalidateQueries({ queryKey: ['history', todo.id] });
+      queryClient.invalidateQueries({ queryKey: ['activity'] });
+    },
+    onError: (error, variables) => onError?.(error, () => revertTodo.mutate(variables)),
+  });
+
+  return revertTodo;
+};
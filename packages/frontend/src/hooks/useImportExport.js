@@ -0,0 +1,77 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { todosApi } from '../api/endpoints';
+import { buildTodosQuery } from './useTodos';
+
+export const FORMATS = [
+  { value: 'json', label: 'JSON', extensions: ['json'] },
+  { value: 'csv', label: 'CSV (spreadsheets)', extensions: ['csv'] },
+  { value: 'markdown', label: 'Markdown checklist', extensions: ['md', 'markdown', 'txt'] },
+  { value: 'ical', label: 'iCalendar (VTODO)', extensions: ['ics', 'ical'] },
+];
+
+// Guess an import format from a file name, e.g. "todos.ics" -> 'ical'
+export const formatForFile = (name) => {
+  const extension = name.split('.').pop().toLowerCase();
+  return FORMATS.find((format) => format.extensions.includes(extension))?.value || null;
+};
+
+// The export takes the same filters as the list, without paging
+export const buildExportQuery = (filters, format) => {
+  const params = new URLSearchParams(buildTodosQuery(filters));
+  params.delete('limit');
+  params.set('format', format);
+  return params.toString();
+};
+
+const filenameFrom = (response, fallback) =>
+  /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || fallback;
+
+// Hand a downloaded file to the browser through a temporary link
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const readFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+  });
+
+const postImport = async ({ file, format, dryRun }) =>
+  todosApi.import(await readFile(file), { format, dryRun });
+
+// Download the todos matching filters, and check then import files.
+// previewImport runs the import as a dry run so the user can review each row.
+export const useImportExport = () => {
+  const queryClient = useQueryClient();
+
+  const exportTodos = useMutation({
+    mutationFn: async ({ filters, format }) => {
+      const response = await todosApi.export(buildExportQuery(filters, format));
+      saveBlob(await response.blob(), filenameFrom(response, `todos.${format}`));
+    },
+  });
+
+  const previewImport = useMutation({
+    mutationFn: ({ file, format }) => postImport({ file, format, dryRun: true }),
+  });
+
+  const importTodos = useMutation({
+    mutationFn: ({ file, format }) => postImport({ file, format, dryRun: false }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['todos'] });
+      queryClient.invalidateQueries({ queryKey: ['lists'] });
+    },
+  });
+
+  return { exportTodos, previewImport, importTodos };
+};
@@ -0,0 +1,23 @@
+import { useEffect, useRef } from 'react';
+
+// Call onLoadMore when the returned sentinel ref scrolls into view
+export const useInfiniteScroll = ({ enabled, onLoadMore }) => {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!enabled || !node || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        onLoadMore();
+      }
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [enabled, onLoadMore]);
+
+  return sentinelRef;
+};
@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+
+// Keys listed in the shortcuts help, in the order shown
+export const SHORTCUTS = [
+  { keys: ['j'], description: 'Next todo' },
+  { keys: ['k'], description: 'Previous todo' },
+  { keys: ['x'], description: 'Complete or reopen the todo' },
+  { keys: ['e'], description: 'Edit the todo' },
+  { keys: ['#'], description: 'Move the todo to the trash' },
+  { keys: ['/'], description: 'Search todos' },
+  { keys: ['Ctrl', 'K'], description: 'Open the command palette' },
+  { keys: ['?'], description: 'Show keyboard shortcuts' },
+];
+
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'password', 'number', 'date', 'url', 'tel'];
+
+// Whether a key press is meant for a field rather than for the shortcuts
+const isTyping = (target) =>
+  target.isContentEditable ||
+  target.tagName === 'TEXTAREA' ||
+  target.tagName === 'SELECT' ||
+  (target.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(target.type));
+
+/**
+ * Run handlers[key] for key presses anywhere on the page. Keys are matched by
+ * event.key ('j', '#', '/'); 'mod+k' stands for Ctrl+K, or Cmd+K on a Mac,
+ * and is the only kind that also works while typing in a field. Nothing runs
+ * while enabled is false, e.g. when a dialog has the keyboard.
+ */
+export const useKeyboardShortcuts = (handlers, { enabled = true } = {}) => {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    const handleKeyDown = (event) => {
+      const mod = event.ctrlKey || event.metaKey;
+      const key = mod ? `mod+${event.key.toLowerCase()}` : event.key;
+      const handler = handlersRef.current[key];
+      if (!handler || event.defaultPrevented || event.altKey || (!mod && isTyping(event.target))) {
+        return;
+      }
+      event.preventDefault();
+      handler(event);
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
@@ -0,0 +1,46 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { listsApi } from '../api/endpoints';
+
+// React Query hook for the user's lists, including per-list todo counts
+export const useLists = () =>
+  useQuery({
+    queryKey: ['lists'],
+    queryFn: listsApi.list,
+  });
+
+// Create, rename and delete lists; todos are refetched since deletes move or remove them.
+// onError gets the error and a function that retries the failed call.
+export const useListMutations = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: ['lists'] });
+    queryClient.invalidateQueries({ queryKey: ['todos'] });
+  };
+  const reportTo = (mutation) => (error, variables) =>
+    onError?.(error, () => mutation().mutate(variables));
+
+  const createList = useMutation({
+    mutationFn: listsApi.create,
+    onSuccess,
+    onError: reportTo(() => createList),
+  });
+
+  const renameList = useMutation({
+    mutationFn: ({ id, name }) => listsApi.rename(id, name),
+    onSuccess,
+    onError: reportTo(() => renameList),
+  });
+
+  // mode is 'inbox' (move todos out), 'cascade' (delete them) or a list id to move them to
+  const deleteList = useMutation({
+    mutationFn: ({ id, mode }) =>
+      listsApi.remove(id, {
+        cascade: mode === 'cascade',
+        reassignTo: typeof mode === 'number' ? mode : undefined,
+      }),
+    onSuccess,
+    onError: reportTo(() => deleteList),
+  });
+
+  return { createList, renameList, deleteList };
+};
@@ -0,0 +1,56 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { todosApi } from '../api/endpoints';
+
+// Apply a move ({ before } or { after } another todo id) to loaded todo pages,
+// keeping each page's size so pagination cursors still line up
+export const moveTodoInPages = (data, id, { before, after }) => {
+  const items = data.pages.flatMap((page) => page.items);
+  const moving = items.find((todo) => todo.id === id);
+  const rest = items.filter((todo) => todo.id !== id);
+  const targetIndex = rest.findIndex((todo) => todo.id === (before ?? after));
+  if (!moving || targetIndex === -1) {
+    return data;
+  }
+
+  rest.splice(before !== undefined ? targetIndex : targetIndex + 1, 0, moving);
+
+  let offset = 0;
+  return {
+    ...data,
+    pages: data.pages.map((page) => {
+      const pageItems = rest.slice(offset, offset + page.items.length);
+      offset += page.items.length;
+      return { ...page, items: pageItems };
+    }),
+  };
+};
+
+// Reorder a todo, updating the visible list right away and rolling back
+// if the server rejects the move; onError gets the error and a retry function
+export const useMoveTodo = (filters, { onError } = {}) => {
+  const queryClient = useQueryClient();
+  const queryKey = ['todos', filters];
+
+  const mutation = useMutation({
+    mutationFn: ({ id, ...move }) => todosApi.move(id, move),
+    onMutate: async ({ id, ...move }) => {
+      await queryClient.cancelQueries({ queryKey });
+      const previous = queryClient.getQueryData(queryKey);
+      if (previous) {
+        queryClient.setQueryData(queryKey, moveTodoInPages(previous, id, move));
+      }
+      return { previous };
+    },
+    onError: (error, variables, context) => {
+      if (context?.previous) {
+        queryClient.setQueryData(queryKey, context.previous);
+      }
+      onError?.(error, () => mutation.mutate(variables));
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['todos'] });
+    },
+  });
+
+  return mutation;
+};
@@ -0,0 +1,28 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { remindersApi } from '../api/endpoints';
+
+// Reminders of one todo, soonest first, fetched only while the todo is expanded
+export const useReminders = (todoId, { enabled = true } = {}) =>
+  useQuery({
+    queryKey: ['reminders', todoId],
+    queryFn: () => remindersApi.list(todoId),
+    enabled,
+  });
+
+export const useReminderMutations = (todoId) => {
+  const queryClient = useQueryClient();
+  const onSuccess = () => queryClient.invalidateQueries({ queryKey: ['reminders', todoId] });
+
+  // { at } or { minutesBefore }
+  const addReminder = useMutation({
+    mutationFn: (reminder) => remindersApi.create(todoId, reminder),
+    onSuccess,
+  });
+
+  const deleteReminder = useMutation({
+    mutationFn: (id) => remindersApi.remove(todoId, id),
+    onSuccess,
+  });
+
+  return { addReminder, deleteReminder };
+};
@@ -0,0 +1,44 @@
+import { useMemo, useRef, useState } from 'react';
+
+/**
+ * Multi-selection over an ordered list of items with ids. A shift-click
+ * applies the clicked item's new state to the whole range since the last
+ * click. Selected ids that leave the list (deleted, filtered out) drop out
+ * of the selection.
+ */
+export const useSelection = (items) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const anchorRef = useRef(null);
+
+  const selected = useMemo(
+    () => items.filter((item) => selectedIds.includes(item.id)),
+    [items, selectedIds]
+  );
+
+  const isSelected = (id) => selectedIds.includes(id);
+
+  const toggle = (id, { range = false } = {}) => {
+    const select = !isSelected(id);
+    const index = items.findIndex((item) => item.id === id);
+    const anchor = items.findIndex((item) => item.id === anchorRef.current);
+
+    const ids = range && anchor !== -1
+      ? items.slice(Math.min(anchor, index), Math.max(anchor, index) + 1).map((item) => item.id)
+      : [id];
+    setSelectedIds((current) =>
+      select
+        ? [...current, ...ids.filter((itemId) => !current.includes(itemId))]
+        : current.filter((itemId) => !ids.includes(itemId))
+    );
+    anchorRef.current = id;
+  };
+
+  const selectAll = () => setSelectedIds(items.map((item) => item.id));
+
+  const clear = () => {
+    setSelectedIds([]);
+    anchorRef.current = null;
+  };
+
+  return { selected, isSelected, toggle, selectAll, clear };
+};
@@ -0,0 +1,41 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { subtasksApi } from '../api/endpoints';
+
+// Checklist items of one todo, fetched only while the todo is expanded
+export const useSubtasks = (todoId, { enabled = true } = {}) =>
+  useQuery({
+    queryKey: ['subtasks', todoId],
+    queryFn: () => subtasksApi.list(todoId),
+    enabled,
+  });
+
+// Subtask changes also change the parent's progress (and maybe its completion)
+export const useSubtaskMutations = (todoId) => {
+  const queryClient = useQueryClient();
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: ['subtasks', todoId] });
+    queryClient.invalidateQueries({ queryKey: ['todos'] });
+  };
+
+  const addSubtask = useMutation({
+    mutationFn: (title) => subtasksApi.create(todoId, title),
+    onSuccess,
+  });
+
+  const toggleSubtask = useMutation({
+    mutationFn: (id) => subtasksApi.toggle(todoId, id),
+    onSuccess,
+  });
+
+  const deleteSubtask = useMutation({
+    mutationFn: (id) => subtasksApi.remove(todoId, id),
+    onSuccess,
+  });
+
+  const reorderSubtasks = useMutation({
+    mutationFn: (ids) => subtasksApi.reorder(todoId, ids),
+    onSuccess,
+  });
+
+  return { addSubtask, toggleSubtask, deleteSubtask, reorderSubtasks };
+};
@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { mutationQueue } from '../offline';
+
+// How often to try again while changes are waiting and the server is away
+export const RETRY_INTERVAL_MS = 15000;
+
+// The offline queue's { entries, online, syncing }
+export const useSyncState = () => useSyncExternalStore(mutationQueue.subscribe, mutationQueue.getState);
+
+/**
+ * Open the user's offline queue and send it whenever the server may be back:
+ * on load, when the browser comes online and every so often while changes
+ * wait. onDropped(entry, error) hears about changes the server refused.
+ * Returns sync(), which sends the queue now.
+ */
+export const useOfflineSync = (userId, { onDropped } = {}) => {
+  const queryClient = useQueryClient();
+  const { entries } = useSyncState();
+  const onDroppedRef = useRef(onDropped);
+  onDroppedRef.current = onDropped;
+
+  const sync = useCallback(async () => {
+    const { sent, dropped } = await mutationQueue.flush();
+    if (sent.length > 0 || dropped.length > 0) {
+      queryClient.invalidateQueries({ queryKey: ['todos'] });
+      queryClient.invalidateQueries({ queryKey: ['lists'] });
+      queryClient.invalidateQueries({ queryKey: ['trash'] });
+    }
+    dropped.forEach(({ entry, error }) => onDroppedRef.current?.(entry, error));
+  }, [queryClient]);
+
+  useEffect(() => {
+    mutationQueue.open(userId).then(sync);
+  }, [userId, sync]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      mutationQueue.setOnline(true);
+      sync();
+    };
+    const handleOffline = () => mutationQueue.setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [sync]);
+
+  // A conflict at the front holds everything back until the user settles it
+  const waiting = entries.length > 0 && entries[0].status !== 'conflict';
+  useEffect(() => {
+    if (!waiting) {
+      return undefined;
+    }
+    const timer = setInterval(sync, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [waiting, sync]);
+
+  return sync;
+};
@@ -0,0 +1,90 @@
+import { useEffect, useRef } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { API_BASE } from '../api/client';
+import { applyTodoEvent } from '../utils/todoCache';
+
+export const EVENTS_URL = `${API_BASE}/events`;
+
+const EVENT_TYPES = [
+  'todo.created',
+  'todo.updated',
+  'todo.toggled',
+  'todo.deleted',
+  'todo.restored',
+  'todo.purged',
+  'subtask.created',
+  'subtask.updated',
+  'subtask.deleted',
+  'subtask.reordered',
+  'list.created',
+  'list.updated',
+  'list.deleted',
+  'reset',
+];
+
+// Not changes to the cache but things to tell the user about
+const ALERT_TYPES = ['reminder.fired'];
+
+// Backoff for reconnecting after the server refused or dropped the stream
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+// Subscribe to the server's change events and keep the query cache in step.
+// EventSource resumes by itself after network blips; when the browser gives
+// up (e.g. the server restarted) we reconnect and pass the last event id on.
+// onReminder is called with each reminder that goes off.
+export const useTodoEvents = ({ onReminder } = {}) => {
+  const queryClient = useQueryClient();
+  // Kept in a ref so a new callback doesn't reopen the stream
+  const onReminderRef = useRef(onReminder);
+  onReminderRef.current = onReminder;
+
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') {
+      return undefined;
+    }
+
+    let source = null;
+    let timer = null;
+    let attempt = 0;
+    let lastEventId = null;
+
+    const handleEvent = (event) => {
+      // A reset has no id: the server could not replay what we missed
+      lastEventId = event.lastEventId || (event.type === 'reset' ? null : lastEventId);
+      applyTodoEvent(queryClient, event.type, JSON.parse(event.data));
+    };
+
+    const handleAlert = (event) => {
+      lastEventId = event.lastEventId || lastEventId;
+      const reminder = JSON.parse(event.data);
+      queryClient.invalidateQueries({ queryKey: ['reminders', reminder.todoId] });
+      onReminderRef.current?.(reminder);
+    };
+
+    const connect = () => {
+      const url = lastEventId
+        ? `${EVENTS_URL}?lastEventId=${encodeURIComponent(lastEventId)}`
+        : EVENTS_URL;
+      source = new EventSource(url, { withCredentials: true });
+      source.onopen = () => {
+        attempt = 0;
+      };
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+          const delay = RECONNECT_DELAYS_MS[Math.min(attempt, RECONNECT_DELAYS_MS.length - 1)];
+          attempt += 1;
+          timer = setTimeout(connect, delay);
+        }
+      };
+      EVENT_TYPES.forEach((type) => source.addEventListener(type, handleEvent));
+      ALERT_TYPES.forEach((type) => source.addEventListener(type, handleAlert));
+    };
+
+    connect();
+
+    return () => {
+      clearTimeout(timer);
+      source.close();
+    };
+  }, [queryClient]);
+};
@@ -0,0 +1,180 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { todosApi } from '../api/endpoints';
+import { patchTodoPages } from '../utils/todoCache';
+import { mutationQueue } from '../offline';
+
+// Placeholder ids for todos the server has not created yet. Queued ones are
+// saved across reloads, so the ids must not start over each time.
+let nextTempId = -Date.now();
+
+// fields are what quick add read out of the text: dueDate, tags and so on
+const createPendingTodo = ({ title, listId, ...fields }) => ({
+  id: nextTempId--,
+  title,
+  description: '',
+  dueDate: null,
+  priority: null,
+  tags: [],
+  recurrence: null,
+  ...fields,
+  listId: listId ?? null,
+  completed: false,
+  position: null,
+  createdAt: new Date().toISOString(),
+  subtaskCounts: { total: 0, completed: 0 },
+  pending: true,
+});
+
+// One placeholder per add, shared by the optimistic update and the queue
+const placeholders = new WeakMap();
+
+const toPendingTodo = (variables) => {
+  if (!placeholders.has(variables)) {
+    placeholders.set(variables, createPendingTodo(variables));
+  }
+  return placeholders.get(variables);
+};
+
+// Expected effect of one bulk operation on the cached lists
+const toBulkChange = ({ op, todo, completed, changes }) => {
+  switch (op) {
+    case 'toggle':
+      return { todo: { ...todo, completed: !todo.completed } };
+    case 'setCompleted':
+      return { todo: { ...todo, completed } };
+    case 'update':
+      return { todo: { ...todo, ...changes } };
+    case 'delete':
+      return { todo, remove: true };
+    default:
+      return { todo: { ...todo, deletedAt: null } };
+  }
+};
+
+/**
+ * Send a change, or queue it for later if the server can't be reached or
+ * earlier changes are still waiting (they must arrive first). A queued
+ * change counts as done - it stays on screen, marked as waiting to sync -
+ * and resolves to `queued` rather than to the server's answer.
+ */
+const sendOrQueue = async (mutation, request, queued = null) => {
+  if (mutationQueue.canSend()) {
+    try {
+      return await request();
+    } catch (error) {
+      if (!error.isNetworkError) {
+        throw error;
+      }
+      mutationQueue.setOnline(false);
+    }
+  }
+  await mutationQueue.enqueue(mutation);
+  return queued;
+};
+
+/**
+ * A todo mutation that shows its result straight away. `optimistic` maps the
+ * variables to the expected change ({ todo } or { todo, remove: true }), or
+ * a list of them, which is applied to every cached todo list before the
+ * request is sent.
+ * On failure the lists are restored and onError gets the error plus a retry
+ * function; either way the lists are refetched once the request settles.
+ */
+const useOptimisticTodoMutation = ({ mutationFn, optimistic, onSuccess, onError }) => {
+  const queryClient = useQueryClient();
+
+  const patchAll = (todo, options) => {
+    queryClient.getQueriesData({ queryKey: ['todos'] }).forEach(([queryKey, data]) => {
+      if (data?.pages && queryKey[1]) {
+        queryClient.setQueryData(queryKey, patchTodoPages(data, queryKey[1], todo, options));
+      }
+    });
+  };
+
+  const mutation = useMutation({
+    mutationFn,
+    onMutate: async (variables) => {
+      await queryClient.cancelQueries({ queryKey: ['todos'] });
+      const snapshots = queryClient.getQueriesData({ queryKey: ['todos'] });
+      const change = optimistic(variables);
+      [].concat(change).forEach(({ todo, remove }) => patchAll(todo, { remove }));
+      return { snapshots, change };
+    },
+    onSuccess: (data, variables, context) => onSuccess?.(data, variables, { ...context, patchAll }),
+    onError: (error, variables, context) => {
+      context?.snapshots.forEach(([queryKey, data]) => queryClient.setQueryData(queryKey, data));
+      onError?.(error, () => mutation.mutate(variables));
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['todos'] });
+      queryClient.invalidateQueries({ queryKey: ['lists'] });
+    },
+  });
+
+  return mutation;
+};
+
+// Add, toggle, update and delete todos, one at a time or in bulk, with
+// optimistic updates and rollback. Single adds, toggles, updates and deletes
+// are queued while offline; bulk changes need the server.
+export const useTodoMutations = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+  const addTodo = useOptimisticTodoMutation({
+    mutationFn: (variables) =>
+      sendOrQueue(
+        { type: 'add', todo: toPendingTodo(variables) },
+        () => todosApi.create(variables),
+        toPendingTodo(variables)
+      ),
+    optimistic: (variables) => ({ todo: toPendingTodo(variables) }),
+    // Swap the placeholder for the real todo so it never shows twice
+    onSuccess: (todo, variables, { change, patchAll }) => {
+      patchAll(change.todo, { remove: true });
+      patchAll(todo);
+    },
+    onError,
+  });
+
+  const toggleTodo = useOptimisticTodoMutation({
+    mutationFn: (todo) =>
+      sendOrQueue(
+        { type: 'toggle', todo, completed: !todo.completed },
+        () => todosApi.toggle(todo.id)
+      ),
+    optimistic: (todo) => ({ todo: { ...todo, completed: !todo.completed } }),
+    onError,
+  });
+
+  // With a version, the server refuses the update (412) if the todo has
+  // changed since that version was loaded
+  const updateTodo = useOptimisticTodoMutation({
+    mutationFn: ({ todo, changes, version }) =>
+      sendOrQueue(
+        { type: 'update', todo, changes, version },
+        () => todosApi.update(todo.id, changes, version)
+      ),
+    optimistic: ({ todo, changes }) => ({ todo: { ...todo, ...changes } }),
+    onError,
+  });
+
+  // Deleted todos move to the trash. A queued delete resolves to null.
+  const deleteTodo = useOptimisticTodoMutation({
+    mutationFn: (todo) =>
+      sendOrQueue({ type: 'delete', todo }, () => todosApi.remove(todo.id)),
+    optimistic: (todo) => ({ todo, remove: true }),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['trash'] }),
+    onError,
+  });
+
+  // Several changes in one atomic request. Each operation carries its todo:
+  // { op: 'toggle' | 'setCompleted' | 'update' | 'delete' | 'restore', todo, completed?, changes? }
+  const bulkTodos = useOptimisticTodoMutation({
+    mutationFn: (operations) =>
+      todosApi.bulk(operations.map(({ todo, ...operation }) => ({ ...operation, id: todo.id }))),
+    optimistic: (operations) => operations.map(toBulkChange),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['trash'] }),
+    onError,
+  });
+
+  return { addTodo, toggleTodo, updateTodo, deleteTodo, bulkTodos };
+};
@@ -0,0 +1,59 @@
+import { useMemo } from 'react';
+import { useInfiniteQuery } from '@tanstack/react-query';
+import { todosApi } from '../api/endpoints';
+import { applyQueuedChanges } from '../utils/todoCache';
+import { useSyncState } from './useSync';
+
+export const PAGE_SIZE = 50;
+
+export const DEFAULT_FILTERS = {
+  listId: '',
+  status: 'all',
+  q: '',
+  tag: '',
+  priority: '',
+  sort: 'position',
+};
+
+// Translate UI filters into GET /api/todos query parameters
+export const buildTodosQuery = (filters, cursor) => {
+  const params = new URLSearchParams();
+
+  if (filters.listId !== '') params.set('listId', String(filters.listId));
+  if (filters.status === 'active') params.set('completed', 'false');
+  if (filters.status === 'completed') params.set('completed', 'true');
+  if (filters.q.trim()) params.set('q', filters.q.trim());
+  if (filters.tag.trim()) params.set('tag', filters.tag.trim());
+  if (filters.priority) params.set('priority', filters.priority);
+  if (filters.sort !== 'created') params.set('sort', filters.sort);
+  params.set('limit', String(PAGE_SIZE));
+  if (cursor) params.set('cursor', cursor);
+
+  return params.toString();
+};
+
+// React Query hook for fetching todos page by page for the given filters.
+// Changes still waiting to be synced are shown as if they were saved, each
+// todo they touch marked with its sync state.
+export const useTodos = (filters = DEFAULT_FILTERS) => {
+  const { entries } = useSyncState();
+  const query = useInfiniteQuery({
+    queryKey: ['todos', filters],
+    queryFn: ({ pageParam }) => todosApi.list(buildTodosQuery(filters, pageParam)),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+  });
+
+  const data = useMemo(
+    () => (query.data && entries.length > 0 ? applyQueuedChanges(query.data, filters, entries) : query.data),
+    [query.data, filters, entries]
+  );
+  const pages = data?.pages || [];
+
+  return {
+    ...query,
+    data: pages.flatMap((page) => page.items),
+    total: pages.length ? pages[0].total : 0,
+    counts: pages.length ? pages[0].counts : null,
+  };
+};
@@ -0,0 +1,43 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { trashApi } from '../api/endpoints';
+
+// Deleted todos, most recent first - fetched only while the trash is shown
+export const useTrash = ({ enabled = true } = {}) =>
+  useQuery({
+    queryKey: ['trash'],
+    queryFn: trashApi.list,
+    enabled,
+  });
+
+// Restore todos from the trash or delete them for good.
+// onError gets the error and a function that retries the failed call.
+export const useTrashMutations = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: ['trash'] });
+    queryClient.invalidateQueries({ queryKey: ['todos'] });
+    queryClient.invalidateQueries({ queryKey: ['lists'] });
+  };
+  const reportTo = (mutation) => (error, variables) =>
+    onError?.(error, () => mutation().mutate(variables));
+
+  const restoreTodo = useMutation({
+    mutationFn: trashApi.restore,
+    onSuccess,
+    onError: reportTo(() => restoreTodo),
+  });
+
+  const purgeTodo = useMutation({
+    mutationFn: trashApi.purge,
+    onSuccess,
+    onError: reportTo(() => purgeTodo),
+  });
+
+  const emptyTrash = useMutation({
+    mutationFn: trashApi.empty,
+    onSuccess,
+    onError: reportTo(() => emptyTrash),
+  });
+
+  return { restoreTodo, purgeTodo, emptyTrash };
+};
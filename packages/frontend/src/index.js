@@ -5,6 +5,10 @@ import CssBaseline from '@mui/material/CssBaseline';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import './index.css';
 import App from './App';
+import AuthProvider from './auth/AuthProvider';
+import { storage } from './offline';
+import { persistQueries, restoreQueries } from './offline/queryCache';
+import { registerServiceWorker } from './offline/serviceWorker';
 import theme from './theme';
 
 // Create a client for React Query
@@ -19,13 +23,23 @@ const queryClient = new QueryClient({
 });
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <QueryClientProvider client={queryClient}>
-      <ThemeProvider theme={theme}>
-        <CssBaseline />
-        <App />
-      </ThemeProvider>
-    </QueryClientProvider>
-  </React.StrictMode>
-);
+
+// Start from the data saved on this device, so the app has something to show
+// even when the server can't be reached
+restoreQueries(queryClient, storage).then(() => {
+  persistQueries(queryClient, storage);
+  root.render(
+    <React.StrictMode>
+      <QueryClientProvider client={queryClient}>
+        <ThemeProvider theme={theme}>
+          <CssBaseline />
+          <AuthProvider>
+            <App />
+          </AuthProvider>
+        </ThemeProvider>
+      </QueryClientProvider>
+    </React.StrictMode>
+  );
+});
+
+registerServiceWorker();
@@ -0,0 +1,8 @@
+import { createStorage } from './storage';
+import { createMutationQueue } from './mutationQueue';
+import { sendMutation } from './sendMutation';
+
+// The app's one copy of each, shared by the hooks and index.js
+export const storage = createStorage();
+
+export const mutationQueue = createMutationQueue({ storage, send: sendMutation });
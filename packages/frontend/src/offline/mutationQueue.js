@@ -0,0 +1,136 @@
+/**
+ * Changes to todos made while the server can't be reached, kept in the order
+ * they were made and saved after every change so they survive a reload.
+ * Entries are { id, type, todo, status, ... } where type is one of
+ *   'add'    - todo is the placeholder shown until it is created
+ *   'toggle' - with completed, the state the user left it in
+ *   'update' - with changes and the version they were made on top of
+ *   'delete'
+ * and status is 'queued', 'syncing' or 'conflict'.
+ *
+ * flush() sends them one at a time. Entries the server refuses for good are
+ * dropped; a 412 turns the entry into a conflict, which holds back the rest
+ * of the queue until it is resolved or discarded.
+ */
+export const createMutationQueue = ({ storage, send }) => {
+  let key = null;
+  let nextId = 1;
+  let flushing = null;
+  let state = { entries: [], online: true, syncing: false };
+  const listeners = new Set();
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach((listener) => listener());
+  };
+
+  const save = (entries) => {
+    setState({ entries });
+    return key ? storage.set(key, entries).catch(() => {}) : Promise.resolve();
+  };
+
+  const replace = (id, changes) =>
+    save(state.entries.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+
+  // Later changes to a todo were made on top of this one, so they follow the
+  // todo's new id (when it was just created) and version
+  const afterSent = (entries, sent, todo) =>
+    entries.map((entry) => {
+      if (!todo || entry.todo.id !== sent.todo.id) return entry;
+      const next = { ...entry, todo: { ...entry.todo, id: todo.id } };
+      if (entry.type === 'update') next.version = todo.version;
+      return next;
+    });
+
+  // Once a todo fails to be created there is nothing for its later changes to apply to
+  const afterDropped = (entries, dropped) =>
+    dropped.type === 'add' ? entries.filter((entry) => entry.todo.id !== dropped.todo.id) : entries;
+
+  const run = async () => {
+    const sent = [];
+    const dropped = [];
+
+    while (state.entries.length > 0 && state.entries[0].status !== 'conflict') {
+      const entry = { ...state.entries[0], status: 'syncing' };
+      await replace(entry.id, { status: 'syncing' });
+      try {
+        const todo = await send(entry);
+        sent.push(entry);
+        setState({ online: true });
+        await save(afterSent(state.entries.slice(1), entry, todo));
+      } catch (error) {
+        if (error.isNetworkError || error.status >= 500) {
+          // Still unreachable, or the server is having trouble: try again later
+          setState({ online: !error.isNetworkError });
+          await replace(entry.id, { status: 'queued' });
+          break;
+        }
+        if (error.status === 412) {
+          await replace(entry.id, { status: 'conflict' });
+          break;
+        }
+        dropped.push({ entry, error });
+        await save(afterDropped(state.entries.slice(1), entry));
+      }
+    }
+
+    return { sent, dropped };
+  };
+
+  return {
+    getState: () => state,
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Load the queue saved under scope (one per user); a send cut short by
+    // closing the page is tried again
+    open: async (scope) => {
+      key = `mutations:${scope ?? 'guest'}`;
+      const saved = (await storage.get(key).catch(() => null)) || [];
+      nextId = saved.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+      setState({
+        entries: saved.map((entry) => (entry.status === 'syncing' ? { ...entry, status: 'queued' } : entry)),
+        online: navigator.onLine !== false,
+      });
+    },
+
+    setOnline: (online) => setState({ online }),
+
+    // New changes wait behind queued ones so they reach the server in order
+    canSend: () => state.online && state.entries.length === 0,
+
+    enqueue: async (mutation) => {
+      // The todo as it was, without the state of any earlier queued change
+      const { sync, ...todo } = mutation.todo;
+      const entry = { ...mutation, todo, id: nextId++, status: 'queued' };
+      await save([...state.entries, entry]);
+      return entry;
+    },
+
+    // Send the queue in order; resolves to what was sent and what was dropped
+    flush: () => {
+      if (state.entries.length === 0) {
+        return Promise.resolve({ sent: [], dropped: [] });
+      }
+      if (!flushing) {
+        setState({ syncing: true });
+        flushing = run().finally(() => {
+          flushing = null;
+          setState({ syncing: false });
+        });
+      }
+      return flushing;
+    },
+
+    // Settle a conflict by sending changes on top of the given version
+    resolve: (id, { changes, version }) =>
+      replace(id, { changes, version, status: 'queued' }),
+
+    discard: (id) => save(state.entries.filter((entry) => entry.id !== id)),
+
+    clear: () => save([]),
+  };
+};
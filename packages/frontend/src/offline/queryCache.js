@@ -0,0 +1,42 @@
+import { dehydrate, hydrate } from '@tanstack/react-query';
+
+// Keeps a copy of the signed-in user, their todos and their lists on the
+// device, so the app can start and show them while the server is away.
+// Signing out removes those queries, which empties the copy too.
+
+const STORAGE_KEY = 'query-cache';
+const PERSISTED_KEYS = ['auth', 'todos', 'lists'];
+const SAVE_DELAY_MS = 1000;
+
+const shouldPersist = (query) =>
+  PERSISTED_KEYS.includes(query.queryKey[0]) && query.state.status === 'success';
+
+// Fill the cache from the saved copy; fresher data already there wins
+export const restoreQueries = async (queryClient, storage) => {
+  try {
+    const saved = await storage.get(STORAGE_KEY);
+    if (saved) {
+      hydrate(queryClient, saved);
+    }
+  } catch (error) {
+    // An unreadable copy just means starting without one
+  }
+};
+
+// Save the cache a moment after it changes; returns a function that stops
+export const persistQueries = (queryClient, storage) => {
+  let timer = null;
+  const save = () => {
+    storage.set(STORAGE_KEY, dehydrate(queryClient, { shouldDehydrateQuery: shouldPersist })).catch(() => {});
+  };
+
+  const unsubscribe = queryClient.getQueryCache().subscribe(() => {
+    clearTimeout(timer);
+    timer = setTimeout(save, SAVE_DELAY_MS);
+  });
+
+  return () => {
+    clearTimeout(timer);
+    unsubscribe();
+  };
+};
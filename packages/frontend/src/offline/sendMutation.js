@@ -0,0 +1,29 @@
+import { todosApi } from '../api/endpoints';
+
+/**
+ * Send one queued change with the regular API calls, resolving to the todo as
+ * the server has it afterwards (null for deletes). Toggles are sent as the
+ * state the user chose rather than as a flip, so sending one twice is harmless.
+ */
+export const sendMutation = async (entry) => {
+  const { todo } = entry;
+  switch (entry.type) {
+    case 'add': {
+      const { title, listId, dueDate, priority, tags, recurrence } = todo;
+      return todosApi.create({ title, listId: listId ?? undefined, dueDate, priority, tags, recurrence });
+    }
+    case 'toggle': {
+      const { results } = await todosApi.bulk([
+        { op: 'setCompleted', id: todo.id, completed: entry.completed },
+      ]);
+      return results[0].todo;
+    }
+    case 'update':
+      return todosApi.update(todo.id, entry.changes, entry.version);
+    case 'delete':
+      await todosApi.remove(todo.id);
+      return null;
+    default:
+      throw new Error(`Unknown queued change: ${entry.type}`);
+  }
+};
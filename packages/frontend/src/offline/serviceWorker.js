@@ -0,0 +1,18 @@
+// Register public/service-worker.js, which keeps the app shell cached so the
+// app still opens when the server is down. Only production builds use it;
+// in development it would serve stale bundles.
+/* global __webpack_hash__ */
+
+// Changes with every build, so each deploy installs a worker with its own cache
+const BUILD_ID = typeof __webpack_hash__ === 'undefined' ? 'dev' : __webpack_hash__;
+
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js?build=${BUILD_ID}`).catch(() => {
+      // Without it the app works as before, just not offline
+    });
+  });
+};
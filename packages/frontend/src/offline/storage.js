@@ -0,0 +1,52 @@
+// A small key-value store on IndexedDB, for what has to outlive the page:
+// the cached todos and the changes still waiting to be sent. Where there is
+// no IndexedDB (jsdom, some private browsing modes) values live in memory.
+
+const STORE_NAME = 'keyval';
+
+const settle = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const createIndexedDbStorage = (indexedDB, name) => {
+  let db = null;
+
+  const open = () => {
+    if (!db) {
+      const request = indexedDB.open(name, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      db = settle(request);
+    }
+    return db;
+  };
+
+  const run = async (mode, action) => {
+    const transaction = (await open()).transaction(STORE_NAME, mode);
+    return settle(action(transaction.objectStore(STORE_NAME)));
+  };
+
+  return {
+    get: (key) => run('readonly', (store) => store.get(key)),
+    set: (key, value) => run('readwrite', (store) => store.put(value, key)),
+    remove: (key) => run('readwrite', (store) => store.delete(key)),
+  };
+};
+
+export const createMemoryStorage = () => {
+  const values = new Map();
+  return {
+    get: async (key) => values.get(key),
+    set: async (key, value) => {
+      values.set(key, value);
+    },
+    remove: async (key) => {
+      values.delete(key);
+    },
+  };
+};
+
+// Every method returns a promise
+export const createStorage = ({ name = 'todo-app', indexedDB = window.indexedDB } = {}) =>
+  indexedDB ? createIndexedDbStorage(indexedDB, name) : createMemoryStorage();
@@ -1 +1,6 @@
 import '@testing-library/jest-dom';
+import { configure } from '@testing-library/react';
+
+// Whole-app renders can take longer than the default second to settle on a
+// busy CI machine
+configure({ asyncUtilTimeout: 5000 });
@@ -0,0 +1,49 @@
+// Fuzzy matching for the command palette: "tdy" finds "Tidy desk"
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_/#.,:]/.test(text[index - 1]);
+
+/**
+ * How well query matches text, ignoring case and spaces in the query: null
+ * if its letters don't all appear in order, otherwise { score, indices }
+ * with the positions of the matched characters. Runs of letters and letters
+ * at the start of words score higher, so do shorter texts.
+ */
+export const fuzzyMatch = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) {
+    return { score: 0, indices: [] };
+  }
+
+  // A plain substring beats any scattered match
+  const start = haystack.indexOf(query.trim().toLowerCase());
+  if (start !== -1 && query.trim()) {
+    const length = query.trim().length;
+    return {
+      score: 100 + (isWordStart(haystack, start) ? 10 : 0) - haystack.length / 100,
+      indices: Array.from({ length }, (_, i) => start + i),
+    };
+  }
+
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) {
+      return null;
+    }
+    const previous = indices[indices.length - 1];
+    score += 1 + (previous === index - 1 ? 5 : 0) + (isWordStart(haystack, index) ? 3 : 0);
+    indices.push(index);
+    from = index + 1;
+  }
+  return { score: score - haystack.length / 100, indices };
+};
+
+// The items whose text matches query, best first, as { item, match }
+export const fuzzyFilter = (items, query, getText) =>
+  items
+    .map((item) => ({ item, match: fuzzyMatch(query, getText(item)) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score);
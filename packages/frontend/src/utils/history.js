@@ -0,0 +1,80 @@
+import { formatDueDate } from './todoFields';
+import { describeRecurrence } from './recurrence';
+
+// Wording for the change log entries from GET /api/todos/:id/history
+
+const ACTIONS = {
+  created: 'Created',
+  updated: 'Edited',
+  deleted: 'Moved to the trash',
+  restored: 'Restored from the trash',
+  reverted: 'Reverted to an earlier version',
+};
+
+const LABELS = {
+  title: 'Title',
+  description: 'Description',
+  dueDate: 'Due',
+  priority: 'Priority',
+  recurrence: 'Repeats',
+};
+
+// Toggles say which way they went
+export const describeAction = (entry) => {
+  if (entry.action === 'toggled') {
+    return entry.snapshot.completed ? 'Completed' : 'Reopened';
+  }
+  return ACTIONS[entry.action] || entry.action;
+};
+
+const listName = (id, lists) =>
+  id === null ? 'Inbox' : lists.find((list) => list.id === id)?.name || 'a deleted list';
+
+const formatValue = (field, value) => {
+  if (value === null || value === '') return 'none';
+  if (field === 'title') return `“${value}”`;
+  if (field === 'dueDate') return formatDueDate(value);
+  if (field === 'recurrence') return describeRecurrence(value).toLowerCase();
+  return String(value);
+};
+
+const describeTags = ({ from, to }) => {
+  const added = to.filter((tag) => !from.includes(tag));
+  const removed = from.filter((tag) => !to.includes(tag));
+  return [
+    added.length > 0 && `Tagged ${added.map((tag) => `#${tag}`).join(' ')}`,
+    removed.length > 0 && `Untagged ${removed.map((tag) => `#${tag}`).join(' ')}`,
+  ].filter(Boolean).join(', ');
+};
+
+// One line per changed field, e.g. "Priority: low → high"
+export const describeChange = (change, lists = []) => {
+  const { field, from, to } = change;
+  switch (field) {
+    case 'completed':
+      return to ? 'Marked complete' : 'Marked active';
+    case 'deletedAt':
+      return to ? 'Moved to the trash' : 'Taken out of the trash';
+    case 'listId':
+      return `Moved to ${listName(to, lists)}`;
+    case 'autoComplete':
+      return `Auto-complete ${to ? 'on' : 'off'}`;
+    case 'tags':
+      return describeTags(change);
+    case 'description':
+      return to ? 'Description changed' : 'Description removed';
+    default: {
+      const label = LABELS[field] || field;
+      const value = formatValue(field, to);
+      return from === null ? `${label}: ${value}` : `${label}: ${formatValue(field, from)} → ${value}`;
+    }
+  }
+};
+
+export const formatChangedAt = (createdAt) =>
+  new Date(createdAt).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
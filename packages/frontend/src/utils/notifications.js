@@ -0,0 +1,22 @@
+// System notifications for fired reminders, through the browser's
+// Notifications API. They only show once the user has allowed them.
+
+const isSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// 'granted', 'denied', 'default' (not asked yet) or 'unsupported'
+export const notificationPermission = () => (isSupported() ? window.Notification.permission : 'unsupported');
+
+export const requestNotificationPermission = () =>
+  isSupported() ? window.Notification.requestPermission() : Promise.resolve('unsupported');
+
+// Every open tab hears about a reminder; the shared tag makes the browser
+// show it once
+export const showReminderNotification = (reminder) => {
+  if (notificationPermission() !== 'granted') {
+    return null;
+  }
+  return new window.Notification(`Reminder: ${reminder.title}`, {
+    body: reminder.dueDate ? `Due ${new Date(reminder.dueDate).toLocaleString()}` : undefined,
+    tag: `reminder-${reminder.id}`,
+  });
+};
@@ -0,0 +1,92 @@
+// Recurrence rules as the API stores them - a subset of iCalendar RRULE,
+// e.g. "FREQ=WEEKLY;BYDAY=MO,TH;UNTIL=20261231" - plus the form state used
+// to edit them
+
+export const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' },
+];
+
+const UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+
+export const EMPTY_RECURRENCE = {
+  freq: '',
+  interval: '1',
+  byDay: [],
+  byMonthDay: '',
+  ends: 'never',
+  until: '',
+  count: '',
+};
+
+// Form state for a rule string ('' for a one-off todo)
+export const parseRecurrence = (rrule) => {
+  if (!rrule) {
+    return EMPTY_RECURRENCE;
+  }
+
+  const parts = Object.fromEntries(rrule.split(';').map((part) => part.split('=')));
+  const until = parts.UNTIL
+    ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`
+    : '';
+
+  return {
+    freq: parts.FREQ || '',
+    interval: parts.INTERVAL || '1',
+    byDay: parts.BYDAY ? parts.BYDAY.split(',') : [],
+    byMonthDay: parts.BYMONTHDAY || '',
+    ends: (until && 'until') || (parts.COUNT && 'count') || 'never',
+    until,
+    count: parts.COUNT || '',
+  };
+};
+
+// Rule string for form state; '' when the todo does not repeat
+export const buildRecurrence = (values) => {
+  if (!values.freq) {
+    return '';
+  }
+
+  const parts = [`FREQ=${values.freq}`];
+  if (Number(values.interval) > 1) parts.push(`INTERVAL=${Number(values.interval)}`);
+  if (values.freq === 'WEEKLY' && values.byDay.length > 0) {
+    const days = WEEKDAYS.map((d) => d.code).filter((code) => values.byDay.includes(code));
+    parts.push(`BYDAY=${days.join(',')}`);
+  }
+  if (values.freq === 'MONTHLY' && values.byMonthDay) parts.push(`BYMONTHDAY=${values.byMonthDay}`);
+  if (values.ends === 'until' && values.until) parts.push(`UNTIL=${values.until.replace(/-/g, '')}`);
+  if (values.ends === 'count' && values.count) parts.push(`COUNT=${values.count}`);
+  return parts.join(';');
+};
+
+// Short human description, e.g. "Every 2 weeks on Mon, Thu"
+export const describeRecurrence = (rrule) => {
+  const rule = parseRecurrence(rrule);
+  if (!UNITS[rule.freq]) {
+    return '';
+  }
+
+  const interval = Number(rule.interval);
+  let text = interval > 1 ? `Every ${interval} ${UNITS[rule.freq]}s` : `Every ${UNITS[rule.freq]}`;
+  if (rule.byDay.length > 0) {
+    const labels = WEEKDAYS.filter((d) => rule.byDay.includes(d.code)).map((d) => d.label);
+    text += ` on ${labels.join(', ')}`;
+  }
+  if (rule.byMonthDay) {
+    text += ` on day ${rule.byMonthDay}`;
+  }
+  if (rule.ends === 'until') {
+    const [year, month, day] = rule.until.split('-').map(Number);
+    const until = new Date(year, month - 1, day);
+    text += ` until ${until.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+  if (rule.ends === 'count') {
+    text += `, ${rule.count} times`;
+  }
+  return text;
+};
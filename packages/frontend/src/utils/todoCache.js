@@ -0,0 +1,178 @@
+import { parseTags } from './todoFields';
+
+// Patching cached todo pages from change events, so other tabs' and
+// devices' changes appear without refetching every list
+
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+// Mirrors the server's sort keys and directions (see GET /api/todos)
+const SORTS = {
+  position: { key: (todo) => todo.position, desc: false },
+  created: { key: (todo) => todo.createdAt, desc: false },
+  due: { key: (todo) => todo.dueDate, desc: false },
+  priority: { key: (todo) => PRIORITY_RANK[todo.priority], desc: true },
+};
+
+// Empty keys sort last in either direction; ids break ties
+export const compareTodos = (sort) => (a, b) => {
+  const { key, desc } = SORTS[sort] || SORTS.created;
+  const keyA = key(a) ?? null;
+  const keyB = key(b) ?? null;
+  if (keyA !== keyB) {
+    if (keyA === null) return 1;
+    if (keyB === null) return -1;
+    const byKey = keyA < keyB ? -1 : 1;
+    return desc ? -byKey : byKey;
+  }
+  return a.id - b.id;
+};
+
+// Whether a todo belongs in the list shown for the given UI filters
+export const matchesFilters = (todo, filters) => {
+  if (filters.listId === 'none' && todo.listId != null) return false;
+  if (typeof filters.listId === 'number' && todo.listId !== filters.listId) return false;
+  if (filters.status === 'active' && todo.completed) return false;
+  if (filters.status === 'completed' && !todo.completed) return false;
+  if (filters.priority && todo.priority !== filters.priority) return false;
+
+  const tags = parseTags(filters.tag);
+  if (!tags.every((tag) => (todo.tags || []).includes(tag))) return false;
+
+  const q = filters.q.trim().toLowerCase();
+  if (q && !`${todo.title}\n${todo.description || ''}`.toLowerCase().includes(q)) return false;
+
+  return true;
+};
+
+/**
+ * Apply a changed (or, with remove, deleted) todo to infinite-query data for
+ * one set of filters. Loaded items are kept in server order; a todo that
+ * sorts past the last loaded item of an unfinished list is left for the
+ * next page to bring in.
+ */
+export const patchTodoPages = (data, filters, todo, { remove = false } = {}) => {
+  const items = data.pages.flatMap((page) => page.items);
+  const others = items.filter((item) => item.id !== todo.id);
+  const wasLoaded = others.length !== items.length;
+  const compare = compareTodos(filters.sort);
+
+  let next = others;
+  if (!remove && matchesFilters(todo, filters)) {
+    const lastPage = data.pages[data.pages.length - 1];
+    const last = others[others.length - 1];
+    const beyondLoaded = lastPage?.nextCursor && last && compare(todo, last) > 0;
+    if (!beyondLoaded) {
+      next = [...others, todo].sort(compare);
+    }
+  }
+
+  const isShown = next.length !== others.length;
+  const total = data.pages[0]?.total ?? 0;
+  const change = (isShown ? 1 : 0) - (wasLoaded ? 1 : 0);
+
+  // The active and completed counts ignore the status filter, so a loaded
+  // todo that is toggled out of the list moves over rather than out
+  let counts = data.pages[0]?.counts ?? null;
+  if (counts) {
+    const previous = items.find((item) => item.id === todo.id);
+    const counted = isShown || (wasLoaded && !remove && matchesFilters(todo, { ...filters, status: 'all' }));
+    counts = { ...counts };
+    if (wasLoaded) counts[previous.completed ? 'completed' : 'active'] -= 1;
+    if (counted) counts[todo.completed ? 'completed' : 'active'] += 1;
+    counts = { active: Math.max(0, counts.active), completed: Math.max(0, counts.completed) };
+  }
+
+  // Pages keep their sizes; the last page absorbs any difference
+  let offset = 0;
+  const pages = data.pages.map((page, index) => {
+    const isLast = index === data.pages.length - 1;
+    const pageItems = isLast ? next.slice(offset) : next.slice(offset, offset + page.items.length);
+    offset += page.items.length;
+    return { ...page, items: pageItems, total: Math.max(0, total + change), counts };
+  });
+
+  return { ...data, pages };
+};
+
+// Events that take a todo out of the lists (deleted moves it to the trash)
+const REMOVAL_EVENTS = ['todo.deleted', 'todo.purged'];
+// Events that can change what is in the trash; deleting a list trashes its todos
+const TRASH_EVENTS = ['todo.deleted', 'todo.restored', 'todo.purged', 'list.deleted', 'reset'];
+
+// Put a todo's new subtask progress into cached pages that have it loaded
+const patchSubtaskCounts = (data, todoId, subtaskCounts) => ({
+  ...data,
+  pages: data.pages.map((page) => ({
+    ...page,
+    items: page.items.map((item) => (item.id === todoId ? { ...item, subtaskCounts } : item)),
+  })),
+});
+
+/**
+ * Update the React Query cache for one server-sent event.
+ * Todo events patch every cached todo list in place, and subtask events the
+ * parent's progress; the trash, history, list counts, list deletions and
+ * resets fall back to refetching.
+ */
+export const applyTodoEvent = (queryClient, type, payload) => {
+  // Subtask changes are not logged, so only the checklist and progress move
+  if (type.startsWith('subtask.')) {
+    queryClient.invalidateQueries({ queryKey: ['subtasks', payload.todoId] });
+    queryClient.getQueriesData({ queryKey: ['todos'] }).forEach(([queryKey, data]) => {
+      if (data?.pages) {
+        queryClient.setQueryData(queryKey, patchSubtaskCounts(data, payload.todoId, payload.subtaskCounts));
+      }
+    });
+    return;
+  }
+
+  if (TRASH_EVENTS.includes(type)) {
+    queryClient.invalidateQueries({ queryKey: ['trash'] });
+  }
+  // Every change lands in the change log; list events can touch many todos
+  queryClient.invalidateQueries({ queryKey: ['activity'] });
+  queryClient.invalidateQueries({ queryKey: type.startsWith('todo.') ? ['history', payload.id] : ['history'] });
+
+  if (type.startsWith('todo.')) {
+    const remove = REMOVAL_EVENTS.includes(type);
+    queryClient.getQueriesData({ queryKey: ['todos'] }).forEach(([queryKey, data]) => {
+      const filters = queryKey[1];
+      if (data?.pages && filters) {
+        queryClient.setQueryData(queryKey, patchTodoPages(data, filters, payload, { remove }));
+      }
+    });
+    queryClient.invalidateQueries({ queryKey: ['subtasks', payload.id] });
+    queryClient.invalidateQueries({ queryKey: ['lists'] });
+    return;
+  }
+
+  queryClient.invalidateQueries({ queryKey: ['lists'] });
+  if (type !== 'list.created' && type !== 'list.updated') {
+    queryClient.invalidateQueries({ queryKey: ['todos'] });
+  }
+};
+
+/**
+ * Show changes still waiting in the offline queue on top of todo pages from
+ * the server (or the saved copy), marking each affected todo with the sync
+ * state of its change. Applying one that already reached the pages is
+ * harmless, so this runs on every render.
+ */
+export const applyQueuedChanges = (data, filters, entries) =>
+  entries.reduce((current, entry) => {
+    const loaded = current.pages.flatMap((page) => page.items).find((item) => item.id === entry.todo.id);
+    const todo = loaded || entry.todo;
+    // A conflict is the state worth showing while later changes wait behind it
+    const sync = todo.sync === 'conflict' ? 'conflict' : entry.status;
+
+    switch (entry.type) {
+      case 'delete':
+        return patchTodoPages(current, filters, todo, { remove: true });
+      case 'toggle':
+        return patchTodoPages(current, filters, { ...todo, completed: entry.completed, sync });
+      case 'update':
+        return patchTodoPages(current, filters, { ...todo, ...entry.changes, sync });
+      default:
+        return patchTodoPages(current, filters, { ...todo, sync });
+    }
+  }, data);
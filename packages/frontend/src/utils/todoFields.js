@@ -0,0 +1,98 @@
+// Helpers shared by the todo list and edit form
+
+export const PRIORITIES = ['low', 'medium', 'high'];
+
+export const PRIORITY_COLORS = {
+  low: 'default',
+  medium: 'warning',
+  high: 'error',
+};
+
+// Parse a due date; date-only values are read as local midnight, not UTC
+export const parseDueDate = (dueDate) => {
+  if (!dueDate) {
+    return null;
+  }
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dueDate);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly;
+    return new Date(Number(year), Number(month) - 1, Number(day));
+  }
+  return new Date(dueDate);
+};
+
+export const formatDueDate = (dueDate) => {
+  const date = parseDueDate(dueDate);
+  return date ? date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : '';
+};
+
+// A todo is overdue once the end of its due day has passed
+export const isOverdue = (todo, now = new Date()) => {
+  const date = parseDueDate(todo.dueDate);
+  if (!date || todo.completed) {
+    return false;
+  }
+  const endOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  return endOfDay <= now;
+};
+
+export const parseTags = (text) =>
+  text
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+// Names of the editable fields, for messages about them
+export const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  dueDate: 'Due date',
+  priority: 'Priority',
+  tags: 'Tags',
+  listId: 'List',
+  autoComplete: 'Auto-complete',
+  recurrence: 'Repeat rule',
+};
+
+// Editable form state for a todo
+export const toFormValues = (todo) => ({
+  title: todo.title,
+  description: todo.description || '',
+  dueDate: todo.dueDate ? todo.dueDate.slice(0, 10) : '',
+  priority: todo.priority || '',
+  tags: (todo.tags || []).join(', '),
+  listId: todo.listId ?? '',
+  autoComplete: Boolean(todo.autoComplete),
+  recurrence: todo.recurrence || '',
+});
+
+// Only the fields that differ from the todo, in the shape the API expects
+export const getChangedFields = (todo, values) => {
+  const next = {
+    title: values.title.trim(),
+    description: values.description.trim(),
+    dueDate: values.dueDate || null,
+    priority: values.priority || null,
+    tags: parseTags(values.tags),
+    listId: values.listId === '' ? null : values.listId,
+    autoComplete: values.autoComplete,
+    recurrence: values.recurrence || null,
+  };
+  const current = {
+    title: todo.title,
+    description: todo.description || '',
+    dueDate: todo.dueDate ? todo.dueDate.slice(0, 10) : null,
+    priority: todo.priority || null,
+    tags: todo.tags || [],
+    listId: todo.listId ?? null,
+    autoComplete: Boolean(todo.autoComplete),
+    recurrence: todo.recurrence || null,
+  };
+
+  return Object.keys(next).reduce((changes, field) => {
+    if (JSON.stringify(next[field]) !== JSON.stringify(current[field])) {
+      changes[field] = next[field];
+    }
+    return changes;
+  }, {});
+};
@@ -0,0 +1,139 @@
+const { parseQuickAdd } = require('../src');
+
+// 2026-10-18 is a Sunday
+const now = new Date('2026-10-18T12:00:00Z');
+const parse = (text, options) => parseQuickAdd(text, { now, ...options });
+
+describe('quick add parsing', () => {
+  test('should read every kind of field out of the text', () => {
+    expect(parse('Pay rent tomorrow 9am #finance !high every month')).toEqual({
+      title: 'Pay rent',
+      dueDate: '2026-10-19T09:00:00.000Z',
+      tags: ['finance'],
+      priority: 'high',
+      recurrence: 'FREQ=MONTHLY',
+    });
+  });
+
+  test.each([
+    ['Call mom today', '2026-10-18'],
+    ['Call mom tomorrow', '2026-10-19'],
+    ['Call mom friday', '2026-10-23'],
+    ['Call mom on sun', '2026-10-25'],
+    ['Call mom next mon', '2026-10-19'],
+    ['Call mom next week', '2026-10-25'],
+    ['Call mom in 3 days', '2026-10-21'],
+    ['Call mom in a month', '2026-11-18'],
+    ['Call mom march 5th', '2027-03-05'],
+    ['Call mom 25 dec 2027', '2027-12-25'],
+    ['Call mom 5th of november', '2026-11-05'],
+    ['Call mom feb 29', '2028-02-29'],
+    ['Call mom 2026-11-30', '2026-11-30'],
+    ['Call mom 11/3', '2026-11-03'],
+    ['Call mom 1.5.', '2027-05-01'],
+  ])('should read the date in "%s"', (text, dueDate) => {
+    expect(parse(text)).toEqual({ title: 'Call mom', dueDate });
+  });
+
+  test('should wait for the next leap year for February 29th', () => {
+    expect(parse('Party 29.2.', { now: new Date('2028-03-01T12:00:00Z') }).dueDate).toBe('2032-02-29');
+    expect(parse('Party feb 29', { now: new Date('2097-01-10T12:00:00Z') }).dueDate).toBe('2104-02-29');
+  });
+
+  test.each([
+    ['Standup 9:30', '2026-10-19T09:30:00.000Z'],
+    ['Standup at 5pm', '2026-10-18T17:00:00.000Z'],
+    ['Standup 5 p.m.', '2026-10-18T17:00:00.000Z'],
+    ['Standup at 17', '2026-10-18T17:00:00.000Z'],
+    ['Standup tomorrow noon', '2026-10-19T12:00:00.000Z'],
+  ])('should read the time in "%s", moving past times to tomorrow', (text, dueDate) => {
+    expect(parse(text)).toEqual({ title: 'Standup', dueDate });
+  });
+
+  test.each([
+    ['Gym daily', 'FREQ=DAILY', '2026-10-18'],
+    ['Gym every other week', 'FREQ=WEEKLY;INTERVAL=2', '2026-10-18'],
+    ['Gym every 3 days', 'FREQ=DAILY;INTERVAL=3', '2026-10-18'],
+    ['Gym every weekday', 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', '2026-10-19'],
+    ['Gym every tue, thu and sat', 'FREQ=WEEKLY;BYDAY=TU,TH,SA', '2026-10-20'],
+    ['Gym every 15th', 'FREQ=MONTHLY;BYMONTHDAY=15', '2026-11-15'],
+    ['Gym every other friday', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR', '2026-10-23'],
+    ['Gym every 2 weeks on mon and thu', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', '2026-10-19'],
+    ['Gym every month on the 31st', 'FREQ=MONTHLY;BYMONTHDAY=31', '2026-10-31'],
+    ['Gym every friday until dec 31', 'FREQ=WEEKLY;BYDAY=FR;UNTIL=20261231', '2026-10-23'],
+  ])('should read the recurrence in "%s" and start on its first day', (text, recurrence, dueDate) => {
+    expect(parse(text)).toEqual({ title: 'Gym', recurrence, dueDate });
+  });
+
+  test('should convert times from the user\'s timezone to UTC', () => {
+    // UTC+2, where it is already 14:00
+    expect(parse('Call 9am', { timezoneOffset: -120 }).dueDate).toBe('2026-10-19T07:00:00.000Z');
+    // UTC-5, where it is only 07:00
+    expect(parse('Call 9am', { timezoneOffset: 300 }).dueDate).toBe('2026-10-18T14:00:00.000Z');
+    // Late at night in UTC-10 it is still Saturday
+    expect(parse('Call tomorrow', { now: new Date('2026-10-18T05:00:00Z'), timezoneOffset: 600 }).dueDate)
+      .toBe('2026-10-18');
+  });
+
+  test('should read numeric dates in the locale\'s order', () => {
+    expect(parse('Dentist 3/4', { locale: 'en-US' }).dueDate).toBe('2027-03-04');
+    expect(parse('Dentist 3/4', { locale: 'en-GB' }).dueDate).toBe('2027-04-03');
+    expect(parse('Dentist 3/4/27', { locale: 'fr' }).dueDate).toBe('2027-04-03');
+  });
+
+  test('should understand the locale\'s language as well as English', () => {
+    expect(parse('Zahnarzt am 15. März um 9 Uhr !hoch', { locale: 'de-DE' })).toEqual({
+      title: 'Zahnarzt',
+      dueDate: '2027-03-15T09:00:00.000Z',
+      priority: 'high',
+    });
+    expect(parse('Réunion lundi prochain à 17h tomorrow', { locale: 'fr-FR' })).toEqual({
+      title: 'Réunion tomorrow',
+      dueDate: '2026-10-19T17:00:00.000Z',
+    });
+    expect(parse('Pagar el alquiler todos los meses mañana', { locale: 'es' })).toEqual({
+      title: 'Pagar el alquiler',
+      dueDate: '2026-10-19',
+      recurrence: 'FREQ=MONTHLY',
+    });
+    // Other languages' words only count in their own locale
+    expect(parse('Zahnarzt morgen')).toEqual({ title: 'Zahnarzt morgen' });
+  });
+
+  test('should read a repeat with its day and end as one phrase', () => {
+    expect(parse('Submit report every other friday until dec 31')).toEqual({
+      title: 'Submit report',
+      dueDate: '2026-10-23',
+      recurrence: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;UNTIL=20261231',
+    });
+    expect(parse('Pay rent every month on the 31st')).toEqual({
+      title: 'Pay rent',
+      dueDate: '2026-10-31',
+      recurrence: 'FREQ=MONTHLY;BYMONTHDAY=31',
+    });
+    // Without a date after it, "until" is just a word
+    expect(parse('Water plants every week until further notice')).toEqual({
+      title: 'Water plants until further notice',
+      dueDate: '2026-10-18',
+      recurrence: 'FREQ=WEEKLY',
+    });
+  });
+
+  test('should leave quoted text and lookalikes in the title', () => {
+    expect(parse('Read "next friday" #books')).toEqual({ title: 'Read next friday', tags: ['books'] });
+    expect(parse('Buy sun cream and 2 apples, 1.5 kg flour')).toEqual({
+      title: 'Buy sun cream and 2 apples, 1.5 kg flour',
+    });
+    expect(parse('Fix issue #123 !urgent')).toEqual({ title: 'Fix issue #123 !urgent' });
+    expect(parse('Read chapter 3/4 of book')).toEqual({ title: 'Read chapter 3/4 of book' });
+    expect(parse('Buy sun cream and 1.5 kg flour #1')).toEqual({ title: 'Buy sun cream and 1.5 kg flour #1' });
+  });
+
+  test('should only take the first date and keep each tag once', () => {
+    expect(parse('Move meeting from today to tomorrow #work #work #home')).toEqual({
+      title: 'Move meeting from to tomorrow',
+      dueDate: '2026-10-18',
+      tags: ['work', 'home'],
+    });
+  });
+});
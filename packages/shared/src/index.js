@@ -0,0 +1,5 @@
+// Plain CommonJS with no dependencies, so the backend can require it and the
+// frontend's bundler and test runner can import it as it is
+const { DEFAULT_LOCALE, parseQuickAdd } = require('./quickAdd');
+
+module.exports = { DEFAULT_LOCALE, parseQuickAdd };
@@ -0,0 +1,644 @@
+// Quick add - "Pay rent tomorrow 9am #finance !high every month" becomes a
+// todo titled "Pay rent", due tomorrow at 9:00, tagged finance, high priority
+// and repeating monthly. Parsing is deterministic: relative dates are worked
+// out from the `now` and UTC offset passed in, never from the system clock.
+// English words always work; the locale adds its own language's words and
+// decides whether 3/4 means 3 April or March 4. Anything in "double quotes"
+// stays in the title as typed.
+//
+// The server parses POST /api/v1/todos bodies in quickAdd mode with this
+// module and the app uses it for the live preview, so both always agree.
+
+const DEFAULT_LOCALE = 'en-US';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const MAX_INTERVAL = 365;
+// RRULE weekday codes, Monday first
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Regions that write the month before the day in numeric dates
+const MONTH_FIRST_REGIONS = ['US', 'PH', 'FM', 'MH', 'PW', 'CN', 'JP', 'KR', 'TW'];
+
+const FREQ_BY_UNIT = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY' };
+
+// Words are matched lower-cased and without accents. Weekdays and months are
+// listed Monday and January first; a phrase may span several words.
+const LANGUAGES = {
+  en: {
+    today: ['today'],
+    tomorrow: ['tomorrow', 'tmrw'],
+    weekdays: [['monday'], ['tuesday'], ['wednesday'], ['thursday'], ['friday'], ['saturday'], ['sunday']],
+    // Only after "on", "next" or "every", so "sun cream" stays a title
+    shortWeekdays: [['mon'], ['tue', 'tues'], ['wed'], ['thu', 'thur', 'thurs'], ['fri'], ['sat'], ['sun']],
+    months: [
+      ['january', 'jan'], ['february', 'feb'], ['march', 'mar'], ['april', 'apr'], ['may'], ['june', 'jun'],
+      ['july', 'jul'], ['august', 'aug'], ['september', 'sep', 'sept'], ['october', 'oct'],
+      ['november', 'nov'], ['december', 'dec'],
+    ],
+    next: ['next'],
+    nextAfter: [],
+    in: ['in'],
+    one: ['a', 'an', 'one'],
+    every: ['every', 'each'],
+    other: ['other'],
+    until: ['until', 'till'],
+    units: { day: ['day', 'days'], week: ['week', 'weeks'], month: ['month', 'months'] },
+    adverbs: { day: ['daily'], week: ['weekly'], month: ['monthly'] },
+    workdays: ['weekday', 'weekdays', 'workday', 'workdays'],
+    at: ['at', '@'],
+    on: ['on', 'due'],
+    the: ['the'],
+    and: ['and', '&'],
+    of: ['of'],
+    oclock: ['o\'clock'],
+    noon: ['noon', 'midday'],
+    midnight: ['midnight'],
+    priorities: { high: ['high', 'h', '1'], medium: ['medium', 'med', 'm', '2'], low: ['low', 'l', '3'] },
+  },
+  de: {
+    today: ['heute'],
+    tomorrow: ['morgen'],
+    weekdays: [['montag'], ['dienstag'], ['mittwoch'], ['donnerstag'], ['freitag'], ['samstag', 'sonnabend'], ['sonntag']],
+    shortWeekdays: [['mo'], ['di'], ['mi'], ['do'], ['fr'], ['sa'], ['so']],
+    months: [
+      ['januar', 'janner'], ['februar'], ['marz'], [], ['mai'], ['juni'],
+      ['juli'], [], [], ['oktober', 'okt'], [], ['dezember', 'dez'],
+    ],
+    next: ['nachsten', 'nachste', 'nachster', 'kommenden', 'kommende'],
+    in: ['in'],
+    one: ['einem', 'einer'],
+    every: ['jeden', 'jede', 'jedes', 'alle'],
+    other: ['zweiten'],
+    until: ['bis'],
+    units: { day: ['tag', 'tage', 'tagen'], week: ['woche', 'wochen'], month: ['monat', 'monate', 'monaten'] },
+    adverbs: { day: ['taglich'], week: ['wochentlich'], month: ['monatlich'] },
+    workdays: ['werktag', 'werktags', 'arbeitstag'],
+    at: ['um'],
+    on: ['am'],
+    and: ['und'],
+    oclock: ['uhr'],
+    noon: ['mittag'],
+    midnight: ['mitternacht'],
+    priorities: { high: ['hoch'], medium: ['mittel'], low: ['niedrig'] },
+  },
+  fr: {
+    today: ['aujourd\'hui'],
+    tomorrow: ['demain'],
+    weekdays: [['lundi'], ['mardi'], ['mercredi'], ['jeudi'], ['vendredi'], ['samedi'], ['dimanche']],
+    months: [
+      ['janvier', 'janv'], ['fevrier', 'fevr'], ['mars'], ['avril', 'avr'], ['mai'], ['juin'],
+      ['juillet', 'juil'], ['aout'], ['septembre'], ['octobre'], ['novembre'], ['decembre'],
+    ],
+    // "lundi prochain"
+    nextAfter: ['prochain', 'prochaine'],
+    in: ['dans'],
+    one: ['un', 'une'],
+    every: ['chaque', 'tous les', 'toutes les'],
+    until: ['jusqu\'au'],
+    units: { day: ['jour', 'jours'], week: ['semaine', 'semaines'], month: ['mois'] },
+    at: ['a'],
+    on: ['le'],
+    and: ['et'],
+    noon: ['midi'],
+    midnight: ['minuit'],
+    priorities: { high: ['haute'], medium: ['moyenne'], low: ['basse'] },
+  },
+  es: {
+    today: ['hoy'],
+    tomorrow: ['manana'],
+    weekdays: [['lunes'], ['martes'], ['miercoles'], ['jueves'], ['viernes'], ['sabado'], ['domingo']],
+    months: [
+      ['enero', 'ene'], ['febrero'], ['marzo'], ['abril', 'abr'], ['mayo'], ['junio'],
+      ['julio'], ['agosto', 'ago'], ['septiembre', 'setiembre'], ['octubre'], ['noviembre'], ['diciembre', 'dic'],
+    ],
+    next: ['proximo', 'proxima'],
+    in: ['en', 'dentro de'],
+    one: ['un', 'una'],
+    every: ['cada', 'todos los', 'todas las'],
+    until: ['hasta'],
+    units: { day: ['dia', 'dias'], week: ['semana', 'semanas'], month: ['mes', 'meses'] },
+    adverbs: { day: ['diario'], week: ['semanal'], month: ['mensual'] },
+    workdays: ['dia laborable', 'dias laborables'],
+    at: ['a las', 'a la'],
+    on: ['el'],
+    and: ['y'],
+    of: ['de'],
+    noon: ['mediodia'],
+    midnight: ['medianoche'],
+    priorities: { high: ['alta'], medium: ['media'], low: ['baja'] },
+  },
+};
+
+// English plus another language's words
+const withWords = (base, extra) => {
+  const merged = {};
+  Object.entries(base).forEach(([key, words]) => {
+    const more = extra[key];
+    if (!more) {
+      merged[key] = words;
+    } else if (key === 'weekdays' || key === 'shortWeekdays' || key === 'months') {
+      merged[key] = words.map((names, index) => [...names, ...more[index]]);
+    } else if (Array.isArray(words)) {
+      merged[key] = [...words, ...more];
+    } else {
+      merged[key] = Object.fromEntries(
+        Object.entries(words).map(([name, list]) => [name, [...list, ...(more[name] || [])]])
+      );
+    }
+  });
+  return merged;
+};
+
+const VOCABULARIES = Object.fromEntries(
+  Object.keys(LANGUAGES).map((language) => [language, withWords(LANGUAGES.en, LANGUAGES[language])])
+);
+VOCABULARIES.en = LANGUAGES.en;
+
+const resolveLocale = (locale) => {
+  const [language = '', region] = String(locale || DEFAULT_LOCALE).split(/[-_]/);
+  const lang = language.toLowerCase();
+  return {
+    words: VOCABULARIES[lang] || VOCABULARIES.en,
+    monthFirst: region ? MONTH_FIRST_REGIONS.includes(region.toUpperCase()) : lang === 'en',
+  };
+};
+
+// Calendar days are handled as midnight UTC, whatever the host's timezone
+const dayOf = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === ((month % 12) + 12) % 12 && date.getUTCDate() === day ? date : null;
+};
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const weekdayOf = (date) => (date.getUTCDay() + 6) % 7;
+
+// Later months are clamped to their last day: Jan 31 + 1 month is Feb 28
+const addMonths = (date, months) => {
+  const month = date.getUTCMonth() + months;
+  const last = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(date.getUTCFullYear(), month, Math.min(date.getUTCDate(), last)));
+};
+
+const addUnits = (date, unit, count) => {
+  if (unit === 'month') {
+    return addMonths(date, count);
+  }
+  return addDays(date, unit === 'week' ? 7 * count : count);
+};
+
+// A day and month without a year mean the next time that date comes round.
+// February 29th can be up to eight years away (2096, then 2104).
+const upcomingDay = (today, month, day) => {
+  const year = today.getUTCFullYear();
+  for (let offset = 0; offset <= 8; offset++) {
+    const date = dayOf(year + offset, month, day);
+    if (date && date >= today) {
+      return date;
+    }
+  }
+  return null;
+};
+
+const fullYear = (text) => (text.length === 2 ? 2000 + Number(text) : Number(text));
+
+const datedDay = (today, year, month, day) =>
+  year ? dayOf(fullYear(year), month, day) : upcomingDay(today, month, day);
+
+const normalize = (text) =>
+  text.toLowerCase().replace(/’/g, '\'').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const TOKEN_PATTERN = /["“”]([^"“”]*)["“”]|\S+/g;
+const TRAILING_PUNCTUATION = /[.,;:!?)]+$/;
+
+// Quoted text becomes one token that no rule matches
+const tokenize = (text) =>
+  Array.from(text.matchAll(TOKEN_PATTERN), (match) =>
+    match[1] !== undefined
+      ? { text: match[1], word: null }
+      : {
+        text: match[0],
+        word: normalize(match[0]).replace(/^\(+/, '').replace(TRAILING_PUNCTUATION, ''),
+        raw: match[0].replace(/[,;:!?)]+$/, ''),
+      }
+  );
+
+const createMatchers = ({ tokens, words, vocab, monthFirst, today }) => {
+  // Number of words taken by the longest of phrases found at index, or 0
+  const phraseAt = (index, phrases = []) =>
+    phrases.reduce((longest, phrase) => {
+      const parts = phrase.split(' ');
+      const found = parts.every((part, offset) => words[index + offset] === part);
+      return found ? Math.max(longest, parts.length) : longest;
+    }, 0);
+
+  // { value, length } for the first of groups with a phrase at index
+  const groupAt = (index, groups) => {
+    for (let value = 0; value < groups.length; value++) {
+      const length = phraseAt(index, groups[value]);
+      if (length) {
+        return { value, length };
+      }
+    }
+    return null;
+  };
+
+  // Plurals count too: "every mondays", "tous les lundis"
+  const weekdayAt = (index, allowShort) => {
+    const groups = allowShort
+      ? vocab.weekdays.map((names, day) => [...names, ...vocab.shortWeekdays[day]])
+      : vocab.weekdays;
+    const word = words[index];
+    const singular = word && word.endsWith('s') ? word.slice(0, -1) : null;
+    const day = groups.findIndex((names) => names.includes(word) || names.includes(singular));
+    return day === -1 ? null : { value: day, length: 1 };
+  };
+
+  const unitAt = (index) => {
+    const found = groupAt(index, Object.values(vocab.units));
+    return found && { value: Object.keys(vocab.units)[found.value], length: found.length };
+  };
+
+  const numberAt = (index, max) => {
+    const word = words[index];
+    return word && /^\d{1,3}$/.test(word) && Number(word) >= 1 && Number(word) <= max ? Number(word) : null;
+  };
+
+  // 5, 5th, 1er, 1º or German "5."
+  const dayOfMonthAt = (index) => {
+    const match = words[index] && /^(\d{1,2})(st|nd|rd|th|er|º)?$/.exec(words[index]);
+    const day = match && Number(match[1]);
+    return day >= 1 && day <= 31 ? day : null;
+  };
+
+  const yearAt = (index) => (words[index] && /^\d{4}$/.test(words[index]) ? words[index] : null);
+
+  const numericDate = (index) => {
+    const raw = tokens[index].raw;
+    if (!raw) {
+      return null;
+    }
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(raw);
+    if (match) {
+      return dayOf(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+    // 3/4 and 3/4/27, read in the locale's order; "3/4 of" is a fraction
+    match = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/.exec(raw);
+    if (match && !(match[3] === undefined && phraseAt(index + 1, vocab.of))) {
+      const [first, second] = [Number(match[1]), Number(match[2])];
+      const [month, day] = monthFirst ? [first, second] : [second, first];
+      return datedDay(today, match[3], month - 1, day);
+    }
+    // 3.4. and 3.4.2027 are always day first; a bare 3.4 could be a number
+    match = /^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})?$/.exec(raw);
+    if (match) {
+      return datedDay(today, match[3], Number(match[2]) - 1, Number(match[1]));
+    }
+    return null;
+  };
+
+  const nextWeekday = (day) => addDays(today, (day - weekdayOf(today) + 6) % 7 + 1);
+
+  // { date, length } for a date starting at index
+  const datePhrase = (index, prefixed) => {
+    let length = phraseAt(index, vocab.today);
+    if (length) {
+      return { date: today, length };
+    }
+    length = phraseAt(index, vocab.tomorrow);
+    if (length) {
+      return { date: addDays(today, 1), length };
+    }
+
+    // "next friday", "next week"
+    length = phraseAt(index, vocab.next);
+    if (length) {
+      const weekday = weekdayAt(index + length, true);
+      if (weekday) {
+        return { date: nextWeekday(weekday.value), length: length + 1 };
+      }
+      const unit = unitAt(index + length);
+      if (unit) {
+        return { date: addUnits(today, unit.value, 1), length: length + unit.length };
+      }
+      return null;
+    }
+
+    // "friday", "vendredi prochain"
+    const weekday = weekdayAt(index, prefixed);
+    if (weekday) {
+      return { date: nextWeekday(weekday.value), length: 1 + phraseAt(index + 1, vocab.nextAfter) };
+    }
+
+    // "in 3 days", "in a week"
+    length = phraseAt(index, vocab.in);
+    if (length) {
+      const one = phraseAt(index + length, vocab.one);
+      const count = one ? 1 : numberAt(index + length, MAX_INTERVAL);
+      const unit = count && unitAt(index + length + (one || 1));
+      if (unit) {
+        return { date: addUnits(today, unit.value, count), length: length + (one || 1) + unit.length };
+      }
+      return null;
+    }
+
+    // "march 5", "mar 5th 2027"
+    const month = groupAt(index, vocab.months);
+    if (month) {
+      const day = dayOfMonthAt(index + month.length);
+      if (day) {
+        const year = yearAt(index + month.length + 1);
+        const date = datedDay(today, year, month.value, day);
+        return date && { date, length: month.length + 1 + (year ? 1 : 0) };
+      }
+      return null;
+    }
+
+    // "5 march", "5th of march", "15. März", "15 de marzo"
+    const day = dayOfMonthAt(index);
+    if (day) {
+      const of = phraseAt(index + 1, vocab.of);
+      const found = groupAt(index + 1 + of, vocab.months);
+      if (found) {
+        const end = index + 1 + of + found.length;
+        const year = yearAt(end);
+        const date = datedDay(today, year, found.value, day);
+        return date && { date, length: end - index + (year ? 1 : 0) };
+      }
+    }
+
+    const date = numericDate(index);
+    return date && { date, length: 1 };
+  };
+
+  const meridiemAt = (index) => {
+    const match = words[index] && /^([ap])\.?m\.?$/.exec(words[index]);
+    return match && match[1];
+  };
+
+  // { time: { hour, minute }, length } for a time of day starting at index.
+  // A bare hour only counts after "at": "at 9" but not "buy 9 eggs".
+  const timePhrase = (index, prefixed) => {
+    let length = phraseAt(index, vocab.noon);
+    if (length) {
+      return { time: { hour: 12, minute: 0 }, length };
+    }
+    length = phraseAt(index, vocab.midnight);
+    if (length) {
+      return { time: { hour: 0, minute: 0 }, length };
+    }
+
+    const word = words[index];
+    let match = word && /^(\d{1,2})(?::(\d{2}))?(?:([ap])\.?m\.?)?$/.exec(word);
+    if (match) {
+      let hour = Number(match[1]);
+      const minute = Number(match[2] || 0);
+      const meridiem = match[3] || meridiemAt(index + 1);
+      length = match[3] || !meridiemAt(index + 1) ? 1 : 2;
+      if (meridiem) {
+        if (hour < 1 || hour > 12) {
+          return null;
+        }
+        hour = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+      } else if (phraseAt(index + 1, vocab.oclock)) {
+        length = 2;
+      } else if (!match[2] && !prefixed) {
+        return null;
+      }
+      return hour <= 23 && minute <= 59 ? { time: { hour, minute }, length } : null;
+    }
+
+    // "17h", "9h30"
+    match = word && /^(\d{1,2})h(\d{2})?$/.exec(word);
+    if (match && Number(match[1]) <= 23 && Number(match[2] || 0) <= 59) {
+      return { time: { hour: Number(match[1]), minute: Number(match[2] || 0) }, length: 1 };
+    }
+    return null;
+  };
+
+  // Leading "on"/"at" words only go with what follows them
+  const withPrefix = (phrase, prefixes) => (index) => {
+    const length = phraseAt(index, prefixes);
+    const found = phrase(index + length, length > 0);
+    return found && { ...found, length: length + found.length };
+  };
+
+  const date = withPrefix(datePhrase, vocab.on);
+
+  // "monday and thursday", "mon, wed, fri": { byDay, length }
+  const weekdaysAt = (index) => {
+    const days = [];
+    let at = index;
+    let weekday = weekdayAt(at, true);
+    while (weekday) {
+      days.push(weekday.value);
+      at += weekday.length;
+      const and = phraseAt(at, vocab.and);
+      weekday = weekdayAt(at + and, true);
+      if (weekday) {
+        at += and;
+      }
+    }
+    if (days.length === 0) {
+      return null;
+    }
+    return { byDay: WEEKDAYS.filter((day, value) => days.includes(value)), length: at - index };
+  };
+
+  // What the repeat is pinned to after its unit: "on monday" for weeks,
+  // "on the 31st" for months
+  const unitDays = (index, unit) => {
+    const on = phraseAt(index, vocab.on);
+    if (!on) {
+      return null;
+    }
+    if (unit === 'week') {
+      const weekdays = weekdaysAt(index + on);
+      return weekdays && { byDay: weekdays.byDay, length: on + weekdays.length };
+    }
+    const the = phraseAt(index + on, vocab.the);
+    const day = unit === 'month' && dayOfMonthAt(index + on + the);
+    return day ? { byMonthDay: day, length: on + the + 1 } : null;
+  };
+
+  // { rule: { freq, interval, byDay, byMonthDay }, length } without an end
+  const repeat = (index) => {
+    const adverb = groupAt(index, Object.values(vocab.adverbs || {}));
+    if (adverb) {
+      const unit = Object.keys(vocab.adverbs)[adverb.value];
+      return { rule: { freq: FREQ_BY_UNIT[unit], interval: 1 }, length: adverb.length };
+    }
+
+    const every = phraseAt(index, vocab.every);
+    if (!every) {
+      return null;
+    }
+    const at = index + every;
+
+    // "every other week", "every 2 weeks on friday", "every month on the 31st"
+    const other = phraseAt(at, vocab.other);
+    const count = other ? 2 : numberAt(at, MAX_INTERVAL);
+    const skip = other || (count ? 1 : 0);
+    const interval = count || 1;
+    const unit = unitAt(at + skip);
+    if (unit) {
+      const end = at + skip + unit.length;
+      const { length = 0, ...days } = unitDays(end, unit.value) || {};
+      return { rule: { freq: FREQ_BY_UNIT[unit.value], interval, ...days }, length: end + length - index };
+    }
+
+    // "every weekday"
+    const workdays = phraseAt(at, vocab.workdays);
+    if (workdays) {
+      return { rule: { freq: 'WEEKLY', interval: 1, byDay: WEEKDAYS.slice(0, 5) }, length: every + workdays };
+    }
+
+    // "every monday and thursday", "every other friday"
+    const weekdays = weekdaysAt(at + skip);
+    if (weekdays) {
+      return { rule: { freq: 'WEEKLY', interval, byDay: weekdays.byDay }, length: every + skip + weekdays.length };
+    }
+
+    // "every 15th"
+    const day = dayOfMonthAt(at);
+    if (day) {
+      return { rule: { freq: 'MONTHLY', interval: 1, byMonthDay: day }, length: every + 1 };
+    }
+    return null;
+  };
+
+  // A repeat and, if given, its last day: "every friday until dec 31"
+  const recurrence = (index) => {
+    const found = repeat(index);
+    const until = found && phraseAt(index + found.length, vocab.until);
+    const last = until && date(index + found.length + until);
+    if (!last) {
+      return found;
+    }
+    return { rule: { ...found.rule, until: last.date }, length: found.length + until + last.length };
+  };
+
+  const tag = (index) => {
+    const text = words[index] && tokens[index].text.replace(TRAILING_PUNCTUATION, '');
+    const match = text && /^#([\p{L}_][\p{L}\p{N}_-]*)$/u.exec(text);
+    return match && { tag: match[1], length: 1 };
+  };
+
+  const priority = (index) => {
+    const match = words[index] && /^!(.+)$/.exec(words[index]);
+    const found = match && Object.entries(vocab.priorities).find(([, names]) => names.includes(match[1]));
+    return found && { priority: found[0], length: 1 };
+  };
+
+  return {
+    tag,
+    priority,
+    recurrence,
+    date,
+    time: withPrefix(timePhrase, vocab.at),
+  };
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const formatRule = ({ freq, interval, byDay, byMonthDay, until }) => {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (byDay) parts.push(`BYDAY=${byDay.join(',')}`);
+  if (byMonthDay) parts.push(`BYMONTHDAY=${byMonthDay}`);
+  if (until) parts.push(`UNTIL=${formatDay(until).replace(/-/g, '')}`);
+  return parts.join(';');
+};
+
+// The first day a rule falls on from today, or from tomorrow when later is set
+const firstOccurrence = (rule, today, later) => {
+  const from = later ? addDays(today, 1) : today;
+  if (rule.byDay) {
+    for (let offset = 0; offset < 7; offset++) {
+      const date = addDays(from, offset);
+      if (rule.byDay.includes(WEEKDAYS[weekdayOf(date)])) {
+        return date;
+      }
+    }
+  }
+  if (rule.byMonthDay) {
+    // Months too short for the day are skipped, as when the todo recurs
+    for (let month = from.getUTCMonth(); month <= from.getUTCMonth() + 12; month++) {
+      const date = dayOf(from.getUTCFullYear(), month, rule.byMonthDay);
+      if (date && date >= from) {
+        return date;
+      }
+    }
+  }
+  return from;
+};
+
+/**
+ * Read a todo out of quick-add text. now is a Date; locale a BCP 47 tag such
+ * as "en-GB"; timezoneOffset the user's offset in minutes as returned by
+ * Date#getTimezoneOffset (UTC minus local time).
+ * Returns { title } plus whichever of dueDate, tags, priority and recurrence
+ * the text mentions. dueDate is a day (YYYY-MM-DD), or an ISO date-time in
+ * UTC when a time is given; a time alone means its next occurrence, and a
+ * recurrence without a date starts on its first occurrence.
+ */
+const parseQuickAdd = (text, { now, locale = DEFAULT_LOCALE, timezoneOffset = 0 }) => {
+  const { words: vocab, monthFirst } = resolveLocale(locale);
+  const local = new Date(now.getTime() - timezoneOffset * MINUTE_MS);
+  const today = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+  const minutesNow = local.getUTCHours() * 60 + local.getUTCMinutes();
+
+  const tokens = tokenize(text);
+  const words = tokens.map((token) => token.word);
+  const match = createMatchers({ tokens, words, vocab, monthFirst, today });
+
+  const found = { tags: [] };
+  const title = [];
+  // Only the first date, time, priority and recurrence count; repeats stay in the title
+  for (let index = 0; index < tokens.length;) {
+    const result =
+      match.tag(index) ||
+      (!found.priority && match.priority(index)) ||
+      (!found.rule && match.recurrence(index)) ||
+      (!found.date && match.date(index)) ||
+      (!found.time && match.time(index));
+    if (result) {
+      const { length, tag, ...value } = result;
+      if (tag && !found.tags.includes(tag)) {
+        found.tags.push(tag);
+      }
+      Object.assign(found, value);
+      index += length;
+    } else {
+      if (tokens[index].text) {
+        title.push(tokens[index].text);
+      }
+      index += 1;
+    }
+  }
+
+  const parsed = { title: title.join(' ') };
+  const { date, time, rule } = found;
+  const passed = Boolean(time) && time.hour * 60 + time.minute <= minutesNow;
+  let day = date;
+  if (!day && rule) {
+    day = firstOccurrence(rule, today, passed);
+  } else if (!day && time) {
+    day = passed ? addDays(today, 1) : today;
+  }
+  if (day) {
+    parsed.dueDate = time
+      ? new Date(day.getTime() + ((time.hour * 60) + time.minute + timezoneOffset) * MINUTE_MS).toISOString()
+      : formatDay(day);
+  }
+  if (found.tags.length > 0) {
+    parsed.tags = found.tags;
+  }
+  if (found.priority) {
+    parsed.priority = found.priority;
+  }
+  if (rule) {
+    parsed.recurrence = formatRule(rule);
+  }
+  return parsed;
+};
+
+module.exports = { DEFAULT_LOCALE, parseQuickAdd };